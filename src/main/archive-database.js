@@ -1,67 +1,775 @@
 /**
  * Archive Database - Handles archive metadata and database operations
+ *
+ * Records live in an SQLite catalogue (better-sqlite3): one row per archive and one per
+ * image, plus tags and sets. Every write is a transaction, and WAL mode lets the main
+ * process read while the import worker writes. The schema version is PRAGMA user_version;
+ * each entry of MIGRATIONS moves the schema one version up. The archives.json file of
+ * earlier versions is imported once, by the first migration, and kept as a backup.
+ *
+ * SQLite commits atomically, so a crash mid-write leaves the previous state. For damage
+ * it cannot undo (disk faults, a copy taken mid-write), the main process checks the file
+ * at startup and falls back to the rolling backups instead of starting empty unnoticed.
  */
 const fs = require('node:fs').promises
 const fsNative = require('node:fs')
 const crypto = require('node:crypto')
 const path = require('node:path')
+const Database = require('better-sqlite3')
 const secureFs = require('./secure-fs')
 const archiveExtractors = require('./archive-extractors')
+const comicInfo = require('./comic-info')
+
+// Rolling backups of the catalogue; one is taken at startup when the newest is a day old
+const MAX_CATALOG_BACKUPS = 5
+const CATALOG_BACKUP_INTERVAL_MS = 24 * 60 * 60 * 1000
+
+// Archive record fields with a column of their own; anything else is kept in `extra`
+const ARCHIVE_COLUMNS = {
+  hash: 'hash',
+  path: 'path',
+  name: 'name',
+  type: 'type',
+  size: 'size',
+  mtime: 'mtime',
+  viewMode: 'view_mode',
+  extractDir: 'extract_dir',
+  processedAt: 'processed_at',
+  extractedAt: 'extracted_at',
+  encrypted: 'encrypted',
+  parentHash: 'parent_hash',
+  parentEntry: 'parent_entry',
+  nestingDepth: 'nesting_depth',
+}
+
+const JSON_COLUMNS = {
+  comicInfo: 'comic_info',
+  integrity: 'integrity',
+}
+
+const IMAGE_COLUMNS = {
+  originalName: 'original_name',
+  relativePath: 'relative_path',
+  extractedPath: 'extracted_path',
+  archiveEntry: 'archive_entry',
+  size: 'size',
+  nestedArchive: 'nested_archive',
+  contentHash: 'content_hash',
+  perceptualHash: 'perceptual_hash',
+  width: 'width',
+  height: 'height',
+}
+
+/**
+ * Schema migrations; MIGRATIONS[n] upgrades a catalogue from version n to n + 1
+ * @type {Array<Function>} (db, context) => void, run inside a transaction; a migration
+ *   that creates the catalogue calls context.importLegacyJson() to have archives.json
+ *   imported once the schema is current
+ */
+const MIGRATIONS = [
+  (db, context) => {
+    db.exec(`
+      CREATE TABLE archives (
+        hash TEXT PRIMARY KEY,
+        path TEXT,
+        name TEXT NOT NULL,
+        type TEXT,
+        size INTEGER,
+        mtime INTEGER,
+        view_mode TEXT NOT NULL DEFAULT 'extract',
+        extract_dir TEXT,
+        processed_at INTEGER,
+        extracted_at INTEGER,
+        encrypted INTEGER NOT NULL DEFAULT 0,
+        parent_hash TEXT,
+        parent_entry TEXT,
+        nesting_depth INTEGER,
+        comic_info TEXT,
+        integrity TEXT,
+        extra TEXT
+      );
+      CREATE INDEX archives_parent_hash ON archives (parent_hash);
+
+      CREATE TABLE images (
+        id INTEGER PRIMARY KEY,
+        archive_hash TEXT NOT NULL REFERENCES archives (hash) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        original_name TEXT NOT NULL,
+        relative_path TEXT,
+        extracted_path TEXT,
+        archive_entry TEXT,
+        size INTEGER,
+        nested_archive TEXT,
+        UNIQUE (archive_hash, position)
+      );
+
+      CREATE TABLE tags (
+        id INTEGER PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE
+      );
+
+      CREATE TABLE archive_tags (
+        archive_hash TEXT NOT NULL REFERENCES archives (hash) ON DELETE CASCADE,
+        tag_id INTEGER NOT NULL REFERENCES tags (id) ON DELETE CASCADE,
+        PRIMARY KEY (archive_hash, tag_id)
+      );
+
+      CREATE TABLE image_tags (
+        image_id INTEGER NOT NULL REFERENCES images (id) ON DELETE CASCADE,
+        tag_id INTEGER NOT NULL REFERENCES tags (id) ON DELETE CASCADE,
+        PRIMARY KEY (image_id, tag_id)
+      );
+
+      CREATE TABLE sets (
+        id INTEGER PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        created_at INTEGER NOT NULL
+      );
+
+      CREATE TABLE set_archives (
+        set_id INTEGER NOT NULL REFERENCES sets (id) ON DELETE CASCADE,
+        archive_hash TEXT NOT NULL REFERENCES archives (hash) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        PRIMARY KEY (set_id, archive_hash)
+      );
+    `)
+    context.importLegacyJson()
+  },
+  (db) => {
+    // SHA-256 of each extracted image, for duplicates across archives
+    db.exec(`
+      ALTER TABLE images ADD COLUMN content_hash TEXT;
+      CREATE INDEX images_content_hash ON images (content_hash);
+    `)
+  },
+  (db) => {
+    // dHash of each extracted image, for near-duplicates; '' when it cannot be decoded
+    db.exec('ALTER TABLE images ADD COLUMN perceptual_hash TEXT')
+  },
+  (db) => {
+    // Pixel size of each extracted image, read when its thumbnails are made; 0 when it
+    // cannot be decoded
+    db.exec(`
+      ALTER TABLE images ADD COLUMN width INTEGER;
+      ALTER TABLE images ADD COLUMN height INTEGER;
+    `)
+  },
+  (db) => {
+    // Reader mode settings of each archive (JSON); outside the archive record, so they
+    // survive reprocessing
+    db.exec('ALTER TABLE archives ADD COLUMN reader_settings TEXT')
+  },
+]
+
+/**
+ * Convert an archive record to a row of the archives table
+ * @param {Object} record - Archive record
+ * @returns {Object} Named statement parameters
+ */
+function recordToRow(record) {
+  const row = {}
+  const extra = {}
+  for (const [key, value] of Object.entries(record)) {
+    if (key === 'extractedFiles') continue
+    if (ARCHIVE_COLUMNS[key]) {
+      row[ARCHIVE_COLUMNS[key]] = value
+    } else if (JSON_COLUMNS[key]) {
+      row[JSON_COLUMNS[key]] = value == null ? null : JSON.stringify(value)
+    } else if (value !== undefined) {
+      extra[key] = value
+    }
+  }
+  for (const column of [...Object.values(ARCHIVE_COLUMNS), ...Object.values(JSON_COLUMNS)]) {
+    if (row[column] === undefined) row[column] = null
+  }
+  row.view_mode ??= 'extract'
+  row.encrypted = row.encrypted ? 1 : 0
+  row.extra = Object.keys(extra).length > 0 ? JSON.stringify(extra) : null
+  return row
+}
+
+/**
+ * Convert a row of the archives table back to an archive record; empty columns are
+ * left out, as they were absent from records before the catalogue
+ * @param {Object} row - Table row
+ * @returns {Object} Archive record without extractedFiles
+ */
+function rowToRecord(row) {
+  const record = row.extra ? JSON.parse(row.extra) : {}
+  for (const [key, column] of Object.entries(ARCHIVE_COLUMNS)) {
+    if (row[column] !== null) record[key] = row[column]
+  }
+  for (const [key, column] of Object.entries(JSON_COLUMNS)) {
+    if (row[column] !== null) record[key] = JSON.parse(row[column])
+  }
+  record.encrypted = Boolean(row.encrypted)
+  if (!record.encrypted) delete record.encrypted
+  return record
+}
+
+function fileToRow(file) {
+  const row = {}
+  for (const [key, column] of Object.entries(IMAGE_COLUMNS)) {
+    row[column] = file[key] ?? null
+  }
+  return row
+}
+
+function rowToFile(row) {
+  const file = {}
+  for (const [key, column] of Object.entries(IMAGE_COLUMNS)) {
+    if (row[column] !== null) file[key] = row[column]
+  }
+  return file
+}
+
+/**
+ * Quick integrity check of an open catalogue
+ * @param {Database} db - Open catalogue
+ * @returns {string|null} First problem reported by SQLite, or null if the file is sound
+ */
+function checkIntegrity(db) {
+  const result = db.pragma('quick_check(1)', { simple: true })
+  return result === 'ok' ? null : String(result)
+}
+
+function isValidBackup(backupPath) {
+  try {
+    const db = new Database(backupPath, { readonly: true, fileMustExist: true })
+    try {
+      return checkIntegrity(db) === null
+    } finally {
+      db.close()
+    }
+  } catch {
+    return false
+  }
+}
+
+function isCorruption(error) {
+  return /^SQLITE_(CORRUPT|NOTADB)/.test(String(error?.code || ''))
+}
 
 class ArchiveDatabase {
   constructor() {
-    this.archivesDbPath = null
+    this.db = null
+    this.statements = null
+    this.recovery = null
   }
 
-  setDbPath(dbPath) {
-    this.archivesDbPath = dbPath
+  /**
+   * Open the catalogue and bring its schema up to date. With a backup directory, the
+   * catalogue is checked first; a damaged one is set aside and replaced by the newest
+   * backup that passes the same check, and a backup is taken when the last one is old.
+   * @param {string} dbPath - Path of the SQLite catalogue
+   * @param {Object} [options]
+   * @param {string} [options.legacyJsonPath] - archives.json of earlier versions,
+   *   imported once
+   * @param {string} [options.backupDir] - Directory of rolling backups; only the main
+   *   process passes one, the import worker opens the catalogue the main process checked
+   */
+  async initialize(dbPath, { legacyJsonPath = null, backupDir = null } = {}) {
+    this.close()
+    this.recovery = null
+
+    try {
+      this.open(dbPath, legacyJsonPath, Boolean(backupDir))
+    } catch (error) {
+      if (!backupDir || !isCorruption(error)) throw error
+      this.recovery = await this.recover(dbPath, backupDir, error)
+    }
+
+    if (backupDir) {
+      try {
+        await this.backupIfDue(dbPath, backupDir)
+      } catch (error) {
+        console.error('[ARCHIVE] Failed to back up archive catalogue:', error.message)
+      }
+    }
   }
 
   /**
-   * Initialize archives database file
+   * Open the catalogue file and run pending migrations
+   * @param {string} dbPath - Path of the SQLite catalogue
+   * @param {string|null} legacyJsonPath - archives.json to import into a new catalogue
+   * @param {boolean} check - Run a quick integrity check first
+   * @throws {Error} With an SQLITE_CORRUPT or SQLITE_NOTADB code if the file is damaged
    */
-  async initializeArchivesDb() {
+  open(dbPath, legacyJsonPath, check) {
+    const db = new Database(dbPath)
     try {
-      await fs.access(this.archivesDbPath)
-    } catch {
-      // Create empty database
-      await fs.writeFile(
-        this.archivesDbPath,
-        JSON.stringify(
-          {
-            archives: {},
-            lastCleanup: Date.now(),
+      if (check) {
+        const problem = checkIntegrity(db)
+        if (problem) {
+          throw Object.assign(new Error(`Integrity check failed: ${problem}`), {
+            code: 'SQLITE_CORRUPT',
+          })
+        }
+      }
+      db.pragma('journal_mode = WAL')
+      db.pragma('foreign_keys = ON')
+
+      let importedJson = false
+      // IMMEDIATE takes the write lock first, so the main process and the import worker
+      // cannot both run the same migration
+      db.transaction(() => {
+        let importJson = false
+        const context = {
+          importLegacyJson: () => {
+            importJson = true
           },
-          null,
-          2
-        )
-      )
-      console.log('[ARCHIVE] Created archives database at:', this.archivesDbPath)
+        }
+        const version = db.pragma('user_version', { simple: true })
+        for (let next = version; next < MIGRATIONS.length; next++) {
+          MIGRATIONS[next](db, context)
+          db.pragma(`user_version = ${next + 1}`)
+          console.log(`[ARCHIVE] Catalogue schema upgraded to version ${next + 1}`)
+        }
+        if (importJson) {
+          importedJson = this.importLegacyJson(db, legacyJsonPath)
+        }
+      }).immediate()
+
+      this.db = db
+      this.prepareStatements()
+
+      if (importedJson) {
+        // Keep the old file as a backup, under a name that is never imported again
+        try {
+          fsNative.renameSync(legacyJsonPath, `${legacyJsonPath}.migrated`)
+        } catch (error) {
+          console.warn('[ARCHIVE] Could not rename migrated archives.json:', error.message)
+        }
+      }
+      console.log('[ARCHIVE] Opened archive catalogue at:', dbPath)
+    } catch (error) {
+      db.close()
+      this.db = null
+      this.statements = null
+      throw error
     }
   }
 
   /**
-   * Load archives database
+   * Replace a damaged catalogue with the newest valid backup, or an empty catalogue if
+   * there is none. The damaged file is kept next to the catalogue.
+   * @returns {Promise<Object>} { damagedPath, restoredFrom, backupTime, error } for the
+   *   warning shown to the user; restoredFrom is null if the catalogue was reset
+   */
+  async recover(dbPath, backupDir, error) {
+    console.error('[ARCHIVE] Archive catalogue is damaged:', error.message)
+
+    const damagedPath = `${dbPath}.damaged-${Date.now()}`
+    await fs.rename(dbPath, damagedPath)
+    for (const suffix of ['-wal', '-shm']) {
+      await fs.rename(`${dbPath}${suffix}`, `${damagedPath}${suffix}`).catch(() => {})
+    }
+    console.log('[ARCHIVE] Damaged catalogue kept at:', damagedPath)
+
+    for (const backup of await this.listBackups(dbPath, backupDir)) {
+      if (!isValidBackup(backup.path)) {
+        console.warn('[ARCHIVE] Skipping damaged catalogue backup:', backup.path)
+        continue
+      }
+      // Copy, then rename, so a crash here cannot leave half a catalogue behind
+      const tempPath = `${dbPath}.restore`
+      await fs.copyFile(backup.path, tempPath)
+      await fs.rename(tempPath, dbPath)
+      this.open(dbPath, null, false)
+      console.log('[ARCHIVE] Restored archive catalogue from backup:', backup.path)
+      return {
+        damagedPath,
+        restoredFrom: backup.path,
+        backupTime: backup.time,
+        error: error.message,
+      }
+    }
+
+    this.open(dbPath, null, false)
+    console.warn('[ARCHIVE] No valid catalogue backup found; started an empty catalogue')
+    return { damagedPath, restoredFrom: null, backupTime: null, error: error.message }
+  }
+
+  /**
+   * Take a backup if the newest one is older than CATALOG_BACKUP_INTERVAL_MS, and drop
+   * the oldest beyond MAX_CATALOG_BACKUPS
    */
-  async loadArchivesDb() {
+  async backupIfDue(dbPath, backupDir) {
+    const backups = await this.listBackups(dbPath, backupDir)
+    if (backups.length === 0 || Date.now() - backups[0].time >= CATALOG_BACKUP_INTERVAL_MS) {
+      await fs.mkdir(backupDir, { recursive: true })
+      const time = Date.now()
+      const backupPath = path.join(backupDir, `${path.parse(dbPath).name}-${time}.db`)
+      // The online backup API gives a consistent copy while the catalogue stays open
+      await this.db.backup(`${backupPath}.tmp`)
+      // A backup in rollback-journal mode is one self-contained file
+      const backupDb = new Database(`${backupPath}.tmp`)
+      backupDb.pragma('journal_mode = DELETE')
+      backupDb.close()
+      await fs.rename(`${backupPath}.tmp`, backupPath)
+      backups.unshift({ path: backupPath, time })
+      console.log('[ARCHIVE] Backed up archive catalogue to:', backupPath)
+    }
+
+    for (const old of backups.slice(MAX_CATALOG_BACKUPS)) {
+      await fs.rm(old.path, { force: true })
+    }
+  }
+
+  /**
+   * List catalogue backups, newest first
+   * @returns {Promise<Array<Object>>} { path, time } entries
+   */
+  async listBackups(dbPath, backupDir) {
+    const prefix = `${path.parse(dbPath).name}-`
+    let names
     try {
-      const data = await fs.readFile(this.archivesDbPath, 'utf8')
-      return JSON.parse(data)
-    } catch (error) {
-      console.warn('[ARCHIVE] Failed to load archives database:', error.message)
-      return { archives: {}, lastCleanup: Date.now() }
+      names = await fs.readdir(backupDir)
+    } catch {
+      return []
+    }
+    return names
+      .filter((name) => name.startsWith(prefix) && name.endsWith('.db'))
+      .map((name) => ({
+        path: path.join(backupDir, name),
+        time: Number(name.slice(prefix.length, -'.db'.length)),
+      }))
+      .filter((backup) => Number.isInteger(backup.time) && backup.time > 0)
+      .sort((a, b) => b.time - a.time)
+  }
+
+  /**
+   * How the catalogue was recovered at startup, if it was damaged
+   * @returns {Object|null} See recover()
+   */
+  getRecovery() {
+    return this.recovery
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close()
+      this.db = null
+      this.statements = null
     }
   }
 
   /**
-   * Save archives database
+   * Import the records of archives.json into a new catalogue
+   * @returns {boolean} True if a file was imported
    */
-  async saveArchivesDb(db) {
+  importLegacyJson(db, legacyJsonPath) {
+    if (!legacyJsonPath || !fsNative.existsSync(legacyJsonPath)) return false
+
+    let archives
     try {
-      await fs.writeFile(this.archivesDbPath, JSON.stringify(db, null, 2))
+      archives = Object.values(JSON.parse(fsNative.readFileSync(legacyJsonPath, 'utf8')).archives)
     } catch (error) {
-      console.error('[ARCHIVE] Failed to save archives database:', error.message)
+      // A damaged file must not keep the app from starting; it stays where it is
+      console.error('[ARCHIVE] Could not read archives.json for migration:', error.message)
+      return false
     }
+
+    const insert = this.createWriters(db)
+    for (const record of archives) {
+      if (record?.hash && record.name) insert(record)
+    }
+    console.log(`[ARCHIVE] Migrated ${archives.length} archives from archives.json`)
+    return true
+  }
+
+  prepareStatements() {
+    const db = this.db
+    this.statements = {
+      getArchive: db.prepare('SELECT * FROM archives WHERE hash = ?'),
+      getImages: db.prepare('SELECT * FROM images WHERE archive_hash = ? ORDER BY position'),
+      listArchives: db.prepare(`
+        SELECT archives.*, (SELECT COUNT(*) FROM images WHERE archive_hash = archives.hash)
+          AS image_count
+        FROM archives ORDER BY processed_at
+      `),
+      hasArchive: db.prepare('SELECT 1 FROM archives WHERE hash = ?'),
+      getChildren: db.prepare('SELECT hash FROM archives WHERE parent_hash = ?'),
+      deleteArchive: db.prepare('DELETE FROM archives WHERE hash = ?'),
+      setIntegrity: db.prepare('UPDATE archives SET integrity = ? WHERE hash = ?'),
+      getReaderSettings: db.prepare('SELECT reader_settings FROM archives WHERE hash = ?'),
+      setReaderSettings: db.prepare('UPDATE archives SET reader_settings = ? WHERE hash = ?'),
+      findImageCopies: db.prepare(`
+        SELECT DISTINCT extracted_path FROM images
+        WHERE content_hash = ? AND extracted_path IS NOT NULL AND extracted_path != ?
+        LIMIT 10
+      `),
+      getUnhashedImagePaths: db.prepare(`
+        SELECT DISTINCT extracted_path FROM images
+        WHERE content_hash IS NULL AND extracted_path IS NOT NULL
+      `),
+      setContentHash: db.prepare('UPDATE images SET content_hash = ? WHERE extracted_path = ?'),
+      getUnfingerprintedImagePaths: db.prepare(`
+        SELECT DISTINCT extracted_path FROM images
+        WHERE perceptual_hash IS NULL AND extracted_path IS NOT NULL
+      `),
+      setPerceptualHash: db.prepare(
+        'UPDATE images SET perceptual_hash = ? WHERE extracted_path = ?'
+      ),
+      listFingerprintedImages: db.prepare(`
+        SELECT images.extracted_path, images.original_name, images.size, images.content_hash,
+          images.perceptual_hash, archives.hash AS archive_hash, archives.name AS archive_name
+        FROM images JOIN archives ON archives.hash = images.archive_hash
+        WHERE images.perceptual_hash != '' AND images.nested_archive IS NULL
+      `),
+      hasImagePath: db.prepare('SELECT 1 FROM images WHERE extracted_path = ? LIMIT 1'),
+      getImageInfo: db.prepare(`
+        SELECT content_hash, width, height FROM images WHERE extracted_path = ? LIMIT 1
+      `),
+      setDimensions: db.prepare('UPDATE images SET width = ?, height = ? WHERE extracted_path = ?'),
+      deleteImagesByPath: db.prepare('DELETE FROM images WHERE extracted_path = ?'),
+      // Images of inner archives are listed under their parent too; only an archive's
+      // own images (nested_archive IS NULL) count, or every parent would share with its
+      // children
+      listSharedImages: db.prepare(`
+        WITH own AS (
+          SELECT DISTINCT archive_hash, content_hash, size FROM images
+          WHERE content_hash IS NOT NULL AND nested_archive IS NULL
+        ),
+        pairs AS (
+          SELECT first.archive_hash AS first_hash, second.archive_hash AS second_hash,
+            COUNT(*) AS shared_images, SUM(first.size) AS shared_bytes
+          FROM own AS first
+          JOIN own AS second
+            ON second.content_hash = first.content_hash
+            AND second.archive_hash > first.archive_hash
+          GROUP BY first.archive_hash, second.archive_hash
+        )
+        SELECT pairs.*,
+          first_archive.name AS first_name,
+          second_archive.name AS second_name,
+          (SELECT COUNT(*) FROM own WHERE archive_hash = pairs.first_hash) AS first_images,
+          (SELECT COUNT(*) FROM own WHERE archive_hash = pairs.second_hash) AS second_images
+        FROM pairs
+        JOIN archives AS first_archive ON first_archive.hash = pairs.first_hash
+        JOIN archives AS second_archive ON second_archive.hash = pairs.second_hash
+        ORDER BY shared_images DESC
+      `),
+    }
+    this.saveRecord = this.createWriters(db)
+  }
+
+  /**
+   * Build the upsert of one archive record and its images
+   * @param {Database} db - Open catalogue
+   * @returns {Function} (record) => void; call inside a transaction
+   */
+  createWriters(db) {
+    const archiveColumns = [...Object.values(ARCHIVE_COLUMNS), ...Object.values(JSON_COLUMNS)]
+    const upsertArchive = db.prepare(`
+      INSERT INTO archives (${archiveColumns.join(', ')}, extra)
+      VALUES (${archiveColumns.map((c) => `@${c}`).join(', ')}, @extra)
+      ON CONFLICT (hash) DO UPDATE SET
+        ${[...archiveColumns.slice(1), 'extra'].map((c) => `${c} = excluded.${c}`).join(', ')}
+    `)
+    const deleteImages = db.prepare('DELETE FROM images WHERE archive_hash = ?')
+    const imageColumns = Object.values(IMAGE_COLUMNS)
+    const insertImage = db.prepare(`
+      INSERT INTO images (archive_hash, position, ${imageColumns.join(', ')})
+      VALUES (@archive_hash, @position, ${imageColumns.map((c) => `@${c}`).join(', ')})
+    `)
+
+    return (record) => {
+      upsertArchive.run(recordToRow(record))
+      deleteImages.run(record.hash)
+      const files = Array.isArray(record.extractedFiles) ? record.extractedFiles : []
+      files.forEach((file, position) => {
+        insertImage.run({ archive_hash: record.hash, position, ...fileToRow(file) })
+      })
+    }
+  }
+
+  /**
+   * Save archive records with their images, all or nothing
+   * @param {Array<Object>} records - Archive records ({ hash, name, ..., extractedFiles })
+   */
+  async saveArchives(records) {
+    this.db.transaction(() => {
+      for (const record of records) this.saveRecord(record)
+    })()
+  }
+
+  /**
+   * Save one archive record with its images
+   * @param {Object} record - Archive record
+   */
+  async saveArchive(record) {
+    await this.saveArchives([record])
+  }
+
+  /**
+   * Delete archive records with their images, tags and set entries
+   * @param {Array<string>} hashes - Archive hashes
+   */
+  async deleteArchives(hashes) {
+    this.db.transaction(() => {
+      for (const hash of hashes) this.statements.deleteArchive.run(hash)
+    })()
+  }
+
+  /**
+   * Replace the integrity report of an archive
+   * @param {string} hash - Archive hash
+   * @param {Object} integrity - Report from ArchiveVerifier
+   */
+  async setIntegrity(hash, integrity) {
+    this.statements.setIntegrity.run(JSON.stringify(integrity), hash)
+  }
+
+  /**
+   * Reader mode settings of an archive
+   * @param {string} hash - Archive hash
+   * @returns {Promise<Object|null>} Settings, or null if none were saved
+   */
+  async getReaderSettings(hash) {
+    const row = this.statements.getReaderSettings.get(hash)
+    return row?.reader_settings ? JSON.parse(row.reader_settings) : null
+  }
+
+  /**
+   * Replace the reader mode settings of an archive
+   * @param {string} hash - Archive hash
+   * @param {Object} settings - { pageMode, direction, coverOffset }
+   */
+  async setReaderSettings(hash, settings) {
+    const result = this.statements.setReaderSettings.run(JSON.stringify(settings), hash)
+    if (result.changes === 0) {
+      throw new Error('Archive not found')
+    }
+  }
+
+  /**
+   * Extracted copies of an image already in the repository
+   * @param {string} contentHash - SHA-256 of the image
+   * @param {string} excludePath - Path of the new copy, left out of the result
+   * @returns {Promise<Array<string>>} Paths of stored copies
+   */
+  async findImageCopies(contentHash, excludePath) {
+    return this.statements.findImageCopies
+      .all(contentHash, excludePath)
+      .map((row) => row.extracted_path)
+  }
+
+  /**
+   * Extracted images stored before content hashes were recorded
+   * @returns {Promise<Array<string>>} Extracted paths
+   */
+  async getUnhashedImagePaths() {
+    return this.statements.getUnhashedImagePaths.all().map((row) => row.extracted_path)
+  }
+
+  /**
+   * Record the content hash of an extracted image, on every record that lists it
+   * @param {string} extractedPath - Extracted image path
+   * @param {string} contentHash - SHA-256 of the image
+   */
+  async setImageContentHash(extractedPath, contentHash) {
+    this.statements.setContentHash.run(contentHash, extractedPath)
+  }
+
+  /**
+   * Extracted images stored before perceptual hashes were recorded
+   * @returns {Promise<Array<string>>} Extracted paths
+   */
+  async getUnfingerprintedImagePaths() {
+    return this.statements.getUnfingerprintedImagePaths.all().map((row) => row.extracted_path)
+  }
+
+  /**
+   * Record the perceptual hash of an extracted image, on every record that lists it
+   * @param {string} extractedPath - Extracted image path
+   * @param {string} perceptualHash - dHash, or '' if the image could not be decoded
+   */
+  async setImagePerceptualHash(extractedPath, perceptualHash) {
+    this.statements.setPerceptualHash.run(perceptualHash, extractedPath)
+  }
+
+  /**
+   * Every extracted image with a perceptual hash, once per archive that contains it
+   * @returns {Promise<Array<Object>>} { extractedPath, originalName, size, contentHash,
+   *   perceptualHash, archiveHash, archiveName }
+   */
+  async getFingerprintedImages() {
+    return this.statements.listFingerprintedImages.all().map((row) => ({
+      extractedPath: row.extracted_path,
+      originalName: row.original_name,
+      size: row.size,
+      contentHash: row.content_hash,
+      perceptualHash: row.perceptual_hash,
+      archiveHash: row.archive_hash,
+      archiveName: row.archive_name,
+    }))
+  }
+
+  /**
+   * Check whether a path is an extracted image of a processed archive
+   * @param {string} extractedPath - Path to check
+   * @returns {Promise<boolean>} True if the catalogue lists it
+   */
+  async isImagePath(extractedPath) {
+    return Boolean(this.statements.hasImagePath.get(extractedPath))
+  }
+
+  /**
+   * What the catalogue knows about an extracted image
+   * @param {string} extractedPath - Extracted image path
+   * @returns {Promise<Object|null>} { contentHash, width, height } (each may be null), or
+   *   null if no archive lists the path
+   */
+  async getImageInfo(extractedPath) {
+    const row = this.statements.getImageInfo.get(extractedPath)
+    return row ? { contentHash: row.content_hash, width: row.width, height: row.height } : null
+  }
+
+  /**
+   * Record the pixel size of an extracted image, on every record that lists it
+   * @param {string} extractedPath - Extracted image path
+   * @param {number} width - Width, or 0 if the image could not be decoded
+   * @param {number} height - Height, or 0 if the image could not be decoded
+   */
+  async setImageDimensions(extractedPath, width, height) {
+    this.statements.setDimensions.run(width, height, extractedPath)
+  }
+
+  /**
+   * Remove extracted images from every archive record that lists them
+   * @param {Array<string>} extractedPaths - Extracted image paths
+   */
+  async deleteImagesByPath(extractedPaths) {
+    this.db.transaction(() => {
+      for (const extractedPath of extractedPaths) {
+        this.statements.deleteImagesByPath.run(extractedPath)
+      }
+    })()
+  }
+
+  /**
+   * Pairs of archives that contain the same images
+   * @returns {Promise<Array<Object>>} { first, second, sharedImages, sharedBytes } where
+   *   first and second are { hash, name, imageCount } and imageCount counts distinct
+   *   images; most shared images first
+   */
+  async getSharedImages() {
+    return this.statements.listSharedImages.all().map((row) => ({
+      first: { hash: row.first_hash, name: row.first_name, imageCount: row.first_images },
+      second: { hash: row.second_hash, name: row.second_name, imageCount: row.second_images },
+      sharedImages: row.shared_images,
+      sharedBytes: row.shared_bytes || 0,
+    }))
+  }
+
+  /**
+   * Hashes of the archives found directly inside an archive
+   * @param {string} parentHash - Parent archive hash
+   * @returns {Promise<Array<string>>} Child archive hashes
+   */
+  async getChildHashes(parentHash) {
+    return this.statements.getChildren.all(parentHash).map((row) => row.hash)
   }
 
   /**
@@ -97,8 +805,7 @@ class ArchiveDatabase {
   async isArchiveProcessed(filePath) {
     try {
       const hash = await this.calculateFileHash(filePath)
-      const db = await this.loadArchivesDb()
-      return { isProcessed: hash in db.archives, hash }
+      return { isProcessed: Boolean(this.statements.hasArchive.get(hash)), hash }
     } catch (error) {
       console.warn('[ARCHIVE] Could not check archive status:', error.message)
       return { isProcessed: false, hash: null }
@@ -121,20 +828,23 @@ class ArchiveDatabase {
       name: path.basename(filePath),
       size: stats.size,
       mtime: stats.mtime.getTime(),
-      type: archiveExtractors.getArchiveType(filePath),
+      type: await archiveExtractors.detectArchiveType(filePath),
       processedAt: Date.now(),
     }
   }
 
   /**
-   * Get archive by hash (efficient single record lookup)
+   * Get archive by hash, with its images as extractedFiles
    * @param {string} hash - Archive hash
    * @returns {Promise<Object|null>} Archive metadata or null if not found
    */
   async getArchiveByHash(hash) {
     try {
-      const db = await this.loadArchivesDb()
-      return db.archives[hash] || null
+      const row = this.statements.getArchive.get(hash)
+      if (!row) return null
+      const record = rowToRecord(row)
+      record.extractedFiles = this.statements.getImages.all(hash).map(rowToFile)
+      return record
     } catch (error) {
       console.warn('[ARCHIVE] Could not get archive by hash:', error.message)
       return null
@@ -142,12 +852,35 @@ class ArchiveDatabase {
   }
 
   /**
-   * Get list of processed archives
+   * Get list of processed archives; images are not loaded, only counted as imageCount
    * @returns {Promise<Array>} List of archives
    */
   async getProcessedArchives() {
-    const db = await this.loadArchivesDb()
-    return Object.values(db.archives)
+    return this.statements.listArchives.all().map((row) => ({
+      ...rowToRecord(row),
+      imageCount: row.image_count,
+    }))
+  }
+
+  /**
+   * Search processed archives by file name and ComicInfo metadata
+   * @param {string} query - Free-text query; every whitespace-separated term must match
+   * @returns {Promise<Array>} Matching archives
+   */
+  async searchArchives(query) {
+    const archives = await this.getProcessedArchives()
+    const terms = String(query ?? '')
+      .toLowerCase()
+      .split(/\s+/)
+      .filter(Boolean)
+    if (terms.length === 0) return archives
+
+    return archives.filter((archive) => {
+      const haystack = [archive.name, ...comicInfo.getSearchableValues(archive.comicInfo)]
+        .join('\n')
+        .toLowerCase()
+      return terms.every((term) => haystack.includes(term))
+    })
   }
 }
 
@@ -1,20 +1,697 @@
 /**
  * Archive Extractors - Handles extraction of different archive formats
+ *
+ * Formats live in a registry: each one provides a signature sniffer (magic bytes),
+ * a lister and an extractor. ArchiveService dispatches through the registry, so a new
+ * format only needs a registerFormat() call, and mis-named files (a .zip that is really
+ * a RAR) are detected by content rather than extension.
  */
+
+// Bytes read from the start of a file for signature sniffing
+const SIGNATURE_BYTES = 512
+
+// Magic numbers of the built-in formats
+const ZIP_SIGNATURES = [
+  Buffer.from([0x50, 0x4b, 0x03, 0x04]), // Local file header
+  Buffer.from([0x50, 0x4b, 0x05, 0x06]), // Empty archive (end of central directory)
+  Buffer.from([0x50, 0x4b, 0x07, 0x08]), // Spanned archive
+]
+const RAR_SIGNATURE = Buffer.from([0x52, 0x61, 0x72, 0x21, 0x1a, 0x07]) // "Rar!\x1A\x07" (v4 and v5)
+const SEVEN_ZIP_SIGNATURE = Buffer.from([0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c])
+const USTAR_MAGIC = Buffer.from('ustar', 'latin1') // At offset 257 of the first tar header
+const GZIP_SIGNATURE = Buffer.from([0x1f, 0x8b])
+const BZIP2_SIGNATURE = Buffer.from('BZh', 'latin1')
+const XZ_SIGNATURE = Buffer.from([0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00])
+
+// Error texts of 7-Zip and unrar that mean "missing or wrong password"
+const PASSWORD_ERROR_PATTERN = /wrong password|encrypted archive|password for encrypted/i
+
+// 7-Zip reports damaged entries on stderr as "ERROR: <reason> : <entry>"
+const SEVEN_ZIP_ENTRY_ERROR = /^ERROR:\s*(.+?)\s+:\s+(.+)$/
+
+// Tar family: type => { compression, extensions, signature, comicBookExtensions }
+const TAR_VARIANTS = {
+  tar: { compression: null, extensions: ['.tar', '.cbt'], comicBookExtensions: ['.cbt'] },
+  'tar.gz': { compression: 'gzip', extensions: ['.tar.gz', '.tgz'], signature: GZIP_SIGNATURE },
+  'tar.bz2': {
+    compression: 'bzip2',
+    extensions: ['.tar.bz2', '.tbz2', '.tbz'],
+    signature: BZIP2_SIGNATURE,
+  },
+  'tar.xz': { compression: 'xz', extensions: ['.tar.xz', '.txz'], signature: XZ_SIGNATURE },
+}
+
 class ArchiveExtractors {
   constructor() {
-    this.imageExtensions = [
-      '.jpg',
-      '.jpeg',
-      '.png',
-      '.gif',
-      '.webp',
-      '.bmp',
-      '.tif',
-      '.tiff',
-      '.svg',
-      '.avif',
-    ]
+    const imageFormats = require('./image-formats')
+    this.formats = new Map()
+    this.imageExtensions = imageFormats.IMAGE_EXTENSIONS
+    this.videoExtensions = imageFormats.VIDEO_EXTENSIONS
+
+    this.registerBuiltInFormats()
+  }
+
+  /**
+   * Register the formats supported out of the box
+   */
+  registerBuiltInFormats() {
+    this.registerFormat({
+      type: 'zip',
+      extensions: ['.zip', '.cbz'],
+      comicBookExtensions: ['.cbz'],
+      sniff: (header) => ZIP_SIGNATURES.some((signature) => startsWith(header, signature)),
+      list: (archivePath) => this.listZip(archivePath),
+      openReader: (archivePath) => require('./zip-reader').open(archivePath),
+      readEntries: (archivePath, entryNames, options) =>
+        this.readZipEntries(archivePath, entryNames, options),
+      extract: (archivePath, extractPath, progressCallback, options) =>
+        this.extractZip(archivePath, extractPath, progressCallback, options),
+      isEncrypted: (archivePath) => this.isZipEncrypted(archivePath),
+      testPassword: (archivePath, password) => this.testSevenZipPassword(archivePath, password),
+      verify: (archivePath, options) => this.verifySevenZip(archivePath, options),
+    })
+
+    this.registerFormat({
+      type: 'rar',
+      extensions: ['.rar', '.cbr'],
+      comicBookExtensions: ['.cbr'],
+      sniff: (header) => startsWith(header, RAR_SIGNATURE),
+      list: (archivePath, options) => this.listRar(archivePath, options),
+      readEntries: (archivePath, entryNames, options) =>
+        this.readRarEntries(archivePath, entryNames, options),
+      extract: (archivePath, extractPath, progressCallback, options) =>
+        this.extractRar(archivePath, extractPath, progressCallback, options),
+      isEncrypted: (archivePath) => this.isRarEncrypted(archivePath),
+      testPassword: (archivePath, password) => this.testRarPassword(archivePath, password),
+      verify: (archivePath, options) => this.verifyRar(archivePath, options),
+    })
+
+    this.registerFormat({
+      type: '7z',
+      extensions: ['.7z', '.cb7'],
+      comicBookExtensions: ['.cb7'],
+      sniff: (header) => startsWith(header, SEVEN_ZIP_SIGNATURE),
+      list: (archivePath, options) => this.list7z(archivePath, options),
+      readEntries: (archivePath, entryNames, options) =>
+        this.read7zEntries(archivePath, entryNames, options),
+      extract: (archivePath, extractPath, progressCallback, options) =>
+        this.extract7z(archivePath, extractPath, progressCallback, options),
+      isEncrypted: (archivePath) => this.is7zEncrypted(archivePath),
+      testPassword: (archivePath, password) => this.testSevenZipPassword(archivePath, password),
+      verify: (archivePath, options) => this.verifySevenZip(archivePath, options),
+    })
+
+    this.registerTarFormats()
+  }
+
+  /**
+   * Register the tar family; compressed variants sniff their compression signature, then
+   * decompress the first block to check that it is a tar header (a plain foo.txt.gz is not
+   * an archive)
+   */
+  registerTarFormats() {
+    for (const [type, variant] of Object.entries(TAR_VARIANTS)) {
+      const { compression, extensions, signature, comicBookExtensions } = variant
+      this.registerFormat({
+        type,
+        family: 'tar',
+        extensions,
+        comicBookExtensions,
+        sniff: signature
+          ? (header, filePath) =>
+              startsWith(header, signature) &&
+              require('./tar-reader').holdsTarball(filePath, compression)
+          : (header) => startsWith(header, USTAR_MAGIC, 257),
+        list: (archivePath) => this.listTar(archivePath, compression),
+        readEntries: (archivePath, entryNames) =>
+          this.readTarEntries(archivePath, entryNames, compression),
+        extract: (archivePath, extractPath, progressCallback, options) =>
+          this.extractTar(archivePath, extractPath, progressCallback, compression, options),
+        verify: (archivePath) => this.verifyTar(archivePath, compression),
+      })
+    }
+  }
+
+  /**
+   * Register an archive format
+   * @param {Object} format - Format descriptor
+   * @param {string} format.type - Type identifier stored in archive metadata
+   * @param {Array<string>} format.extensions - Extensions (with leading dot) used as fallback
+   * @param {Array<string>} [format.comicBookExtensions] - Those of the extensions that name
+   *   comic book archives
+   * @param {string} [format.family] - Group of related formats, e.g. 'tar' for tarballs
+   * @param {Function} format.sniff - (header: Buffer, filePath) => boolean|Promise<boolean>,
+   *   matches the magic bytes (and may look further into the file)
+   * @param {Function} format.list - (archivePath, options) =>
+   *   Promise<Array<{name, size, isDirectory}>>
+   * @param {Function} [format.readEntries] - (archivePath, entryNames, options) =>
+   *   Promise<Map<name, Buffer>>
+   * @param {Function} [format.openReader] - (archivePath) => Promise<{ read(name), close() }>
+   *   for formats that support random access to single entries
+   * @param {Function} format.extract - (archivePath, extractPath, progressCallback, options) =>
+   *   Promise<Array> of extracted files
+   * @param {Function} [format.isEncrypted] - (archivePath) => Promise<boolean>
+   * @param {Function} [format.testPassword] - (archivePath, password) => Promise<boolean>
+   *
+   * options is { password } for encrypted archives; formats without encryption ignore it.
+   * extract also gets { preserveFolders, control }; control is an ExtractionControl whose
+   * checkpoint() should be awaited between entries so the import can be paused or cancelled.
+   */
+  registerFormat(format) {
+    if (!format || typeof format.type !== 'string' || !format.type) {
+      throw new Error('Archive format must have a type')
+    }
+    for (const fn of ['sniff', 'list', 'extract']) {
+      if (typeof format[fn] !== 'function') {
+        throw new Error(`Archive format "${format.type}" is missing ${fn}()`)
+      }
+    }
+    if (this.formats.has(format.type)) {
+      console.warn(`[ARCHIVE] Replacing registered archive format: ${format.type}`)
+    }
+
+    this.formats.set(format.type, {
+      ...format,
+      extensions: (format.extensions || []).map((ext) => ext.toLowerCase()),
+      comicBookExtensions: (format.comicBookExtensions || []).map((ext) => ext.toLowerCase()),
+    })
+  }
+
+  /**
+   * Get a registered format
+   * @param {string} type - Archive type
+   * @returns {Object|null} Format descriptor or null if not registered
+   */
+  getFormat(type) {
+    return this.formats.get(type) || null
+  }
+
+  /**
+   * Get the extensions handled by registered formats
+   * @param {Object} [options] - { family } to only include formats of that family,
+   *   { comicBook: true } to only include comic book extensions
+   * @returns {Array<string>} Extensions with leading dot
+   */
+  getSupportedExtensions(options = {}) {
+    return Array.from(this.formats.values())
+      .filter((format) => !options.family || format.family === options.family)
+      .flatMap((format) => (options.comicBook ? format.comicBookExtensions : format.extensions))
+  }
+
+  /**
+   * List entries of an archive
+   * @param {string} archivePath - Path to archive
+   * @param {string} type - Archive type
+   * @param {Object} options - { password } for encrypted archives
+   * @returns {Promise<Array>} Entries ({ name, size, isDirectory }) in natural order
+   */
+  async listEntries(archivePath, type, options = {}) {
+    const naturalSort = require('./natural-sort')
+    const entries = await this.requireFormat(type).list(archivePath, options)
+    return naturalSort.sortFiles(entries)
+  }
+
+  /**
+   * Extract an archive with the extractor registered for its type
+   * @param {string} type - Archive type
+   * @param {string} archivePath - Path to archive
+   * @param {string} extractPath - Extraction directory
+   * @param {Function} progressCallback - Progress callback
+   * @param {Object} options - { password, preserveFolders, control }
+   * @returns {Promise<Array>} List of extracted files in natural (page) order
+   */
+  async extract(type, archivePath, extractPath, progressCallback, options = {}) {
+    const naturalSort = require('./natural-sort')
+    const extractedFiles = await this.requireFormat(type).extract(
+      archivePath,
+      extractPath,
+      progressCallback,
+      options
+    )
+    return naturalSort.sortFiles(extractedFiles)
+  }
+
+  /**
+   * Check whether an archive needs a password
+   * @param {string} archivePath - Path to archive
+   * @param {string} type - Archive type
+   * @returns {Promise<boolean>} True if entries or headers are encrypted
+   */
+  async isEncrypted(archivePath, type) {
+    const format = this.requireFormat(type)
+    return format.isEncrypted ? await format.isEncrypted(archivePath) : false
+  }
+
+  /**
+   * Check a password against an encrypted archive
+   * @param {string} archivePath - Path to archive
+   * @param {string} type - Archive type
+   * @param {string} password - Candidate password
+   * @returns {Promise<boolean>} True if the password decrypts the archive
+   */
+  async testPassword(archivePath, type, password) {
+    const format = this.requireFormat(type)
+    return format.testPassword ? await format.testPassword(archivePath, password) : true
+  }
+
+  /**
+   * Test the checksums of every entry of an archive
+   * @param {string} archivePath - Path to archive
+   * @param {string} type - Archive type
+   * @param {Object} options - { password } for encrypted archives
+   * @returns {Promise<Array>} Damaged entries ({ entry, issue, detail }); entry is null
+   *   for damage to the archive as a whole. Formats without a verifier report none.
+   */
+  async verifyEntries(archivePath, type, options = {}) {
+    const format = this.requireFormat(type)
+    return format.verify ? await format.verify(archivePath, options) : []
+  }
+
+  requireFormat(type) {
+    const format = this.getFormat(type)
+    if (!format) {
+      throw new Error(`Unsupported archive type: ${type}`)
+    }
+    return format
+  }
+
+  /**
+   * List ZIP archive entries
+   * @param {string} archivePath - Path to archive
+   * @returns {Promise<Array>} Entries
+   */
+  async listZip(archivePath) {
+    const AdmZip = require('adm-zip')
+
+    try {
+      const zip = new AdmZip(archivePath)
+      return zip.getEntries().map((entry) => ({
+        name: entry.entryName,
+        size: entry.header.size,
+        isDirectory: entry.isDirectory,
+      }))
+    } catch (error) {
+      throw new Error(`ZIP list failed: ${error.message}`)
+    }
+  }
+
+  /**
+   * List RAR archive entries
+   * @param {string} archivePath - Path to archive
+   * @param {Object} options - { password }
+   * @returns {Promise<Array>} Entries
+   */
+  async listRar(archivePath, options = {}) {
+    const { createExtractorFromFile } = require('node-unrar-js')
+
+    try {
+      const extractor = await createExtractorFromFile({
+        filepath: archivePath,
+        password: options.password,
+      })
+      const { fileHeaders } = extractor.getFileList()
+      return Array.from(fileHeaders).map((header) => ({
+        name: header.name,
+        size: header.unpSize,
+        isDirectory: header.flags.directory,
+      }))
+    } catch (error) {
+      throw new Error(`RAR list failed: ${error.message}`)
+    }
+  }
+
+  /**
+   * List 7Z archive entries
+   * @param {string} archivePath - Path to archive
+   * @param {Object} options - { password }
+   * @returns {Promise<Array>} Entries ({ name, size, isDirectory, encrypted })
+   */
+  async list7z(archivePath, options = {}) {
+    const Seven = require('node-7z')
+    const sevenBin = require('7zip-bin')
+
+    return new Promise((resolve, reject) => {
+      const list = Seven.list(archivePath, {
+        $bin: sevenBin.path7za,
+        techInfo: true,
+        ...sevenZipPassword(options.password),
+      })
+      const rows = []
+      list.on('data', (d) => rows.push(d))
+      list.on('end', () =>
+        resolve(
+          rows
+            .filter((r) => !!r.file)
+            .map((r) => {
+              // Technical listing (-slt) reports everything as key/value pairs
+              const info = r.techInfo || new Map()
+              const attributes = info.get('Attributes') || ''
+              return {
+                name: r.file,
+                size: Number(info.get('Size')) || 0,
+                isDirectory: info.get('Folder') === '+' || attributes.startsWith('D'),
+                encrypted: info.get('Encrypted') === '+',
+              }
+            })
+        )
+      )
+      list.on('error', (e) => reject(new Error(`7Z list failed: ${sevenZipErrorMessage(e)}`)))
+    })
+  }
+
+  /**
+   * Read ZIP entries into memory
+   * @param {string} archivePath - Path to archive
+   * @param {Array<string>} entryNames - Entry names as returned by listZip
+   * @param {Object} options - { password }
+   * @returns {Promise<Map<string, Buffer>>} Entry contents by name
+   */
+  async readZipEntries(archivePath, entryNames, options = {}) {
+    const AdmZip = require('adm-zip')
+
+    // AdmZip only knows ZipCrypto; 7-Zip also handles AES-encrypted ZIPs
+    if (options.password) {
+      return await this.read7zEntries(archivePath, entryNames, options)
+    }
+
+    try {
+      const zip = new AdmZip(archivePath)
+      const contents = new Map()
+      for (const name of entryNames) {
+        const entry = zip.getEntry(name)
+        if (entry && !entry.isDirectory) contents.set(name, entry.getData())
+      }
+      return contents
+    } catch (error) {
+      throw new Error(`ZIP read failed: ${error.message}`)
+    }
+  }
+
+  /**
+   * Read RAR entries into memory (decoded through a scratch directory)
+   * @param {string} archivePath - Path to archive
+   * @param {Array<string>} entryNames - Entry names as returned by listRar
+   * @param {Object} options - { password }
+   * @returns {Promise<Map<string, Buffer>>} Entry contents by name
+   */
+  async readRarEntries(archivePath, entryNames, options = {}) {
+    const { createExtractorFromFile } = require('node-unrar-js')
+
+    return await this.withScratchDirectory(async (scratchDir) => {
+      try {
+        const extractor = await createExtractorFromFile({
+          filepath: archivePath,
+          targetPath: scratchDir,
+          password: options.password,
+        })
+        const { files } = extractor.extract({ files: entryNames })
+        // The generator performs the extraction lazily; drain it
+        Array.from(files)
+      } catch (error) {
+        throw new Error(`RAR read failed: ${error.message}`)
+      }
+      return await this.collectScratchEntries(scratchDir, entryNames)
+    })
+  }
+
+  /**
+   * Read 7Z entries into memory (decoded through a scratch directory)
+   * @param {string} archivePath - Path to archive
+   * @param {Array<string>} entryNames - Entry names as returned by list7z
+   * @param {Object} options - { password }
+   * @returns {Promise<Map<string, Buffer>>} Entry contents by name
+   */
+  async read7zEntries(archivePath, entryNames, options = {}) {
+    const Seven = require('node-7z')
+    const sevenBin = require('7zip-bin')
+
+    return await this.withScratchDirectory(async (scratchDir) => {
+      await new Promise((resolve, reject) => {
+        const stream = Seven.extractFull(archivePath, scratchDir, {
+          $bin: sevenBin.path7za,
+          $cherryPick: entryNames,
+          ...sevenZipPassword(options.password),
+        })
+        stream.on('end', resolve)
+        stream.on('error', (e) => reject(new Error(`7Z read failed: ${sevenZipErrorMessage(e)}`)))
+      })
+      return await this.collectScratchEntries(scratchDir, entryNames)
+    })
+  }
+
+  /**
+   * Run a task with a temporary directory that is removed afterwards
+   * @param {Function} task - (scratchDir) => Promise
+   * @returns {Promise<*>} Task result
+   */
+  async withScratchDirectory(task) {
+    const fs = require('node:fs').promises
+    const os = require('node:os')
+    const path = require('node:path')
+
+    const scratchDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gallery-entries-'))
+    try {
+      return await task(scratchDir)
+    } finally {
+      await fs.rm(scratchDir, { recursive: true, force: true }).catch((error) => {
+        console.warn('[ARCHIVE] Failed to remove scratch directory:', error.message)
+      })
+    }
+  }
+
+  /**
+   * Read entries that an external extractor wrote below a scratch directory
+   * @param {string} scratchDir - Scratch directory
+   * @param {Array<string>} entryNames - Entry names (archive-relative)
+   * @returns {Promise<Map<string, Buffer>>} Entry contents by name
+   */
+  async collectScratchEntries(scratchDir, entryNames) {
+    const fs = require('node:fs').promises
+    const path = require('node:path')
+
+    const contents = new Map()
+    for (const name of entryNames) {
+      const outPath = path.resolve(scratchDir, path.normalize(name))
+      const rel = path.relative(scratchDir, outPath)
+      if (!rel || rel.startsWith('..') || path.isAbsolute(rel)) continue
+      try {
+        contents.set(name, await fs.readFile(outPath))
+      } catch {
+        // Entry was not produced (missing or failed to decode)
+      }
+    }
+    return contents
+  }
+
+  /**
+   * List tar archive entries
+   * @param {string} archivePath - Path to archive
+   * @param {string|null} compression - Tar compression (null, 'gzip', 'bzip2', 'xz')
+   * @returns {Promise<Array>} Entries
+   */
+  async listTar(archivePath, compression) {
+    const tarReader = require('./tar-reader')
+
+    const entries = []
+    try {
+      await tarReader.walk(archivePath, compression, async (entry) => {
+        if (entry.isFile || entry.isDirectory) {
+          entries.push({ name: entry.name, size: entry.size, isDirectory: entry.isDirectory })
+        }
+      })
+    } catch (error) {
+      throw new Error(`TAR list failed: ${error.message}`)
+    }
+    return entries
+  }
+
+  /**
+   * Read tar entries into memory
+   * @param {string} archivePath - Path to archive
+   * @param {Array<string>} entryNames - Entry names as returned by listTar
+   * @param {string|null} compression - Tar compression
+   * @returns {Promise<Map<string, Buffer>>} Entry contents by name
+   */
+  async readTarEntries(archivePath, entryNames, compression) {
+    const tarReader = require('./tar-reader')
+
+    const wanted = new Set(entryNames)
+    const contents = new Map()
+    try {
+      await tarReader.walk(archivePath, compression, async (entry, readData) => {
+        if (entry.isFile && wanted.has(entry.name)) {
+          contents.set(entry.name, await readData())
+        }
+      })
+    } catch (error) {
+      throw new Error(`TAR read failed: ${error.message}`)
+    }
+    return contents
+  }
+
+  /**
+   * Extract tar archive (plain or compressed)
+   * @param {string} archivePath - Path to archive
+   * @param {string} extractPath - Extraction directory
+   * @param {Function} progressCallback - Progress callback
+   * @param {string|null} compression - Tar compression (null, 'gzip', 'bzip2', 'xz')
+   * @param {Object} options - { preserveFolders, control }
+   * @returns {Promise<Array>} List of extracted files
+   */
+  async extractTar(archivePath, extractPath, progressCallback, compression, options = {}) {
+    const tarReader = require('./tar-reader')
+    const path = require('node:path')
+    const fs = require('node:fs').promises
+
+    try {
+      // Tar has no central directory; count images first so progress has a total
+      const entries = await this.listTar(archivePath, compression)
+      const total = entries.filter((e) => !e.isDirectory && this.isImageFile(e.name)).length
+
+      const extractedFiles = []
+      const allocateName = this.createNameAllocator(options.preserveFolders)
+      let processedFiles = 0
+
+      await tarReader.walk(archivePath, compression, async (entry, readData) => {
+        if (!entry.isFile || !this.isImageFile(entry.name)) return
+        await options.control?.checkpoint()
+
+        // Read inside the walk so a bad entry cannot desynchronise the stream
+        const data = await readData()
+        try {
+          const finalPath = this.resolveExtractPath(extractPath, allocateName(entry.name))
+          if (!finalPath) return
+          await fs.mkdir(path.dirname(finalPath), { recursive: true })
+          await fs.writeFile(finalPath, data)
+
+          extractedFiles.push({
+            originalName: entry.name,
+            relativePath: this.normalizeEntryPath(entry.name),
+            extractedPath: finalPath,
+            size: entry.size,
+          })
+
+          processedFiles++
+          if (progressCallback) {
+            progressCallback(processedFiles, total)
+          }
+        } catch (_error) {
+          console.warn(`[ARCHIVE] Failed to extract entry:`, _error.message)
+        }
+      })
+
+      return extractedFiles
+    } catch (error) {
+      throw new Error(`TAR extraction failed: ${error.message}`)
+    }
+  }
+
+  /**
+   * Create a collision-safe name allocator for an extraction directory
+   * @param {boolean} [preserveFolders=false] - Keep the entry's folders instead of flattening
+   * @returns {Function} (entryName) => unique relative path with '/' separators
+   *   (case-insensitively unique), or '' when nothing safe is left of the name
+   */
+  createNameAllocator(preserveFolders = false) {
+    const path = require('node:path')
+    const usedNamesNormalized = new Set()
+
+    return (entryName) => {
+      const baseName = preserveFolders
+        ? this.normalizeEntryPath(entryName)
+        : path.basename(entryName)
+      if (!baseName) return ''
+      let fileName = baseName
+      let counter = 1
+
+      // Handle filename collisions by adding suffix
+      while (usedNamesNormalized.has(fileName.toLowerCase())) {
+        const ext = path.posix.extname(baseName)
+        const nameWithoutExt = baseName.slice(0, baseName.length - ext.length)
+        fileName = `${nameWithoutExt}_${counter}${ext}`
+        counter++
+      }
+
+      usedNamesNormalized.add(fileName.toLowerCase())
+      return fileName
+    }
+  }
+
+  /**
+   * Normalize an entry name to a relative path that cannot leave the archive root
+   * @param {string} entryName - Entry name inside the archive
+   * @returns {string} Relative path with '/' separators ('' if nothing is left)
+   */
+  normalizeEntryPath(entryName) {
+    return String(entryName)
+      .replace(/\\/g, '/')
+      .split('/')
+      .filter((segment) => segment && segment !== '.' && segment !== '..')
+      .join('/')
+  }
+
+  /**
+   * Give files an extractor wrote under their entry paths (RAR, 7Z) the names the name
+   * allocator picks, so they are flattened or keep their folders as the other formats do
+   * @param {string} extractPath - Extraction directory
+   * @param {Array<Object>} files - Extracted files ({ originalName, extractedPath, ... })
+   * @param {boolean} [preserveFolders=false] - Keep the entries' folders
+   * @returns {Promise<Array<Object>>} The files at their final extractedPath
+   */
+  async placeExtractedFiles(extractPath, files, preserveFolders = false) {
+    const fs = require('node:fs').promises
+    const path = require('node:path')
+    const allocateName = this.createNameAllocator(preserveFolders)
+
+    const placed = []
+    for (const file of files) {
+      const finalPath = this.resolveExtractPath(extractPath, allocateName(file.originalName))
+      if (!finalPath) {
+        await fs.rm(file.extractedPath, { force: true })
+        continue
+      }
+      placed.push({ file, finalPath })
+    }
+
+    // Through temporary names, so no file is moved over one that has not moved yet
+    const moves = placed.filter(({ file, finalPath }) => file.extractedPath !== finalPath)
+    for (const [i, move] of moves.entries()) {
+      move.tempPath = path.join(extractPath, `.placing-${i}`)
+      await fs.rename(move.file.extractedPath, move.tempPath)
+    }
+    for (const { tempPath, finalPath } of moves) {
+      await fs.mkdir(path.dirname(finalPath), { recursive: true })
+      await fs.rename(tempPath, finalPath)
+    }
+
+    // Flattened: the folders the extractor made only hold what was not an image
+    if (!preserveFolders) {
+      for (const entry of await fs.readdir(extractPath, { withFileTypes: true })) {
+        if (entry.isDirectory()) {
+          await fs.rm(path.join(extractPath, entry.name), { recursive: true, force: true })
+        }
+      }
+    }
+    return placed.map(({ file, finalPath }) => ({ ...file, extractedPath: finalPath }))
+  }
+
+  /**
+   * Resolve an allocated relative path inside the extraction directory
+   * @param {string} extractPath - Extraction directory
+   * @param {string} relativePath - Relative path from the name allocator
+   * @returns {string|null} Absolute path, or null if the path escapes the directory
+   */
+  resolveExtractPath(extractPath, relativePath) {
+    const path = require('node:path')
+    if (!relativePath) return null
+
+    const finalPath = path.join(extractPath, ...relativePath.split('/')) // nosemgrep
+    const relCheck = path.relative(extractPath, path.resolve(finalPath))
+    if (!relCheck || relCheck.startsWith('..') || path.isAbsolute(relCheck)) {
+      console.warn(`[ARCHIVE] Skipping suspicious entry path: ${relativePath}`)
+      return null
+    }
+    return finalPath
   }
 
   /**
@@ -22,73 +699,65 @@ class ArchiveExtractors {
    * @param {string} archivePath - Path to archive
    * @param {string} extractPath - Extraction directory
    * @param {Function} progressCallback - Progress callback
+   * @param {Object} options - { password, preserveFolders, control }
    * @returns {Promise<Array>} List of extracted files
    */
-  async extractZip(archivePath, extractPath, progressCallback) {
+  async extractZip(archivePath, extractPath, progressCallback, options = {}) {
     const AdmZip = require('adm-zip')
     const path = require('node:path')
     const fs = require('node:fs')
 
-    return new Promise((resolve, reject) => {
-      try {
-        const zip = new AdmZip(archivePath)
-        const entries = zip.getEntries()
+    // AdmZip only knows ZipCrypto; 7-Zip also handles AES-encrypted ZIPs
+    if (options.password) {
+      return await this.extract7z(archivePath, extractPath, progressCallback, options)
+    }
 
-        let processedFiles = 0
-        const extractedFiles = []
+    try {
+      const zip = new AdmZip(archivePath)
+      const entries = zip.getEntries()
 
-        // Filter image files and extract
-        const imageEntries = entries.filter(
-          (entry) => !entry.isDirectory && this.isImageFile(entry.entryName)
-        )
+      let processedFiles = 0
+      const extractedFiles = []
 
-        // Track used filenames to prevent collisions
-        const usedNames = new Set()
-        const usedNamesNormalized = new Set()
-
-        for (const entry of imageEntries) {
-          try {
-            const baseName = path.basename(entry.entryName)
-            let fileName = baseName
-            let counter = 1
-            let normalized = fileName.toLowerCase()
-
-            // Handle filename collisions by adding suffix
-            while (usedNames.has(fileName) || usedNamesNormalized.has(normalized)) {
-              const ext = path.extname(baseName)
-              const nameWithoutExt = path.basename(baseName, ext)
-              fileName = `${nameWithoutExt}_${counter}${ext}`
-              counter++
-              normalized = fileName.toLowerCase()
-            }
-
-            usedNames.add(fileName)
-            usedNamesNormalized.add(normalized)
-            const finalPath = path.join(extractPath, fileName) // nosemgrep
-            // Write the entry data directly to ensure unique filename is used
-            const data = entry.getData()
-            fs.writeFileSync(finalPath, data)
-
-            extractedFiles.push({
-              originalName: entry.entryName,
-              extractedPath: finalPath,
-              size: entry.header.size,
-            })
+      // Filter image files and extract
+      const imageEntries = entries.filter(
+        (entry) => !entry.isDirectory && this.isImageFile(entry.entryName)
+      )
+
+      // Track used filenames to prevent collisions
+      const allocateName = this.createNameAllocator(options.preserveFolders)
 
-            processedFiles++
-            if (progressCallback) {
-              progressCallback(processedFiles, imageEntries.length)
-            }
-          } catch (_error) {
-            console.warn(`[ARCHIVE] Failed to extract entry:`, _error.message)
+      for (const entry of imageEntries) {
+        // Between entries, so a cancel never leaves a half-written file behind
+        await options.control?.checkpoint()
+        try {
+          const finalPath = this.resolveExtractPath(extractPath, allocateName(entry.entryName))
+          if (!finalPath) continue
+          fs.mkdirSync(path.dirname(finalPath), { recursive: true })
+          // Write the entry data directly to ensure unique filename is used
+          const data = entry.getData()
+          fs.writeFileSync(finalPath, data)
+
+          extractedFiles.push({
+            originalName: entry.entryName,
+            relativePath: this.normalizeEntryPath(entry.entryName),
+            extractedPath: finalPath,
+            size: entry.header.size,
+          })
+
+          processedFiles++
+          if (progressCallback) {
+            progressCallback(processedFiles, imageEntries.length)
           }
+        } catch (_error) {
+          console.warn(`[ARCHIVE] Failed to extract entry:`, _error.message)
         }
-
-        resolve(extractedFiles)
-      } catch (error) {
-        reject(new Error(`ZIP extraction failed: ${error.message}`))
       }
-    })
+
+      return extractedFiles
+    } catch (error) {
+      throw new Error(`ZIP extraction failed: ${error.message}`)
+    }
   }
 
   /**
@@ -96,9 +765,10 @@ class ArchiveExtractors {
    * @param {string} archivePath - Path to archive
    * @param {string} extractPath - Extraction directory
    * @param {Function} progressCallback - Progress callback
+   * @param {Object} options - { password, preserveFolders, control }
    * @returns {Promise<Array>} List of extracted files
    */
-  async extractRar(archivePath, extractPath, progressCallback) {
+  async extractRar(archivePath, extractPath, progressCallback, options = {}) {
     const { createExtractorFromFile } = require('node-unrar-js')
     const path = require('node:path')
 
@@ -106,20 +776,21 @@ class ArchiveExtractors {
       const extractor = await createExtractorFromFile({
         filepath: archivePath,
         targetPath: extractPath,
+        password: options.password,
       })
-      const extractionResult = extractor.extract()
-      const filesIterator = extractionResult.files ?? []
-      const entries = Array.from(filesIterator)
-
-      const imageFiles = entries.filter(
-        (f) => !f.fileHeader.flags.directory && this.isImageFile(f.fileHeader.name)
-      )
-      const totalImageFiles = imageFiles.length
+      const totalImageFiles = Array.from(extractor.getFileList().fileHeaders).filter(
+        (header) => !header.flags.directory && this.isImageFile(header.name)
+      ).length
 
       const extractedFiles = []
       let processedFiles = 0
 
-      for (const file of imageFiles) {
+      // The generator writes one file per step, so pause and cancel apply between files
+      for (const file of extractor.extract().files) {
+        await options.control?.checkpoint()
+        if (file.fileHeader.flags.directory || !this.isImageFile(file.fileHeader.name)) {
+          continue
+        }
         // Sanitize and record the actual path written by extractor
         const safeRel = path.normalize(file.fileHeader.name).replace(/^(\.\.(\\|\/|$))+/, '')
         const outPath = path.join(extractPath, safeRel) // as extracted by unrar
@@ -130,13 +801,14 @@ class ArchiveExtractors {
         }
         extractedFiles.push({
           originalName: file.fileHeader.name,
+          relativePath: this.normalizeEntryPath(file.fileHeader.name),
           extractedPath: outPath,
-          size: file.fileHeader.unpackedSize,
+          size: file.fileHeader.unpSize,
         })
         processedFiles++
         if (progressCallback) progressCallback(processedFiles, totalImageFiles)
       }
-      return extractedFiles
+      return await this.placeExtractedFiles(extractPath, extractedFiles, options.preserveFolders)
     } catch (error) {
       throw new Error(`RAR extraction failed: ${error.message}`)
     }
@@ -147,28 +819,23 @@ class ArchiveExtractors {
    * @param {string} archivePath - Path to archive
    * @param {string} extractPath - Extraction directory
    * @param {Function} progressCallback - Progress callback
+   * @param {Object} options - { password, preserveFolders, control }
    * @returns {Promise<Array>} List of extracted files
    */
-  async extract7z(archivePath, extractPath, progressCallback) {
+  async extract7z(archivePath, extractPath, progressCallback, options = {}) {
     const Seven = require('node-7z')
     const sevenBin = require('7zip-bin')
 
     // 1) List to determine image entries
-    const entries = await new Promise((resolve, reject) => {
-      const list = Seven.list(archivePath, { $bin: sevenBin.path7za })
-      const rows = []
-      list.on('data', (d) => rows.push(d))
-      list.on('end', () => resolve(rows))
-      list.on('error', (e) => reject(new Error(`7Z list failed: ${e.message}`)))
-    })
-    const imageFiles = entries.map((r) => r.file).filter((f) => !!f && this.isImageFile(f))
+    const entries = await this.list7z(archivePath, options)
+    const imageFiles = entries.filter((e) => !e.isDirectory && this.isImageFile(e.name))
     const total = imageFiles.length
 
     // 2) Extract with image patterns to filter at extraction time
     // Generate case-insensitive patterns to handle upper-case extensions (JPG, PNG, etc.)
     const imagePatterns = Array.from(
       new Set(
-        this.imageExtensions.flatMap((ext) => {
+        [...this.imageExtensions, ...this.videoExtensions].flatMap((ext) => {
           const trimmed = ext.startsWith('.') ? ext.slice(1) : ext
           const lower = `*.${trimmed.toLowerCase()}`
           const upper = `*.${trimmed.toUpperCase()}`
@@ -182,7 +849,10 @@ class ArchiveExtractors {
         $bin: sevenBin.path7za,
         wildcards: imagePatterns, // Extract only files matching these patterns
         r: true, // Recursive
+        ...sevenZipPassword(options.password),
       })
+      // Pause stops the 7za process itself; cancel kills it
+      const detach = options.control?.attachProcess(stream._childProcess) ?? (() => {})
       stream.on('progress', (p) => {
         if (progressCallback && total > 0) {
           const processed = Math.min(total, Math.round((p.percent / 100) * total))
@@ -190,27 +860,318 @@ class ArchiveExtractors {
         }
       })
       stream.on('end', async () => {
+        detach()
         try {
+          options.control?.throwIfCancelled()
           const fileScanner = require('./file-scanner')
           const files = await fileScanner.scanDirectoryForImages(extractPath)
-          resolve(files)
+          resolve(await this.placeExtractedFiles(extractPath, files, options.preserveFolders))
         } catch (e) {
           reject(new Error(`7Z processing failed: ${e.message}`))
         }
       })
-      stream.on('error', (e) => reject(new Error(`7Z extraction failed: ${e.message}`)))
+      stream.on('error', (e) => {
+        detach()
+        // A killed 7za reports whatever it printed last; report the cancel instead
+        if (options.control?.cancelled) {
+          reject(options.control.createCancellationError())
+          return
+        }
+        reject(new Error(`7Z extraction failed: ${sevenZipErrorMessage(e)}`))
+      })
     })
   }
 
   /**
-   * Check if file is an image
+   * Check whether a ZIP archive has encrypted entries
+   * @param {string} archivePath - Path to archive
+   * @returns {Promise<boolean>} True if any entry is encrypted
+   */
+  async isZipEncrypted(archivePath) {
+    const ZipReader = require('./zip-reader')
+    const reader = await ZipReader.open(archivePath)
+    try {
+      return reader.list().some((entry) => entry.encrypted)
+    } finally {
+      await reader.close()
+    }
+  }
+
+  /**
+   * Check whether a RAR archive has encrypted entries or headers
+   * @param {string} archivePath - Path to archive
+   * @returns {Promise<boolean>} True if a password is needed
+   */
+  async isRarEncrypted(archivePath) {
+    const { createExtractorFromFile } = require('node-unrar-js')
+
+    try {
+      const extractor = await createExtractorFromFile({ filepath: archivePath })
+      const { arcHeader, fileHeaders } = extractor.getFileList()
+      if (arcHeader.flags.headerEncrypted) return true
+      return Array.from(fileHeaders).some((header) => header.flags.encrypted)
+    } catch (error) {
+      // Archives with encrypted headers cannot even be listed without the password
+      if (isPasswordError(error)) return true
+      throw new Error(`RAR list failed: ${error.message}`)
+    }
+  }
+
+  /**
+   * Check whether a 7Z archive has encrypted entries or headers
+   * @param {string} archivePath - Path to archive
+   * @returns {Promise<boolean>} True if a password is needed
+   */
+  async is7zEncrypted(archivePath) {
+    try {
+      const entries = await this.list7z(archivePath)
+      return entries.some((entry) => entry.encrypted)
+    } catch (error) {
+      if (isPasswordError(error)) return true
+      throw error
+    }
+  }
+
+  /**
+   * Test a password by decoding the smallest encrypted entry with 7-Zip (ZIP and 7Z)
+   * @param {string} archivePath - Path to archive
+   * @param {string} password - Candidate password
+   * @returns {Promise<boolean>} True if the password is correct
+   */
+  async testSevenZipPassword(archivePath, password) {
+    const Seven = require('node-7z')
+    const sevenBin = require('7zip-bin')
+
+    let entries
+    try {
+      entries = await this.list7z(archivePath, { password })
+    } catch (error) {
+      if (isPasswordError(error)) return false
+      throw error
+    }
+
+    const smallest = findSmallestEncrypted(entries)
+    if (!smallest) return true
+
+    return new Promise((resolve, reject) => {
+      const stream = Seven.test(archivePath, {
+        $bin: sevenBin.path7za,
+        $cherryPick: [smallest.name],
+        ...sevenZipPassword(password),
+      })
+      stream.on('end', () => resolve(true))
+      stream.on('error', (e) => {
+        if (isPasswordError(e)) resolve(false)
+        else reject(new Error(`7Z test failed: ${sevenZipErrorMessage(e)}`))
+      })
+    })
+  }
+
+  /**
+   * Test a password by decoding the smallest encrypted entry of a RAR archive
+   * @param {string} archivePath - Path to archive
+   * @param {string} password - Candidate password
+   * @returns {Promise<boolean>} True if the password is correct
+   */
+  async testRarPassword(archivePath, password) {
+    const { createExtractorFromFile } = require('node-unrar-js')
+
+    return await this.withScratchDirectory(async (scratchDir) => {
+      try {
+        const extractor = await createExtractorFromFile({
+          filepath: archivePath,
+          targetPath: scratchDir,
+          password,
+        })
+        const entries = Array.from(extractor.getFileList().fileHeaders).map((header) => ({
+          name: header.name,
+          size: header.unpSize,
+          isDirectory: header.flags.directory,
+          encrypted: header.flags.encrypted,
+        }))
+
+        const smallest = findSmallestEncrypted(entries)
+        if (smallest) {
+          Array.from(extractor.extract({ files: [smallest.name] }).files)
+        }
+        return true
+      } catch (error) {
+        // RAR4 archives report a wrong password as a CRC failure
+        if (isPasswordError(error) || error.reason === 'ERAR_BAD_DATA') return false
+        throw new Error(`RAR test failed: ${error.message}`)
+      }
+    })
+  }
+
+  /**
+   * Test a ZIP or 7Z archive with 7-Zip, which checks the CRC of every entry. 7za is
+   * spawned directly because node-7z keeps only the first chunk of stderr, and every
+   * damaged entry is reported on its own line there.
+   * @param {string} archivePath - Path to archive
+   * @param {Object} options - { password, control }
+   * @returns {Promise<Array>} Damaged entries
+   */
+  async verifySevenZip(archivePath, options = {}) {
+    const { spawn } = require('node:child_process')
+    const sevenBin = require('7zip-bin')
+
+    // An empty -p keeps 7za from prompting on stdin for encrypted headers
+    const args = ['t', archivePath, '-bd', '-y', `-p${options.password || ''}`]
+    const child = spawn(sevenBin.path7za, args, {
+      stdio: ['ignore', 'ignore', 'pipe'],
+      windowsHide: true,
+    })
+
+    const detach = options.control?.attachProcess(child) ?? (() => {})
+
+    let stderr = ''
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk.toString()
+    })
+
+    return new Promise((resolve, reject) => {
+      child.on('error', (error) => {
+        detach()
+        reject(new Error(`7Z test failed: ${error.message}`))
+      })
+      child.on('close', (code) => {
+        detach()
+        if (options.control?.cancelled) {
+          reject(options.control.createCancellationError())
+          return
+        }
+        const problems = parseSevenZipProblems(stderr, archivePath)
+        if (code !== 0 && problems.length === 0) {
+          problems.push({ entry: null, issue: 'unreadable', detail: `7-Zip exit code ${code}` })
+        }
+        resolve(problems)
+      })
+    })
+  }
+
+  /**
+   * Test a RAR archive by decoding every entry into a scratch directory; unrar checks
+   * the CRC of each file as it is written
+   * @param {string} archivePath - Path to archive
+   * @param {Object} options - { password }
+   * @returns {Promise<Array>} Damaged entries
+   */
+  async verifyRar(archivePath, options = {}) {
+    const { createExtractorFromFile } = require('node-unrar-js')
+
+    return await this.withScratchDirectory(async (scratchDir) => {
+      const extractor = await createExtractorFromFile({
+        filepath: archivePath,
+        targetPath: scratchDir,
+        password: options.password,
+      })
+      let remaining = Array.from(extractor.getFileList().fileHeaders)
+        .filter((header) => !header.flags.directory)
+        .map((header) => header.name)
+
+      const problems = []
+      while (remaining.length > 0) {
+        try {
+          for (const { fileHeader } of extractor.extract({ files: remaining }).files) {
+            remaining = remaining.filter((name) => name !== fileHeader.name)
+          }
+          break
+        } catch (error) {
+          // A failure stops the pass; note the entry and carry on after it
+          if (!error.file || !remaining.includes(error.file)) {
+            problems.push({ entry: null, issue: rarIssue(error), detail: error.message })
+            break
+          }
+          problems.push({ entry: error.file, issue: rarIssue(error), detail: error.message })
+          remaining = remaining.filter((name) => name !== error.file)
+        }
+      }
+      return problems
+    })
+  }
+
+  /**
+   * Read a tarball to its end; tar has no per-entry checksums, but truncation and the
+   * gzip/bzip2/xz stream checksums are detected
+   * @param {string} archivePath - Path to archive
+   * @param {string|null} compression - Tar compression (null, 'gzip', 'bzip2', 'xz')
+   * @returns {Promise<Array>} Damaged entries
+   */
+  async verifyTar(archivePath, compression) {
+    const tarReader = require('./tar-reader')
+
+    let currentEntry = null
+    try {
+      await tarReader.walk(archivePath, compression, async (entry, readData) => {
+        currentEntry = entry.name
+        if (entry.isFile) await readData()
+      })
+      return []
+    } catch (error) {
+      const issue = /unexpected end|truncated/i.test(error.message) ? 'truncated' : 'unreadable'
+      return [{ entry: currentEntry, issue, detail: error.message }]
+    }
+  }
+
+  /**
+   * Check if file is an image, or a video clip (shown in the gallery with the images)
    * @param {string} fileName - File name or path
-   * @returns {boolean} True if image file
+   * @returns {boolean} True if image or video file
    */
   isImageFile(fileName) {
     const path = require('node:path')
     const ext = path.extname(fileName).toLowerCase()
-    return this.imageExtensions.includes(ext)
+    return this.imageExtensions.includes(ext) || this.videoExtensions.includes(ext)
+  }
+
+  /**
+   * Check if file looks like an archive of a registered format (by extension)
+   * @param {string} fileName - File name or path
+   * @returns {boolean} True if archive file
+   */
+  isArchiveFile(fileName) {
+    return this.getArchiveType(fileName) !== 'unknown'
+  }
+
+  /**
+   * Detect archive type from file content, falling back to the extension
+   * @param {string} filePath - Archive file path
+   * @returns {Promise<string>} Archive type
+   */
+  async detectArchiveType(filePath) {
+    let header
+    try {
+      header = await this.readSignature(filePath)
+    } catch (error) {
+      console.warn('[ARCHIVE] Could not read archive signature:', error.message)
+      return this.getArchiveType(filePath)
+    }
+
+    for (const format of this.formats.values()) {
+      if (await format.sniff(header, filePath)) {
+        return format.type
+      }
+    }
+    return this.getArchiveType(filePath)
+  }
+
+  /**
+   * Read the leading bytes of a file for signature sniffing
+   * @param {string} filePath - File path
+   * @returns {Promise<Buffer>} Header bytes (may be shorter than SIGNATURE_BYTES)
+   */
+  async readSignature(filePath) {
+    const fs = require('node:fs').promises
+    const secureFs = require('./secure-fs')
+
+    const handle = await fs.open(secureFs.sanitizeFilePath(filePath), 'r')
+    try {
+      const buffer = Buffer.alloc(SIGNATURE_BYTES)
+      const { bytesRead } = await handle.read(buffer, 0, SIGNATURE_BYTES, 0)
+      return buffer.subarray(0, bytesRead)
+    } finally {
+      await handle.close()
+    }
   }
 
   /**
@@ -219,19 +1180,106 @@ class ArchiveExtractors {
    * @returns {string} Archive type
    */
   getArchiveType(filePath) {
-    const path = require('node:path')
-    const ext = path.extname(filePath).toLowerCase()
-    switch (ext) {
-      case '.zip':
-        return 'zip'
-      case '.rar':
-        return 'rar'
-      case '.7z':
-        return '7z'
-      default:
-        return 'unknown'
+    const fileName = String(filePath).toLowerCase()
+    let match = null
+    let matchLength = 0
+
+    // Longest extension wins so multi-part extensions can share a suffix
+    for (const format of this.formats.values()) {
+      for (const ext of format.extensions) {
+        if (fileName.endsWith(ext) && ext.length > matchLength) {
+          match = format.type
+          matchLength = ext.length
+        }
+      }
     }
+    return match || 'unknown'
   }
 }
 
+/**
+ * Check whether a buffer starts with the given signature
+ * @param {Buffer} buffer - Buffer to inspect
+ * @param {Buffer} signature - Expected leading bytes
+ * @param {number} offset - Offset of the signature in the buffer
+ * @returns {boolean} True if the signature matches
+ */
+function startsWith(buffer, signature, offset = 0) {
+  if (buffer.length < offset + signature.length) return false
+  return buffer.subarray(offset, offset + signature.length).equals(signature)
+}
+
+/**
+ * Check whether an extractor error means the password is missing or wrong
+ * @param {Error} error - Error from node-7z or node-unrar-js
+ * @returns {boolean} True for password errors
+ */
+function isPasswordError(error) {
+  if (error?.reason === 'ERAR_BAD_PASSWORD' || error?.reason === 'ERAR_MISSING_PASSWORD') {
+    return true
+  }
+  return PASSWORD_ERROR_PATTERN.test(`${error?.message || ''} ${error?.stderr || ''}`)
+}
+
+/**
+ * Build the 7-Zip password switch. Without a password an empty -p is passed, otherwise
+ * 7za prompts on stdin (and hangs) when it meets an encrypted header.
+ * @param {string} [password] - Password
+ * @returns {Object} node-7z options
+ */
+function sevenZipPassword(password) {
+  return password ? { password } : { $raw: ['-p'] }
+}
+
+/**
+ * node-7z reports some failures as "unknown error" with the real reason on stderr
+ * @param {Error} error - node-7z error
+ * @returns {string} Readable message
+ */
+function sevenZipErrorMessage(error) {
+  const stderr = String(error.stderr || '').trim()
+  if (error.message === 'unknown error' && stderr) {
+    return stderr.replace(/^ERROR:\s*/, '')
+  }
+  return error.message
+}
+
+/**
+ * Turn 7-Zip's stderr into damaged entries
+ * @param {string} stderr - 7-Zip error output
+ * @param {string} archivePath - Tested archive, which 7-Zip names on a line of its own
+ * @returns {Array} Damaged entries ({ entry, issue, detail })
+ */
+function parseSevenZipProblems(stderr, archivePath) {
+  const problems = []
+  for (const rawLine of String(stderr || '').split(/\r?\n/)) {
+    const line = rawLine.trim()
+    if (!line || ['ERRORS:', 'ERROR:', `ERROR: ${archivePath}`].includes(line)) continue
+
+    const match = line.match(SEVEN_ZIP_ENTRY_ERROR)
+    const detail = match ? match[1] : line.replace(/^ERROR:\s*/, '')
+    problems.push({ entry: match ? match[2] : null, issue: sevenZipIssue(detail), detail })
+  }
+  return problems
+}
+
+function sevenZipIssue(detail) {
+  if (/crc failed/i.test(detail)) return 'crc'
+  if (/unexpected end|truncated/i.test(detail)) return 'truncated'
+  return 'unreadable'
+}
+
+function rarIssue(error) {
+  // ERAR_BAD_DATA is unrar's CRC failure
+  if (error.reason === 'ERAR_BAD_DATA') return 'crc'
+  if (error.reason === 'ERAR_EREAD') return 'truncated'
+  return 'unreadable'
+}
+
+function findSmallestEncrypted(entries) {
+  return entries
+    .filter((entry) => !entry.isDirectory && entry.encrypted)
+    .reduce((smallest, entry) => (!smallest || entry.size < smallest.size ? entry : smallest), null)
+}
+
 module.exports = new ArchiveExtractors()
@@ -0,0 +1,108 @@
+/**
+ * Archive Passwords - Unlocks password-protected archives
+ *
+ * Passwords are never written to disk. Ones the user chooses to remember are kept in
+ * memory for the session and tried before prompting, so a batch of archives sharing a
+ * password only asks once. The main process holds them: the import worker reaches them
+ * through a session store (see useSessionStore), so imports and archive checks share one
+ * set.
+ */
+const archiveExtractors = require('./archive-extractors')
+
+// Prompts per archive before giving up
+const MAX_PASSWORD_ATTEMPTS = 5
+
+class ArchivePasswords {
+  constructor() {
+    this.sessionPasswords = []
+    this.sessionStore = null // Where the passwords are kept, when in another process
+  }
+
+  /**
+   * Keep remembered passwords in another process instead of this one
+   * @param {Object} store - { getPasswords: async () => Array<string>, remember(password) }
+   */
+  useSessionStore(store) {
+    this.sessionStore = store
+  }
+
+  /**
+   * @returns {Promise<Array<string>>} Passwords remembered this session
+   */
+  async getSessionPasswords() {
+    return this.sessionStore ? await this.sessionStore.getPasswords() : [...this.sessionPasswords]
+  }
+
+  /**
+   * Remember a password for the rest of the session
+   * @param {string} password - Password
+   */
+  remember(password) {
+    if (this.sessionStore) {
+      this.sessionStore.remember(password)
+    } else if (password && !this.sessionPasswords.includes(password)) {
+      this.sessionPasswords.push(password)
+    }
+  }
+
+  /**
+   * Forget all remembered passwords
+   */
+  clear() {
+    this.sessionPasswords = []
+  }
+
+  /**
+   * Find the password of an archive, prompting the user if no remembered one fits
+   * @param {string} archivePath - Path to archive
+   * @param {Object} metadata - Archive metadata ({ name, type })
+   * @param {Function} [requestPassword] - async ({ archiveName, attempt, incorrect }) =>
+   *   { password, remember }, or null when the user cancels
+   * @returns {Promise<string|null>} Password, or null if the archive is not encrypted
+   */
+  async resolvePassword(archivePath, metadata, requestPassword) {
+    let encrypted
+    try {
+      encrypted = await archiveExtractors.isEncrypted(archivePath, metadata.type)
+    } catch (error) {
+      // Let extraction report the real problem with the archive
+      console.warn('[ARCHIVE] Could not check archive encryption:', error.message)
+      return null
+    }
+    if (!encrypted) return null
+
+    console.log(`[ARCHIVE] Archive is password protected: ${metadata.name}`)
+
+    for (const candidate of await this.getSessionPasswords()) {
+      if (await archiveExtractors.testPassword(archivePath, metadata.type, candidate)) {
+        console.log('[ARCHIVE] Unlocked with a remembered session password')
+        return candidate
+      }
+    }
+
+    if (!requestPassword) {
+      throw new Error('Archive is password protected')
+    }
+
+    for (let attempt = 1; attempt <= MAX_PASSWORD_ATTEMPTS; attempt++) {
+      const answer = await requestPassword({
+        archiveName: metadata.name,
+        attempt,
+        incorrect: attempt > 1,
+      })
+      if (!answer?.password) {
+        throw new Error('Password entry cancelled')
+      }
+
+      if (await archiveExtractors.testPassword(archivePath, metadata.type, answer.password)) {
+        if (answer.remember) this.remember(answer.password)
+        return answer.password
+      }
+      console.warn(`[ARCHIVE] Wrong password for ${metadata.name} (attempt ${attempt})`)
+    }
+
+    throw new Error('Too many incorrect password attempts')
+  }
+}
+
+module.exports = new ArchivePasswords()
@@ -1,7 +1,7 @@
 /**
  * Archive Extraction Service
  *
- * Handles extraction of ZIP, RAR, and 7Z archives with progress tracking,
+ * Handles extraction of ZIP, RAR, 7Z and tar archives with progress tracking,
  * metadata extraction, and image filtering.
  *
  * CONTEXT FOR AI CODE ASSISTANTS:
@@ -19,8 +19,19 @@
 const path = require('node:path')
 const fs = require('node:fs').promises
 const archiveExtractors = require('./archive-extractors')
+const archivePasswords = require('./archive-passwords')
 const archiveDatabase = require('./archive-database')
+const archiveStreamService = require('./archive-stream-service')
+const archiveVerifier = require('./archive-verifier')
+const comicInfo = require('./comic-info')
 const fileScanner = require('./file-scanner')
+const imageDecoder = require('./image-decoder')
+const imageDedupe = require('./image-dedupe')
+const naturalSort = require('./natural-sort')
+const nearDuplicates = require('./near-duplicates')
+const nestedArchives = require('./nested-archives')
+const perceptualHash = require('./perceptual-hash')
+const thumbnailCache = require('./thumbnail-cache')
 
 class ArchiveService {
   constructor() {
@@ -30,8 +41,10 @@ class ArchiveService {
   /**
    * Initialize the archive service
    * @param {Object} app - Electron app instance
+   * @param {Object} options - { maintainCatalog: false } opens the catalogue without the
+   *   startup check and backups, for the import worker
    */
-  async initialize(app) {
+  async initialize(app, { maintainCatalog = true } = {}) {
     // SECURITY: Validate that app provides reasonable paths
     const userDataDir = app.getPath('userData')
     const tempDir = app.getPath('temp')
@@ -45,10 +58,9 @@ class ArchiveService {
     const resolvedTemp = path.resolve(tempDir)
 
     this.tempDir = path.join(resolvedTemp, 'gallery-extraction') // nosemgrep
-    const archivesDbPath = path.join(resolvedUserData, 'archives.json') // nosemgrep
-
-    // Set database path for archive database module
-    archiveDatabase.setDbPath(archivesDbPath)
+    const catalogPath = path.join(resolvedUserData, 'gallery.db') // nosemgrep
+    const legacyJsonPath = path.join(resolvedUserData, 'archives.json') // nosemgrep
+    const backupDir = path.join(resolvedUserData, 'backups') // nosemgrep
 
     // Ensure temp directory exists
     try {
@@ -57,8 +69,11 @@ class ArchiveService {
       console.warn('[ARCHIVE] Could not create temp directory:', error.message)
     }
 
-    // Initialize archives database
-    await archiveDatabase.initializeArchivesDb()
+    // Open the archive catalogue, importing archives.json from earlier versions once
+    await archiveDatabase.initialize(catalogPath, {
+      legacyJsonPath,
+      backupDir: maintainCatalog ? backupDir : null,
+    })
   }
 
   /**
@@ -67,17 +82,50 @@ class ArchiveService {
    * @param {string} repositoryPath - Path to repository for extraction
    * @param {Function} progressCallback - Progress callback (processed, total)
    * @param {boolean} forceReprocess - Force reprocessing even if already processed
+   * @param {Object} options - Processing options
+   * @param {string} options.viewMode - 'extract' (default) writes images to the repository,
+   *   'stream' indexes the archive and reads images from it on demand
+   * @param {boolean} options.preserveFolders - Keep the archive's folders (chapters) when
+   *   extracting instead of flattening them into one directory
+   * @param {boolean} options.verify - Verify checksums and images after processing and
+   *   store the report as the record's `integrity`
+   * @param {number} options.maxNestingDepth - Levels of archives-inside-archives to ingest
+   * @param {Object} options.nesting - Nesting context (set internally for inner archives)
+   * @param {string} options.thumbnailDir - Thumbnail cache directory; defaults to the
+   *   repository's (set internally for inner archives, which extract below their parent)
+   * @param {Function} options.requestPassword - Asks the user for the password of an
+   *   encrypted archive (see ArchivePasswords.resolvePassword)
+   * @param {ExtractionControl} options.control - Pauses or cancels processing; a cancelled
+   *   import rejects with a cancellation error and leaves no partial extraction behind
    * @returns {Promise<Object>} Processing result
    */
-  async processArchive(archivePath, repositoryPath, progressCallback, forceReprocess = false) {
+  async processArchive(
+    archivePath,
+    repositoryPath,
+    progressCallback,
+    forceReprocess = false,
+    options = {}
+  ) {
+    const {
+      viewMode = 'extract',
+      preserveFolders = false,
+      verify = false,
+      maxNestingDepth = 0,
+      nesting = nestedArchives.createContext(maxNestingDepth),
+      thumbnailDir = thumbnailCache.getCacheDir(repositoryPath),
+      requestPassword,
+      control,
+    } = options
     console.log(`[ARCHIVE] Processing archive: ${archivePath}`)
 
     // Check if already processed
     const { isProcessed, hash } = await archiveDatabase.isArchiveProcessed(archivePath)
+    if (hash && nesting.ancestors.includes(hash)) {
+      throw new Error('Archive contains itself')
+    }
     if (isProcessed && !forceReprocess) {
       // Return information about the previously processed archive
-      const db = await archiveDatabase.loadArchivesDb()
-      const existingArchive = db.archives[hash]
+      const existingArchive = await archiveDatabase.getArchiveByHash(hash)
 
       return {
         alreadyProcessed: true,
@@ -92,65 +140,117 @@ class ArchiveService {
       `[ARCHIVE] Archive type: ${metadata.type}, size: ${(metadata.size / 1024 / 1024).toFixed(2)}MB`
     )
 
-    // Create extraction directory in repository
-    const archiveName = path.basename(archivePath, path.extname(archivePath))
-    const sanitizedName = archiveName.replace(/[^a-zA-Z0-9\-_]/g, '_')
-    // Add first 8 chars of hash to prevent collisions
-    const hashPrefix = metadata.hash.substring(0, 8)
-    const extractDir = path.join(repositoryPath, `${sanitizedName}_${hashPrefix}`)
-    await fs.mkdir(extractDir, { recursive: true })
+    // Encrypted archives are unlocked up front rather than failing halfway through
+    const password = await archivePasswords.resolvePassword(archivePath, metadata, requestPassword)
+    if (password) {
+      metadata.encrypted = true
+    }
+    await control?.checkpoint()
+
+    // Comic book metadata (ComicInfo.xml) is optional and must never block extraction
+    try {
+      const info = await comicInfo.readFromArchive(archivePath, metadata.type, { password })
+      if (info) {
+        metadata.comicInfo = info
+        console.log(`[ARCHIVE] ComicInfo.xml found: ${info.series || info.title || 'untitled'}`)
+      }
+    } catch (error) {
+      console.warn('[ARCHIVE] Failed to read ComicInfo.xml:', error.message)
+    }
+
+    if (nesting.parentHash) {
+      // Inner archives only exist as scratch copies; remember where they came from instead
+      metadata.path = null
+      metadata.parentHash = nesting.parentHash
+      metadata.parentEntry = nesting.parentEntry
+      metadata.nestingDepth = nesting.depth
+    }
+
+    const nestedOptions = {
+      archivePath,
+      repositoryPath,
+      progressCallback,
+      forceReprocess,
+      nesting,
+      thumbnailDir,
+      password,
+      requestPassword,
+      preserveFolders,
+      verify,
+      control,
+    }
 
+    // The password only lives in memory, so encrypted archives cannot be viewed in place
+    if (viewMode === 'stream' && password) {
+      console.log('[ARCHIVE] Encrypted archive will be extracted instead of viewed in place')
+    } else if (viewMode === 'stream') {
+      return await this.indexArchiveForStreaming(
+        archivePath,
+        metadata,
+        progressCallback,
+        nestedOptions
+      )
+    }
+
+    // Create extraction directory in repository
+    const extractDir = this.getExtractDir(archivePath, metadata.hash, repositoryPath)
     let extractedFiles = []
 
     try {
-      // Extract based on type
-      switch (metadata.type) {
-        case 'zip':
-          extractedFiles = await archiveExtractors.extractZip(
-            archivePath,
-            extractDir,
-            progressCallback
-          )
-          break
-        case 'rar':
-          extractedFiles = await archiveExtractors.extractRar(
-            archivePath,
-            extractDir,
-            progressCallback
-          )
-          break
-        case '7z':
-          extractedFiles = await archiveExtractors.extract7z(
-            archivePath,
-            extractDir,
-            progressCallback
-          )
-          break
-        default:
-          throw new Error(`Unsupported archive type: ${metadata.type}`)
-      }
+      // Start empty: an import interrupted by closing the app leaves part of its files behind
+      await fs.rm(extractDir, { recursive: true, force: true })
+      await fs.mkdir(extractDir, { recursive: true })
+
+      // Extract with the extractor registered for the detected type
+      extractedFiles = await archiveExtractors.extract(
+        metadata.type,
+        archivePath,
+        extractDir,
+        progressCallback,
+        { password, preserveFolders, control }
+      )
 
       console.log(`[ARCHIVE] Extracted ${extractedFiles.length} image files`)
 
-      // Store archive metadata
-      const db = await archiveDatabase.loadArchivesDb()
-      db.archives[metadata.hash] = {
+      // Pages already in the repository become hard links to the stored copy
+      await imageDedupe.hashAndLink(extractedFiles, { control })
+      await this.analyzeImages(extractedFiles, thumbnailDir, control)
+
+      const record = {
         ...metadata,
+        viewMode: 'extract',
         extractedFiles: extractedFiles,
         extractDir,
         extractedAt: Date.now(),
       }
-      await archiveDatabase.saveArchivesDb(db)
+      await this.attachNestedArchives(record, nestedOptions)
+      if (verify) {
+        record.integrity = await archiveVerifier.verify(archivePath, record, {
+          password,
+          control,
+        })
+      }
+      control?.throwIfCancelled()
+
+      // Store archive metadata
+      await archiveDatabase.saveArchive(record)
 
       return {
-        metadata,
-        extractedFiles,
+        metadata: record,
+        extractedFiles: record.extractedFiles,
         extractDir,
       }
     } catch (error) {
-      // Cleanup on error
+      // Cleanup on error. A reprocessed archive's earlier extraction is gone too, so its
+      // record is dropped rather than left pointing at missing files
       try {
         await fs.rm(extractDir, { recursive: true, force: true })
+        await this.discardNestedRecords(metadata.hash)
+        const previous = await archiveDatabase.getArchiveByHash(metadata.hash)
+        if (previous?.extractDir === extractDir) {
+          await archiveDatabase.deleteArchives([metadata.hash])
+          console.log('[ARCHIVE] Discarded the record of the earlier extraction')
+        }
       } catch (cleanupError) {
         console.warn('[ARCHIVE] Failed to cleanup extraction directory:', cleanupError.message)
       }
@@ -159,17 +259,373 @@ class ArchiveService {
   }
 
   /**
-   * Load archives database
+   * Index an archive for view-in-place mode: images are listed, not written to disk
+   * @param {string} archivePath - Path to archive file
+   * @param {Object} metadata - Archive metadata
+   * @param {Function} progressCallback - Progress callback (processed, total)
+   * @param {Object} nestedOptions - Options for ingesting inner archives
+   * @returns {Promise<Object>} Processing result
+   */
+  async indexArchiveForStreaming(archivePath, metadata, progressCallback, nestedOptions) {
+    const { control } = nestedOptions
+    const entries = await archiveExtractors.listEntries(archivePath, metadata.type)
+    const extractedFiles = entries
+      .filter((entry) => !entry.isDirectory && archiveExtractors.isImageFile(entry.name))
+      .map((entry) => ({
+        originalName: entry.name,
+        relativePath: archiveExtractors.normalizeEntryPath(entry.name),
+        archiveEntry: entry.name,
+        size: entry.size,
+      }))
+
+    console.log(`[ARCHIVE] Indexed ${extractedFiles.length} image files for in-place viewing`)
+    if (progressCallback) {
+      progressCallback(extractedFiles.length, extractedFiles.length)
+    }
+
+    const record = {
+      ...metadata,
+      viewMode: 'stream',
+      extractedFiles,
+      extractDir: null,
+      extractedAt: null,
+    }
+    await this.attachNestedArchives(record, nestedOptions)
+    if (nestedOptions.verify) {
+      record.integrity = await archiveVerifier.verify(archivePath, record, { control })
+    }
+    control?.throwIfCancelled()
+
+    await archiveDatabase.saveArchive(record)
+
+    return {
+      metadata: record,
+      extractedFiles: record.extractedFiles,
+      extractDir: null,
+    }
+  }
+
+  /**
+   * Ingest archives stored inside an archive and link them to its record. Inner archives
+   * are always extracted (into the parent's extraction directory), and their images are
+   * appended to the parent's extractedFiles tagged with the inner archive's hash, with
+   * relative paths under the inner archive's entry name.
+   * @param {Object} record - Parent archive record, updated in place
+   * @param {Object} nestedOptions - { archivePath, repositoryPath, progressCallback,
+   *   forceReprocess, nesting, thumbnailDir, password, requestPassword, preserveFolders,
+   *   verify, control }
+   */
+  async attachNestedArchives(record, nestedOptions) {
+    const {
+      archivePath,
+      repositoryPath,
+      progressCallback,
+      forceReprocess,
+      nesting,
+      thumbnailDir,
+      password,
+      requestPassword,
+      preserveFolders,
+      verify,
+      control,
+    } = nestedOptions
+    if (nesting.depth >= nesting.maxDepth) return
+
+    let entries
+    try {
+      entries = await archiveExtractors.listEntries(archivePath, record.type, { password })
+    } catch (error) {
+      console.warn('[ARCHIVE] Could not list archive for nested archives:', error.message)
+      return
+    }
+    const nestedEntries = nestedArchives.findNestedEntries(entries)
+    if (nestedEntries.length === 0) return
+
+    console.log(`[ARCHIVE] Found ${nestedEntries.length} nested archives (depth ${nesting.depth})`)
+
+    const childRepositoryPath =
+      record.extractDir || this.getExtractDir(archivePath, record.hash, repositoryPath)
+    const { children, skipped } = await nestedArchives.processChildren(
+      { path: archivePath, type: record.type, hash: record.hash, password },
+      nestedEntries,
+      nesting,
+      this.tempDir,
+      (childPath, childNesting) =>
+        this.processArchive(childPath, childRepositoryPath, progressCallback, forceReprocess, {
+          viewMode: 'extract',
+          nesting: childNesting,
+          thumbnailDir,
+          requestPassword,
+          preserveFolders,
+          verify,
+          control,
+        })
+    )
+
+    record.childArchives = children.map((child) => child.hash)
+    record.extractedFiles = naturalSort.sortFiles([
+      ...record.extractedFiles,
+      ...children.flatMap((child) => {
+        const entryPath = archiveExtractors.normalizeEntryPath(child.entry)
+        return child.extractedFiles.map((file) => ({
+          ...file,
+          relativePath: `${entryPath}/${file.relativePath || file.originalName}`,
+          nestedArchive: file.nestedArchive || child.hash,
+        }))
+      }),
+    ])
+    if (skipped.length > 0) {
+      record.nestedSkipped = skipped
+    }
+  }
+
+  /**
+   * Fingerprint newly extracted images and make their thumbnails, decoding each image
+   * once; images that cannot be decoded get an empty fingerprint and a size of 0
+   * @param {Array<Object>} files - extractedFiles of an archive, hashed by ImageDedupe;
+   *   perceptualHash, width and height are set on each file that has an extractedPath
+   * @param {string} thumbnailDir - Thumbnail cache directory
+   * @param {ExtractionControl} control - Pauses or cancels processing
+   */
+  async analyzeImages(files, thumbnailDir, control) {
+    for (const file of files) {
+      if (!file.extractedPath) continue
+      await control?.checkpoint()
+
+      let image = null
+      try {
+        image = await imageDecoder.decodeFile(file.extractedPath)
+      } catch (error) {
+        console.warn(`[ARCHIVE] Could not decode ${file.originalName}:`, error.message)
+      }
+      file.perceptualHash = image ? perceptualHash.computeDHash(image) : ''
+      file.width = image?.width || 0
+      file.height = image?.height || 0
+      if (!image) continue
+
+      try {
+        await thumbnailCache.createThumbnails(thumbnailDir, file.contentHash, image)
+      } catch (error) {
+        // The grid makes missing thumbnails on demand
+        console.warn(
+          `[ARCHIVE] Could not create thumbnails of ${file.originalName}:`,
+          error.message
+        )
+      }
+    }
+  }
+
+  /**
+   * Drop the records of inner archives after their parent's extraction directory, which
+   * holds their files, was removed
+   * @param {string} parentHash - Parent archive hash
+   */
+  async discardNestedRecords(parentHash) {
+    const discarded = new Set()
+    let parents = [parentHash]
+    while (parents.length > 0) {
+      const children = []
+      for (const parent of parents) {
+        for (const child of await archiveDatabase.getChildHashes(parent)) {
+          if (!discarded.has(child)) children.push(child)
+        }
+      }
+      for (const child of children) discarded.add(child)
+      parents = children
+    }
+    if (discarded.size > 0) {
+      await archiveDatabase.deleteArchives([...discarded])
+      console.log(`[ARCHIVE] Discarded ${discarded.size} nested archive records`)
+    }
+  }
+
+  /**
+   * Read one image of a streamed archive
+   * @param {string} hash - Archive hash
+   * @param {string} entryName - Entry name as recorded in extractedFiles
+   * @param {number} [maxSize] - Largest entry read, in bytes
+   * @returns {Promise<Buffer>} Image contents
+   */
+  async readArchiveEntry(hash, entryName, maxSize) {
+    const archive = await archiveDatabase.getArchiveByHash(hash)
+    if (!archive) {
+      throw new Error('Archive not found')
+    }
+    if (archive.viewMode !== 'stream') {
+      throw new Error('Archive is not in view-in-place mode')
+    }
+
+    // Only entries we indexed may be read; never arbitrary names from the renderer
+    const file = (archive.extractedFiles || []).find((f) => f.archiveEntry === entryName)
+    if (!file) {
+      throw new Error('Entry is not part of this archive')
+    }
+    // Refused before decoding, on the size the archive declares
+    if (maxSize !== undefined && file.size > maxSize) {
+      throw new Error(`File too large: ${(file.size / (1024 * 1024)).toFixed(2)} MB`)
+    }
+
+    return await archiveStreamService.readEntry(archive, entryName, { maxSize })
+  }
+
+  /**
+   * Write the images of a streamed archive to the repository ("keep files")
+   * @param {string} hash - Archive hash
+   * @param {string} repositoryPath - Path to repository for extraction
+   * @param {Function} progressCallback - Progress callback (processed, total)
+   * @param {Object} options - Processing options (see processArchive)
+   * @returns {Promise<Object>} Processing result
+   */
+  async materializeArchive(hash, repositoryPath, progressCallback, options = {}) {
+    const archive = await archiveDatabase.getArchiveByHash(hash)
+    if (!archive) {
+      throw new Error('Archive not found')
+    }
+    if (archive.viewMode !== 'stream') {
+      return { metadata: archive, extractedFiles: archive.extractedFiles || [] }
+    }
+
+    // The source may have changed since it was indexed; re-hash before trusting the record
+    const currentHash = await archiveDatabase.calculateFileHash(archive.path)
+    if (currentHash !== hash) {
+      throw new Error('Archive file has changed since it was indexed')
+    }
+
+    const result = await this.processArchive(archive.path, repositoryPath, progressCallback, true, {
+      ...options,
+      viewMode: 'extract',
+    })
+
+    await archiveStreamService.release(archive.path)
+    return result
+  }
+
+  /**
+   * Verify a processed archive again and store the new report
+   * @param {string} hash - Archive hash
+   * @param {Object} options - { requestPassword } for encrypted archives, { control } to
+   *   pause or cancel the check
+   * @returns {Promise<Object>} Integrity report
+   */
+  async verifyArchive(hash, options = {}) {
+    const archive = await archiveDatabase.getArchiveByHash(hash)
+    if (!archive) {
+      throw new Error('Archive not found')
+    }
+    if (!archive.path) {
+      throw new Error('Nested archives are verified when their parent archive is processed')
+    }
+
+    const currentHash = await archiveDatabase.calculateFileHash(archive.path)
+    if (currentHash !== hash) {
+      throw new Error('Archive file has changed since it was processed')
+    }
+
+    const password = await archivePasswords.resolvePassword(
+      archive.path,
+      archive,
+      options.requestPassword
+    )
+    const integrity = await archiveVerifier.verify(archive.path, archive, {
+      password,
+      control: options.control,
+    })
+    options.control?.throwIfCancelled()
+
+    await archiveDatabase.setIntegrity(hash, integrity)
+    return integrity
+  }
+
+  /**
+   * Find archives that share images. Images extracted before content hashes were
+   * recorded are hashed first, and their duplicates linked like new imports.
+   * @param {Object} options - { control } to pause or cancel, { progressCallback }
+   * @returns {Promise<Array<Object>>} Archive pairs (see ArchiveDatabase.getSharedImages)
+   */
+  async findSharedImages(options = {}) {
+    await imageDedupe.hashStoredImages(options)
+    options.control?.throwIfCancelled()
+    return await archiveDatabase.getSharedImages()
+  }
+
+  /**
+   * Find clusters of similar images (re-encoded or resized copies) across archives.
+   * Images extracted before fingerprints were recorded are fingerprinted first.
+   * @param {Object} options - { control } to pause or cancel, { progressCallback }
+   * @returns {Promise<Array<Object>>} Clusters (see NearDuplicates.findClusters)
+   */
+  async findNearDuplicates(options = {}) {
+    await imageDedupe.hashStoredImages(options)
+    await nearDuplicates.fingerprintStoredImages(options)
+    return await nearDuplicates.findClusters(options)
+  }
+
+  /**
+   * Delete extracted images from the repository and from every archive record listing
+   * them; streamed archives have no extracted images and are not affected
+   * @param {Array<string>} extractedPaths - Extracted image paths
+   * @returns {Promise<number>} Number of images deleted
+   */
+  async deleteImages(extractedPaths) {
+    // Only files the catalogue knows as extracted images may be deleted
+    for (const extractedPath of extractedPaths) {
+      if (!(await archiveDatabase.isImagePath(extractedPath))) {
+        throw new Error('Image is not part of a processed archive')
+      }
+    }
+
+    for (const extractedPath of extractedPaths) {
+      await fs.rm(extractedPath, { force: true })
+    }
+    await archiveDatabase.deleteImagesByPath(extractedPaths)
+    console.log(`[ARCHIVE] Deleted ${extractedPaths.length} images`)
+    return extractedPaths.length
+  }
+
+  /**
+   * Thumbnail of an extracted image for the gallery grid, made now if it is missing
+   * @param {string} extractedPath - Extracted image path
+   * @param {number} width - Wanted width in device pixels
+   * @param {string} repositoryPath - Path to repository
+   * @returns {Promise<Object|null>} See ThumbnailCache.getThumbnail
+   */
+  async getThumbnail(extractedPath, width, repositoryPath) {
+    return await thumbnailCache.getThumbnail(
+      thumbnailCache.getCacheDir(repositoryPath),
+      extractedPath,
+      width
+    )
+  }
+
+  /**
+   * Get the repository directory an archive is extracted into
+   * @param {string} archivePath - Path to archive file
+   * @param {string} hash - Archive hash
+   * @param {string} repositoryPath - Path to repository
+   * @returns {string} Extraction directory
+   */
+  getExtractDir(archivePath, hash, repositoryPath) {
+    const archiveName = path.basename(archivePath, path.extname(archivePath))
+    const sanitizedName = archiveName.replace(/[^a-zA-Z0-9\-_]/g, '_')
+    // Add first 8 chars of hash to prevent collisions
+    const hashPrefix = hash.substring(0, 8)
+    return path.join(repositoryPath, `${sanitizedName}_${hashPrefix}`)
+  }
+
+  /**
+   * Save archive records with their images in one transaction
+   * @param {Array<Object>} records - Archive records
    */
-  async loadArchivesDb() {
-    return await archiveDatabase.loadArchivesDb()
+  async saveArchives(records) {
+    return await archiveDatabase.saveArchives(records)
   }
 
   /**
-   * Save archives database
+   * How the catalogue was recovered at startup, if it was found damaged
+   * @returns {Object|null} { damagedPath, restoredFrom, backupTime, error }
    */
-  async saveArchivesDb(db) {
-    return await archiveDatabase.saveArchivesDb(db)
+  getCatalogRecovery() {
+    return archiveDatabase.getRecovery()
   }
 
   /**
@@ -181,6 +637,24 @@ class ArchiveService {
     return await archiveDatabase.getArchiveByHash(hash)
   }
 
+  /**
+   * Reader mode settings of an archive
+   * @param {string} hash - Archive hash
+   * @returns {Promise<Object|null>} Settings, or null if none were saved
+   */
+  async getReaderSettings(hash) {
+    return await archiveDatabase.getReaderSettings(hash)
+  }
+
+  /**
+   * Remember how an archive is read
+   * @param {string} hash - Archive hash
+   * @param {Object} settings - { pageMode, direction, coverOffset }
+   */
+  async setReaderSettings(hash, settings) {
+    return await archiveDatabase.setReaderSettings(hash, settings)
+  }
+
   /**
    * Get list of processed archives
    * @returns {Promise<Array>} List of archives
@@ -189,6 +663,24 @@ class ArchiveService {
     return await archiveDatabase.getProcessedArchives()
   }
 
+  /**
+   * Search processed archives by name and comic metadata
+   * @param {string} query - Free-text query
+   * @returns {Promise<Array>} Matching archives
+   */
+  async searchArchives(query) {
+    return await archiveDatabase.searchArchives(query)
+  }
+
+  /**
+   * Get extensions of supported archive formats
+   * @param {Object} [options] - { family, comicBook } (see ArchiveExtractors)
+   * @returns {Array<string>} Extensions with leading dot
+   */
+  getSupportedArchiveExtensions(options) {
+    return archiveExtractors.getSupportedExtensions(options)
+  }
+
   /**
    * Scan directory for images (delegate to file scanner)
    */
@@ -0,0 +1,232 @@
+/**
+ * Archive Stream Service - Reads images straight out of archives for view-in-place mode
+ *
+ * Formats with an openReader() (ZIP) are read with random access through a small pool
+ * of open readers; a reader dropped from the pool is closed once its reads finish.
+ * Everything else is decoded sequentially: a request decodes the wanted entry plus the
+ * next few images in archive order, so paging forward hits the cache. Decoded entries
+ * live in a byte-bounded LRU cache; the last entry too big for it (usually a video, which
+ * the player reads in many Range requests) is kept in a slot of its own, so seeking does
+ * not decode it again. Concurrent reads of one entry share a single decode.
+ */
+const archiveExtractors = require('./archive-extractors')
+
+const DEFAULT_CACHE_BYTES = 256 * 1024 * 1024
+const MAX_OPEN_READERS = 8
+
+// Entries decoded per pass for sequential formats (RAR/7Z/tar)
+const SEQUENTIAL_WINDOW = 12
+
+class ArchiveStreamService {
+  constructor() {
+    this.maxCacheBytes = DEFAULT_CACHE_BYTES
+    this.cache = new Map() // `${archivePath}\0${entryName}` => Buffer, in LRU order
+    this.cacheBytes = 0
+    this.oversized = null // { key, data }: the last entry too big for the cache
+    this.pendingReads = new Map() // cache key => Promise<Buffer> of a read under way
+    this.readers = new Map() // archivePath => { pending: Promise<reader>, users }, in LRU order
+    this.locks = new Map() // archivePath => tail of the per-archive decode queue
+  }
+
+  /**
+   * Read a single entry of a streamed archive
+   * @param {Object} archive - Archive record ({ path, type, extractedFiles })
+   * @param {string} entryName - Entry name
+   * @param {Object} [options] - { maxSize }: largest entry read, in bytes
+   * @returns {Promise<Buffer>} Entry contents
+   */
+  async readEntry(archive, entryName, options = {}) {
+    const cached = this.getCached(archive.path, entryName)
+    if (cached) return cached
+
+    const key = cacheKey(archive.path, entryName)
+    if (!this.pendingReads.has(key)) {
+      const read = this.decodeEntry(archive, entryName, options).finally(() => {
+        this.pendingReads.delete(key)
+      })
+      this.pendingReads.set(key, read)
+    }
+    return await this.pendingReads.get(key)
+  }
+
+  async decodeEntry(archive, entryName, options) {
+    const format = archiveExtractors.getFormat(archive.type)
+    if (!format) {
+      throw new Error(`Unsupported archive type: ${archive.type}`)
+    }
+
+    if (format.openReader) {
+      const slot = this.acquireReader(archive.path, format)
+      try {
+        const reader = await slot.pending
+        const data = await reader.read(entryName, { maxSize: options.maxSize })
+        this.putCached(archive.path, entryName, data)
+        return data
+      } finally {
+        this.releaseReader(slot)
+      }
+    }
+
+    if (!format.readEntries) {
+      throw new Error(`Archive type ${archive.type} cannot be viewed in place`)
+    }
+
+    // Serialise decodes per archive; concurrent requests usually fall into the same window
+    return await this.withArchiveLock(archive.path, async () => {
+      const again = this.getCached(archive.path, entryName)
+      if (again) return again
+
+      const names = this.getDecodeWindow(archive, entryName)
+      const contents = await format.readEntries(archive.path, names)
+      for (const [name, data] of contents) {
+        this.putCached(archive.path, name, data)
+      }
+
+      const data = contents.get(entryName)
+      if (!data) {
+        throw new Error(`Entry could not be decoded: ${entryName}`)
+      }
+      return data
+    })
+  }
+
+  /**
+   * Pick the entries decoded together with the requested one
+   * @param {Object} archive - Archive record
+   * @param {string} entryName - Requested entry
+   * @returns {Array<string>} Entry names, requested entry first
+   */
+  getDecodeWindow(archive, entryName) {
+    const names = (archive.extractedFiles || []).map((f) => f.archiveEntry).filter(Boolean)
+    const start = names.indexOf(entryName)
+    if (start === -1) return [entryName]
+
+    const window = [entryName]
+    for (let i = start + 1; i < names.length && window.length < SEQUENTIAL_WINDOW; i++) {
+      if (!this.cache.has(cacheKey(archive.path, names[i]))) {
+        window.push(names[i])
+      }
+    }
+    return window
+  }
+
+  /**
+   * Take a pooled reader for one read; hand it back with releaseReader
+   * @returns {Object} Pool slot ({ pending, users, evicted })
+   */
+  acquireReader(archivePath, format) {
+    let slot = this.readers.get(archivePath)
+    if (slot) {
+      // Refresh LRU position
+      this.readers.delete(archivePath)
+    } else {
+      slot = { pending: format.openReader(archivePath), users: 0, evicted: false }
+      slot.pending.catch(() => {
+        if (this.readers.get(archivePath) === slot) this.readers.delete(archivePath)
+      })
+    }
+    slot.users++
+    this.readers.set(archivePath, slot)
+
+    while (this.readers.size > MAX_OPEN_READERS) {
+      const [oldestPath, oldest] = this.readers.entries().next().value
+      this.evictReader(oldestPath, oldest)
+    }
+    return slot
+  }
+
+  releaseReader(slot) {
+    slot.users--
+    if (slot.evicted && slot.users === 0) closeReader(slot)
+  }
+
+  /**
+   * Drop a reader from the pool, closing it now if no read is using it
+   * @returns {Promise<void>} Settles once an idle reader is closed
+   */
+  evictReader(archivePath, slot) {
+    this.readers.delete(archivePath)
+    slot.evicted = true
+    return slot.users === 0 ? closeReader(slot) : Promise.resolve()
+  }
+
+  async withArchiveLock(archivePath, task) {
+    const previous = this.locks.get(archivePath) || Promise.resolve()
+    const run = previous.catch(() => {}).then(task)
+    const tail = run.catch(() => {})
+    this.locks.set(archivePath, tail)
+    try {
+      return await run
+    } finally {
+      if (this.locks.get(archivePath) === tail) {
+        this.locks.delete(archivePath)
+      }
+    }
+  }
+
+  getCached(archivePath, entryName) {
+    const key = cacheKey(archivePath, entryName)
+    if (this.oversized?.key === key) return this.oversized.data
+    const data = this.cache.get(key)
+    if (!data) return null
+
+    this.cache.delete(key)
+    this.cache.set(key, data)
+    return data
+  }
+
+  putCached(archivePath, entryName, data) {
+    const key = cacheKey(archivePath, entryName)
+    // Entries bigger than a quarter of the budget would just churn the cache
+    if (data.length > this.maxCacheBytes / 4) {
+      this.oversized = { key, data }
+      return
+    }
+
+    const existing = this.cache.get(key)
+    if (existing) {
+      this.cache.delete(key)
+      this.cacheBytes -= existing.length
+    }
+    this.cache.set(key, data)
+    this.cacheBytes += data.length
+
+    for (const [oldestKey, oldest] of this.cache) {
+      if (this.cacheBytes <= this.maxCacheBytes) break
+      this.cache.delete(oldestKey)
+      this.cacheBytes -= oldest.length
+    }
+  }
+
+  /**
+   * Drop cached entries and open readers for an archive (e.g. after it was materialised)
+   * @param {string} archivePath - Archive path
+   */
+  async release(archivePath) {
+    const prefix = `${archivePath}\0`
+    for (const [key, data] of this.cache) {
+      if (key.startsWith(prefix)) {
+        this.cache.delete(key)
+        this.cacheBytes -= data.length
+      }
+    }
+    if (this.oversized?.key.startsWith(prefix)) {
+      this.oversized = null
+    }
+
+    const slot = this.readers.get(archivePath)
+    if (slot) {
+      await this.evictReader(archivePath, slot)
+    }
+  }
+}
+
+function closeReader(slot) {
+  return slot.pending.then((reader) => reader.close()).catch(() => {})
+}
+
+function cacheKey(archivePath, entryName) {
+  return `${archivePath}\0${entryName}`
+}
+
+module.exports = new ArchiveStreamService()
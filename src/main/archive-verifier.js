@@ -0,0 +1,253 @@
+/**
+ * Archive Verifier - Integrity reports for processed archives
+ *
+ * Entries that fail to extract are only logged, so a damaged archive used to look like
+ * a complete one. Verification tests the archive's own checksums through its format,
+ * checks that every listed image made it into the record, and sniffs every image for a
+ * valid signature and end marker. The main process has no image decoder, so the image
+ * check is structural: it catches truncated pages and garbage, not every bad pixel.
+ */
+const fs = require('node:fs').promises
+const archiveExtractors = require('./archive-extractors')
+
+// Entries read per batch when checking the images of a view-in-place archive
+const READ_BATCH_SIZE = 32
+
+// Problems kept per report; a badly broken archive should not bloat the database
+const MAX_REPORTED_PROBLEMS = 500
+
+// End markers sit at the very end of a well-formed file, give or take some padding
+const TRAILER_SEARCH_BYTES = 1024
+
+class ArchiveVerifier {
+  /**
+   * Verify an archive against its record
+   * @param {string} archivePath - Path to archive file
+   * @param {Object} record - Archive record ({ type, viewMode, extractedFiles })
+   * @param {Object} options - { password, control }
+   * @returns {Promise<Object>} Report { verifiedAt, status, checkedEntries, problemCount,
+   *   problems }; status is 'ok' or 'damaged', problems are { entry, issue, detail } with
+   *   issue 'crc', 'truncated', 'missing', 'unreadable' or 'undecodable' (entry is null
+   *   for problems with the archive as a whole)
+   */
+  async verify(archivePath, record, options = {}) {
+    console.log(`[VERIFY] Verifying archive: ${record.name}`)
+    const problems = []
+
+    try {
+      problems.push(...(await archiveExtractors.verifyEntries(archivePath, record.type, options)))
+    } catch (error) {
+      if (options.control?.cancelled) throw error
+      problems.push({ entry: null, issue: 'unreadable', detail: error.message })
+    }
+
+    // Images of inner archives are verified with the inner archive's own record
+    const ownFiles = (record.extractedFiles || []).filter((f) => !f.nestedArchive)
+    problems.push(...(await this.findMissingEntries(archivePath, record, ownFiles, options)))
+    problems.push(...(await this.checkImages(archivePath, record, ownFiles, options)))
+
+    const uniqueProblems = dedupeProblems(problems)
+    const report = {
+      verifiedAt: Date.now(),
+      status: uniqueProblems.length > 0 ? 'damaged' : 'ok',
+      checkedEntries: ownFiles.length,
+      problemCount: uniqueProblems.length,
+      problems: uniqueProblems.slice(0, MAX_REPORTED_PROBLEMS),
+    }
+    console.log(
+      `[VERIFY] ${record.name}: ${report.status} (${report.problemCount} problems in ${report.checkedEntries} images)`
+    )
+    return report
+  }
+
+  /**
+   * Find images listed in the archive that are not in the record
+   * @returns {Promise<Array>} Problems
+   */
+  async findMissingEntries(archivePath, record, ownFiles, options) {
+    let entries
+    try {
+      entries = await archiveExtractors.listEntries(archivePath, record.type, options)
+    } catch {
+      // The checksum pass already reported an unreadable archive
+      return []
+    }
+
+    const recorded = new Set(
+      ownFiles.map((f) => archiveExtractors.normalizeEntryPath(f.archiveEntry || f.originalName))
+    )
+    return entries
+      .filter((entry) => !entry.isDirectory && archiveExtractors.isImageFile(entry.name))
+      .filter((entry) => !recorded.has(archiveExtractors.normalizeEntryPath(entry.name)))
+      .map((entry) => ({
+        entry: entry.name,
+        issue: 'missing',
+        detail: 'Listed in the archive but could not be extracted',
+      }))
+  }
+
+  /**
+   * Check that every image of the record exists and looks like a complete image
+   * @returns {Promise<Array>} Problems
+   */
+  async checkImages(archivePath, record, ownFiles, options) {
+    if (record.viewMode === 'stream') {
+      return await this.checkStreamedImages(archivePath, record, ownFiles, options)
+    }
+
+    const problems = []
+    for (const file of ownFiles) {
+      await options.control?.checkpoint()
+      const entry = file.originalName
+      let data
+      try {
+        data = await fs.readFile(file.extractedPath)
+      } catch (error) {
+        problems.push({
+          entry,
+          issue: 'missing',
+          detail: error.code === 'ENOENT' ? 'Extracted file no longer exists' : error.message,
+        })
+        continue
+      }
+      if (Number.isFinite(file.size) && data.length < file.size) {
+        problems.push({
+          entry,
+          issue: 'truncated',
+          detail: `${data.length} of ${file.size} bytes on disk`,
+        })
+        continue
+      }
+      const problem = this.checkImageData(data)
+      if (problem) problems.push({ entry, ...problem })
+    }
+    return problems
+  }
+
+  async checkStreamedImages(archivePath, record, ownFiles, options) {
+    const format = archiveExtractors.getFormat(record.type)
+    if (!format?.readEntries) return []
+
+    const problems = []
+    const names = ownFiles.map((f) => f.archiveEntry).filter(Boolean)
+    for (let i = 0; i < names.length; i += READ_BATCH_SIZE) {
+      await options.control?.checkpoint()
+      const batch = names.slice(i, i + READ_BATCH_SIZE)
+      let contents
+      try {
+        contents = await format.readEntries(archivePath, batch, options)
+      } catch {
+        // One bad entry fails the whole batch; read the batch one entry at a time
+        contents = new Map()
+        for (const name of batch) {
+          try {
+            const single = await format.readEntries(archivePath, [name], options)
+            if (single.has(name)) contents.set(name, single.get(name))
+          } catch (error) {
+            problems.push({ entry: name, issue: 'unreadable', detail: error.message })
+          }
+        }
+      }
+
+      for (const name of batch) {
+        const data = contents.get(name)
+        if (!data) {
+          if (!problems.some((p) => p.entry === name)) {
+            problems.push({ entry: name, issue: 'unreadable', detail: 'Entry could not be read' })
+          }
+          continue
+        }
+        const problem = this.checkImageData(data)
+        if (problem) problems.push({ entry: name, ...problem })
+      }
+    }
+    return problems
+  }
+
+  /**
+   * Sniff image data for a known signature and a complete end of file
+   * @param {Buffer} data - Image contents
+   * @returns {Object|null} { issue, detail } or null if the image looks complete
+   */
+  checkImageData(data) {
+    if (!data || data.length === 0) {
+      return { issue: 'truncated', detail: 'Empty file' }
+    }
+
+    const format = IMAGE_FORMATS.find((f) => f.sniff(data))
+    if (!format) {
+      return { issue: 'undecodable', detail: 'Not a recognised image format' }
+    }
+    if (format.isComplete && !format.isComplete(data)) {
+      return { issue: 'truncated', detail: `${format.name} data ends early` }
+    }
+    return null
+  }
+}
+
+// Signatures and end-of-file checks of the formats the gallery displays
+const IMAGE_FORMATS = [
+  {
+    name: 'JPEG',
+    sniff: (data) => data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff,
+    isComplete: (data) => tail(data).includes(Buffer.from([0xff, 0xd9])),
+  },
+  {
+    name: 'PNG',
+    sniff: (data) => data.subarray(0, 8).equals(Buffer.from('89504e470d0a1a0a', 'hex')),
+    isComplete: (data) => tail(data).includes(Buffer.from('IEND', 'latin1')),
+  },
+  {
+    name: 'GIF',
+    sniff: (data) => /^GIF8[79]a$/.test(data.subarray(0, 6).toString('latin1')),
+    isComplete: (data) => tail(data).includes(0x3b),
+  },
+  {
+    name: 'WebP',
+    sniff: (data) =>
+      data.subarray(0, 4).toString('latin1') === 'RIFF' &&
+      data.subarray(8, 12).toString('latin1') === 'WEBP',
+    isComplete: (data) => data.length >= data.readUInt32LE(4) + 8,
+  },
+  {
+    name: 'BMP',
+    sniff: (data) => data.subarray(0, 2).toString('latin1') === 'BM' && data.length >= 6,
+    isComplete: (data) => data.length >= data.readUInt32LE(2),
+  },
+  {
+    name: 'TIFF',
+    sniff: (data) => ['II*\0', 'MM\0*'].includes(data.subarray(0, 4).toString('latin1')),
+  },
+  {
+    name: 'AVIF',
+    sniff: (data) => data.subarray(4, 8).toString('latin1') === 'ftyp',
+  },
+  {
+    name: 'SVG',
+    sniff: (data) => /<svg[\s>]/i.test(data.subarray(0, 4096).toString('utf8')),
+    isComplete: (data) => /<\/svg>\s*$/i.test(tail(data).toString('utf8')),
+  },
+]
+
+function tail(data) {
+  return data.subarray(Math.max(0, data.length - TRAILER_SEARCH_BYTES))
+}
+
+/**
+ * Keep the first problem per entry; an entry that failed its CRC is also missing from
+ * the record, and reporting both says the same thing twice
+ * @param {Array} problems - Problems in the order found
+ * @returns {Array} Problems
+ */
+function dedupeProblems(problems) {
+  const seen = new Set()
+  return problems.filter((problem) => {
+    if (problem.entry === null) return true
+    const key = archiveExtractors.normalizeEntryPath(problem.entry)
+    if (seen.has(key)) return false
+    seen.add(key)
+    return true
+  })
+}
+
+module.exports = new ArchiveVerifier()
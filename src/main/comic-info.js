@@ -0,0 +1,202 @@
+/**
+ * Comic Info - Reads ComicInfo.xml metadata from comic book archives (CBZ/CBR/CB7/CBT)
+ *
+ * ComicInfo.xml is the de-facto metadata schema for comic archives (ComicRack, Komga,
+ * Kavita). It is a flat document, so a small tag reader is enough; no XML library needed.
+ */
+const path = require('node:path')
+const archiveExtractors = require('./archive-extractors')
+
+const COMIC_INFO_FILE = 'comicinfo.xml'
+
+// Refuse to parse anything that is clearly not a metadata file
+const MAX_COMIC_INFO_BYTES = 1024 * 1024
+
+// Simple text elements copied onto the record (XML tag => record key)
+const TEXT_FIELDS = {
+  Title: 'title',
+  Series: 'series',
+  Number: 'number',
+  Volume: 'volume',
+  Summary: 'summary',
+  Writer: 'writer',
+  Penciller: 'penciller',
+  Inker: 'inker',
+  Colorist: 'colorist',
+  Letterer: 'letterer',
+  CoverArtist: 'coverArtist',
+  Editor: 'editor',
+  Publisher: 'publisher',
+  Imprint: 'imprint',
+  Genre: 'genre',
+  Tags: 'tags',
+  Web: 'web',
+  LanguageISO: 'languageISO',
+  Format: 'format',
+  AgeRating: 'ageRating',
+  Manga: 'manga',
+  BlackAndWhite: 'blackAndWhite',
+}
+
+const NUMERIC_FIELDS = {
+  Count: 'count',
+  Year: 'year',
+  Month: 'month',
+  Day: 'day',
+  PageCount: 'pageCount',
+}
+
+// Fields matched by ArchiveDatabase.searchArchives
+const SEARCHABLE_FIELDS = ['title', 'series', 'number', 'writer', 'penciller', 'publisher', 'genre']
+
+const XML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+}
+
+class ComicInfo {
+  /**
+   * Read and parse ComicInfo.xml from an archive
+   * @param {string} archivePath - Path to archive
+   * @param {string} type - Archive type
+   * @param {Object} options - { password } for encrypted archives
+   * @returns {Promise<Object|null>} Parsed comic info or null if the archive has none
+   */
+  async readFromArchive(archivePath, type, options = {}) {
+    const format = archiveExtractors.getFormat(type)
+    if (!format?.readEntries) return null
+
+    const entries = await format.list(archivePath, options)
+    const entry = this.findComicInfoEntry(entries)
+    if (!entry) return null
+
+    if (entry.size > MAX_COMIC_INFO_BYTES) {
+      console.warn(`[ARCHIVE] Ignoring oversized ComicInfo.xml (${entry.size} bytes)`)
+      return null
+    }
+
+    const contents = await format.readEntries(archivePath, [entry.name], options)
+    const data = contents.get(entry.name)
+    if (!data) return null
+
+    return this.parse(data.toString('utf8'))
+  }
+
+  /**
+   * Find the ComicInfo.xml entry, preferring the archive root
+   * @param {Array} entries - Archive entries ({ name, size, isDirectory })
+   * @returns {Object|null} Matching entry
+   */
+  findComicInfoEntry(entries) {
+    const candidates = entries.filter(
+      (e) =>
+        !e.isDirectory &&
+        path.posix.basename(e.name.replace(/\\/g, '/')).toLowerCase() === COMIC_INFO_FILE
+    )
+    if (candidates.length === 0) return null
+
+    const depth = (name) => name.replace(/\\/g, '/').split('/').length
+    return candidates.sort((a, b) => depth(a.name) - depth(b.name))[0]
+  }
+
+  /**
+   * Parse ComicInfo.xml contents
+   * @param {string} xml - XML document
+   * @returns {Object|null} Comic info, or null if the document is not ComicInfo
+   */
+  parse(xml) {
+    const root = /<ComicInfo\b[^>]*>([\s\S]*)<\/ComicInfo>/i.exec(xml)
+    if (!root) return null
+    const body = root[1]
+
+    const info = {}
+
+    for (const [tag, key] of Object.entries(TEXT_FIELDS)) {
+      const value = readElement(body, tag)
+      if (value) info[key] = value
+    }
+
+    for (const [tag, key] of Object.entries(NUMERIC_FIELDS)) {
+      const value = Number.parseInt(readElement(body, tag), 10)
+      if (Number.isFinite(value)) info[key] = value
+    }
+
+    // "YesAndRightToLeft" is the schema's way of flagging right-to-left reading order
+    info.readingDirection = info.manga === 'YesAndRightToLeft' ? 'rtl' : 'ltr'
+    info.pages = this.parsePages(body)
+
+    return info
+  }
+
+  /**
+   * Parse <Pages> entries
+   * @param {string} body - ComicInfo element body
+   * @returns {Array} Pages ({ image, type, doublePage, width, height })
+   */
+  parsePages(body) {
+    const pagesBlock = /<Pages\b[^>]*>([\s\S]*?)<\/Pages>/i.exec(body)
+    if (!pagesBlock) return []
+
+    const pages = []
+    for (const match of pagesBlock[1].matchAll(/<Page\b([^>]*?)\/?>/gi)) {
+      const attributes = readAttributes(match[1])
+      const image = Number.parseInt(attributes.Image, 10)
+      if (!Number.isFinite(image)) continue
+
+      const page = {
+        image,
+        type: attributes.Type || 'Story',
+        doublePage: attributes.DoublePage === 'true',
+      }
+      const width = Number.parseInt(attributes.ImageWidth, 10)
+      const height = Number.parseInt(attributes.ImageHeight, 10)
+      if (Number.isFinite(width)) page.width = width
+      if (Number.isFinite(height)) page.height = height
+      pages.push(page)
+    }
+    return pages
+  }
+
+  /**
+   * Get the values of an archive record that free-text search should match
+   * @param {Object} comicInfo - Parsed comic info
+   * @returns {Array<string>} Searchable values
+   */
+  getSearchableValues(comicInfo) {
+    if (!comicInfo) return []
+    return SEARCHABLE_FIELDS.map((key) => comicInfo[key]).filter((value) => value != null)
+  }
+}
+
+function readElement(body, tag) {
+  const match = new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`, 'i').exec(body)
+  return match ? decodeEntities(match[1]).trim() : ''
+}
+
+function readAttributes(source) {
+  const attributes = {}
+  for (const match of source.matchAll(/([A-Za-z_][\w.-]*)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+    attributes[match[1]] = decodeEntities(match[3] ?? match[4])
+  }
+  return attributes
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const value =
+          code[1] === 'x' || code[1] === 'X'
+            ? Number.parseInt(code.slice(2), 16)
+            : Number.parseInt(code.slice(1), 10)
+        return Number.isFinite(value) ? String.fromCodePoint(value) : entity
+      }
+      return XML_ENTITIES[code.toLowerCase()] ?? entity
+    })
+}
+
+module.exports = new ComicInfo()
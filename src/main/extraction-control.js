@@ -0,0 +1,120 @@
+/**
+ * Extraction Control - Cancel and pause for a running archive import
+ *
+ * One control is created per import and threaded through ArchiveService into the
+ * extractors. JavaScript loops call checkpoint() between entries, which waits while the
+ * import is paused and throws once it is cancelled. External 7-Zip processes are
+ * attached so they can be stopped (SIGSTOP/SIGCONT) or killed directly; Windows has no
+ * stop signal, so there a running 7-Zip process finishes before the pause takes effect.
+ */
+const CANCELLED_MESSAGE = 'Archive processing cancelled'
+
+class ExtractionControl {
+  constructor() {
+    this.cancelled = false
+    this.paused = false
+    this.waiters = []
+    this.processes = new Set()
+  }
+
+  /**
+   * Wait while paused
+   * @returns {Promise<void>} Resolves when work may continue
+   * @throws {Error} If the import was cancelled
+   */
+  async checkpoint() {
+    // Yield to the event loop; synchronous extractors would otherwise never see the
+    // pause or cancel request until they finish
+    await new Promise((resolve) => setImmediate(resolve))
+    this.throwIfCancelled()
+    if (!this.paused) return
+    await new Promise((resolve) => this.waiters.push(resolve))
+    this.throwIfCancelled()
+  }
+
+  throwIfCancelled() {
+    if (this.cancelled) {
+      throw this.createCancellationError()
+    }
+  }
+
+  createCancellationError() {
+    return new Error(CANCELLED_MESSAGE)
+  }
+
+  pause() {
+    if (this.cancelled || this.paused) return
+    this.paused = true
+    this.signalProcesses('SIGSTOP')
+    console.log('[ARCHIVE] Processing paused')
+  }
+
+  resume() {
+    if (!this.paused) return
+    this.paused = false
+    this.signalProcesses('SIGCONT')
+    this.releaseWaiters()
+    console.log('[ARCHIVE] Processing resumed')
+  }
+
+  cancel() {
+    if (this.cancelled) return
+    this.cancelled = true
+    // A stopped process cannot handle its kill signal until it is continued
+    if (this.paused) this.signalProcesses('SIGCONT')
+    this.paused = false
+    this.signalProcesses('SIGTERM')
+    this.releaseWaiters()
+    console.log('[ARCHIVE] Processing cancelled')
+  }
+
+  /**
+   * Attach an external process so pause and cancel reach it
+   * @param {ChildProcess} child - Spawned process
+   * @returns {Function} Detach function, call when the process has exited
+   */
+  attachProcess(child) {
+    if (!child) return () => {}
+    this.processes.add(child)
+    if (this.cancelled) {
+      child.kill('SIGTERM')
+    } else if (this.paused) {
+      this.signalProcess(child, 'SIGSTOP')
+    }
+    return () => this.processes.delete(child)
+  }
+
+  signalProcesses(signal) {
+    for (const child of this.processes) {
+      this.signalProcess(child, signal)
+    }
+  }
+
+  signalProcess(child, signal) {
+    if (child.exitCode !== null || child.signalCode !== null) return
+    // Windows kills the process for any signal it does not know, including these
+    if (process.platform === 'win32' && (signal === 'SIGSTOP' || signal === 'SIGCONT')) return
+    try {
+      child.kill(signal)
+    } catch (error) {
+      console.warn(`[ARCHIVE] Could not send ${signal} to extractor process:`, error.message)
+    }
+  }
+
+  releaseWaiters() {
+    const waiters = this.waiters
+    this.waiters = []
+    for (const resolve of waiters) resolve()
+  }
+
+  /**
+   * Check whether an error is the result of a cancellation
+   * @param {Error} error - Error thrown by processing
+   * @returns {boolean} True if processing was cancelled
+   */
+  static isCancellation(error) {
+    return String(error?.message || '').includes(CANCELLED_MESSAGE)
+  }
+}
+
+module.exports = ExtractionControl
@@ -3,18 +3,20 @@
  */
 class FileScanner {
   constructor() {
-    this.imageExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.bmp', '.tiff', '.svg']
+    const imageFormats = require('./image-formats')
+    this.imageExtensions = [...imageFormats.IMAGE_EXTENSIONS, ...imageFormats.VIDEO_EXTENSIONS]
   }
 
   /**
    * Scan directory for image files
    * @param {string} dirPath - Directory to scan
-   * @returns {Promise<Array>} List of image files
+   * @returns {Promise<Array>} List of image files in natural order
    */
   async scanDirectoryForImages(dirPath) {
     const fs = require('node:fs').promises
     const path = require('node:path')
     const secureFs = require('./secure-fs')
+    const naturalSort = require('./natural-sort')
 
     const files = []
     const rootDir = path.resolve(dirPath) // Canonical root directory
@@ -44,8 +46,10 @@ class FileScanner {
           await scanDir(fullPath)
         } else if (entry.isFile() && this.isImageFile(entry.name)) {
           const stats = await fs.stat(fullPath)
+          const relativePath = path.relative(dirPath, fullPath)
           files.push({
-            originalName: path.relative(dirPath, fullPath),
+            originalName: relativePath,
+            relativePath: relativePath.split(path.sep).join('/'),
             extractedPath: fullPath,
             size: stats.size,
           })
@@ -54,7 +58,7 @@ class FileScanner {
     }
 
     await scanDir(dirPath)
-    return files
+    return naturalSort.sortFiles(files)
   }
 
   /**
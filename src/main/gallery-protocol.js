@@ -0,0 +1,247 @@
+/**
+ * Gallery Protocol - Serves images to the renderer as gallery:// URLs
+ *
+ * Images used to travel over IPC as buffers, copied into the renderer and kept alive as
+ * blob URLs that were only released when the gallery was cleared. With this scheme an
+ * <img> loads them like any other URL: files stream from disk (with Range requests, for
+ * large files and video), and Chromium caches and drops decoded images itself.
+ *
+ *   gallery://image/<path>                 Image or video file: an extracted image, a
+ *                                          thumbnail, or an image the user opened
+ *   gallery://entry/<archive hash>/<name>  Image or video of a view-in-place archive
+ *
+ * Paths and entry names are one URL-encoded segment each (see toImageUrl). Files are only
+ * served from the allowed directories of secure-fs: the repository, the app's directories
+ * and the files and folders the user opened or dropped on the window. Formats
+ * Chromium cannot show (JPEG XL, HEIC, PSD, RAW, ...) are answered with a converted copy
+ * (see ImageConverter).
+ */
+const fsNative = require('node:fs')
+const path = require('node:path')
+const { Readable } = require('node:stream')
+const imageConverter = require('./image-converter')
+const imageFormats = require('./image-formats')
+const secureFs = require('./secure-fs')
+
+const SCHEME = 'gallery'
+
+// Only image and video files are served, whatever path the renderer asks for
+const MIME_TYPES = { ...imageFormats.IMAGE_MIME_TYPES, ...imageFormats.VIDEO_MIME_TYPES }
+
+class GalleryProtocol {
+  constructor() {
+    this.archiveService = null
+    this.appConfig = null
+  }
+
+  /**
+   * Give gallery:// the privileges of https (needed for fetch, streaming and media);
+   * must be called before the app is ready
+   */
+  registerScheme() {
+    const { protocol } = require('electron')
+    protocol.registerSchemesAsPrivileged([
+      {
+        scheme: SCHEME,
+        privileges: { standard: true, secure: true, supportFetchAPI: true, stream: true },
+      },
+    ])
+  }
+
+  /**
+   * Start answering gallery:// requests
+   * @param {Object} archiveService - Reads images of view-in-place archives
+   * @param {Object} appConfig - App configuration (maxFileSizeMB limits archive entries,
+   *   which are read into memory; converted copies go to imageRepositoryPath)
+   */
+  handle(archiveService, appConfig) {
+    const { protocol } = require('electron')
+    this.archiveService = archiveService
+    this.appConfig = appConfig
+
+    protocol.handle(SCHEME, async (request) => {
+      try {
+        return await this.respond(request)
+      } catch (error) {
+        console.warn(`[PROTOCOL] Could not serve ${request.url}:`, error.message)
+        return new Response(null, { status: 404 })
+      }
+    })
+  }
+
+  /**
+   * @param {string} filePath - Absolute image path
+   * @returns {string} gallery:// URL of the file
+   */
+  toImageUrl(filePath) {
+    return `${SCHEME}://image/${encodeURIComponent(filePath)}`
+  }
+
+  async respond(request) {
+    const url = new URL(request.url)
+    const segments = url.pathname.slice(1).split('/').map(decodeURIComponent)
+    const range = request.headers.get('range')
+
+    if (url.host === 'image' && segments.length === 1) {
+      return await this.serveFile(segments[0], range)
+    }
+    if (url.host === 'entry' && segments.length === 2) {
+      return await this.serveArchiveEntry(segments[0], segments[1], range)
+    }
+    throw new Error('Unknown gallery URL')
+  }
+
+  /**
+   * Stream an image file, or the requested byte range of it
+   */
+  async serveFile(filePath, range) {
+    const converted = imageConverter.getSourceFormat(filePath)
+    const mimeType = converted ? null : getMimeType(filePath)
+    // SECURITY: Any content in the renderer can request a URL, so paths must be inside an
+    // allowed directory; only images and videos are served
+    const sanitizedPath = secureFs.validateReadPath(filePath)
+    const stats = await secureFs.stat(sanitizedPath)
+    if (!stats.isFile()) {
+      throw new Error('Not a file')
+    }
+
+    if (converted) {
+      const copy = await imageConverter.convert(
+        this.getConvertedDir(),
+        `file\0${sanitizedPath}\0${stats.size}\0${stats.mtimeMs}`,
+        sanitizedPath,
+        () => secureFs.readFile(sanitizedPath)
+      )
+      return await this.streamFile(copy.path, copy.mimeType, range)
+    }
+    return this.streamFile(sanitizedPath, mimeType, range, stats)
+  }
+
+  /**
+   * @param {string} filePath - Checked path of the file to send
+   * @param {Object} [stats] - The file's stats, if they were read already
+   */
+  async streamFile(filePath, mimeType, range, stats) {
+    const size = (stats || (await fsNative.promises.stat(filePath))).size
+    const bytes = parseRange(range, size)
+    if (bytes === null) {
+      return new Response(null, {
+        status: 416,
+        headers: { 'Content-Range': `bytes */${size}` },
+      })
+    }
+
+    const stream = fsNative.createReadStream(filePath, bytes || {})
+    return new Response(Readable.toWeb(stream), {
+      status: bytes ? 206 : 200,
+      headers: this.getHeaders(mimeType, size, bytes),
+    })
+  }
+
+  /**
+   * Serve an image of a view-in-place archive; the archive service only reads entries
+   * the archive was indexed with
+   */
+  async serveArchiveEntry(archiveHash, entryName, range) {
+    if (!/^[a-f0-9]{64}$/.test(archiveHash)) {
+      throw new Error('Invalid archive hash format')
+    }
+    if (imageConverter.getSourceFormat(entryName)) {
+      const copy = await imageConverter.convert(
+        this.getConvertedDir(),
+        `entry\0${archiveHash}\0${entryName}`,
+        entryName,
+        () => this.readArchiveEntry(archiveHash, entryName)
+      )
+      return await this.streamFile(copy.path, copy.mimeType, range)
+    }
+    const mimeType = getMimeType(entryName)
+    const buffer = await this.readArchiveEntry(archiveHash, entryName)
+
+    const bytes = parseRange(range, buffer.length)
+    if (bytes === null) {
+      return new Response(null, {
+        status: 416,
+        headers: { 'Content-Range': `bytes */${buffer.length}` },
+      })
+    }
+    const body = bytes ? buffer.subarray(bytes.start, bytes.end + 1) : buffer
+    return new Response(body, {
+      status: bytes ? 206 : 200,
+      headers: this.getHeaders(mimeType, buffer.length, bytes),
+    })
+  }
+
+  async readArchiveEntry(archiveHash, entryName) {
+    const maxFileSizeBytes = this.appConfig.maxFileSizeMB * 1024 * 1024
+    const buffer = await this.archiveService.readArchiveEntry(
+      archiveHash,
+      entryName,
+      maxFileSizeBytes
+    )
+    if (buffer.length > maxFileSizeBytes) {
+      throw new Error(`File too large: ${(buffer.length / (1024 * 1024)).toFixed(2)} MB`)
+    }
+    return buffer
+  }
+
+  /**
+   * Converted copies are kept in the repository, as thumbnails are
+   */
+  getConvertedDir() {
+    const { app } = require('electron')
+    const repositoryPath =
+      this.appConfig.imageRepositoryPath || path.join(app.getPath('userData'), 'images')
+    return imageConverter.getCacheDir(repositoryPath)
+  }
+
+  getHeaders(mimeType, size, bytes) {
+    const headers = { 'Content-Type': mimeType, 'Accept-Ranges': 'bytes' }
+    if (bytes) {
+      headers['Content-Range'] = `bytes ${bytes.start}-${bytes.end}/${size}`
+      headers['Content-Length'] = String(bytes.end - bytes.start + 1)
+    } else {
+      headers['Content-Length'] = String(size)
+    }
+    return headers
+  }
+}
+
+/**
+ * @returns {string} MIME type of an image or video name
+ * @throws {Error} If the name is neither
+ */
+function getMimeType(name) {
+  const mimeType = MIME_TYPES[path.extname(name).toLowerCase()]
+  if (!mimeType) {
+    throw new Error('Not an image or video file')
+  }
+  return mimeType
+}
+
+/**
+ * Parse a Range header with a single byte range ("bytes=0-99", "bytes=100-", "bytes=-100")
+ * @param {string|null} header - Range header
+ * @param {number} size - File size
+ * @returns {Object|null|undefined} { start, end } (inclusive), null if the range cannot be
+ *   satisfied, undefined to send the whole file (no header, or one we do not support)
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header?.trim() || '')
+  if (!match || (match[1] === '' && match[2] === '')) return undefined
+
+  let start
+  let end
+  if (match[1] === '') {
+    // Suffix range: the last n bytes
+    start = Math.max(0, size - Number(match[2]))
+    end = size - 1
+  } else {
+    start = Number(match[1])
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1)
+  }
+  if (start >= size || start > end) return null
+  return { start, end }
+}
+
+module.exports = new GalleryProtocol()
@@ -0,0 +1,139 @@
+/**
+ * Image Converter - Displayable copies of images Chromium cannot show
+ *
+ * JPEG XL, HEIC/HEIF, PSD/PSB, camera RAW and QOI images are decoded (see ImageDecoder)
+ * the first time they are shown and stored in the repository's .converted directory:
+ * as JPEG, or PNG when they have transparency. A RAW file's embedded preview is stored
+ * as it is. Copies are named by a hash of what identifies the source version (a file's
+ * path, size and modification time; an archive entry's archive hash and name), so a
+ * changed file is converted again.
+ */
+const fs = require('node:fs').promises
+const crypto = require('node:crypto')
+const path = require('node:path')
+const imageDecoder = require('./image-decoder')
+const imageFormats = require('./image-formats')
+
+const CONVERTED_DIR_NAME = '.converted'
+const JPEG_QUALITY = 92
+const PNG_DEFLATE_LEVEL = 6
+
+const OUTPUT_TYPES = { '.jpg': 'image/jpeg', '.png': 'image/png' }
+
+class ImageConverter {
+  constructor() {
+    this.pending = new Map() // Conversions under way by cache name, shared by requests
+  }
+
+  /**
+   * @param {string} name - File or entry name
+   * @returns {string|null} Format of an image that is converted for display, else null
+   */
+  getSourceFormat(name) {
+    return imageFormats.CONVERTED_FORMATS[path.extname(name).toLowerCase()] || null
+  }
+
+  /**
+   * @param {string} repositoryPath - Image repository root
+   * @returns {string} Directory converted copies are stored in
+   */
+  getCacheDir(repositoryPath) {
+    return path.join(repositoryPath, CONVERTED_DIR_NAME)
+  }
+
+  /**
+   * Displayable copy of an image, converted now if there is none
+   * @param {string} cacheDir - From getCacheDir
+   * @param {string} key - Identifies the version of the source
+   * @param {string} name - Source file or entry name
+   * @param {Function} readSource - async () => Buffer of the source, read only to convert
+   * @returns {Promise<Object>} { path, mimeType } of the copy
+   * @throws {Error} If the image cannot be decoded
+   */
+  async convert(cacheDir, key, name, readSource) {
+    const hash = crypto.createHash('sha256').update(key).digest('hex')
+    const basePath = path.join(cacheDir, hash.slice(0, 2), hash)
+    for (const [ext, mimeType] of Object.entries(OUTPUT_TYPES)) {
+      if (await exists(`${basePath}${ext}`)) return { path: `${basePath}${ext}`, mimeType }
+    }
+
+    if (!this.pending.has(hash)) {
+      const conversion = this.write(basePath, name, readSource).finally(() =>
+        this.pending.delete(hash)
+      )
+      this.pending.set(hash, conversion)
+    }
+    return this.pending.get(hash)
+  }
+
+  async write(basePath, name, readSource) {
+    const buffer = await readSource()
+    const { data, ext } = await this.encode(buffer, name)
+
+    const outputPath = `${basePath}${ext}`
+    await fs.mkdir(path.dirname(outputPath), { recursive: true })
+    const tempPath = `${outputPath}.${crypto.randomBytes(4).toString('hex')}.tmp`
+    await fs.writeFile(tempPath, data)
+    await fs.rename(tempPath, outputPath)
+    return { path: outputPath, mimeType: OUTPUT_TYPES[ext] }
+  }
+
+  /**
+   * @returns {Promise<Object>} { data, ext } of the displayable copy
+   */
+  async encode(buffer, name) {
+    const ext = path.extname(name).toLowerCase()
+    if (imageFormats.RAW_EXTENSIONS.includes(ext)) {
+      const preview = imageFormats.extractRawPreview(buffer)
+      if (preview) return { data: preview, ext: '.jpg' }
+    }
+
+    const image = await imageDecoder.decode(buffer, ext)
+    if (!image) {
+      throw new Error(`${this.getSourceFormat(name) || 'This'} image variant is not supported`)
+    }
+    const { width, height } = image
+    const rgba = toRgba(image)
+    if (hasTransparency(rgba)) {
+      const { PNG } = require('pngjs')
+      const png = new PNG({ width, height })
+      png.data = rgba
+      return { data: PNG.sync.write(png, { deflateLevel: PNG_DEFLATE_LEVEL }), ext: '.png' }
+    }
+    const jpeg = require('jpeg-js')
+    return { data: jpeg.encode({ width, height, data: rgba }, JPEG_QUALITY).data, ext: '.jpg' }
+  }
+}
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath)
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * @param {Object} image - Pixels from ImageDecoder
+ * @returns {Buffer} RGBA rows
+ */
+function toRgba({ width, height, data, channels }) {
+  if (channels === 4) return Buffer.from(data.buffer, data.byteOffset, data.byteLength)
+  const rgba = Buffer.alloc(width * height * 4, 255)
+  for (let pixel = 0; pixel < width * height; pixel++) {
+    rgba[pixel * 4] = data[pixel * 3]
+    rgba[pixel * 4 + 1] = data[pixel * 3 + 1]
+    rgba[pixel * 4 + 2] = data[pixel * 3 + 2]
+  }
+  return rgba
+}
+
+function hasTransparency(rgba) {
+  for (let i = 3; i < rgba.length; i += 4) {
+    if (rgba[i] !== 255) return true
+  }
+  return false
+}
+
+module.exports = new ImageConverter()
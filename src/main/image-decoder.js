@@ -0,0 +1,129 @@
+/**
+ * Image Decoder - Decodes extracted images to pixels for fingerprints, thumbnails and
+ * display conversion
+ *
+ * Decoding is JavaScript and WebAssembly (jpeg-js, pngjs, and the readers in
+ * image-formats) so it runs in the import worker, where Electron's nativeImage is not
+ * available. Besides JPEG and PNG it reads JPEG XL, HEIC/HEIF, PSD, camera RAW previews,
+ * QOI and PNG icons. Formats without a decoder here (GIF, WebP, BMP, ...) are reported as
+ * unsupported rather than failing.
+ */
+const fs = require('node:fs').promises
+const path = require('node:path')
+const imageFormats = require('./image-formats')
+
+// Limits for the JPEG decoder, so one hostile file cannot exhaust memory
+const MAX_JPEG_RESOLUTION_MP = 150
+const MAX_JPEG_MEMORY_MB = 1024
+
+// Bytes read to recognise a format before reading the whole file
+const SIGNATURE_BYTES = 16
+
+// Extensions whose signatures are too loose to trust on their own
+const { HEIF_EXTENSIONS, RAW_EXTENSIONS } = imageFormats
+
+/**
+ * Formats in the order they are tried
+ * sniff(header, ext) tells a file's format from its first SIGNATURE_BYTES bytes and its
+ * lowercase extension; decode(buffer) returns pixels, or null for variants it does not read
+ */
+const FORMATS = [
+  { format: 'JPEG', sniff: isJpeg, decode: decodeJpeg },
+  { format: 'PNG', sniff: isPng, decode: decodePng },
+  { format: 'JPEG XL', sniff: imageFormats.isJxl, decode: imageFormats.decodeJxl },
+  {
+    format: 'HEIF',
+    sniff: (header, ext) => HEIF_EXTENSIONS.includes(ext) && imageFormats.isHeif(header),
+    decode: imageFormats.decodeHeif,
+  },
+  { format: 'PSD', sniff: imageFormats.isPsd, decode: imageFormats.decodePsd },
+  {
+    format: 'RAW',
+    sniff: (header, ext) => RAW_EXTENSIONS.includes(ext) && imageFormats.isRaw(header),
+    decode: (buffer) => {
+      const preview = imageFormats.extractRawPreview(buffer)
+      return preview ? decodeJpeg(preview) : null
+    },
+  },
+  { format: 'QOI', sniff: imageFormats.isQoi, decode: imageFormats.decodeQoi },
+  {
+    format: 'ICO',
+    sniff: imageFormats.isIco,
+    decode: (buffer) => {
+      const png = imageFormats.extractIcoPng(buffer)
+      return png ? decodePng(png) : null
+    },
+  },
+]
+
+class ImageDecoder {
+  /**
+   * Decode an image file
+   * @param {string} filePath - Image path
+   * @returns {Promise<Object|null>} Pixels (see decode), or null if the format is not
+   *   supported
+   * @throws {Error} If the file is damaged
+   */
+  async decodeFile(filePath) {
+    const ext = path.extname(filePath).toLowerCase()
+    // Files of other formats (video clips among them) are not read in full
+    const handle = await fs.open(filePath, 'r')
+    try {
+      const header = Buffer.alloc(SIGNATURE_BYTES)
+      const { bytesRead } = await handle.read(header, 0, SIGNATURE_BYTES, 0)
+      if (!this.canDecode(header.subarray(0, bytesRead), ext)) return null
+    } finally {
+      await handle.close()
+    }
+    return this.decode(await fs.readFile(filePath), ext)
+  }
+
+  /**
+   * @param {Buffer} header - The first bytes of a file
+   * @param {string} [ext] - Lowercase extension of the file's name
+   * @returns {boolean} Whether decode supports the file's format
+   */
+  canDecode(header, ext = '') {
+    return FORMATS.some(({ sniff }) => sniff(header, ext))
+  }
+
+  /**
+   * Decode an image of any format in FORMATS
+   * @param {Buffer} buffer - File contents
+   * @param {string} [ext] - Lowercase extension of the file's name
+   * @returns {Promise<Object|null>} { width, height, data, channels } (RGB or RGBA rows) or
+   *   null for other formats
+   */
+  async decode(buffer, ext = '') {
+    const header = buffer.subarray(0, SIGNATURE_BYTES)
+    const entry = FORMATS.find(({ sniff }) => sniff(header, ext))
+    return entry ? entry.decode(buffer) : null
+  }
+}
+
+function isJpeg(buffer) {
+  return buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff
+}
+
+function isPng(buffer) {
+  return buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47
+}
+
+function decodeJpeg(buffer) {
+  const jpeg = require('jpeg-js')
+  const image = jpeg.decode(buffer, {
+    useTArray: true,
+    formatAsRGBA: false,
+    maxResolutionInMP: MAX_JPEG_RESOLUTION_MP,
+    maxMemoryUsageInMB: MAX_JPEG_MEMORY_MB,
+  })
+  return { width: image.width, height: image.height, data: image.data, channels: 3 }
+}
+
+function decodePng(buffer) {
+  const { PNG } = require('pngjs')
+  const image = PNG.sync.read(buffer)
+  return { width: image.width, height: image.height, data: image.data, channels: 4 }
+}
+
+module.exports = new ImageDecoder()
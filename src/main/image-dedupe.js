@@ -0,0 +1,134 @@
+/**
+ * Image Dedupe - Content hashes for extracted images, one copy of each on disk
+ *
+ * The same page often arrives in several archives (a volume and its chapters, a
+ * re-release). Every extracted image is hashed, and a file whose content is already in
+ * the repository is replaced by a hard link to the stored copy: it takes no extra space,
+ * and each archive keeps its own paths, so deleting one archive's directory never
+ * removes another's images. Where a hard link is not possible (another volume, FAT
+ * drives) the second copy stays.
+ */
+const fs = require('node:fs').promises
+const archiveDatabase = require('./archive-database')
+
+class ImageDedupe {
+  /**
+   * Hash newly extracted files and link duplicates to copies already stored
+   * @param {Array<Object>} files - extractedFiles of an archive; contentHash is set on
+   *   each file that has an extractedPath
+   * @param {Object} options - { control } to pause or cancel
+   * @returns {Promise<Object>} { linked, savedBytes }
+   */
+  async hashAndLink(files, { control } = {}) {
+    const seen = new Map() // contentHash => path, for pages repeated inside the archive
+    const totals = { linked: 0, savedBytes: 0 }
+
+    for (const file of files) {
+      if (!file.extractedPath) continue
+      await control?.checkpoint()
+
+      const { contentHash, linked, size } = await this.dedupeFile(file.extractedPath, seen)
+      file.contentHash = contentHash
+      if (linked) {
+        totals.linked++
+        totals.savedBytes += size
+      }
+    }
+
+    if (totals.linked > 0) {
+      console.log(
+        `[DEDUPE] Linked ${totals.linked} duplicate images, saving ${(totals.savedBytes / 1024 / 1024).toFixed(2)}MB`
+      )
+    }
+    return totals
+  }
+
+  /**
+   * Hash images extracted before content hashes were recorded, linking duplicates
+   * @param {Object} options - { control, progressCallback (processed, total) }
+   * @returns {Promise<Object>} { hashed, linked, savedBytes }
+   */
+  async hashStoredImages({ control, progressCallback } = {}) {
+    const paths = await archiveDatabase.getUnhashedImagePaths()
+    const totals = { hashed: 0, linked: 0, savedBytes: 0 }
+
+    for (const [index, filePath] of paths.entries()) {
+      await control?.checkpoint()
+      try {
+        const { contentHash, linked, size } = await this.dedupeFile(filePath)
+        await archiveDatabase.setImageContentHash(filePath, contentHash)
+        totals.hashed++
+        if (linked) {
+          totals.linked++
+          totals.savedBytes += size
+        }
+      } catch (error) {
+        // Files removed outside the app stay unhashed; they are simply not compared
+        console.warn(`[DEDUPE] Could not hash ${filePath}:`, error.message)
+      }
+      if (progressCallback) progressCallback(index + 1, paths.length)
+    }
+
+    if (paths.length > 0) {
+      console.log(
+        `[DEDUPE] Hashed ${totals.hashed} stored images, linked ${totals.linked} duplicates`
+      )
+    }
+    return totals
+  }
+
+  /**
+   * Hash one extracted file and replace it with a link to an existing copy
+   * @param {string} filePath - Extracted image path
+   * @param {Map} [seen] - contentHash => path of files handled earlier in the same batch
+   * @returns {Promise<Object>} { contentHash, linked, size }
+   */
+  async dedupeFile(filePath, seen = null) {
+    const contentHash = await archiveDatabase.calculateFileHash(filePath)
+    const candidates = await archiveDatabase.findImageCopies(contentHash, filePath)
+    if (seen?.has(contentHash)) candidates.unshift(seen.get(contentHash))
+
+    const stats = await fs.stat(filePath, { bigint: true })
+    let linked = false
+    for (const candidate of candidates) {
+      const result = await this.linkToCopy(filePath, stats, candidate)
+      if (result !== null) {
+        linked = result
+        break
+      }
+    }
+
+    if (seen && !seen.has(contentHash)) seen.set(contentHash, filePath)
+    return { contentHash, linked, size: Number(stats.size) }
+  }
+
+  /**
+   * Replace a file with a hard link to an identical copy
+   * @returns {Promise<boolean|null>} true if linked, false if it already is the same
+   *   file, null if this copy cannot be used (missing, other volume, link failed)
+   */
+  async linkToCopy(filePath, stats, copyPath) {
+    let copyStats
+    try {
+      copyStats = await fs.stat(copyPath, { bigint: true })
+    } catch {
+      return null
+    }
+    if (copyStats.dev !== stats.dev || copyStats.size !== stats.size) return null
+    if (copyStats.ino === stats.ino) return false
+
+    // Link next to the file, then rename over it: the file is never missing
+    const tempPath = `${filePath}.link-${process.pid}`
+    try {
+      await fs.link(copyPath, tempPath)
+      await fs.rename(tempPath, filePath)
+      return true
+    } catch (error) {
+      await fs.rm(tempPath, { force: true }).catch(() => {})
+      console.warn(`[DEDUPE] Could not link ${filePath}:`, error.message)
+      return null
+    }
+  }
+}
+
+module.exports = new ImageDedupe()
@@ -0,0 +1,503 @@
+/**
+ * Image Formats - The media formats the app accepts, and readers for the images among them
+ * that Chromium cannot show
+ *
+ * The extension lists here are the only ones: archive extraction, folder scans, the
+ * gallery:// protocol, the open dialog and (through the preload script) the renderer all
+ * use them.
+ *
+ *   JPEG XL   libjxl (WebAssembly, @jsquash/jxl)
+ *   HEIC/HEIF libheif (WebAssembly, heic-decode)
+ *   PSD/PSB   The merged image Photoshop stores after the layers (8 and 16 bits per
+ *             channel; RGB, grayscale and CMYK; raw or RLE)
+ *   RAW       The largest baseline JPEG preview embedded by the camera (TIFF-based
+ *             formats such as CR2, NEF, ARW, DNG, ORF and RW2, and Fujifilm RAF)
+ *   QOI       Decoded here
+ *   ICO       The largest PNG icon (Chromium shows ICO files itself; this is for thumbnails)
+ *
+ * Decoders return { width, height, data, channels } as ImageDecoder does, or null when a
+ * file uses a variant they do not read. Damaged files throw.
+ */
+const path = require('node:path')
+
+// Formats Chromium shows as they are
+const IMAGE_MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.apng': 'image/apng',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.bmp': 'image/bmp',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+}
+
+// Short clips kept alongside the images and played in the viewer
+const VIDEO_MIME_TYPES = {
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mov': 'video/quicktime',
+}
+
+const RAW_EXTENSIONS = [
+  '.dng',
+  '.cr2',
+  '.nef',
+  '.nrw',
+  '.arw',
+  '.srf',
+  '.sr2',
+  '.orf',
+  '.rw2',
+  '.pef',
+  '.raf',
+  '.srw',
+]
+const HEIF_EXTENSIONS = ['.heic', '.heif', '.hif']
+
+// Formats shown through a converted copy (see ImageConverter), with the name shown for them
+const CONVERTED_FORMATS = {
+  '.jxl': 'JPEG XL',
+  '.heic': 'HEIC',
+  '.heif': 'HEIF',
+  '.hif': 'HEIF',
+  '.psd': 'PSD',
+  '.psb': 'PSB',
+  '.qoi': 'QOI',
+  ...Object.fromEntries(RAW_EXTENSIONS.map((ext) => [ext, 'RAW'])),
+}
+
+const IMAGE_EXTENSIONS = [...Object.keys(IMAGE_MIME_TYPES), ...Object.keys(CONVERTED_FORMATS)]
+const VIDEO_EXTENSIONS = Object.keys(VIDEO_MIME_TYPES)
+
+// Largest image decoded, so one hostile file cannot exhaust memory
+const MAX_RESOLUTION_MP = 150
+
+const JXL_CODESTREAM_SIGNATURE = Buffer.from([0xff, 0x0a])
+const JXL_CONTAINER_SIGNATURE = Buffer.from([0, 0, 0, 0x0c, 0x4a, 0x58, 0x4c, 0x20])
+const PSD_SIGNATURE = Buffer.from('8BPS', 'latin1')
+const QOI_SIGNATURE = Buffer.from('qoif', 'latin1')
+const ICO_SIGNATURE = Buffer.from([0, 0, 1, 0])
+const RAF_SIGNATURE = Buffer.from('FUJIFILMCCD-RAW', 'latin1')
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47])
+
+// TIFF magic numbers after the byte order mark: TIFF, Panasonic RW2, Olympus ORF
+const TIFF_MAGICS = [42, 0x55, 0x4f52, 0x5352]
+
+// TIFF tags read for RAW previews
+const TAG_COMPRESSION = 259
+const TAG_STRIP_OFFSETS = 273
+const TAG_STRIP_BYTE_COUNTS = 279
+const TAG_SUB_IFDS = 330
+const TAG_JPEG_OFFSET = 513
+const TAG_JPEG_LENGTH = 514
+const TAG_RW2_JPEG = 0x2e // Panasonic: the preview JPEG as the tag's value
+const JPEG_COMPRESSIONS = [6, 7]
+const MAX_IFDS = 64
+
+// JPEG frame markers jpeg-js and Chromium decode: baseline, extended and progressive
+const DECODABLE_JPEG_FRAMES = [0xc0, 0xc1, 0xc2]
+
+const PSD_COLOR_MODES = { 1: 'grayscale', 3: 'rgb', 4: 'cmyk' }
+
+let jxlDecoder = null
+
+function startsWith(buffer, signature, offset = 0) {
+  return (
+    buffer.length >= offset + signature.length &&
+    buffer.subarray(offset, offset + signature.length).equals(signature)
+  )
+}
+
+function checkResolution(width, height) {
+  if (width < 1 || height < 1) {
+    throw new Error('Image has no pixels')
+  }
+  if (width * height > MAX_RESOLUTION_MP * 1000000) {
+    throw new Error(`Image is larger than ${MAX_RESOLUTION_MP} megapixels`)
+  }
+}
+
+function isJxl(header) {
+  return startsWith(header, JXL_CODESTREAM_SIGNATURE) || startsWith(header, JXL_CONTAINER_SIGNATURE)
+}
+
+/**
+ * libjxl is an ES module; its WebAssembly is compiled from the package's file rather
+ * than fetched
+ */
+async function decodeJxl(buffer) {
+  if (!jxlDecoder) {
+    jxlDecoder = (async () => {
+      const fs = require('node:fs').promises
+      const module = await import('@jsquash/jxl/decode.js')
+      const packageDir = path.dirname(require.resolve('@jsquash/jxl/package.json'))
+      const wasm = await fs.readFile(path.join(packageDir, 'codec', 'dec', 'jxl_dec.wasm'))
+      await module.init(await WebAssembly.compile(wasm))
+      return module.default
+    })()
+    jxlDecoder.catch(() => {
+      jxlDecoder = null
+    })
+  }
+  const decode = await jxlDecoder
+  const image = await decode(buffer)
+  checkResolution(image.width, image.height)
+  return { width: image.width, height: image.height, data: image.data, channels: 4 }
+}
+
+function isHeif(header) {
+  return header.toString('latin1', 4, 8) === 'ftyp'
+}
+
+async function decodeHeif(buffer) {
+  const decode = require('heic-decode')
+  const image = await decode({ buffer })
+  checkResolution(image.width, image.height)
+  return { width: image.width, height: image.height, data: image.data, channels: 4 }
+}
+
+function isPsd(header) {
+  return startsWith(header, PSD_SIGNATURE)
+}
+
+/**
+ * Read the merged image of a PSD (version 1) or PSB (version 2) file
+ */
+function decodePsd(buffer) {
+  const version = buffer.readUInt16BE(4)
+  const large = version === 2
+  const channelCount = buffer.readUInt16BE(12)
+  const height = buffer.readUInt32BE(14)
+  const width = buffer.readUInt32BE(18)
+  const depth = buffer.readUInt16BE(22)
+  const colorMode = PSD_COLOR_MODES[buffer.readUInt16BE(24)]
+  if ((version !== 1 && version !== 2) || !colorMode || (depth !== 8 && depth !== 16)) {
+    return null
+  }
+  checkResolution(width, height)
+
+  const readLength = (offset) =>
+    large ? Number(buffer.readBigUInt64BE(offset)) : buffer.readUInt32BE(offset)
+  const lengthSize = large ? 8 : 4
+
+  // Color mode data and image resources, then the layers
+  let offset = 26
+  offset += 4 + buffer.readUInt32BE(offset)
+  offset += 4 + buffer.readUInt32BE(offset)
+  const layersLength = readLength(offset)
+  // A negative layer count means the first extra channel is the merged image's transparency
+  let transparent = false
+  if (layersLength > 0 && readLength(offset + lengthSize) > 0) {
+    transparent = buffer.readInt16BE(offset + lengthSize * 2) < 0
+  }
+  offset += lengthSize + layersLength
+
+  const colorChannels = colorMode === 'rgb' ? 3 : colorMode === 'cmyk' ? 4 : 1
+  const channels = Math.min(channelCount, colorChannels + (transparent ? 1 : 0))
+  if (channels < colorChannels) return null
+
+  const compression = buffer.readUInt16BE(offset)
+  offset += 2
+  const rowBytes = width * (depth / 8)
+  const planes = []
+  if (compression === 0) {
+    for (let channel = 0; channel < channels; channel++) {
+      planes.push(buffer.subarray(offset, offset + rowBytes * height))
+      offset += rowBytes * height
+    }
+  } else if (compression === 1) {
+    // Compressed size of every row of every channel, then the PackBits rows
+    const countSize = large ? 4 : 2
+    const counts = offset
+    offset += channelCount * height * countSize
+    for (let channel = 0; channel < channels; channel++) {
+      const plane = Buffer.alloc(rowBytes * height)
+      for (let row = 0; row < height; row++) {
+        const index = counts + (channel * height + row) * countSize
+        const size = large ? buffer.readUInt32BE(index) : buffer.readUInt16BE(index)
+        unpackBits(buffer.subarray(offset, offset + size), plane, row * rowBytes, rowBytes)
+        offset += size
+      }
+      planes.push(plane)
+    }
+  } else {
+    // ZIP-compressed merged images are not written by Photoshop
+    return null
+  }
+  if (offset > buffer.length) {
+    throw new Error('PSD image data is truncated')
+  }
+
+  // 16-bit samples are big-endian; their high byte is kept
+  const step = depth / 8
+  const sample = (plane, pixel) => plane[pixel * step]
+  const data = Buffer.alloc(width * height * 4)
+  for (let pixel = 0; pixel < width * height; pixel++) {
+    const out = pixel * 4
+    if (colorMode === 'rgb') {
+      data[out] = sample(planes[0], pixel)
+      data[out + 1] = sample(planes[1], pixel)
+      data[out + 2] = sample(planes[2], pixel)
+    } else if (colorMode === 'cmyk') {
+      // Stored inverted: 255 is no ink
+      const k = sample(planes[3], pixel)
+      data[out] = Math.round((sample(planes[0], pixel) * k) / 255)
+      data[out + 1] = Math.round((sample(planes[1], pixel) * k) / 255)
+      data[out + 2] = Math.round((sample(planes[2], pixel) * k) / 255)
+    } else {
+      data[out] = data[out + 1] = data[out + 2] = sample(planes[0], pixel)
+    }
+    data[out + 3] = transparent ? sample(planes[colorChannels], pixel) : 255
+  }
+  return { width, height, data, channels: 4 }
+}
+
+/**
+ * Decode a PackBits row into target at offset
+ */
+function unpackBits(source, target, offset, length) {
+  let read = 0
+  let written = 0
+  while (read < source.length && written < length) {
+    const header = source.readInt8(read++)
+    if (header >= 0) {
+      const count = Math.min(header + 1, length - written)
+      source.copy(target, offset + written, read, read + count)
+      read += header + 1
+      written += count
+    } else if (header !== -128) {
+      const count = Math.min(1 - header, length - written)
+      target.fill(source[read++], offset + written, offset + written + count)
+      written += count
+    }
+  }
+}
+
+function isQoi(header) {
+  return startsWith(header, QOI_SIGNATURE)
+}
+
+/**
+ * Decode a QOI image (https://qoiformat.org/qoi-specification.pdf)
+ */
+function decodeQoi(buffer) {
+  const width = buffer.readUInt32BE(4)
+  const height = buffer.readUInt32BE(8)
+  checkResolution(width, height)
+
+  const data = Buffer.alloc(width * height * 4)
+  const index = new Uint8Array(64 * 4)
+  let r = 0
+  let g = 0
+  let b = 0
+  let a = 255
+  let run = 0
+  let position = 14
+  // The last 8 bytes are the end marker
+  const end = buffer.length - 8
+
+  for (let out = 0; out < data.length; out += 4) {
+    if (run > 0) {
+      run--
+    } else if (position < end) {
+      const byte = buffer[position++]
+      if (byte === 0xfe) {
+        r = buffer[position++]
+        g = buffer[position++]
+        b = buffer[position++]
+      } else if (byte === 0xff) {
+        r = buffer[position++]
+        g = buffer[position++]
+        b = buffer[position++]
+        a = buffer[position++]
+      } else if ((byte & 0xc0) === 0x00) {
+        r = index[byte * 4]
+        g = index[byte * 4 + 1]
+        b = index[byte * 4 + 2]
+        a = index[byte * 4 + 3]
+      } else if ((byte & 0xc0) === 0x40) {
+        r = (r + ((byte >> 4) & 0x03) - 2) & 0xff
+        g = (g + ((byte >> 2) & 0x03) - 2) & 0xff
+        b = (b + (byte & 0x03) - 2) & 0xff
+      } else if ((byte & 0xc0) === 0x80) {
+        const next = buffer[position++]
+        const greenDiff = (byte & 0x3f) - 32
+        r = (r + greenDiff - 8 + ((next >> 4) & 0x0f)) & 0xff
+        g = (g + greenDiff) & 0xff
+        b = (b + greenDiff - 8 + (next & 0x0f)) & 0xff
+      } else {
+        run = byte & 0x3f
+      }
+      const slot = ((r * 3 + g * 5 + b * 7 + a * 11) % 64) * 4
+      index[slot] = r
+      index[slot + 1] = g
+      index[slot + 2] = b
+      index[slot + 3] = a
+    }
+    data[out] = r
+    data[out + 1] = g
+    data[out + 2] = b
+    data[out + 3] = a
+  }
+  return { width, height, data, channels: 4 }
+}
+
+/**
+ * ICO files start with zeros, as many files do; only .ico names are read as icons
+ */
+function isIco(header, ext) {
+  return ext === '.ico' && startsWith(header, ICO_SIGNATURE)
+}
+
+/**
+ * @returns {Buffer|null} The largest PNG icon, or null if the icons are all bitmaps
+ */
+function extractIcoPng(buffer) {
+  const count = buffer.readUInt16LE(4)
+  let best = null
+  for (let i = 0; i < count; i++) {
+    const entry = 6 + i * 16
+    if (entry + 16 > buffer.length) break
+    // A width or height of 0 stands for 256
+    const size = (buffer[entry] || 256) * (buffer[entry + 1] || 256)
+    const length = buffer.readUInt32LE(entry + 8)
+    const offset = buffer.readUInt32LE(entry + 12)
+    if (offset + length > buffer.length || !startsWith(buffer, PNG_SIGNATURE, offset)) continue
+    if (!best || size > best.size) best = { size, offset, length }
+  }
+  return best ? buffer.subarray(best.offset, best.offset + best.length) : null
+}
+
+function isRaw(header) {
+  if (startsWith(header, RAF_SIGNATURE)) return true
+  const order = header.toString('latin1', 0, 2)
+  if (header.length < 4 || (order !== 'II' && order !== 'MM')) return false
+  const magic = order === 'II' ? header.readUInt16LE(2) : header.readUInt16BE(2)
+  return TIFF_MAGICS.includes(magic)
+}
+
+/**
+ * Find the largest JPEG preview a camera embedded in a RAW file
+ * @returns {Buffer|null} JPEG file contents, or null if there is none Chromium can show
+ */
+function extractRawPreview(buffer) {
+  const candidates = []
+  if (startsWith(buffer, RAF_SIGNATURE)) {
+    candidates.push({ offset: buffer.readUInt32BE(84), length: buffer.readUInt32BE(88) })
+  } else {
+    candidates.push(...findTiffJpegs(buffer))
+  }
+
+  let best = null
+  for (const { offset, length } of candidates) {
+    if (!length || offset + length > buffer.length) continue
+    const jpeg = buffer.subarray(offset, offset + length)
+    if (isDecodableJpeg(jpeg) && (!best || jpeg.length > best.length)) best = jpeg
+  }
+  return best
+}
+
+/**
+ * Walk the IFDs of a TIFF-based RAW file (and their sub-IFDs) for embedded JPEGs
+ * @returns {Array<Object>} { offset, length } of each
+ */
+function findTiffJpegs(buffer) {
+  const littleEndian = buffer.toString('latin1', 0, 2) === 'II'
+  const u16 = (offset) => (littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset))
+  const u32 = (offset) => (littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset))
+
+  const jpegs = []
+  const queue = [u32(4)]
+  const visited = new Set()
+  while (queue.length > 0 && visited.size < MAX_IFDS) {
+    const ifd = queue.shift()
+    if (!ifd || visited.has(ifd) || ifd + 2 > buffer.length) continue
+    visited.add(ifd)
+
+    const count = u16(ifd)
+    if (ifd + 2 + count * 12 + 4 > buffer.length) continue
+    const tags = new Map()
+    for (let i = 0; i < count; i++) {
+      const entry = ifd + 2 + i * 12
+      tags.set(u16(entry), { count: u32(entry + 4), value: u32(entry + 8), entry })
+    }
+
+    const jpegOffset = tags.get(TAG_JPEG_OFFSET)
+    const jpegLength = tags.get(TAG_JPEG_LENGTH)
+    if (jpegOffset && jpegLength) {
+      jpegs.push({ offset: jpegOffset.value, length: jpegLength.value })
+    }
+    const compression = tags.get(TAG_COMPRESSION)
+    const strips = tags.get(TAG_STRIP_OFFSETS)
+    const stripLengths = tags.get(TAG_STRIP_BYTE_COUNTS)
+    if (
+      compression &&
+      JPEG_COMPRESSIONS.includes(u16(compression.entry + 8)) &&
+      strips?.count === 1 &&
+      stripLengths?.count === 1
+    ) {
+      jpegs.push({ offset: strips.value, length: stripLengths.value })
+    }
+    const rw2Jpeg = tags.get(TAG_RW2_JPEG)
+    if (rw2Jpeg) {
+      jpegs.push({ offset: rw2Jpeg.value, length: rw2Jpeg.count })
+    }
+    const subIfds = tags.get(TAG_SUB_IFDS)
+    if (subIfds) {
+      if (subIfds.count === 1) {
+        queue.push(subIfds.value)
+      } else {
+        for (let i = 0; i < subIfds.count && subIfds.value + i * 4 + 4 <= buffer.length; i++) {
+          queue.push(u32(subIfds.value + i * 4))
+        }
+      }
+    }
+    queue.push(u32(ifd + 2 + count * 12))
+  }
+  return jpegs
+}
+
+/**
+ * Check that a JPEG's frame is one browsers decode; RAW files also hold lossless JPEGs
+ */
+function isDecodableJpeg(jpeg) {
+  if (jpeg.length < 4 || jpeg[0] !== 0xff || jpeg[1] !== 0xd8) return false
+  let offset = 2
+  while (offset + 4 <= jpeg.length) {
+    if (jpeg[offset] !== 0xff) return false
+    const marker = jpeg[offset + 1]
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return DECODABLE_JPEG_FRAMES.includes(marker)
+    }
+    offset += 2 + jpeg.readUInt16BE(offset + 2)
+  }
+  return false
+}
+
+module.exports = {
+  IMAGE_MIME_TYPES,
+  VIDEO_MIME_TYPES,
+  RAW_EXTENSIONS,
+  HEIF_EXTENSIONS,
+  CONVERTED_FORMATS,
+  IMAGE_EXTENSIONS,
+  VIDEO_EXTENSIONS,
+  isJxl,
+  decodeJxl,
+  isHeif,
+  decodeHeif,
+  isPsd,
+  decodePsd,
+  isQoi,
+  decodeQoi,
+  isIco,
+  extractIcoPng,
+  isRaw,
+  extractRawPreview,
+}
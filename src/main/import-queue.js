@@ -0,0 +1,336 @@
+/**
+ * Import Queue - Persistent background queue of archive imports
+ *
+ * Imports used to run inside the IPC call that started them, behind a blocking spinner,
+ * and were lost when the app closed. Jobs now live in import-queue.json and run one at a
+ * time in a worker thread (import-worker.js), so the window stays responsive. A job that
+ * was running when the app closed is queued again on the next start.
+ *
+ * Job states: 'queued', 'running', 'done', 'failed' and 'cancelled'. Every change is
+ * emitted as 'job-updated' with the job.
+ */
+const { EventEmitter } = require('node:events')
+const { Worker } = require('node:worker_threads')
+const crypto = require('node:crypto')
+const fs = require('node:fs').promises
+const path = require('node:path')
+const archivePasswords = require('./archive-passwords')
+const archiveStreamService = require('./archive-stream-service')
+
+const QUEUE_FILE_VERSION = 1
+
+// Finished jobs kept for the queue panel; older ones are dropped
+const MAX_FINISHED_JOBS = 50
+
+const FINISHED_STATES = ['done', 'failed', 'cancelled']
+
+class ImportQueue extends EventEmitter {
+  constructor() {
+    super()
+    this.queuePath = null
+    this.paths = null
+    this.jobs = []
+    this.worker = null
+    this.runningJob = null
+    this.started = false
+    this.stopping = false
+    this.requestPassword = async () => null
+    this.pendingSave = Promise.resolve()
+  }
+
+  /**
+   * Load the saved queue; jobs do not run until start() is called
+   * @param {string} queuePath - Path of import-queue.json
+   * @param {Object} paths - { userData, temp } application paths for the worker
+   */
+  async initialize(queuePath, paths) {
+    this.queuePath = queuePath
+    this.paths = paths
+
+    try {
+      const data = JSON.parse(await fs.readFile(queuePath, 'utf8'))
+      this.jobs = Array.isArray(data.jobs) ? data.jobs : []
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('[IMPORT] Failed to load import queue:', error.message)
+      }
+      this.jobs = []
+    }
+
+    // The app closed while these were running; their partial output is replaced on rerun
+    const interrupted = this.jobs.filter((job) => job.state === 'running')
+    for (const job of interrupted) {
+      Object.assign(job, { state: 'queued', paused: false, progress: null, startedAt: null })
+    }
+    if (interrupted.length > 0) {
+      console.log(`[IMPORT] Requeued ${interrupted.length} interrupted imports`)
+      await this.save()
+    }
+  }
+
+  /**
+   * Start running queued jobs
+   * @param {Function} requestPassword - (details) => Promise<{ password, remember }|null>
+   */
+  start(requestPassword) {
+    this.requestPassword = requestPassword
+    if (this.started) return
+    this.started = true
+    this.runNext()
+  }
+
+  /**
+   * Add jobs to the end of the queue
+   * @param {Array<Object>} requests - { kind: 'process'|'materialize', archivePath,
+   *   archiveHash, name, forceReprocess, options } where options are the processing options
+   *   in effect when the job was queued (repositoryPath, viewMode, preserveFolders, verify,
+   *   maxNestingDepth)
+   * @returns {Promise<Array<Object>>} The new jobs
+   */
+  async enqueue(requests) {
+    const jobs = requests.map((request) => ({
+      id: crypto.randomUUID(),
+      kind: request.kind,
+      archivePath: request.archivePath,
+      archiveHash: request.archiveHash || null,
+      name: request.name || path.basename(request.archivePath),
+      forceReprocess: Boolean(request.forceReprocess),
+      options: request.options,
+      state: 'queued',
+      paused: false,
+      progress: null,
+      error: null,
+      result: null,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+    }))
+
+    this.jobs.push(...jobs)
+    await this.save()
+    for (const job of jobs) this.emit('job-updated', job)
+    console.log(`[IMPORT] Queued ${jobs.length} imports`)
+
+    this.runNext()
+    return jobs
+  }
+
+  getJobs() {
+    return this.jobs
+  }
+
+  getJob(jobId) {
+    return this.jobs.find((job) => job.id === jobId) || null
+  }
+
+  /**
+   * Cancel a queued or running job; a running job is cleaned up by the worker
+   * @param {string} jobId - Job id
+   * @returns {boolean} True if the job could be cancelled
+   */
+  async cancel(jobId) {
+    const job = this.getJob(jobId)
+    if (job?.state === 'queued') {
+      await this.finishJob(job, 'cancelled', { error: null })
+      return true
+    }
+    if (job && job === this.runningJob) {
+      this.worker?.postMessage({ type: 'cancel' })
+      return true
+    }
+    return false
+  }
+
+  pause(jobId) {
+    return this.setPaused(jobId, true)
+  }
+
+  resume(jobId) {
+    return this.setPaused(jobId, false)
+  }
+
+  setPaused(jobId, paused) {
+    const job = this.getJob(jobId)
+    if (!job || job !== this.runningJob || job.paused === paused) return false
+    job.paused = paused
+    this.worker?.postMessage({ type: paused ? 'pause' : 'resume' })
+    this.emit('job-updated', job)
+    return true
+  }
+
+  /**
+   * Queue a failed or cancelled job again
+   * @param {string} jobId - Job id
+   * @param {Object} changes - { forceReprocess } to reprocess an archive imported before
+   * @returns {Promise<Object|null>} The job, or null if it cannot be retried
+   */
+  async retry(jobId, changes = {}) {
+    const job = this.getJob(jobId)
+    if (!job || !FINISHED_STATES.includes(job.state)) return null
+
+    Object.assign(job, {
+      state: 'queued',
+      forceReprocess: job.forceReprocess || Boolean(changes.forceReprocess),
+      progress: null,
+      error: null,
+      result: null,
+      startedAt: null,
+      finishedAt: null,
+    })
+    // Retried jobs go to the back of the queue
+    this.jobs = [...this.jobs.filter((j) => j !== job), job]
+    await this.save()
+    this.emit('job-updated', job)
+    this.runNext()
+    return job
+  }
+
+  /**
+   * Drop finished jobs from the queue
+   * @returns {Promise<Array<Object>>} Remaining jobs
+   */
+  async clearFinished() {
+    this.jobs = this.jobs.filter((job) => !FINISHED_STATES.includes(job.state))
+    await this.save()
+    return this.jobs
+  }
+
+  /**
+   * Stop the worker when the app quits; a running job stays 'running' on disk, so it is
+   * queued again on the next start
+   */
+  async shutdown() {
+    this.stopping = true
+    if (!this.worker) return
+    // Cancelling kills any 7-Zip process the worker started
+    this.worker.postMessage({ type: 'cancel' })
+    await this.worker.terminate()
+  }
+
+  runNext() {
+    if (!this.started || this.stopping || this.runningJob) return
+
+    const job = this.jobs.find((j) => j.state === 'queued')
+    if (!job) return
+
+    Object.assign(job, {
+      state: 'running',
+      paused: false,
+      progress: { processed: 0, total: 0 },
+      startedAt: Date.now(),
+    })
+    this.runningJob = job
+    this.save()
+    this.emit('job-updated', job)
+
+    console.log(`[IMPORT] Starting import: ${job.name}`)
+    this.ensureWorker().postMessage({ type: 'run', job })
+  }
+
+  ensureWorker() {
+    if (this.worker) return this.worker
+
+    const worker = new Worker(path.join(__dirname, 'import-worker.js'), {
+      workerData: { paths: this.paths },
+    })
+    worker.on('message', (message) => this.handleWorkerMessage(worker, message))
+    worker.on('error', (error) => {
+      console.error('[IMPORT] Import worker failed:', error.message)
+    })
+    worker.on('exit', (code) => {
+      this.worker = null
+      if (this.stopping || !this.runningJob) return
+      this.finishJob(this.runningJob, 'failed', {
+        error: `Import worker stopped unexpectedly (exit code ${code})`,
+      })
+    })
+    this.worker = worker
+    return worker
+  }
+
+  handleWorkerMessage(worker, message) {
+    const job = this.runningJob
+    switch (message.type) {
+      case 'log':
+        console[message.level](message.message)
+        break
+      case 'progress':
+        if (!job) return
+        job.progress = { processed: message.processed, total: message.total }
+        this.emit('job-updated', job)
+        break
+      case 'password-request':
+        Promise.resolve(this.requestPassword(message.details))
+          .catch(() => null)
+          .then((answer) => {
+            worker.postMessage({ type: 'password-answer', requestId: message.requestId, answer })
+          })
+        break
+      // The worker's archive passwords are the ones remembered in this process
+      case 'session-passwords-request':
+        archivePasswords.getSessionPasswords().then((passwords) => {
+          worker.postMessage({ type: 'session-passwords', requestId: message.requestId, passwords })
+        })
+        break
+      case 'remember-password':
+        archivePasswords.remember(message.password)
+        break
+      case 'done':
+        if (job) this.finishJob(job, 'done', { result: message.result })
+        break
+      case 'failed':
+        if (job) {
+          this.finishJob(job, message.cancelled ? 'cancelled' : 'failed', {
+            error: message.cancelled ? null : message.error,
+          })
+        }
+        break
+      default:
+        console.warn(`[IMPORT] Unknown message from import worker: ${message.type}`)
+    }
+  }
+
+  async finishJob(job, state, changes) {
+    Object.assign(job, changes, { state, paused: false, finishedAt: Date.now() })
+    if (job === this.runningJob) this.runningJob = null
+    console.log(`[IMPORT] Import ${state}: ${job.name}${job.error ? ` (${job.error})` : ''}`)
+
+    // The archive's images are on disk now; close the readers that served it in place
+    if (job.kind === 'materialize' && state === 'done') {
+      await archiveStreamService.release(job.archivePath).catch(() => {})
+    }
+
+    this.pruneFinishedJobs()
+    await this.save()
+    this.emit('job-updated', job)
+    this.runNext()
+  }
+
+  pruneFinishedJobs() {
+    const finished = this.jobs.filter((job) => FINISHED_STATES.includes(job.state))
+    const excess = new Set(finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS)))
+    if (excess.size > 0) {
+      this.jobs = this.jobs.filter((job) => !excess.has(job))
+    }
+  }
+
+  /**
+   * Write the queue to disk; writes are serialized so an older state never wins, and go
+   * through a temporary file so a crash mid-write cannot truncate the queue
+   */
+  save() {
+    const data = JSON.stringify({ version: QUEUE_FILE_VERSION, jobs: this.jobs }, null, 2)
+    const tempPath = `${this.queuePath}.tmp`
+    this.pendingSave = this.pendingSave
+      .then(async () => {
+        await fs.writeFile(tempPath, data)
+        await fs.rename(tempPath, this.queuePath)
+      })
+      .catch((error) => {
+        console.error('[IMPORT] Failed to save import queue:', error.message)
+      })
+    return this.pendingSave
+  }
+}
+
+module.exports = new ImportQueue()
@@ -0,0 +1,146 @@
+/**
+ * Import Worker - Runs archive imports off the main thread
+ *
+ * Parts of extraction are synchronous (adm-zip, the unrar WebAssembly build), and ran on
+ * the main process's event loop. ImportQueue hands this worker one job at a time; progress,
+ * password prompts and log lines go back as messages, pause and cancel come in as messages.
+ * Remembered archive passwords stay in the main process and are asked for when needed.
+ *
+ * Messages in:  { type: 'run', job }, { type: 'pause' | 'resume' | 'cancel' },
+ *               { type: 'password-answer', requestId, answer },
+ *               { type: 'session-passwords', requestId, passwords }
+ * Messages out: { type: 'progress', processed, total }, { type: 'done', result },
+ *               { type: 'failed', error, cancelled }, { type: 'password-request', requestId,
+ *               details }, { type: 'session-passwords-request', requestId },
+ *               { type: 'remember-password', password }, { type: 'log', level, message }
+ */
+const { parentPort, workerData } = require('node:worker_threads')
+const archivePasswords = require('./archive-passwords')
+const archiveService = require('./archive-service')
+const ExtractionControl = require('./extraction-control')
+
+const pendingPasswordRequests = new Map() // requestId => resolve
+let nextPasswordRequestId = 1
+let control = null
+
+// Worker output bypasses the main process's console, and with it the debug log
+for (const level of ['log', 'warn', 'error']) {
+  console[level] = (...args) => {
+    const message = args
+      .map((a) => {
+        try {
+          return typeof a === 'object' ? JSON.stringify(a) : String(a)
+        } catch {
+          return String(a)
+        }
+      })
+      .join(' ')
+    parentPort.postMessage({ type: 'log', level, message })
+  }
+}
+
+// The main process checked and backed up the catalogue before starting the worker
+archivePasswords.useSessionStore({
+  getPasswords: () => askMainProcess({ type: 'session-passwords-request' }),
+  remember: (password) => parentPort.postMessage({ type: 'remember-password', password }),
+})
+
+const ready = archiveService.initialize(
+  { getPath: (name) => workerData.paths[name] },
+  { maintainCatalog: false }
+)
+
+parentPort.on('message', (message) => {
+  switch (message.type) {
+    case 'run':
+      runJob(message.job)
+      break
+    case 'pause':
+      control?.pause()
+      break
+    case 'resume':
+      control?.resume()
+      break
+    case 'cancel':
+      control?.cancel()
+      break
+    case 'password-answer': {
+      const resolve = pendingPasswordRequests.get(message.requestId)
+      pendingPasswordRequests.delete(message.requestId)
+      resolve?.(message.answer || null)
+      break
+    }
+    case 'session-passwords': {
+      const resolve = pendingPasswordRequests.get(message.requestId)
+      pendingPasswordRequests.delete(message.requestId)
+      resolve?.(message.passwords || [])
+      break
+    }
+  }
+})
+
+async function runJob(job) {
+  control = new ExtractionControl()
+  const { repositoryPath, ...processingOptions } = job.options
+  const options = {
+    ...processingOptions,
+    control,
+    requestPassword,
+  }
+  const progressCallback = (processed, total) => {
+    parentPort.postMessage({ type: 'progress', processed, total })
+  }
+
+  try {
+    await ready
+    const result =
+      job.kind === 'materialize'
+        ? await archiveService.materializeArchive(
+            job.archiveHash,
+            repositoryPath,
+            progressCallback,
+            options
+          )
+        : await archiveService.processArchive(
+            job.archivePath,
+            repositoryPath,
+            progressCallback,
+            job.forceReprocess,
+            options
+          )
+
+    parentPort.postMessage({
+      type: 'done',
+      result: {
+        hash: result.metadata.hash,
+        name: result.metadata.name,
+        imageCount: result.extractedFiles.length,
+        alreadyProcessed: Boolean(result.alreadyProcessed),
+        integrityStatus: result.metadata.integrity?.status || null,
+      },
+    })
+  } catch (error) {
+    parentPort.postMessage({
+      type: 'failed',
+      error: error.message,
+      cancelled: ExtractionControl.isCancellation(error),
+    })
+  } finally {
+    control = null
+  }
+}
+
+function requestPassword(details) {
+  return askMainProcess({ type: 'password-request', details })
+}
+
+/**
+ * Post a request to the main process and wait for the reply with its requestId
+ */
+function askMainProcess(message) {
+  const requestId = nextPasswordRequestId++
+  return new Promise((resolve) => {
+    pendingPasswordRequests.set(requestId, resolve)
+    parentPort.postMessage({ ...message, requestId })
+  })
+}
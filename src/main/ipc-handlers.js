@@ -1,15 +1,56 @@
 /**
  * IPC Handlers - Handles all IPC communication between main and renderer processes
  */
+const ExtractionControl = require('./extraction-control')
+const galleryProtocol = require('./gallery-protocol')
+const imageFormats = require('./image-formats')
+
+// Images and video clips the open dialog offers (no leading dot)
+const IMAGE_DIALOG_EXTENSIONS = imageFormats.IMAGE_EXTENSIONS.map((ext) => ext.slice(1))
+const VIDEO_DIALOG_EXTENSIONS = imageFormats.VIDEO_EXTENSIONS.map((ext) => ext.slice(1))
+
+// Archives accepted by one enqueue call
+const MAX_ENQUEUED_ARCHIVES = 1000
+
+// Dropped files whose folders one drop may open to gallery://
+const MAX_DROPPED_PATHS = 10000
+
+// Images accepted by one delete call (a near-duplicate review action)
+const MAX_DELETED_IMAGES = 1000
+
+// Gallery view settings the renderer may change (see set-view-settings)
+const GALLERY_LAYOUTS = ['justified', 'masonry', 'grid']
+const MIN_THUMBNAIL_SIZE = 100
+const MAX_THUMBNAIL_SIZE = 400
+
+// Reader mode settings saved per archive (see set-reader-settings)
+const READER_PAGE_MODES = ['single', 'spread', 'webtoon']
+const READING_DIRECTIONS = ['ltr', 'rtl']
+
+// Slideshow settings (seconds per page)
+const SLIDESHOW_TRANSITIONS = ['none', 'crossfade', 'slide']
+const MIN_SLIDESHOW_INTERVAL = 1
+const MAX_SLIDESHOW_INTERVAL = 300
+
 class IPCHandlers {
-  constructor(appConfig, secureFs, archiveService, debugLogPath) {
+  constructor(appConfig, secureFs, archiveService, importQueue, debugLogPath) {
     this.appConfig = appConfig
     this.secureFs = secureFs
     this.archiveService = archiveService
+    this.importQueue = importQueue
     this.debugLogPath = debugLogPath
+    this.pendingPasswordRequests = new Map() // requestId => resolve
+    this.activeControls = new Set() // ExtractionControl of each running archive check
   }
 
   setupHandlers(ipcMain, mainWindow) {
+    // Import jobs report every state and progress change to the window
+    this.importQueue.on('job-updated', (job) => {
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('import-job-updated', job)
+      }
+    })
+
     // File selection handlers
     ipcMain.handle('select-files', async () => {
       console.log('[DEBUG] IPC select-files called')
@@ -23,28 +64,22 @@ class IPCHandlers {
           {
             name: 'All Supported Files',
             extensions: [
-              'jpg',
-              'jpeg',
-              'png',
-              'gif',
-              'webp',
-              'bmp',
-              'tif',
-              'tiff',
-              'svg',
-              'avif',
-              'zip',
-              'rar',
-              '7z',
+              ...IMAGE_DIALOG_EXTENSIONS,
+              ...VIDEO_DIALOG_EXTENSIONS,
+              ...this.getArchiveDialogExtensions(),
             ],
           },
           {
             name: 'Images',
-            extensions: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp', 'tif', 'tiff', 'svg', 'avif'],
+            extensions: IMAGE_DIALOG_EXTENSIONS,
+          },
+          {
+            name: 'Videos',
+            extensions: VIDEO_DIALOG_EXTENSIONS,
           },
           {
             name: 'Archives',
-            extensions: ['zip', 'rar', '7z'],
+            extensions: this.getArchiveDialogExtensions(),
           },
         ],
       })
@@ -66,6 +101,37 @@ class IPCHandlers {
       return result.filePaths
     })
 
+    // Asked once by the preload script, so the renderer knows the same formats as this process
+    ipcMain.on('get-supported-formats', (event) => {
+      event.returnValue = this.validateSender(event, mainWindow)
+        ? {
+            images: imageFormats.IMAGE_EXTENSIONS,
+            videos: imageFormats.VIDEO_EXTENSIONS,
+            converted: imageFormats.CONVERTED_FORMATS,
+            archives: this.archiveService.getSupportedArchiveExtensions(),
+          }
+        : null
+    })
+
+    // Sent by the preload script for files the user dropped on the window
+    ipcMain.on('allow-dropped-paths', (event, paths) => {
+      event.returnValue = false
+      if (!this.validateSender(event, mainWindow) || !Array.isArray(paths)) return
+
+      const fsNative = require('node:fs')
+      const path = require('node:path')
+      for (const droppedPath of paths.slice(0, MAX_DROPPED_PATHS)) {
+        if (typeof droppedPath !== 'string' || !path.isAbsolute(droppedPath)) continue
+        try {
+          const isDirectory = fsNative.statSync(droppedPath).isDirectory()
+          this.secureFs.addAllowedDirectory(isDirectory ? droppedPath : path.dirname(droppedPath))
+        } catch (error) {
+          console.warn('[SECURITY] Could not allow dropped path:', error.message)
+        }
+      }
+      event.returnValue = true
+    })
+
     ipcMain.handle('select-directory', async () => {
       const { dialog } = require('electron')
       const result = await dialog.showOpenDialog(mainWindow, {
@@ -80,52 +146,7 @@ class IPCHandlers {
       return result.canceled ? null : result.filePaths[0] || null
     })
 
-    // File reading handlers
-    ipcMain.handle('read-file', async (event, filePath) => {
-      // SECURITY: Validate IPC sender to prevent unauthorized access
-      if (!this.validateSender(event, mainWindow)) {
-        throw new Error('Unauthorized IPC sender')
-      }
-
-      const path = require('node:path')
-      const { performance } = require('node:perf_hooks')
-
-      try {
-        const displayName = typeof filePath === 'string' ? path.basename(filePath) : '<invalid>'
-        console.log(`[DEBUG] IPC read-file called for: ${displayName}`)
-        const startTime = performance.now()
-
-        // SECURITY: Basic path sanitization for reading (permissive)
-        // Users can read files from ANYWHERE on their system
-        const sanitizedPath = this.secureFs.sanitizeFilePath(filePath)
-        // Get file stats first for size check
-        const stats = await this.secureFs.stat(sanitizedPath)
-        const maxFileSizeBytes = this.appConfig.maxFileSizeMB * 1024 * 1024
-        if (stats.size > maxFileSizeBytes) {
-          throw new Error(
-            `File too large: ${(stats.size / (1024 * 1024)).toFixed(2)} MB (limit: ${this.appConfig.maxFileSizeMB} MB)`
-          )
-        }
-
-        // Read file (after validation)
-        const buffer = await this.secureFs.readFile(sanitizedPath)
-        // TOCTOU: ensure file didn't grow beyond limit after read
-        if (buffer.length > maxFileSizeBytes) {
-          throw new Error(
-            `File too large after read (possible change during operation): ${(buffer.length / (1024 * 1024)).toFixed(2)} MB`
-          )
-        }
-        const readTime = performance.now() - startTime
-        console.log(
-          `[DEBUG] File read completed in ${readTime.toFixed(2)}ms, size: ${(buffer.length / 1024).toFixed(2)}KB`
-        )
-        return buffer
-      } catch (error) {
-        console.error(`[ERROR] Failed to read file:`, error.message)
-        throw new Error(`Failed to read file: ${error.message}`)
-      }
-    })
-
+    // File reading handlers (image bytes are only served through gallery://)
     ipcMain.handle('get-file-stats', async (event, filePath) => {
       // SECURITY: Validate IPC sender to prevent unauthorized access
       if (!this.validateSender(event, mainWindow)) {
@@ -160,6 +181,39 @@ class IPCHandlers {
       }
     })
 
+    ipcMain.handle('get-thumbnail', async (event, extractedPath, width) => {
+      // SECURITY: Validate IPC sender to prevent unauthorized access
+      if (!this.validateSender(event, mainWindow)) {
+        throw new Error('Unauthorized IPC sender')
+      }
+
+      try {
+        if (typeof width !== 'number' || !(width > 0)) {
+          throw new Error('Invalid thumbnail width')
+        }
+        // The service only makes thumbnails of images the catalogue lists
+        const sanitizedPath = this.secureFs.sanitizeFilePath(extractedPath)
+        const thumbnail = await this.archiveService.getThumbnail(
+          sanitizedPath,
+          width,
+          this.getRepositoryPath()
+        )
+        if (!thumbnail) return null
+        return {
+          url: galleryProtocol.toImageUrl(thumbnail.path),
+          sources: thumbnail.sources.map((source) => ({
+            width: source.width,
+            url: galleryProtocol.toImageUrl(source.path),
+          })),
+          width: thumbnail.width,
+          height: thumbnail.height,
+        }
+      } catch (error) {
+        console.error(`[ERROR] Failed to get thumbnail:`, error.message)
+        throw new Error(`Failed to get thumbnail: ${error.message}`)
+      }
+    })
+
     // Debug and config handlers
     ipcMain.handle('get-debug-log-path', async () => {
       console.log(`[DEBUG] Returning debug log path: ${this.debugLogPath}`)
@@ -171,6 +225,80 @@ class IPCHandlers {
       return { ...this.appConfig }
     })
 
+    ipcMain.handle('get-view-settings', async () => {
+      return this.getViewSettings()
+    })
+
+    ipcMain.handle('set-view-settings', async (event, settings) => {
+      // SECURITY: Validate IPC sender
+      if (!this.validateSender(event, mainWindow)) {
+        throw new Error('Unauthorized IPC sender')
+      }
+
+      const {
+        galleryLayout,
+        thumbnailSize,
+        slideshowInterval,
+        slideshowShuffle,
+        slideshowLoop,
+        slideshowTransition,
+      } = settings || {}
+      if (galleryLayout !== undefined && !GALLERY_LAYOUTS.includes(galleryLayout)) {
+        throw new Error('Invalid gallery layout')
+      }
+      if (
+        thumbnailSize !== undefined &&
+        !(
+          Number.isInteger(thumbnailSize) &&
+          thumbnailSize >= MIN_THUMBNAIL_SIZE &&
+          thumbnailSize <= MAX_THUMBNAIL_SIZE
+        )
+      ) {
+        throw new Error('Invalid thumbnail size')
+      }
+      if (
+        slideshowInterval !== undefined &&
+        !(
+          Number.isInteger(slideshowInterval) &&
+          slideshowInterval >= MIN_SLIDESHOW_INTERVAL &&
+          slideshowInterval <= MAX_SLIDESHOW_INTERVAL
+        )
+      ) {
+        throw new Error('Invalid slideshow interval')
+      }
+      if (
+        (slideshowShuffle !== undefined && typeof slideshowShuffle !== 'boolean') ||
+        (slideshowLoop !== undefined && typeof slideshowLoop !== 'boolean')
+      ) {
+        throw new Error('Invalid slideshow setting')
+      }
+      if (
+        slideshowTransition !== undefined &&
+        !SLIDESHOW_TRANSITIONS.includes(slideshowTransition)
+      ) {
+        throw new Error('Invalid slideshow transition')
+      }
+
+      if (galleryLayout !== undefined) this.appConfig.galleryLayout = galleryLayout
+      if (thumbnailSize !== undefined) this.appConfig.thumbnailSize = thumbnailSize
+      if (slideshowInterval !== undefined) this.appConfig.slideshowInterval = slideshowInterval
+      if (slideshowShuffle !== undefined) this.appConfig.slideshowShuffle = slideshowShuffle
+      if (slideshowLoop !== undefined) this.appConfig.slideshowLoop = slideshowLoop
+      if (slideshowTransition !== undefined) {
+        this.appConfig.slideshowTransition = slideshowTransition
+      }
+      try {
+        await require('./settings-manager').saveConfig()
+        console.log('[CONFIG] Saved view settings:', this.getViewSettings())
+      } catch (error) {
+        console.error('[CONFIG] Failed to save config:', error)
+        throw new Error(`Failed to save view settings: ${error.message}`)
+      }
+      // Settings changed from the keyboard show in the View menu too
+      require('./menu-manager').updateSlideshowItems(this.appConfig)
+      return this.getViewSettings()
+    })
+
     ipcMain.handle('set-image-repository-path', async (event) => {
       // SECURITY: Validate IPC sender
       if (!this.validateSender(event, mainWindow)) {
@@ -276,7 +404,15 @@ class IPCHandlers {
         filters: [
           {
             name: 'Archives',
-            extensions: ['zip', 'rar', '7z'],
+            extensions: this.getArchiveDialogExtensions(),
+          },
+          {
+            name: 'Tarballs',
+            extensions: this.getArchiveDialogExtensions({ family: 'tar' }),
+          },
+          {
+            name: 'Comic Book Archives',
+            extensions: this.getArchiveDialogExtensions({ comicBook: true }),
           },
         ],
       })
@@ -298,49 +434,71 @@ class IPCHandlers {
       return result.filePaths
     })
 
-    ipcMain.handle('process-archive', async (event, archivePath, forceReprocess = false) => {
+    ipcMain.handle('enqueue-archives', async (event, archivePaths, forceReprocess = false) => {
       // SECURITY: Validate IPC sender to prevent unauthorized access
       if (!this.validateSender(event, mainWindow)) {
         throw new Error('Unauthorized IPC sender')
       }
 
-      const { app } = require('electron')
-      const path = require('node:path')
-      const { performance } = require('node:perf_hooks')
-
       try {
+        if (!Array.isArray(archivePaths) || archivePaths.length > MAX_ENQUEUED_ARCHIVES) {
+          throw new Error('Invalid archive list')
+        }
         console.log(
-          `[DEBUG] IPC process-archive called for: ${archivePath}, forceReprocess: ${forceReprocess}`
+          `[DEBUG] IPC enqueue-archives called for ${archivePaths.length} archives, forceReprocess: ${forceReprocess}`
         )
-        const startTime = performance.now()
 
         // SECURITY: Basic path sanitization for reading
         // Users can process archives from ANYWHERE on their system
-        const sanitizedArchivePath = this.secureFs.sanitizeFilePath(archivePath)
-        // Get current repository path for extraction
-        const repositoryPath =
-          this.appConfig.imageRepositoryPath || path.join(app.getPath('userData'), 'images')
-
-        const result = await this.archiveService.processArchive(
-          sanitizedArchivePath,
-          repositoryPath,
-          (processed, total) => {
-            // Send progress updates to renderer
-            if (!event.sender.isDestroyed()) {
-              event.sender.send('archive-progress', { processed, total })
-            }
-          },
-          forceReprocess
+        const options = this.getImportOptions()
+        return await this.importQueue.enqueue(
+          archivePaths.map((archivePath) => ({
+            kind: 'process',
+            archivePath: this.secureFs.sanitizeFilePath(archivePath),
+            forceReprocess: forceReprocess === true,
+            options,
+          }))
         )
+      } catch (error) {
+        console.error(`[ERROR] Failed to queue archives:`, error.message)
+        throw new Error(`Failed to queue archives: ${error.message}`)
+      }
+    })
 
-        const processTime = performance.now() - startTime
-        console.log(`[DEBUG] Archive processing completed in ${processTime.toFixed(2)}ms`)
+    ipcMain.handle('get-import-jobs', (event) => {
+      // SECURITY: Validate IPC sender to prevent unauthorized access
+      if (!this.validateSender(event, mainWindow)) {
+        throw new Error('Unauthorized IPC sender')
+      }
 
-        return result
-      } catch (error) {
-        console.error(`[ERROR] Failed to process archive:`, error.message)
-        throw new Error(`Failed to process archive: ${error.message}`)
+      // The renderer is listening now, so a resumed job can ask for its password
+      this.importQueue.start((details) =>
+        this.requestArchivePassword(mainWindow.webContents, details)
+      )
+      return this.importQueue.getJobs()
+    })
+
+    ipcMain.handle('retry-import-job', async (event, jobId, forceReprocess = false) => {
+      // SECURITY: Validate IPC sender to prevent unauthorized access
+      if (!this.validateSender(event, mainWindow)) {
+        throw new Error('Unauthorized IPC sender')
+      }
+
+      this.validateJobId(jobId)
+      const job = await this.importQueue.retry(jobId, { forceReprocess: forceReprocess === true })
+      if (!job) {
+        throw new Error('Import cannot be retried')
       }
+      return job
+    })
+
+    ipcMain.handle('clear-finished-import-jobs', async (event) => {
+      // SECURITY: Validate IPC sender to prevent unauthorized access
+      if (!this.validateSender(event, mainWindow)) {
+        throw new Error('Unauthorized IPC sender')
+      }
+
+      return await this.importQueue.clearFinished()
     })
 
     ipcMain.handle('get-processed-archives', async () => {
@@ -352,6 +510,21 @@ class IPCHandlers {
       }
     })
 
+    ipcMain.handle('search-processed-archives', async (event, query) => {
+      // SECURITY: Validate IPC sender to prevent unauthorized access
+      if (!this.validateSender(event, mainWindow)) {
+        throw new Error('Unauthorized IPC sender')
+      }
+
+      try {
+        const normalizedQuery = typeof query === 'string' ? query.slice(0, 200) : ''
+        return await this.archiveService.searchArchives(normalizedQuery)
+      } catch (error) {
+        console.error(`[ERROR] Failed to search processed archives:`, error.message)
+        return []
+      }
+    })
+
     ipcMain.handle('load-processed-archive', async (event, archiveHash) => {
       // SECURITY: Validate IPC sender to prevent unauthorized access
       if (!this.validateSender(event, mainWindow)) {
@@ -360,13 +533,7 @@ class IPCHandlers {
 
       try {
         // SECURITY: Validate archive hash format to prevent path traversal
-        if (
-          !archiveHash ||
-          typeof archiveHash !== 'string' ||
-          !/^[a-f0-9]{64}$/.test(archiveHash)
-        ) {
-          throw new Error('Invalid archive hash format')
-        }
+        this.validateArchiveHash(archiveHash)
 
         console.log(`[DEBUG] IPC load-processed-archive called for hash: ${archiveHash}`)
 
@@ -376,11 +543,20 @@ class IPCHandlers {
           throw new Error('Archive not found')
         }
 
-        // Check if extraction directory still exists
-        try {
-          await this.secureFs.access(archive.extractDir, require('node:fs').constants.R_OK)
-        } catch {
-          throw new Error('Archive extraction directory no longer exists')
+        if (archive.viewMode === 'stream') {
+          // View-in-place archives are read from the original file
+          try {
+            await this.secureFs.access(archive.path, require('node:fs').constants.R_OK)
+          } catch {
+            throw new Error('Archive file no longer exists')
+          }
+        } else {
+          // Check if extraction directory still exists
+          try {
+            await this.secureFs.access(archive.extractDir, require('node:fs').constants.R_OK)
+          } catch {
+            throw new Error('Archive extraction directory no longer exists')
+          }
         }
 
         // Use stored extractedFiles list instead of rescanning directory
@@ -396,6 +572,210 @@ class IPCHandlers {
       }
     })
 
+    ipcMain.handle('materialize-archive', async (event, archiveHash) => {
+      // SECURITY: Validate IPC sender to prevent unauthorized access
+      if (!this.validateSender(event, mainWindow)) {
+        throw new Error('Unauthorized IPC sender')
+      }
+
+      try {
+        this.validateArchiveHash(archiveHash)
+        console.log(`[DEBUG] IPC materialize-archive called for hash: ${archiveHash}`)
+
+        const archive = await this.archiveService.getArchiveByHash(archiveHash)
+        if (!archive?.path) {
+          throw new Error('Archive not found')
+        }
+        const [job] = await this.importQueue.enqueue([
+          {
+            kind: 'materialize',
+            archivePath: archive.path,
+            archiveHash,
+            name: archive.name,
+            options: this.getImportOptions(),
+          },
+        ])
+        return job
+      } catch (error) {
+        console.error(`[ERROR] Failed to keep archive files:`, error.message)
+        throw new Error(`Failed to keep archive files: ${error.message}`)
+      }
+    })
+
+    ipcMain.handle('get-reader-settings', async (event, archiveHash) => {
+      // SECURITY: Validate IPC sender to prevent unauthorized access
+      if (!this.validateSender(event, mainWindow)) {
+        throw new Error('Unauthorized IPC sender')
+      }
+
+      try {
+        this.validateArchiveHash(archiveHash)
+        return await this.archiveService.getReaderSettings(archiveHash)
+      } catch (error) {
+        console.error(`[ERROR] Failed to get reader settings:`, error.message)
+        throw new Error(`Failed to get reader settings: ${error.message}`)
+      }
+    })
+
+    ipcMain.handle('set-reader-settings', async (event, archiveHash, settings) => {
+      // SECURITY: Validate IPC sender to prevent unauthorized access
+      if (!this.validateSender(event, mainWindow)) {
+        throw new Error('Unauthorized IPC sender')
+      }
+
+      try {
+        this.validateArchiveHash(archiveHash)
+        const { pageMode, direction, coverOffset } = settings || {}
+        if (!READER_PAGE_MODES.includes(pageMode)) {
+          throw new Error('Invalid page mode')
+        }
+        if (!READING_DIRECTIONS.includes(direction)) {
+          throw new Error('Invalid reading direction')
+        }
+        if (typeof coverOffset !== 'boolean') {
+          throw new Error('Invalid cover offset')
+        }
+        await this.archiveService.setReaderSettings(archiveHash, {
+          pageMode,
+          direction,
+          coverOffset,
+        })
+      } catch (error) {
+        console.error(`[ERROR] Failed to save reader settings:`, error.message)
+        throw new Error(`Failed to save reader settings: ${error.message}`)
+      }
+    })
+
+    ipcMain.handle('verify-archive', async (event, archiveHash) => {
+      // SECURITY: Validate IPC sender to prevent unauthorized access
+      if (!this.validateSender(event, mainWindow)) {
+        throw new Error('Unauthorized IPC sender')
+      }
+
+      try {
+        this.validateArchiveHash(archiveHash)
+        console.log(`[DEBUG] IPC verify-archive called for hash: ${archiveHash}`)
+
+        return await this.withExtractionControl((control) =>
+          this.archiveService.verifyArchive(archiveHash, {
+            requestPassword: (details) => this.requestArchivePassword(event.sender, details),
+            control,
+          })
+        )
+      } catch (error) {
+        console.error(`[ERROR] Failed to verify archive:`, error.message)
+        throw new Error(`Failed to verify archive: ${error.message}`)
+      }
+    })
+
+    ipcMain.handle('find-shared-images', async (event) => {
+      // SECURITY: Validate IPC sender to prevent unauthorized access
+      if (!this.validateSender(event, mainWindow)) {
+        throw new Error('Unauthorized IPC sender')
+      }
+
+      try {
+        console.log('[DEBUG] IPC find-shared-images called')
+        return await this.withExtractionControl((control) =>
+          this.archiveService.findSharedImages({ control })
+        )
+      } catch (error) {
+        console.error(`[ERROR] Failed to find shared images:`, error.message)
+        throw new Error(`Failed to find shared images: ${error.message}`)
+      }
+    })
+
+    ipcMain.handle('find-near-duplicates', async (event) => {
+      // SECURITY: Validate IPC sender to prevent unauthorized access
+      if (!this.validateSender(event, mainWindow)) {
+        throw new Error('Unauthorized IPC sender')
+      }
+
+      try {
+        console.log('[DEBUG] IPC find-near-duplicates called')
+        return await this.withExtractionControl((control) =>
+          this.archiveService.findNearDuplicates({ control })
+        )
+      } catch (error) {
+        console.error(`[ERROR] Failed to find near-duplicates:`, error.message)
+        throw new Error(`Failed to find near-duplicates: ${error.message}`)
+      }
+    })
+
+    ipcMain.handle('delete-images', async (event, extractedPaths) => {
+      // SECURITY: Validate IPC sender to prevent unauthorized access
+      if (!this.validateSender(event, mainWindow)) {
+        throw new Error('Unauthorized IPC sender')
+      }
+
+      try {
+        if (
+          !Array.isArray(extractedPaths) ||
+          extractedPaths.length === 0 ||
+          extractedPaths.length > MAX_DELETED_IMAGES
+        ) {
+          throw new Error('Invalid image list')
+        }
+        // SECURITY: Deleting is writing; only inside approved directories, and the service
+        // only deletes images the catalogue lists
+        for (const extractedPath of extractedPaths) {
+          this.secureFs.validateWritePath(extractedPath)
+        }
+        console.log(`[DEBUG] IPC delete-images called for ${extractedPaths.length} images`)
+        return await this.archiveService.deleteImages(extractedPaths)
+      } catch (error) {
+        console.error(`[ERROR] Failed to delete images:`, error.message)
+        throw new Error(`Failed to delete images: ${error.message}`)
+      }
+    })
+
+    ipcMain.handle('cancel-archive-processing', async (event, jobId = null) => {
+      // SECURITY: Validate IPC sender to prevent unauthorized access
+      if (!this.validateSender(event, mainWindow)) {
+        throw new Error('Unauthorized IPC sender')
+      }
+
+      console.log(`[DEBUG] IPC cancel-archive-processing called for job: ${jobId || 'all'}`)
+      return await this.controlExtractions(jobId, 'cancel')
+    })
+
+    ipcMain.handle('pause-archive-processing', async (event, jobId = null) => {
+      // SECURITY: Validate IPC sender to prevent unauthorized access
+      if (!this.validateSender(event, mainWindow)) {
+        throw new Error('Unauthorized IPC sender')
+      }
+
+      console.log(`[DEBUG] IPC pause-archive-processing called for job: ${jobId || 'all'}`)
+      return await this.controlExtractions(jobId, 'pause')
+    })
+
+    ipcMain.handle('resume-archive-processing', async (event, jobId = null) => {
+      // SECURITY: Validate IPC sender to prevent unauthorized access
+      if (!this.validateSender(event, mainWindow)) {
+        throw new Error('Unauthorized IPC sender')
+      }
+
+      console.log(`[DEBUG] IPC resume-archive-processing called for job: ${jobId || 'all'}`)
+      return await this.controlExtractions(jobId, 'resume')
+    })
+
+    ipcMain.handle('submit-archive-password', (event, requestId, answer) => {
+      // SECURITY: Validate IPC sender to prevent unauthorized access
+      if (!this.validateSender(event, mainWindow)) {
+        throw new Error('Unauthorized IPC sender')
+      }
+
+      const resolve = this.pendingPasswordRequests.get(requestId)
+      if (!resolve) {
+        throw new Error('Unknown password request')
+      }
+      this.pendingPasswordRequests.delete(requestId)
+
+      // null (or anything malformed) cancels the prompt
+      const password = typeof answer?.password === 'string' ? answer.password.slice(0, 1024) : ''
+      resolve(password ? { password, remember: answer.remember === true } : null)
+    })
+
     // Window control handlers
     ipcMain.handle('minimize-window', (event) => {
       if (!this.validateSender(event, mainWindow)) {
@@ -432,6 +812,140 @@ class IPCHandlers {
     })
   }
 
+  /**
+   * Repository directory that archives are extracted into
+   * @returns {string} Absolute repository path
+   */
+  getRepositoryPath() {
+    const { app } = require('electron')
+    const path = require('node:path')
+    return this.appConfig.imageRepositoryPath || path.join(app.getPath('userData'), 'images')
+  }
+
+  /**
+   * How the gallery is shown, as the renderer remembers it between sessions
+   */
+  getViewSettings() {
+    return {
+      galleryLayout: this.appConfig.galleryLayout,
+      thumbnailSize: this.appConfig.thumbnailSize,
+      preloadPagesAhead: this.appConfig.preloadPagesAhead,
+      preloadPagesBehind: this.appConfig.preloadPagesBehind,
+      preloadMemoryMB: this.appConfig.preloadMemoryMB,
+      slideshowInterval: this.appConfig.slideshowInterval,
+      slideshowShuffle: this.appConfig.slideshowShuffle,
+      slideshowLoop: this.appConfig.slideshowLoop,
+      slideshowTransition: this.appConfig.slideshowTransition,
+    }
+  }
+
+  /**
+   * Processing options for a new import job, taken from the settings in effect now
+   * @returns {Object} { repositoryPath, viewMode, preserveFolders, verify, maxNestingDepth }
+   */
+  getImportOptions() {
+    return {
+      repositoryPath: this.getRepositoryPath(),
+      viewMode: this.appConfig.archiveViewMode,
+      preserveFolders: this.appConfig.preserveArchiveFolders,
+      verify: this.appConfig.verifyArchivesOnImport,
+      maxNestingDepth: this.appConfig.nestedArchiveMaxDepth,
+    }
+  }
+
+  /**
+   * Run archive work in the main process with a control the cancel and pause channels
+   * can reach (imports run in the import queue and are controlled there)
+   * @param {Function} task - (control) => Promise
+   * @returns {Promise<*>} Result of the task
+   */
+  async withExtractionControl(task) {
+    const control = new ExtractionControl()
+    this.activeControls.add(control)
+    try {
+      return await task(control)
+    } finally {
+      this.activeControls.delete(control)
+    }
+  }
+
+  /**
+   * Cancel, pause or resume archive work. A jobId is routed to the import queue; without
+   * one the action applies to every running archive check (activeControls), since there is
+   * only one window to start them.
+   * @param {string|null} jobId - Import job id, or null for the running archive checks
+   * @param {string} action - 'cancel', 'pause' or 'resume'
+   * @returns {Promise<boolean>} True if the job took the action, or if an archive check
+   *   was running
+   */
+  async controlExtractions(jobId, action) {
+    if (jobId !== null) {
+      this.validateJobId(jobId)
+      return await this.importQueue[action](jobId)
+    }
+    for (const control of this.activeControls) {
+      control[action]()
+    }
+    return this.activeControls.size > 0
+  }
+
+  /**
+   * Ask the renderer for an archive password; resolves once the user answers
+   * @param {WebContents} sender - Renderer that started the archive processing
+   * @param {Object} details - { archiveName, attempt, incorrect }
+   * @returns {Promise<Object|null>} { password, remember } or null if cancelled
+   */
+  requestArchivePassword(sender, details) {
+    if (sender.isDestroyed()) return Promise.resolve(null)
+
+    const crypto = require('node:crypto')
+    const requestId = crypto.randomUUID()
+
+    return new Promise((resolve) => {
+      this.pendingPasswordRequests.set(requestId, resolve)
+      // Never leave archive processing waiting on a window that is gone
+      sender.once('destroyed', () => {
+        if (this.pendingPasswordRequests.delete(requestId)) resolve(null)
+      })
+      sender.send('archive-password-request', { requestId, ...details })
+    })
+  }
+
+  /**
+   * SECURITY: Validate archive hash format to prevent path traversal
+   * @param {string} archiveHash - SHA-256 hex digest
+   */
+  validateArchiveHash(archiveHash) {
+    if (!archiveHash || typeof archiveHash !== 'string' || !/^[a-f0-9]{64}$/.test(archiveHash)) {
+      throw new Error('Invalid archive hash format')
+    }
+  }
+
+  /**
+   * SECURITY: Validate import job id format
+   * @param {string} jobId - UUID assigned by the import queue
+   */
+  validateJobId(jobId) {
+    if (typeof jobId !== 'string' || !/^[0-9a-f-]{36}$/.test(jobId)) {
+      throw new Error('Invalid import job id')
+    }
+  }
+
+  /**
+   * Archive extensions for file dialog filters (no leading dot). Multi-part extensions stay
+   * whole: offering their last segment would list every .gz, .bz2 and .xz file.
+   * @param {Object} [options] - { family, comicBook } to narrow the list (see
+   *   ArchiveExtractors.getSupportedExtensions)
+   * @returns {Array<string>} Extensions
+   */
+  getArchiveDialogExtensions(options) {
+    const extensions = this.archiveService
+      .getSupportedArchiveExtensions(options)
+      .map((ext) => ext.slice(1))
+      .filter(Boolean)
+    return Array.from(new Set(extensions))
+  }
+
   validateSender(event, mainWindow) {
     // Validate that the sender is the main window's webContents
     // This prevents unauthorized access from untrusted iframes or other web frames
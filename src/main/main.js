@@ -1,9 +1,11 @@
-const { app, BrowserWindow } = require('electron')
+const { app, BrowserWindow, dialog } = require('electron')
 const path = require('node:path')
 const fs = require('node:fs').promises
 const os = require('node:os')
 const secureFs = require('./secure-fs')
 const archiveService = require('./archive-service')
+const galleryProtocol = require('./gallery-protocol')
+const importQueue = require('./import-queue')
 const MenuManager = require('./menu-manager')
 const SettingsManager = require('./settings-manager')
 const IPCHandlers = require('./ipc-handlers')
@@ -43,6 +45,19 @@ const IPCHandlers = require('./ipc-handlers')
 let appConfig = {
   maxFileSizeMB: 50, // Default 50MB limit for individual files
   imageRepositoryPath: null, // User-specified path for storing images/archives
+  archiveViewMode: 'extract', // 'extract' writes images to the repository, 'stream' views in place
+  nestedArchiveMaxDepth: 3, // Levels of archives-inside-archives to ingest (0 disables)
+  preserveArchiveFolders: false, // Keep archive folders (chapters) when extracting
+  verifyArchivesOnImport: false, // Opt-in: check CRCs and images after processing an archive
+  galleryLayout: 'justified', // 'justified' rows, 'masonry' columns or a square 'grid'
+  thumbnailSize: 200, // Gallery tile size in pixels (row height, or column width)
+  preloadPagesAhead: 3, // Pages (or spreads) the fullscreen viewer decodes ahead of the current one
+  preloadPagesBehind: 1, // ...and behind it
+  preloadMemoryMB: 512, // Memory the viewer may keep decoded pages in
+  slideshowInterval: 5, // Seconds each page is shown in the slideshow
+  slideshowShuffle: false, // Play the slideshow in random order
+  slideshowLoop: true, // Start over after the last page
+  slideshowTransition: 'crossfade', // 'none', 'crossfade' or 'slide'
 }
 
 // Load app configuration from user data directory
@@ -90,6 +105,122 @@ async function loadAppConfig() {
       }
     }
 
+    // Validate archiveViewMode
+    if (!['extract', 'stream'].includes(mergedConfig.archiveViewMode)) {
+      console.warn(
+        '[CONFIG] Invalid archiveViewMode, reverting to default:',
+        mergedConfig.archiveViewMode
+      )
+      mergedConfig.archiveViewMode = defaults.archiveViewMode
+    }
+
+    // Validate nestedArchiveMaxDepth
+    const parsedDepth = Number(mergedConfig.nestedArchiveMaxDepth)
+    if (!Number.isInteger(parsedDepth) || parsedDepth < 0 || parsedDepth > 10) {
+      console.warn(
+        '[CONFIG] Invalid nestedArchiveMaxDepth, reverting to default:',
+        mergedConfig.nestedArchiveMaxDepth
+      )
+      mergedConfig.nestedArchiveMaxDepth = defaults.nestedArchiveMaxDepth
+    } else {
+      mergedConfig.nestedArchiveMaxDepth = parsedDepth
+    }
+
+    // Validate preserveArchiveFolders
+    if (typeof mergedConfig.preserveArchiveFolders !== 'boolean') {
+      console.warn(
+        '[CONFIG] Invalid preserveArchiveFolders, reverting to default:',
+        mergedConfig.preserveArchiveFolders
+      )
+      mergedConfig.preserveArchiveFolders = defaults.preserveArchiveFolders
+    }
+
+    // Validate verifyArchivesOnImport
+    if (typeof mergedConfig.verifyArchivesOnImport !== 'boolean') {
+      console.warn(
+        '[CONFIG] Invalid verifyArchivesOnImport, reverting to default:',
+        mergedConfig.verifyArchivesOnImport
+      )
+      mergedConfig.verifyArchivesOnImport = defaults.verifyArchivesOnImport
+    }
+
+    // Validate galleryLayout
+    if (!['justified', 'masonry', 'grid'].includes(mergedConfig.galleryLayout)) {
+      console.warn(
+        '[CONFIG] Invalid galleryLayout, reverting to default:',
+        mergedConfig.galleryLayout
+      )
+      mergedConfig.galleryLayout = defaults.galleryLayout
+    }
+
+    // Validate thumbnailSize
+    const parsedThumbnailSize = Number(mergedConfig.thumbnailSize)
+    if (
+      !Number.isInteger(parsedThumbnailSize) ||
+      parsedThumbnailSize < 100 ||
+      parsedThumbnailSize > 400
+    ) {
+      console.warn(
+        '[CONFIG] Invalid thumbnailSize, reverting to default:',
+        mergedConfig.thumbnailSize
+      )
+      mergedConfig.thumbnailSize = defaults.thumbnailSize
+    } else {
+      mergedConfig.thumbnailSize = parsedThumbnailSize
+    }
+
+    // Validate preloadPagesAhead and preloadPagesBehind
+    for (const key of ['preloadPagesAhead', 'preloadPagesBehind']) {
+      const parsedPages = Number(mergedConfig[key])
+      if (!Number.isInteger(parsedPages) || parsedPages < 0 || parsedPages > 20) {
+        console.warn(`[CONFIG] Invalid ${key}, reverting to default:`, mergedConfig[key])
+        mergedConfig[key] = defaults[key]
+      } else {
+        mergedConfig[key] = parsedPages
+      }
+    }
+
+    // Validate preloadMemoryMB
+    const parsedPreloadMemory = Number(mergedConfig.preloadMemoryMB)
+    if (!Number.isFinite(parsedPreloadMemory) || parsedPreloadMemory < 0) {
+      console.warn(
+        '[CONFIG] Invalid preloadMemoryMB, reverting to default:',
+        mergedConfig.preloadMemoryMB
+      )
+      mergedConfig.preloadMemoryMB = defaults.preloadMemoryMB
+    } else {
+      mergedConfig.preloadMemoryMB = parsedPreloadMemory
+    }
+
+    // Validate slideshowInterval
+    const parsedInterval = Number(mergedConfig.slideshowInterval)
+    if (!Number.isInteger(parsedInterval) || parsedInterval < 1 || parsedInterval > 300) {
+      console.warn(
+        '[CONFIG] Invalid slideshowInterval, reverting to default:',
+        mergedConfig.slideshowInterval
+      )
+      mergedConfig.slideshowInterval = defaults.slideshowInterval
+    } else {
+      mergedConfig.slideshowInterval = parsedInterval
+    }
+
+    // Validate slideshowShuffle and slideshowLoop
+    for (const key of ['slideshowShuffle', 'slideshowLoop']) {
+      if (typeof mergedConfig[key] !== 'boolean') {
+        console.warn(`[CONFIG] Invalid ${key}, reverting to default:`, mergedConfig[key])
+        mergedConfig[key] = defaults[key]
+      }
+    }
+
+    // Validate slideshowTransition
+    if (!['none', 'crossfade', 'slide'].includes(mergedConfig.slideshowTransition)) {
+      console.warn(
+        '[CONFIG] Invalid slideshowTransition, reverting to default:',
+        mergedConfig.slideshowTransition
+      )
+      mergedConfig.slideshowTransition = defaults.slideshowTransition
+    }
+
     appConfig = mergedConfig
     console.log('[CONFIG] Loaded app config:', appConfig)
   } catch (error) {
@@ -97,6 +228,9 @@ async function loadAppConfig() {
   }
 }
 
+// Images reach the renderer as gallery:// URLs; the scheme must be declared before ready
+galleryProtocol.registerScheme()
+
 // Keep a global reference of the window object
 let mainWindow
 const debugLogs = []
@@ -167,6 +301,7 @@ const saveDebugLogs = () => {
 
 app.on('before-quit', () => {
   console.log('[INFO] Application shutting down gracefully...')
+  importQueue.shutdown().catch(() => {})
   saveDebugLogs()
 })
 
@@ -223,6 +358,20 @@ function createWindow() {
   })
 }
 
+// Tell the user the archive catalogue was damaged and what was done about it
+function showCatalogRecoveryWarning(recovery) {
+  const detail = recovery.restoredFrom
+    ? `The catalogue was restored from the backup of ${new Date(recovery.backupTime).toLocaleString()}. Archives imported after that need to be imported again.`
+    : 'No usable backup was found, so the catalogue was started empty. Archives need to be imported again.'
+
+  dialog.showMessageBox(mainWindow, {
+    type: 'warning',
+    title: 'Archive Catalogue Damaged',
+    message: 'The archive catalogue could not be read.',
+    detail: `${detail}\n\nThe damaged file was kept at:\n${recovery.damagedPath}\n\nError: ${recovery.error}`,
+  })
+}
+
 // App event handlers
 app.whenReady().then(async () => {
   // Initialize archive service first (needs temp paths)
@@ -238,24 +387,44 @@ app.whenReady().then(async () => {
   const userDataDir = app.getPath('userData')
   const imagesDir = path.join(userDataDir, 'images')
 
+  // Load queued imports; they run once the renderer asks for the queue
+  await importQueue.initialize(path.join(userDataDir, 'import-queue.json'), {
+    userData: userDataDir,
+    temp: app.getPath('temp'),
+  })
+
   try {
     await fs.mkdir(imagesDir, { recursive: true })
   } catch (error) {
     console.error('Failed to create data directories:', error)
   }
 
+  // Serve images to the renderer
+  galleryProtocol.handle(archiveService, appConfig)
+
   // Create window
   createWindow()
 
+  const catalogRecovery = archiveService.getCatalogRecovery()
+  if (catalogRecovery) {
+    mainWindow.once('ready-to-show', () => showCatalogRecoveryWarning(catalogRecovery))
+  }
+
   // Initialize menu manager
-  const menuManager = new MenuManager(mainWindow)
+  const menuManager = new MenuManager(mainWindow, appConfig)
   menuManager.createApplicationMenu()
 
   // Initialize settings manager with dependencies
   SettingsManager.setDependencies(appConfig, secureFs)
 
   // Initialize IPC handlers
-  const ipcHandlers = new IPCHandlers(appConfig, secureFs, archiveService, debugLogPath)
+  const ipcHandlers = new IPCHandlers(
+    appConfig,
+    secureFs,
+    archiveService,
+    importQueue,
+    debugLogPath
+  )
   ipcHandlers.setupHandlers(require('electron').ipcMain, mainWindow)
 })
 
@@ -1,9 +1,101 @@
 /**
  * Menu Manager - Handles application menu setup and management
  */
+
+// Slideshow intervals offered in the View menu, in seconds
+const SLIDESHOW_INTERVALS = [2, 3, 5, 10, 20, 30, 60]
+const SLIDESHOW_TRANSITIONS = [
+  { value: 'none', label: 'None' },
+  { value: 'crossfade', label: 'Crossfade' },
+  { value: 'slide', label: 'Slide' },
+]
+
 class MenuManager {
-  constructor(mainWindow) {
+  constructor(mainWindow, appConfig = {}) {
     this.mainWindow = mainWindow
+    this.appConfig = appConfig
+  }
+
+  /**
+   * Slideshow items of the View menu; the renderer owns the slideshow, so choices are sent
+   * to it and come back through updateSlideshowItems once saved
+   */
+  createSlideshowMenu() {
+    const send = (channel, ...args) => {
+      if (this.mainWindow) {
+        this.mainWindow.webContents.send(channel, ...args)
+      }
+    }
+    const sendSettings = (settings) => send('menu-slideshow-settings', settings)
+
+    return {
+      label: 'Slideshow',
+      submenu: [
+        {
+          label: 'Start/Pause Slideshow',
+          accelerator: 'F5',
+          click: () => send('menu-toggle-slideshow'),
+        },
+        { type: 'separator' },
+        {
+          id: 'slideshow-shuffle',
+          label: 'Shuffle',
+          type: 'checkbox',
+          checked: this.appConfig.slideshowShuffle === true,
+          click: (item) => sendSettings({ shuffle: item.checked }),
+        },
+        {
+          id: 'slideshow-loop',
+          label: 'Loop',
+          type: 'checkbox',
+          checked: this.appConfig.slideshowLoop !== false,
+          click: (item) => sendSettings({ loop: item.checked }),
+        },
+        {
+          label: 'Interval',
+          submenu: SLIDESHOW_INTERVALS.map((seconds) => ({
+            id: `slideshow-interval-${seconds}`,
+            label: `${seconds} seconds`,
+            type: 'radio',
+            checked: this.appConfig.slideshowInterval === seconds,
+            click: () => sendSettings({ interval: seconds }),
+          })),
+        },
+        {
+          label: 'Transition',
+          submenu: SLIDESHOW_TRANSITIONS.map(({ value, label }) => ({
+            id: `slideshow-transition-${value}`,
+            label,
+            type: 'radio',
+            checked: this.appConfig.slideshowTransition === value,
+            click: () => sendSettings({ transition: value }),
+          })),
+        },
+      ],
+    }
+  }
+
+  /**
+   * Check the slideshow items matching saved settings
+   * @param {Object} settings - App config (slideshowShuffle, slideshowLoop,
+   *   slideshowInterval, slideshowTransition)
+   */
+  static updateSlideshowItems(settings) {
+    const { Menu } = require('electron')
+    const menu = Menu.getApplicationMenu()
+    if (!menu) return
+
+    const check = (id, checked) => {
+      const item = menu.getMenuItemById(id)
+      if (item) item.checked = checked
+    }
+    check('slideshow-shuffle', settings.slideshowShuffle)
+    check('slideshow-loop', settings.slideshowLoop)
+    // An interval set from the keyboard may not be one of the menu's
+    for (const seconds of SLIDESHOW_INTERVALS) {
+      check(`slideshow-interval-${seconds}`, settings.slideshowInterval === seconds)
+    }
+    check(`slideshow-transition-${settings.slideshowTransition}`, true)
   }
 
   createApplicationMenu() {
@@ -73,6 +165,8 @@ class MenuManager {
           { role: 'zoomin' },
           { role: 'zoomout' },
           { type: 'separator' },
+          this.createSlideshowMenu(),
+          { type: 'separator' },
           { role: 'togglefullscreen' },
         ],
       },
@@ -0,0 +1,51 @@
+/**
+ * Natural Sort - Numeric-aware, locale-aware ordering of file names and paths
+ *
+ * Archive libraries and readdir return entries in storage order, which puts page10.jpg
+ * before page2.jpg. Every list of pages handed to the renderer goes through here.
+ */
+class NaturalSort {
+  constructor() {
+    this.collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' })
+  }
+
+  /**
+   * Compare two names
+   * @param {string} a - First name
+   * @param {string} b - Second name
+   * @returns {number} Negative, zero or positive
+   */
+  compare(a, b) {
+    return this.collator.compare(String(a ?? ''), String(b ?? ''))
+  }
+
+  /**
+   * Compare two relative paths folder by folder, so a folder's files stay together
+   * @param {string} a - First path ('/' or '\' separators)
+   * @param {string} b - Second path
+   * @returns {number} Negative, zero or positive
+   */
+  comparePaths(a, b) {
+    const segmentsA = String(a ?? '').split(/[/\\]/)
+    const segmentsB = String(b ?? '').split(/[/\\]/)
+    const length = Math.min(segmentsA.length, segmentsB.length)
+
+    for (let i = 0; i < length; i++) {
+      const order = this.compare(segmentsA[i], segmentsB[i])
+      if (order !== 0) return order
+    }
+    return segmentsA.length - segmentsB.length
+  }
+
+  /**
+   * Sort extracted or listed files in place by their path inside the archive
+   * @param {Array} files - Files ({ relativePath, originalName } or { name })
+   * @returns {Array} The same array, sorted
+   */
+  sortFiles(files) {
+    const pathOf = (file) => file.relativePath || file.originalName || file.name
+    return files.sort((a, b) => this.comparePaths(pathOf(a), pathOf(b)))
+  }
+}
+
+module.exports = new NaturalSort()
@@ -0,0 +1,162 @@
+/**
+ * Near Duplicates - Groups re-encoded and resized copies of the same image
+ *
+ * Extracted images are fingerprinted with a perceptual hash at import. Finding near
+ * duplicates compares every distinct image with every other through a BK-tree (a metric
+ * tree over Hamming distance), so only hashes within the threshold are visited, and
+ * joins matches into clusters. Byte-identical copies (same content hash) are one image
+ * with several copies; a cluster needs at least two different images.
+ */
+const archiveDatabase = require('./archive-database')
+const perceptualHash = require('./perceptual-hash')
+
+// Largest Hamming distance (of 64 bits) at which two images count as the same picture
+const NEAR_DUPLICATE_DISTANCE = 8
+
+// Clusters returned to the review screen, largest first
+const MAX_CLUSTERS = 500
+
+class NearDuplicates {
+  /**
+   * Fingerprint images extracted before perceptual hashes were recorded
+   * @param {Object} options - { control, progressCallback (processed, total) }
+   * @returns {Promise<number>} Number of images fingerprinted
+   */
+  async fingerprintStoredImages({ control, progressCallback } = {}) {
+    const paths = await archiveDatabase.getUnfingerprintedImagePaths()
+    for (const [index, filePath] of paths.entries()) {
+      await control?.checkpoint()
+      await archiveDatabase.setImagePerceptualHash(filePath, await this.fingerprint(filePath))
+      if (progressCallback) progressCallback(index + 1, paths.length)
+    }
+    if (paths.length > 0) {
+      console.log(`[DEDUPE] Fingerprinted ${paths.length} stored images`)
+    }
+    return paths.length
+  }
+
+  /**
+   * @returns {Promise<string>} Perceptual hash, or '' if the image cannot be decoded
+   */
+  async fingerprint(filePath) {
+    try {
+      return (await perceptualHash.hashFile(filePath)) || ''
+    } catch (error) {
+      console.warn(`[DEDUPE] Could not fingerprint ${filePath}:`, error.message)
+      return ''
+    }
+  }
+
+  /**
+   * Cluster similar images across all processed archives
+   * @param {Object} options - { control } to pause or cancel
+   * @returns {Promise<Array<Object>>} Clusters, largest first; each is { images } where
+   *   an image is { contentHash, perceptualHash, size, copies } and each copy is
+   *   { extractedPath, originalName, archiveHash, archiveName }
+   */
+  async findClusters({ control } = {}) {
+    const images = this.groupCopies(await archiveDatabase.getFingerprintedImages())
+
+    const parents = images.map((_, index) => index)
+    const find = (index) => {
+      while (parents[index] !== index) {
+        parents[index] = parents[parents[index]]
+        index = parents[index]
+      }
+      return index
+    }
+
+    let root = null
+    for (const [index, image] of images.entries()) {
+      if (index % 500 === 0) await control?.checkpoint()
+      for (const match of searchTree(root, image.perceptualHash, NEAR_DUPLICATE_DISTANCE)) {
+        parents[find(match)] = find(index)
+      }
+      root = addToTree(root, image.perceptualHash, index)
+    }
+
+    const clusters = new Map() // root index => images
+    for (const [index, image] of images.entries()) {
+      const key = find(index)
+      if (!clusters.has(key)) clusters.set(key, [])
+      clusters.get(key).push(image)
+    }
+
+    return Array.from(clusters.values())
+      .filter((members) => members.length > 1)
+      .map((members) => ({ images: members.sort((a, b) => b.size - a.size) }))
+      .sort((a, b) => b.images.length - a.images.length)
+      .slice(0, MAX_CLUSTERS)
+  }
+
+  /**
+   * Merge rows of the same content (hard-linked copies in several archives) into one image
+   */
+  groupCopies(rows) {
+    const byContent = new Map()
+    for (const row of rows) {
+      const key = row.contentHash || row.extractedPath
+      if (!byContent.has(key)) {
+        byContent.set(key, {
+          contentHash: row.contentHash,
+          perceptualHash: row.perceptualHash,
+          size: row.size || 0,
+          copies: [],
+        })
+      }
+      const image = byContent.get(key)
+      if (!image.copies.some((copy) => copy.extractedPath === row.extractedPath)) {
+        image.copies.push({
+          extractedPath: row.extractedPath,
+          originalName: row.originalName,
+          archiveHash: row.archiveHash,
+          archiveName: row.archiveName,
+        })
+      }
+    }
+    return Array.from(byContent.values())
+  }
+}
+
+/**
+ * Add a hash to a BK-tree
+ * @returns {Object} The root, created for the first hash
+ */
+function addToTree(root, hash, index) {
+  if (!root) return { hash, indices: [index], children: new Map() }
+
+  let node = root
+  for (;;) {
+    const distance = perceptualHash.distance(hash, node.hash)
+    if (distance === 0) {
+      node.indices.push(index)
+      return root
+    }
+    const child = node.children.get(distance)
+    if (!child) {
+      node.children.set(distance, { hash, indices: [index], children: new Map() })
+      return root
+    }
+    node = child
+  }
+}
+
+/**
+ * Indices of hashes within maxDistance; by the triangle inequality only children whose
+ * edge distance is within maxDistance of the query's distance can hold matches
+ */
+function searchTree(root, hash, maxDistance) {
+  const matches = []
+  const pending = root ? [root] : []
+  while (pending.length > 0) {
+    const node = pending.pop()
+    const distance = perceptualHash.distance(hash, node.hash)
+    if (distance <= maxDistance) matches.push(...node.indices)
+    for (const [edge, child] of node.children) {
+      if (Math.abs(edge - distance) <= maxDistance) pending.push(child)
+    }
+  }
+  return matches
+}
+
+module.exports = new NearDuplicates()
@@ -0,0 +1,182 @@
+/**
+ * Nested Archives - Recursive ingestion of archives stored inside other archives
+ *
+ * A ZIP of per-chapter ZIPs has no images at its top level. Inner archives are copied
+ * to a scratch file one at a time and handed back to ArchiveService, which ingests them
+ * like any other archive, up to a depth limit. Size, count and compression-ratio budgets
+ * shared by the whole tree keep a crafted archive (zip bomb, self-containing archive)
+ * from filling the disk.
+ */
+const fs = require('node:fs').promises
+const path = require('node:path')
+const archiveExtractors = require('./archive-extractors')
+const ExtractionControl = require('./extraction-control')
+
+// Inner archives are read into memory before being written to scratch
+const MAX_NESTED_ARCHIVE_BYTES = 1024 * 1024 * 1024
+
+// Budgets shared by every level of one top-level ingestion
+const MAX_TOTAL_EXPANDED_BYTES = 8 * 1024 * 1024 * 1024
+const MAX_NESTED_ARCHIVES = 256
+
+// Images barely compress; an inner archive that expands this much is treated as a bomb
+const MAX_COMPRESSION_RATIO = 100
+const RATIO_CHECK_MIN_BYTES = 64 * 1024 * 1024
+
+class NestedArchives {
+  /**
+   * Create the nesting context for a top-level archive
+   * @param {number} maxDepth - Levels of nested archives to descend into (0 disables)
+   * @returns {Object} Nesting context
+   */
+  createContext(maxDepth) {
+    return {
+      depth: 0,
+      maxDepth: Number.isInteger(maxDepth) && maxDepth > 0 ? maxDepth : 0,
+      ancestors: [],
+      parentHash: null,
+      parentEntry: null,
+      budget: {
+        expandedBytes: MAX_TOTAL_EXPANDED_BYTES,
+        archives: MAX_NESTED_ARCHIVES,
+      },
+    }
+  }
+
+  /**
+   * Find the entries of an archive listing that are archives themselves
+   * @param {Array} entries - Archive entries ({ name, size, isDirectory })
+   * @returns {Array} Nested archive entries
+   */
+  findNestedEntries(entries) {
+    return entries.filter((e) => !e.isDirectory && archiveExtractors.isArchiveFile(e.name))
+  }
+
+  /**
+   * Unpack and ingest the archives inside a parent archive
+   * @param {Object} parent - Parent archive ({ path, type, hash, password })
+   * @param {Array} entries - Nested archive entries of the parent
+   * @param {Object} context - Nesting context of the parent
+   * @param {string} scratchRoot - Directory for scratch copies of inner archives
+   * @param {Function} ingest - async (childPath, childContext) => processing result
+   * @returns {Promise<{children: Array, skipped: Array}>} Ingested children
+   *   ({ entry, hash, extractedFiles }) and skipped entries ({ entry, reason })
+   */
+  async processChildren(parent, entries, context, scratchRoot, ingest) {
+    const children = []
+    const skipped = []
+    const skip = (entry, reason) => {
+      console.warn(`[ARCHIVE] Skipping nested archive ${entry.name}: ${reason}`)
+      skipped.push({ entry: entry.name, reason })
+    }
+
+    const format = archiveExtractors.getFormat(parent.type)
+    if (!format?.readEntries) {
+      for (const entry of entries) skip(entry, 'parent format cannot read single entries')
+      return { children, skipped }
+    }
+
+    for (const entry of entries) {
+      const { budget } = context
+      if (budget.archives <= 0) {
+        skip(entry, 'too many nested archives')
+        continue
+      }
+      if (entry.size > MAX_NESTED_ARCHIVE_BYTES || entry.size > budget.expandedBytes) {
+        skip(entry, `too large (${entry.size} bytes)`)
+        continue
+      }
+      budget.archives--
+
+      let scratchDir = null
+      try {
+        const contents = await format.readEntries(parent.path, [entry.name], {
+          password: parent.password,
+        })
+        const data = contents.get(entry.name)
+        if (!data) throw new Error('entry could not be read')
+        // Listed sizes come from the archive itself and may lie
+        if (data.length > MAX_NESTED_ARCHIVE_BYTES || data.length > budget.expandedBytes) {
+          throw new Error(`too large (${data.length} bytes)`)
+        }
+        budget.expandedBytes -= data.length
+
+        await fs.mkdir(scratchRoot, { recursive: true })
+        scratchDir = await fs.mkdtemp(path.join(scratchRoot, 'nested-'))
+        const childPath = path.join(scratchDir, scratchFileName(entry.name))
+        await fs.writeFile(childPath, data)
+
+        await this.checkExpansion(childPath, data.length, budget)
+
+        const result = await ingest(childPath, {
+          ...context,
+          depth: context.depth + 1,
+          ancestors: [...context.ancestors, parent.hash],
+          parentHash: parent.hash,
+          parentEntry: entry.name,
+        })
+
+        children.push({
+          entry: entry.name,
+          hash: result.metadata.hash,
+          extractedFiles: Array.isArray(result.extractedFiles) ? result.extractedFiles : [],
+        })
+      } catch (error) {
+        // Cancelling the import stops the parent too, not just this child
+        if (ExtractionControl.isCancellation(error)) throw error
+        skip(entry, error.message)
+      } finally {
+        if (scratchDir) {
+          await fs.rm(scratchDir, { recursive: true, force: true }).catch(() => {})
+        }
+      }
+    }
+
+    return { children, skipped }
+  }
+
+  /**
+   * Reject inner archives that would expand beyond the budget or look like a bomb
+   * @param {string} childPath - Scratch copy of the inner archive
+   * @param {number} childSize - Size of the inner archive in bytes
+   * @param {Object} budget - Shared budget, charged with the expanded size
+   */
+  async checkExpansion(childPath, childSize, budget) {
+    const type = await archiveExtractors.detectArchiveType(childPath)
+    if (type === 'unknown') {
+      throw new Error('not a supported archive')
+    }
+    let entries
+    try {
+      entries = await archiveExtractors.listEntries(childPath, type)
+    } catch (error) {
+      // Archives with encrypted headers cannot be listed before their password is asked for
+      if (await archiveExtractors.isEncrypted(childPath, type).catch(() => false)) return
+      throw error
+    }
+    const expandedBytes = entries.reduce((sum, e) => sum + (e.isDirectory ? 0 : e.size || 0), 0)
+
+    if (
+      expandedBytes > RATIO_CHECK_MIN_BYTES &&
+      expandedBytes / Math.max(childSize, 1) > MAX_COMPRESSION_RATIO
+    ) {
+      throw new Error(`suspicious compression ratio (${expandedBytes} bytes from ${childSize})`)
+    }
+    if (expandedBytes > budget.expandedBytes) {
+      throw new Error('expansion budget exhausted')
+    }
+    budget.expandedBytes -= expandedBytes
+  }
+}
+
+/**
+ * Build a safe scratch file name that keeps the entry's archive extension
+ * @param {string} entryName - Entry name inside the parent archive
+ * @returns {string} File name
+ */
+function scratchFileName(entryName) {
+  const baseName = path.posix.basename(entryName.replace(/\\/g, '/'))
+  return baseName.replace(/[^a-zA-Z0-9.\-_ ]/g, '_').replace(/^\.+/, '') || 'nested-archive'
+}
+
+module.exports = new NestedArchives()
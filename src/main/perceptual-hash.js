@@ -0,0 +1,91 @@
+/**
+ * Perceptual Hash - dHash fingerprints that survive re-encoding and resizing
+ *
+ * A content hash only matches byte-identical files. The difference hash shrinks an image
+ * to 9x8 grey cells and records whether each cell is brighter than its right neighbour,
+ * giving 64 bits that barely move when an image is recompressed, resized or slightly
+ * retouched. Two images are near-duplicates when few bits differ (Hamming distance).
+ */
+const imageDecoder = require('./image-decoder')
+
+const HASH_WIDTH = 9
+const HASH_HEIGHT = 8
+
+class PerceptualHash {
+  /**
+   * Fingerprint an image file
+   * @param {string} filePath - Image path
+   * @returns {Promise<string|null>} 16 hex digits, or null if the format is not supported
+   * @throws {Error} If the file is damaged
+   */
+  async hashFile(filePath) {
+    const image = await imageDecoder.decodeFile(filePath)
+    return image ? this.computeDHash(image) : null
+  }
+
+  /**
+   * Difference hash of decoded pixels
+   * @param {Object} image - { width, height, data, channels } (RGB or RGBA)
+   * @returns {string} 16 hex digits
+   */
+  computeDHash({ width, height, data, channels }) {
+    if (width < 1 || height < 1) {
+      throw new Error('Image has no pixels')
+    }
+
+    // Average the luma of every pixel into its cell of the 9x8 grid
+    const sums = new Float64Array(HASH_WIDTH * HASH_HEIGHT)
+    const counts = new Uint32Array(HASH_WIDTH * HASH_HEIGHT)
+    const hasAlpha = channels === 4
+    for (let y = 0; y < height; y++) {
+      const row = Math.floor((y * HASH_HEIGHT) / height) * HASH_WIDTH
+      for (let x = 0; x < width; x++) {
+        const offset = (y * width + x) * channels
+        let luma = 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2]
+        // Transparent pixels count as white, the usual page background
+        if (hasAlpha) {
+          const alpha = data[offset + 3] / 255
+          luma = luma * alpha + 255 * (1 - alpha)
+        }
+        const cell = row + Math.floor((x * HASH_WIDTH) / width)
+        sums[cell] += luma
+        counts[cell]++
+      }
+    }
+    const cells = Array.from(sums, (sum, i) => (counts[i] > 0 ? sum / counts[i] : 0))
+
+    let hex = ''
+    for (let y = 0; y < HASH_HEIGHT; y++) {
+      let byte = 0
+      for (let x = 0; x < HASH_WIDTH - 1; x++) {
+        const left = cells[y * HASH_WIDTH + x]
+        const right = cells[y * HASH_WIDTH + x + 1]
+        byte = (byte << 1) | (left < right ? 1 : 0)
+      }
+      hex += byte.toString(16).padStart(2, '0')
+    }
+    return hex
+  }
+
+  /**
+   * Number of differing bits between two hashes
+   * @param {string} a - Hash from computeDHash
+   * @param {string} b - Hash from computeDHash
+   * @returns {number} 0 (same) to 64
+   */
+  distance(a, b) {
+    return (
+      popcount(Number.parseInt(a.slice(0, 8), 16) ^ Number.parseInt(b.slice(0, 8), 16)) +
+      popcount(Number.parseInt(a.slice(8), 16) ^ Number.parseInt(b.slice(8), 16))
+    )
+  }
+}
+
+function popcount(value) {
+  let v = value >>> 0
+  v -= (v >>> 1) & 0x55555555
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333)
+  return Math.imul((v + (v >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24
+}
+
+module.exports = new PerceptualHash()
@@ -3,6 +3,21 @@ const { pathToFileURL } = require('node:url')
 
 console.log('🔌 Preload: Script loaded, exposing electronAPI')
 
+// Files the user drops on the window may be served over gallery://. Only drops made by the
+// user (trusted events, seen here before the page handles them) open their folders.
+window.addEventListener(
+  'drop',
+  (event) => {
+    if (!event.isTrusted) return
+    const paths = Array.from(event.dataTransfer?.files || [])
+      .map((file) => file.path)
+      .filter(Boolean)
+    // Synchronous, so the folders are allowed before the page requests the files
+    if (paths.length > 0) ipcRenderer.sendSync('allow-dropped-paths', paths)
+  },
+  true
+)
+
 // Expose protected methods that allow the renderer process to use
 // the ipcRenderer without exposing the entire object
 contextBridge.exposeInMainWorld(
@@ -11,8 +26,13 @@ contextBridge.exposeInMainWorld(
     // File operations
     selectFiles: () => ipcRenderer.invoke('select-files'),
     selectDirectory: () => ipcRenderer.invoke('select-directory'),
-    readFile: (filePath) => ipcRenderer.invoke('read-file', filePath),
     getFileStats: (filePath) => ipcRenderer.invoke('get-file-stats', filePath),
+    getThumbnail: (extractedPath, width) =>
+      ipcRenderer.invoke('get-thumbnail', extractedPath, width),
+
+    // Gallery view settings
+    getViewSettings: () => ipcRenderer.invoke('get-view-settings'),
+    setViewSettings: (settings) => ipcRenderer.invoke('set-view-settings', settings),
 
     // Window controls
     minimize: () => ipcRenderer.invoke('minimize-window'),
@@ -22,6 +42,10 @@ contextBridge.exposeInMainWorld(
     // Platform info
     platform: process.platform,
 
+    // Extensions of the images, videos and archives the app opens (see image-formats.js),
+    // and the format shown for each image converted for display
+    supportedFormats: Object.freeze(ipcRenderer.sendSync('get-supported-formats')),
+
     // File URL encoding
     toFileUrl: (filePath) => {
       // Handle null/undefined paths gracefully for drag-and-drop files
@@ -40,19 +64,54 @@ contextBridge.exposeInMainWorld(
       }
     },
 
+    // gallery:// URLs, served by the main process (see gallery-protocol.js)
+    toGalleryUrl: (filePath) => `gallery://image/${encodeURIComponent(filePath)}`,
+    toArchiveEntryUrl: (archiveHash, entryName) =>
+      `gallery://entry/${archiveHash}/${encodeURIComponent(entryName)}`,
+
     // Archive processing
     selectArchives: () => ipcRenderer.invoke('select-archives'),
-    processArchive: (archivePath, forceReprocess = false) =>
-      ipcRenderer.invoke('process-archive', archivePath, forceReprocess),
+    enqueueArchives: (archivePaths, forceReprocess = false) =>
+      ipcRenderer.invoke('enqueue-archives', archivePaths, forceReprocess),
     getProcessedArchives: () => ipcRenderer.invoke('get-processed-archives'),
+    searchProcessedArchives: (query) => ipcRenderer.invoke('search-processed-archives', query),
     loadProcessedArchive: (archiveHash) =>
       ipcRenderer.invoke('load-processed-archive', archiveHash),
+    materializeArchive: (archiveHash) => ipcRenderer.invoke('materialize-archive', archiveHash),
+    verifyArchive: (archiveHash) => ipcRenderer.invoke('verify-archive', archiveHash),
+    getReaderSettings: (archiveHash) => ipcRenderer.invoke('get-reader-settings', archiveHash),
+    setReaderSettings: (archiveHash, settings) =>
+      ipcRenderer.invoke('set-reader-settings', archiveHash, settings),
+    findSharedImages: () => ipcRenderer.invoke('find-shared-images'),
+    findNearDuplicates: () => ipcRenderer.invoke('find-near-duplicates'),
+    deleteImages: (extractedPaths) => ipcRenderer.invoke('delete-images', extractedPaths),
+    cancelArchiveProcessing: (jobId = null) =>
+      ipcRenderer.invoke('cancel-archive-processing', jobId),
+    pauseArchiveProcessing: (jobId = null) => ipcRenderer.invoke('pause-archive-processing', jobId),
+    resumeArchiveProcessing: (jobId = null) =>
+      ipcRenderer.invoke('resume-archive-processing', jobId),
+
+    // Background import queue
+    getImportJobs: () => ipcRenderer.invoke('get-import-jobs'),
+    retryImportJob: (jobId, forceReprocess = false) =>
+      ipcRenderer.invoke('retry-import-job', jobId, forceReprocess),
+    clearFinishedImportJobs: () => ipcRenderer.invoke('clear-finished-import-jobs'),
 
-    // Archive progress listener with unsubscribe
-    onArchiveProgress: (callback) => {
-      const handler = (_event, progress) => callback(progress)
-      ipcRenderer.on('archive-progress', handler)
-      return () => ipcRenderer.removeListener('archive-progress', handler)
+    submitArchivePassword: (requestId, answer) =>
+      ipcRenderer.invoke('submit-archive-password', requestId, answer),
+
+    // Archive password prompts from the main process
+    onArchivePasswordRequest: (callback) => {
+      const handler = (_event, request) => callback(request)
+      ipcRenderer.on('archive-password-request', handler)
+      return () => ipcRenderer.removeListener('archive-password-request', handler)
+    },
+
+    // Import job state and progress listener with unsubscribe
+    onImportJobUpdated: (callback) => {
+      const handler = (_event, job) => callback(job)
+      ipcRenderer.on('import-job-updated', handler)
+      return () => ipcRenderer.removeListener('import-job-updated', handler)
     },
 
     // Debug info
@@ -70,6 +129,16 @@ contextBridge.exposeInMainWorld(
       ipcRenderer.on('menu-open-archives', handler)
       return () => ipcRenderer.removeListener('menu-open-archives', handler)
     },
+    onMenuToggleSlideshow: (callback) => {
+      const handler = (_event) => callback()
+      ipcRenderer.on('menu-toggle-slideshow', handler)
+      return () => ipcRenderer.removeListener('menu-toggle-slideshow', handler)
+    },
+    onMenuSlideshowSettings: (callback) => {
+      const handler = (_event, settings) => callback(settings)
+      ipcRenderer.on('menu-slideshow-settings', handler)
+      return () => ipcRenderer.removeListener('menu-slideshow-settings', handler)
+    },
   })
 )
 
@@ -128,12 +128,16 @@ class RepositoryManager {
     const archiveService = require('./archive-service')
 
     try {
-      // Load the database directly
-      const db = await archiveService.loadArchivesDb()
+      // Load the full records, with their images, so every stored path can be rewritten
+      const archives = {}
+      for (const { hash } of await archiveService.getProcessedArchives()) {
+        archives[hash] = await archiveService.getArchiveByHash(hash)
+      }
+      const updatedHashes = new Set()
 
       if (oldPath) {
         // Traditional migration - update paths in database
-        for (const [hash, archive] of Object.entries(db.archives)) {
+        for (const [hash, archive] of Object.entries(archives)) {
           let needsUpdate = false
           const updatedArchive = { ...archive }
 
@@ -184,7 +188,8 @@ class RepositoryManager {
 
           // Update the database if needed
           if (needsUpdate) {
-            db.archives[hash] = updatedArchive
+            archives[hash] = updatedArchive
+            updatedHashes.add(hash)
             console.log(`[MIGRATION] Updated paths for archive: ${archive.name}`)
           }
         }
@@ -192,23 +197,20 @@ class RepositoryManager {
         // Temp directory migration - update with new paths from migration
         for (const migratedArchive of existingArchives) {
           const hash = migratedArchive.hash
-          if (db.archives[hash] && migratedArchive.extractDir) {
+          if (archives[hash] && migratedArchive.extractDir) {
             // Update the extractDir in the database
-            db.archives[hash] = {
-              ...db.archives[hash],
+            archives[hash] = {
+              ...archives[hash],
               extractDir: migratedArchive.extractDir,
             }
 
             // Update extractedFiles paths if they exist
-            if (
-              db.archives[hash].extractedFiles &&
-              Array.isArray(db.archives[hash].extractedFiles)
-            ) {
-              const oldExtractDir = db.archives[hash].extractedFiles[0]?.extractedPath
-                ? path.dirname(db.archives[hash].extractedFiles[0].extractedPath)
+            if (archives[hash].extractedFiles && Array.isArray(archives[hash].extractedFiles)) {
+              const oldExtractDir = archives[hash].extractedFiles[0]?.extractedPath
+                ? path.dirname(archives[hash].extractedFiles[0].extractedPath)
                 : null
               if (oldExtractDir) {
-                db.archives[hash].extractedFiles = db.archives[hash].extractedFiles.map((file) => {
+                archives[hash].extractedFiles = archives[hash].extractedFiles.map((file) => {
                   try {
                     const rel = path.relative(oldExtractDir, file.extractedPath)
                     if (!rel.startsWith('..')) {
@@ -225,13 +227,14 @@ class RepositoryManager {
               }
             }
 
-            console.log(`[MIGRATION] Updated database for archive: ${db.archives[hash].name}`)
+            updatedHashes.add(hash)
+            console.log(`[MIGRATION] Updated database for archive: ${archives[hash].name}`)
           }
         }
       }
 
-      // Save the updated database
-      await archiveService.saveArchivesDb(db)
+      // Save the updated records in one transaction
+      await archiveService.saveArchives([...updatedHashes].map((hash) => archives[hash]))
       console.log('[MIGRATION] Processed archives database updated')
     } catch (error) {
       console.error('[MIGRATION] Failed to update processed archives database:', error)
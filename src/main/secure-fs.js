@@ -158,17 +158,29 @@ function validateWritePath(filePath) {
   // - Writes are restricted to prevent path traversal attacks
   // - Maintains security while preserving usability
 
-  const isAllowed = Array.from(allowedDirectories).some((allowedDir) => {
-    return isPathInside(canonical, allowedDir) || canonical === allowedDir
-  })
-
-  if (!isAllowed) {
+  if (!isInAllowedDirectory(canonical)) {
     throw new Error(`Write access denied: path outside allowed directories`)
   }
 
   return canonical
 }
 
+// SECURITY FUNCTION: Path validation for reads on behalf of content (gallery:// URLs)
+// Only the repository, app directories and what the user opened or dropped can be read
+function validateReadPath(filePath) {
+  const canonical = sanitizeFilePath(filePath)
+  if (!isInAllowedDirectory(canonical)) {
+    throw new Error(`Read access denied: path outside allowed directories`)
+  }
+  return canonical
+}
+
+function isInAllowedDirectory(canonical) {
+  return Array.from(allowedDirectories).some((allowedDir) => {
+    return isPathInside(canonical, allowedDir) || canonical === allowedDir
+  })
+}
+
 // SECURE FILE OPERATIONS - ALL PATHS VALIDATED BEFORE FS ACCESS
 //
 // IMPORTANT CONTEXT FOR AI CODE ASSISTANTS:
@@ -234,6 +246,7 @@ const secureFs = {
   addAllowedDirectory,
   initializeAllowedPaths,
   sanitizeFilePath,
+  validateReadPath,
   validateWritePath,
 
   // Direct access to allowed directories for reference
@@ -19,26 +19,121 @@ class SettingsManager {
 
     // Show current configuration
     const { dialog } = require('electron')
+    const isStreaming = config.archiveViewMode === 'stream'
+    const viewModeLabel = isStreaming
+      ? 'View in place (images are read from the archive)'
+      : 'Extract to repository'
+    const preserveFolders = config.preserveArchiveFolders === true
+    const folderLabel = preserveFolders ? 'Keep archive folders' : 'Flatten archive folders'
+    const verifyOnImport = config.verifyArchivesOnImport === true
+    const verifyLabel = verifyOnImport ? 'After every import' : 'Only when asked'
     const infoResult = await dialog.showMessageBox(mainWindow, {
       type: 'info',
       title: 'Image Gallery Settings',
       message: 'Current Configuration',
-      detail: `Image Repository: ${config.imageRepositoryPath || 'Not set'}\n\nMax File Size: ${config.maxFileSizeMB}MB`,
-      buttons: ['Change Repository', 'Cancel'],
+      detail: `Image Repository: ${config.imageRepositoryPath || 'Not set'}\n\nMax File Size: ${config.maxFileSizeMB}MB\n\nArchive Mode: ${viewModeLabel}\n\nArchive Folders: ${folderLabel}\n\nArchive Verification: ${verifyLabel}`,
+      buttons: [
+        'Change Repository',
+        isStreaming ? 'Extract Archives' : 'View Archives In Place',
+        preserveFolders ? 'Flatten Archive Folders' : 'Keep Archive Folders',
+        verifyOnImport ? 'Stop Verifying On Import' : 'Verify Archives On Import',
+        'Cancel',
+      ],
       defaultId: 0,
-      cancelId: 1,
+      cancelId: 4,
     })
 
     if (infoResult.response === 0) {
       await this.changeRepository(mainWindow)
+    } else if (infoResult.response === 1) {
+      await this.setArchiveViewMode(mainWindow, isStreaming ? 'extract' : 'stream')
+    } else if (infoResult.response === 2) {
+      await this.setPreserveArchiveFolders(mainWindow, !preserveFolders)
+    } else if (infoResult.response === 3) {
+      await this.setVerifyArchivesOnImport(mainWindow, !verifyOnImport)
     }
   }
 
-  async changeRepository(mainWindow) {
+  async setArchiveViewMode(mainWindow, viewMode) {
     const { dialog } = require('electron')
+
+    this.appConfig.archiveViewMode = viewMode
+    try {
+      await this.saveConfig()
+      console.log('[CONFIG] Saved archive view mode:', viewMode)
+
+      dialog.showMessageBox(mainWindow, {
+        type: 'info',
+        title: 'Settings Updated',
+        message: 'Archive Mode Changed',
+        detail:
+          viewMode === 'stream'
+            ? 'New archives will be viewed in place without extracting them. Use "Keep Files" on a processed archive to write its images to the repository.'
+            : 'New archives will be extracted to the image repository.',
+      })
+    } catch (error) {
+      console.error('[CONFIG] Failed to save config:', error)
+      dialog.showErrorBox('Settings Error', `Failed to save configuration: ${error.message}`)
+    }
+  }
+
+  async setPreserveArchiveFolders(mainWindow, preserveFolders) {
+    const { dialog } = require('electron')
+
+    this.appConfig.preserveArchiveFolders = preserveFolders
+    try {
+      await this.saveConfig()
+      console.log('[CONFIG] Saved preserve archive folders:', preserveFolders)
+
+      dialog.showMessageBox(mainWindow, {
+        type: 'info',
+        title: 'Settings Updated',
+        message: 'Archive Folders Changed',
+        detail: preserveFolders
+          ? 'New archives will be extracted with their folders kept, so each chapter stays in its own directory.'
+          : 'New archives will be extracted into a single directory per archive.',
+      })
+    } catch (error) {
+      console.error('[CONFIG] Failed to save config:', error)
+      dialog.showErrorBox('Settings Error', `Failed to save configuration: ${error.message}`)
+    }
+  }
+
+  async setVerifyArchivesOnImport(mainWindow, verifyOnImport) {
+    const { dialog } = require('electron')
+
+    this.appConfig.verifyArchivesOnImport = verifyOnImport
+    try {
+      await this.saveConfig()
+      console.log('[CONFIG] Saved verify archives on import:', verifyOnImport)
+
+      dialog.showMessageBox(mainWindow, {
+        type: 'info',
+        title: 'Settings Updated',
+        message: 'Archive Verification Changed',
+        detail: verifyOnImport
+          ? 'New archives will be checked (CRCs and images) after they are imported. This reads every archive a second time.'
+          : 'Archives will only be checked when you verify them from the archive list.',
+      })
+    } catch (error) {
+      console.error('[CONFIG] Failed to save config:', error)
+      dialog.showErrorBox('Settings Error', `Failed to save configuration: ${error.message}`)
+    }
+  }
+
+  async saveConfig() {
+    const { app } = require('electron')
     const path = require('node:path')
     const fs = require('node:fs').promises
 
+    const configPath = path.join(app.getPath('userData'), 'config.json')
+    await fs.writeFile(configPath, JSON.stringify(this.appConfig, null, 2))
+  }
+
+  async changeRepository(mainWindow) {
+    const { dialog } = require('electron')
+    const path = require('node:path')
+
     const config = { ...this.appConfig }
 
     // User wants to change repository - open directory picker
@@ -164,10 +259,7 @@ class SettingsManager {
 
       // Save to config file
       try {
-        const { app } = require('electron')
-        const userDataDir = app.getPath('userData')
-        const configPath = path.join(userDataDir, 'config.json')
-        await fs.writeFile(configPath, JSON.stringify(this.appConfig, null, 2))
+        await this.saveConfig()
         console.log('[CONFIG] Saved image repository path:', selectedPath)
 
         // Update secure-fs with the new allowed directory
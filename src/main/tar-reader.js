@@ -0,0 +1,378 @@
+/**
+ * Tar Reader - Streams entries out of plain and compressed tarballs
+ *
+ * Parses the tar container directly (ustar, GNU long names and pax path headers) so
+ * entries can be filtered and written one at a time. Compressed tarballs are decoded
+ * on the fly: gzip through zlib, bzip2 and xz through the bundled 7za binary.
+ */
+const BLOCK_SIZE = 512
+
+// Typeflags we act on; everything else (links, devices, fifos) is skipped
+const TYPE_FILE = '0'
+const TYPE_FILE_LEGACY = '\0'
+const TYPE_CONTIGUOUS = '7'
+const TYPE_DIRECTORY = '5'
+const TYPE_GNU_LONG_NAME = 'L'
+const TYPE_PAX_HEADER = 'x'
+
+// Metadata blocks (long names, pax records) are tiny; anything bigger is corrupt
+const MAX_METADATA_BYTES = 1024 * 1024
+
+class TarReader {
+  /**
+   * Walk every entry of a tarball
+   * @param {string} archivePath - Path to tarball
+   * @param {string|null} compression - null, 'gzip', 'bzip2' or 'xz'
+   * @param {Function} visitor - async (entry, readData) => void; entry is
+   *   { name, size, isDirectory, isFile }, readData() resolves to the entry contents and
+   *   must be awaited inside the visitor if the contents are needed
+   */
+  async walk(archivePath, compression, visitor) {
+    const source = this.openStream(archivePath, compression)
+    const reader = new ByteReader(source.stream)
+
+    try {
+      let longName = null
+      let paxPath = null
+      let first = true
+
+      while (true) {
+        const block = await reader.read(BLOCK_SIZE)
+        // Tolerate a missing end-of-archive marker, but not a cut-off header
+        if (block.length === 0 || isZeroBlock(block)) break
+        if (first && !isTarHeader(block)) {
+          throw new Error(notTarballMessage(compression))
+        }
+        first = false
+        if (block.length < BLOCK_SIZE) {
+          throw new Error('Unexpected end of tar archive (truncated header)')
+        }
+
+        const header = parseHeader(block)
+        const padding = (BLOCK_SIZE - (header.size % BLOCK_SIZE)) % BLOCK_SIZE
+
+        if (header.type === TYPE_GNU_LONG_NAME || header.type === TYPE_PAX_HEADER) {
+          if (header.size > MAX_METADATA_BYTES) {
+            throw new Error(`Tar metadata block too large (${header.size} bytes)`)
+          }
+          const data = await reader.readExact(header.size)
+          await reader.skip(padding)
+          if (header.type === TYPE_GNU_LONG_NAME) {
+            longName = data.toString('utf8').replace(/\0+$/, '')
+          } else {
+            paxPath = parsePaxPath(data) ?? paxPath
+          }
+          continue
+        }
+
+        const name = paxPath || longName || header.name
+        longName = null
+        paxPath = null
+
+        const isDirectory = header.type === TYPE_DIRECTORY || name.endsWith('/')
+        const isFile =
+          !isDirectory &&
+          (header.type === TYPE_FILE ||
+            header.type === TYPE_FILE_LEGACY ||
+            header.type === TYPE_CONTIGUOUS)
+        const dataSize = isDirectory ? 0 : header.size
+
+        let consumed = false
+        const readData = async () => {
+          if (consumed) throw new Error('Tar entry data already read')
+          consumed = true
+          return await reader.readExact(dataSize)
+        }
+
+        await visitor({ name, size: dataSize, isDirectory, isFile }, readData)
+
+        if (!consumed) await reader.skip(dataSize)
+        await reader.skip(padding)
+      }
+    } finally {
+      source.close()
+    }
+
+    await source.finished
+  }
+
+  /**
+   * Check whether a (compressed) file holds a tarball by reading its first header block
+   * @param {string} archivePath - Path to file
+   * @param {string|null} compression - null, 'gzip', 'bzip2' or 'xz'
+   * @returns {Promise<boolean>} True if the first block is a tar header or an empty tarball
+   */
+  async holdsTarball(archivePath, compression) {
+    const source = this.openStream(archivePath, compression)
+    try {
+      const block = await new ByteReader(source.stream).read(BLOCK_SIZE)
+      return block.length > 0 && (isZeroBlock(block) || isTarHeader(block))
+    } catch (error) {
+      console.warn(`[ARCHIVE] Could not read ${compression || 'tar'} stream:`, error.message)
+      return false
+    } finally {
+      source.close()
+    }
+  }
+
+  /**
+   * Open a decompressed byte stream for a tarball
+   * @param {string} archivePath - Path to tarball
+   * @param {string|null} compression - Compression type
+   * @returns {{stream: Readable, close: Function, finished: Promise}} Stream handle
+   */
+  openStream(archivePath, compression) {
+    const fsNative = require('node:fs')
+    const secureFs = require('./secure-fs')
+    const sanitizedPath = secureFs.sanitizeFilePath(archivePath)
+
+    if (!compression) {
+      const stream = fsNative.createReadStream(sanitizedPath)
+      return { stream, close: () => stream.destroy(), finished: Promise.resolve() }
+    }
+
+    if (compression === 'gzip') {
+      const zlib = require('node:zlib')
+      const { pipeline } = require('node:stream')
+      const file = fsNative.createReadStream(sanitizedPath)
+      const gunzip = zlib.createGunzip()
+      // Decode errors surface through the gunzip stream the reader is iterating
+      pipeline(file, gunzip, () => {})
+      return {
+        stream: gunzip,
+        close: () => {
+          file.destroy()
+          gunzip.destroy()
+        },
+        finished: Promise.resolve(),
+      }
+    }
+
+    if (compression === 'bzip2' || compression === 'xz') {
+      return this.openSevenZipStream(sanitizedPath, compression)
+    }
+
+    throw new Error(`Unsupported tar compression: ${compression}`)
+  }
+
+  /**
+   * Decode a bzip2/xz stream with 7za, writing the inner tar to stdout
+   * @param {string} archivePath - Sanitized path to tarball
+   * @param {string} compression - 'bzip2' or 'xz'
+   * @returns {{stream: Readable, close: Function, finished: Promise}} Stream handle
+   */
+  openSevenZipStream(archivePath, compression) {
+    const { spawn } = require('node:child_process')
+    const sevenBin = require('7zip-bin')
+
+    const child = spawn(sevenBin.path7za, ['x', '-so', `-t${compression}`, archivePath], {
+      stdio: ['ignore', 'pipe', 'pipe'],
+      windowsHide: true,
+    })
+
+    let stderr = ''
+    let closedByReader = false
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk.toString()
+    })
+
+    const finished = new Promise((resolve, reject) => {
+      child.on('error', (error) =>
+        reject(new Error(`${compression} decode failed: ${error.message}`))
+      )
+      child.on('close', (code) => {
+        if (code === 0 || closedByReader) resolve()
+        else
+          reject(new Error(`${compression} decode failed: ${stderr.trim() || `exit code ${code}`}`))
+      })
+    })
+    // Surface failures through walk(); avoid unhandled rejections if the reader bails first
+    finished.catch(() => {})
+
+    return {
+      stream: child.stdout,
+      close: () => {
+        if (child.exitCode === null) {
+          closedByReader = true
+          child.kill()
+        }
+      },
+      finished,
+    }
+  }
+}
+
+/**
+ * Pulls exact byte counts out of a readable stream
+ */
+class ByteReader {
+  constructor(stream) {
+    this.iterator = stream[Symbol.asyncIterator]()
+    this.chunks = []
+    this.length = 0
+    this.done = false
+  }
+
+  async fill(size) {
+    while (this.length < size && !this.done) {
+      const { value, done } = await this.iterator.next()
+      if (done) {
+        this.done = true
+      } else if (value.length > 0) {
+        this.chunks.push(value)
+        this.length += value.length
+      }
+    }
+  }
+
+  /**
+   * Read up to size bytes (fewer only at end of stream)
+   */
+  async read(size) {
+    await this.fill(size)
+    return this.take(Math.min(size, this.length))
+  }
+
+  /**
+   * Read exactly size bytes, failing on a truncated stream
+   */
+  async readExact(size) {
+    const data = await this.read(size)
+    if (data.length < size) {
+      throw new Error('Unexpected end of tar archive (truncated entry)')
+    }
+    return data
+  }
+
+  async skip(size) {
+    let remaining = size
+    while (remaining > 0) {
+      if (this.length === 0) {
+        await this.fill(1)
+        if (this.length === 0) throw new Error('Unexpected end of tar archive')
+      }
+      const head = this.chunks[0]
+      if (head.length <= remaining) {
+        this.chunks.shift()
+        this.length -= head.length
+        remaining -= head.length
+      } else {
+        this.chunks[0] = head.subarray(remaining)
+        this.length -= remaining
+        remaining = 0
+      }
+    }
+  }
+
+  take(size) {
+    if (size === 0) return Buffer.alloc(0)
+
+    const parts = []
+    let remaining = size
+    while (remaining > 0) {
+      const head = this.chunks[0]
+      if (head.length <= remaining) {
+        parts.push(this.chunks.shift())
+        remaining -= head.length
+      } else {
+        parts.push(head.subarray(0, remaining))
+        this.chunks[0] = head.subarray(remaining)
+        remaining = 0
+      }
+    }
+    this.length -= size
+    return parts.length === 1 ? parts[0] : Buffer.concat(parts, size)
+  }
+}
+
+function parseHeader(block) {
+  if (!verifyChecksum(block)) {
+    throw new Error('Invalid tar header checksum')
+  }
+
+  const name = readString(block, 0, 100)
+  const magic = block.toString('latin1', 257, 262)
+  const prefix = magic === 'ustar' ? readString(block, 345, 155) : ''
+
+  return {
+    name: prefix ? `${prefix}/${name}` : name,
+    size: readNumber(block, 124, 12),
+    type: String.fromCharCode(block[156]),
+  }
+}
+
+/**
+ * A full block with the ustar magic or a valid checksum (pre-POSIX tars have no magic)
+ */
+function isTarHeader(block) {
+  if (block.length < BLOCK_SIZE) return false
+  return block.toString('latin1', 257, 262) === 'ustar' || verifyChecksum(block)
+}
+
+function notTarballMessage(compression) {
+  return compression
+    ? `Not a tarball: the ${compression} stream does not hold a tar archive`
+    : 'Not a tar archive'
+}
+
+function verifyChecksum(block) {
+  const stored = readNumber(block, 148, 8)
+  let sum = 0
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    // The checksum field itself counts as spaces
+    sum += i >= 148 && i < 156 ? 0x20 : block[i]
+  }
+  return sum === stored
+}
+
+function readString(block, offset, length) {
+  const end = block.indexOf(0, offset)
+  const limit = end === -1 || end > offset + length ? offset + length : end
+  return block.toString('utf8', offset, limit)
+}
+
+function readNumber(block, offset, length) {
+  // GNU base-256 encoding for values that overflow the octal field
+  if (block[offset] & 0x80) {
+    let value = block[offset] & 0x7f
+    for (let i = 1; i < length; i++) {
+      value = value * 256 + block[offset + i]
+    }
+    return value
+  }
+
+  const text = block
+    .toString('latin1', offset, offset + length)
+    .replace(/\0.*$/, '')
+    .trim()
+  return text ? Number.parseInt(text, 8) : 0
+}
+
+function parsePaxPath(data) {
+  // Records are "<length> <key>=<value>\n"
+  let offset = 0
+  let path = null
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset)
+    if (space === -1) break
+    const length = Number.parseInt(data.toString('latin1', offset, space), 10)
+    if (!Number.isFinite(length) || length <= 0) break
+
+    const record = data.toString('utf8', space + 1, offset + length - 1)
+    const separator = record.indexOf('=')
+    if (separator !== -1 && record.slice(0, separator) === 'path') {
+      path = record.slice(separator + 1)
+    }
+    offset += length
+  }
+  return path
+}
+
+function isZeroBlock(block) {
+  for (let i = 0; i < block.length; i++) {
+    if (block[i] !== 0) return false
+  }
+  return true
+}
+
+module.exports = new TarReader()
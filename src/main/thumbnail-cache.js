@@ -0,0 +1,183 @@
+/**
+ * Thumbnail Cache - Small JPEG copies of extracted images for the gallery grid
+ *
+ * The grid used to read and decode every full-resolution page to draw a tile. Thumbnails
+ * are made at import in a few widths, stored in the repository's .thumbnails directory
+ * and named by the image's content hash, so an image found in several archives has one
+ * set. Images imported before thumbnails existed get theirs the first time the grid
+ * asks. Full resolution is only read for the fullscreen viewer.
+ */
+const fs = require('node:fs').promises
+const crypto = require('node:crypto')
+const path = require('node:path')
+const archiveDatabase = require('./archive-database')
+const imageDecoder = require('./image-decoder')
+
+// Widths made for each image; a tile gets the smallest one at least as wide as itself
+const THUMBNAIL_WIDTHS = [200, 400, 800]
+const THUMBNAIL_QUALITY = 80
+const THUMBNAIL_DIR_NAME = '.thumbnails'
+
+class ThumbnailCache {
+  /**
+   * @param {string} repositoryPath - Image repository root
+   * @returns {string} Directory thumbnails are stored in
+   */
+  getCacheDir(repositoryPath) {
+    return path.join(repositoryPath, THUMBNAIL_DIR_NAME)
+  }
+
+  getThumbnailPath(cacheDir, contentHash, width) {
+    return path.join(cacheDir, contentHash.slice(0, 2), `${contentHash}-${width}.jpg`)
+  }
+
+  /**
+   * @param {number} width - Wanted width in device pixels
+   * @returns {number} Smallest thumbnail width covering it, or the largest there is
+   */
+  pickWidth(width) {
+    return THUMBNAIL_WIDTHS.find((candidate) => candidate >= width) || THUMBNAIL_WIDTHS.at(-1)
+  }
+
+  /**
+   * Write every thumbnail width of a decoded image, unless they already exist
+   * @param {string} cacheDir - From getCacheDir
+   * @param {string} contentHash - SHA-256 of the image file
+   * @param {Object} image - Pixels from ImageDecoder
+   */
+  async createThumbnails(cacheDir, contentHash, image) {
+    // The largest width is written last, so its presence means the set is complete
+    const largestPath = this.getThumbnailPath(cacheDir, contentHash, THUMBNAIL_WIDTHS.at(-1))
+    if (await exists(largestPath)) return
+
+    const jpeg = require('jpeg-js')
+    await fs.mkdir(path.dirname(largestPath), { recursive: true })
+
+    // Each width is scaled from the next larger one rather than from the full image
+    const thumbnails = []
+    let source = image
+    for (const width of [...THUMBNAIL_WIDTHS].reverse()) {
+      source = scaleToWidth(source, width)
+      thumbnails.unshift({ width, data: jpeg.encode(source, THUMBNAIL_QUALITY).data })
+    }
+    for (const { width, data } of thumbnails) {
+      const thumbnailPath = this.getThumbnailPath(cacheDir, contentHash, width)
+      const tempPath = `${thumbnailPath}.${crypto.randomBytes(4).toString('hex')}.tmp`
+      await fs.writeFile(tempPath, data)
+      await fs.rename(tempPath, thumbnailPath)
+    }
+  }
+
+  /**
+   * Thumbnail of an extracted image, made now if it is missing
+   * @param {string} cacheDir - From getCacheDir
+   * @param {string} extractedPath - Extracted image listed in the catalogue
+   * @param {number} width - Wanted width in device pixels
+   * @returns {Promise<Object|null>} { path, sources, width, height }: the thumbnail for
+   *   the width, every thumbnail as { width, path }, and the full image's size; null if the
+   *   image cannot be decoded
+   */
+  async getThumbnail(cacheDir, extractedPath, width) {
+    const info = await archiveDatabase.getImageInfo(extractedPath)
+    if (!info) {
+      throw new Error('Image is not part of a processed archive')
+    }
+    // A size of 0 records an image that could not be decoded before
+    if (info.width === 0) return null
+
+    let contentHash = info.contentHash
+    if (!contentHash) {
+      contentHash = await archiveDatabase.calculateFileHash(extractedPath)
+      await archiveDatabase.setImageContentHash(extractedPath, contentHash)
+    }
+
+    const thumbnailPath = this.getThumbnailPath(cacheDir, contentHash, this.pickWidth(width))
+    if (info.width && (await exists(thumbnailPath))) {
+      return this.describe(cacheDir, contentHash, thumbnailPath, info)
+    }
+
+    const image = await this.decode(extractedPath)
+    await archiveDatabase.setImageDimensions(extractedPath, image?.width || 0, image?.height || 0)
+    if (!image) return null
+
+    await this.createThumbnails(cacheDir, contentHash, image)
+    return this.describe(cacheDir, contentHash, thumbnailPath, image)
+  }
+
+  /**
+   * Result of getThumbnail for an image of a size
+   */
+  describe(cacheDir, contentHash, thumbnailPath, { width, height }) {
+    // Images narrower than a thumbnail width were stored at their own size; such copies
+    // are left out after the first
+    const sources = THUMBNAIL_WIDTHS.map((thumbnailWidth) => ({
+      width: Math.min(thumbnailWidth, width),
+      path: this.getThumbnailPath(cacheDir, contentHash, thumbnailWidth),
+    })).filter((source, i, all) => i === 0 || source.width > all[i - 1].width)
+    return { path: thumbnailPath, sources, width, height }
+  }
+
+  /**
+   * @returns {Promise<Object|null>} Pixels, or null if the image cannot be decoded
+   */
+  async decode(filePath) {
+    try {
+      return await imageDecoder.decodeFile(filePath)
+    } catch (error) {
+      console.warn(`[THUMBNAIL] Could not decode ${filePath}:`, error.message)
+      return null
+    }
+  }
+}
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath)
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Scale pixels down to a width by averaging the source pixels under each target pixel;
+ * images narrower than the width keep their size. Transparent pixels are composited onto
+ * white, as JPEG has no alpha.
+ * @param {Object} image - { width, height, data, channels } (RGB or RGBA)
+ * @param {number} width - Target width
+ * @returns {Object} RGBA pixels, as jpeg-js encodes them
+ */
+function scaleToWidth(image, width) {
+  const { data, channels } = image
+  const targetWidth = Math.min(width, image.width)
+  const targetHeight = Math.max(1, Math.round((image.height * targetWidth) / image.width))
+
+  const sums = new Float64Array(targetWidth * targetHeight * 3)
+  const counts = new Uint32Array(targetWidth * targetHeight)
+  const columns = Uint32Array.from({ length: image.width }, (_, x) =>
+    Math.floor((x * targetWidth) / image.width)
+  )
+  for (let y = 0; y < image.height; y++) {
+    const row = Math.floor((y * targetHeight) / image.height) * targetWidth
+    for (let x = 0; x < image.width; x++) {
+      const offset = (y * image.width + x) * channels
+      const alpha = channels === 4 ? data[offset + 3] / 255 : 1
+      const cell = row + columns[x]
+      for (let c = 0; c < 3; c++) {
+        sums[cell * 3 + c] += data[offset + c] * alpha + 255 * (1 - alpha)
+      }
+      counts[cell]++
+    }
+  }
+
+  const pixels = Buffer.alloc(targetWidth * targetHeight * 4)
+  for (let i = 0; i < counts.length; i++) {
+    for (let c = 0; c < 3; c++) {
+      pixels[i * 4 + c] = Math.round(sums[i * 3 + c] / counts[i])
+    }
+    pixels[i * 4 + 3] = 255
+  }
+  return { width: targetWidth, height: targetHeight, data: pixels, channels: 4 }
+}
+
+module.exports = new ThumbnailCache()
@@ -0,0 +1,260 @@
+/**
+ * Zip Reader - Random access to ZIP entries without loading the whole archive
+ *
+ * AdmZip reads the complete file into memory, which is fine for extraction but not for
+ * viewing a multi-gigabyte archive in place. This reader parses the central directory
+ * once and then reads single entries with positioned reads.
+ */
+const fs = require('node:fs').promises
+const zlib = require('node:zlib')
+const { promisify } = require('node:util')
+
+const inflateRaw = promisify(zlib.inflateRaw)
+
+const EOCD_SIGNATURE = 0x06054b50
+const ZIP64_EOCD_LOCATOR_SIGNATURE = 0x07064b50
+const ZIP64_EOCD_SIGNATURE = 0x06064b50
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50
+const LOCAL_HEADER_SIGNATURE = 0x04034b50
+
+const EOCD_SIZE = 22
+const MAX_COMMENT_SIZE = 0xffff
+const LOCAL_HEADER_SIZE = 30
+
+const METHOD_STORED = 0
+const METHOD_DEFLATED = 8
+const FLAG_ENCRYPTED = 0x1
+const FLAG_UTF8 = 0x800
+
+class ZipReader {
+  constructor(handle, entries) {
+    this.handle = handle
+    this.entries = entries
+  }
+
+  /**
+   * Open a ZIP file and read its central directory
+   * @param {string} filePath - Path to archive
+   * @returns {Promise<ZipReader>} Reader
+   */
+  static async open(filePath) {
+    const secureFs = require('./secure-fs')
+    const handle = await fs.open(secureFs.sanitizeFilePath(filePath), 'r')
+    try {
+      const entries = await readCentralDirectory(handle)
+      return new ZipReader(handle, entries)
+    } catch (error) {
+      await handle.close()
+      throw error
+    }
+  }
+
+  /**
+   * List entries in central directory order
+   * @returns {Array} Entries ({ name, size, isDirectory, encrypted })
+   */
+  list() {
+    return Array.from(this.entries.values()).map((entry) => ({
+      name: entry.name,
+      size: entry.size,
+      isDirectory: entry.isDirectory,
+      encrypted: entry.encrypted,
+    }))
+  }
+
+  /**
+   * Read and decompress a single entry. Deflated data is never inflated past the size the
+   * central directory declares, so a small crafted entry cannot expand without bound.
+   * @param {string} name - Entry name
+   * @param {Object} [options] - { maxSize }: entries declaring more bytes are refused
+   * @returns {Promise<Buffer>} Entry contents
+   */
+  async read(name, options = {}) {
+    const entry = this.entries.get(name)
+    if (!entry || entry.isDirectory) {
+      throw new Error(`ZIP entry not found: ${name}`)
+    }
+    if (entry.encrypted) {
+      throw new Error(`ZIP entry is encrypted: ${name}`)
+    }
+    if (options.maxSize !== undefined && entry.size > options.maxSize) {
+      throw new Error(`File too large: ${(entry.size / (1024 * 1024)).toFixed(2)} MB`)
+    }
+
+    // The local header repeats name/extra with possibly different extra lengths
+    const localHeader = await readAt(this.handle, entry.localHeaderOffset, LOCAL_HEADER_SIZE)
+    if (localHeader.readUInt32LE(0) !== LOCAL_HEADER_SIGNATURE) {
+      throw new Error(`Invalid local header for ZIP entry: ${name}`)
+    }
+    const dataOffset =
+      entry.localHeaderOffset +
+      LOCAL_HEADER_SIZE +
+      localHeader.readUInt16LE(26) +
+      localHeader.readUInt16LE(28)
+
+    const compressed = await readAt(this.handle, dataOffset, entry.compressedSize)
+    if (compressed.length < entry.compressedSize) {
+      throw new Error(`ZIP entry is truncated: ${name}`)
+    }
+
+    let data
+    if (entry.method === METHOD_STORED) {
+      data = compressed
+    } else if (entry.method === METHOD_DEFLATED) {
+      try {
+        data = await inflateRaw(compressed, { maxOutputLength: Math.max(entry.size, 1) })
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+          throw new Error(`ZIP entry is larger than its declared size: ${name}`)
+        }
+        throw error
+      }
+    } else {
+      throw new Error(`Unsupported ZIP compression method ${entry.method}: ${name}`)
+    }
+
+    if (data.length !== entry.size || crc32(data) !== entry.crc) {
+      throw new Error(`CRC mismatch for ZIP entry: ${name}`)
+    }
+    return data
+  }
+
+  async close() {
+    await this.handle.close()
+  }
+}
+
+async function readCentralDirectory(handle) {
+  const { size: fileSize } = await handle.stat()
+  const tailSize = Math.min(fileSize, EOCD_SIZE + MAX_COMMENT_SIZE)
+  const tail = await readAt(handle, fileSize - tailSize, tailSize)
+
+  let eocdOffset = -1
+  for (let i = tail.length - EOCD_SIZE; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+      eocdOffset = i
+      break
+    }
+  }
+  if (eocdOffset === -1) {
+    throw new Error('ZIP end of central directory not found')
+  }
+
+  let entryCount = tail.readUInt16LE(eocdOffset + 10)
+  let directorySize = tail.readUInt32LE(eocdOffset + 12)
+  let directoryOffset = tail.readUInt32LE(eocdOffset + 16)
+
+  // ZIP64 archives keep the real values in a separate record located just before the EOCD
+  const locatorOffset = eocdOffset - 20
+  if (locatorOffset >= 0 && tail.readUInt32LE(locatorOffset) === ZIP64_EOCD_LOCATOR_SIGNATURE) {
+    const zip64Offset = readUInt64(tail, locatorOffset + 8)
+    const zip64Record = await readAt(handle, zip64Offset, 56)
+    if (zip64Record.readUInt32LE(0) !== ZIP64_EOCD_SIGNATURE) {
+      throw new Error('Invalid ZIP64 end of central directory')
+    }
+    entryCount = readUInt64(zip64Record, 32)
+    directorySize = readUInt64(zip64Record, 40)
+    directoryOffset = readUInt64(zip64Record, 48)
+  }
+
+  const directory = await readAt(handle, directoryOffset, directorySize)
+  const entries = new Map()
+  let offset = 0
+
+  for (let i = 0; i < entryCount; i++) {
+    if (
+      offset + 46 > directory.length ||
+      directory.readUInt32LE(offset) !== CENTRAL_HEADER_SIGNATURE
+    ) {
+      throw new Error('Corrupt ZIP central directory')
+    }
+
+    const flags = directory.readUInt16LE(offset + 8)
+    const nameLength = directory.readUInt16LE(offset + 28)
+    const extraLength = directory.readUInt16LE(offset + 30)
+    const commentLength = directory.readUInt16LE(offset + 32)
+    const nameBytes = directory.subarray(offset + 46, offset + 46 + nameLength)
+    const name = nameBytes.toString(flags & FLAG_UTF8 ? 'utf8' : 'latin1')
+
+    const entry = {
+      name,
+      method: directory.readUInt16LE(offset + 10),
+      crc: directory.readUInt32LE(offset + 16),
+      compressedSize: directory.readUInt32LE(offset + 20),
+      size: directory.readUInt32LE(offset + 24),
+      localHeaderOffset: directory.readUInt32LE(offset + 42),
+      encrypted: (flags & FLAG_ENCRYPTED) !== 0,
+      isDirectory: name.endsWith('/'),
+    }
+
+    const extra = directory.subarray(
+      offset + 46 + nameLength,
+      offset + 46 + nameLength + extraLength
+    )
+    applyZip64Extra(entry, extra)
+
+    entries.set(name, entry)
+    offset += 46 + nameLength + extraLength + commentLength
+  }
+
+  return entries
+}
+
+function applyZip64Extra(entry, extra) {
+  let offset = 0
+  while (offset + 4 <= extra.length) {
+    const id = extra.readUInt16LE(offset)
+    const length = extra.readUInt16LE(offset + 2)
+    if (id === 0x0001) {
+      // Only the fields saturated in the central header are present, in this order
+      let cursor = offset + 4
+      for (const field of ['size', 'compressedSize', 'localHeaderOffset']) {
+        if (entry[field] === 0xffffffff && cursor + 8 <= offset + 4 + length) {
+          entry[field] = readUInt64(extra, cursor)
+          cursor += 8
+        }
+      }
+      return
+    }
+    offset += 4 + length
+  }
+}
+
+async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(length)
+  const { bytesRead } = await handle.read(buffer, 0, length, position)
+  return buffer.subarray(0, bytesRead)
+}
+
+function readUInt64(buffer, offset) {
+  return buffer.readUInt32LE(offset) + buffer.readUInt32LE(offset + 4) * 0x100000000
+}
+
+let crcTable = null
+
+/**
+ * CRC-32 (IEEE) as used by ZIP
+ * @param {Buffer} data - Data to checksum
+ * @returns {number} Unsigned CRC
+ */
+function crc32(data) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256)
+    for (let n = 0; n < 256; n++) {
+      let c = n
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+      }
+      crcTable[n] = c >>> 0
+    }
+  }
+
+  let crc = 0xffffffff
+  for (let i = 0; i < data.length; i++) {
+    crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+module.exports = ZipReader
+module.exports.crc32 = crc32
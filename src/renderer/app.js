@@ -14,10 +14,23 @@ function loadScript(src) {
 async function loadModules() {
   try {
     await loadScript('debug-logger.js')
+    await loadScript('natural-sort.js')
+    await loadScript('media-info.js')
     await loadScript('image-loader.js')
     await loadScript('fullscreen-viewer.js')
+    await loadScript('reader-mode.js')
+    await loadScript('image-zoom.js')
+    await loadScript('page-preloader.js')
+    await loadScript('slideshow.js')
+    await loadScript('media-player.js')
     await loadScript('ui-controls.js')
     await loadScript('archive-manager.js')
+    await loadScript('password-prompt.js')
+    await loadScript('import-queue-panel.js')
+    await loadScript('duplicates-view.js')
+    await loadScript('near-duplicates-view.js')
+    await loadScript('gallery-sorter.js')
+    await loadScript('virtual-grid.js')
     await loadScript('gallery-core.js')
 
     console.log('✅ All modules loaded successfully')
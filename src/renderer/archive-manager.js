@@ -4,6 +4,9 @@
 class ArchiveManager {
   constructor() {
     this.gallery = null
+    this.searchTimer = null
+    this.searchQuery = ''
+    this.processingPaused = false
   }
 
   setGallery(gallery) {
@@ -24,96 +27,19 @@ class ArchiveManager {
     }
   }
 
+  /**
+   * Queue archives for import; they are processed in the background while the gallery
+   * stays usable, and the import queue panel shows their progress
+   */
   async processArchives(archiveFiles) {
-    console.log(`📦 Processing ${archiveFiles.length} archives...`)
-
-    // Clear existing gallery when processing new archives
-    this.gallery.images = []
-    this.gallery.renderGallery()
-    this.gallery.imageLoader.cleanupBlobUrls()
-
-    for (const archiveFile of archiveFiles) {
-      try {
-        console.log(`📦 Processing archive: ${archiveFile.name || archiveFile.path}`)
-
-        // Show loading for archive processing
-        this.gallery.showLoading()
-        this.gallery.updateProgress(0, 1)
-        this.gallery.loadingText.textContent = `Processing ${archiveFile.name || 'archive'}...`
-
-        // Set up progress listener
-        const progressHandler = (progress) => {
-          this.gallery.updateProgress(progress.processed, progress.total)
-        }
-        let unsubscribeProgress = () => {}
-        try {
-          unsubscribeProgress = window.electronAPI.onArchiveProgress(progressHandler)
-          const result = await window.electronAPI.processArchive(archiveFile.path)
-
-          if (result.alreadyProcessed) {
-            // Archive was already processed - ask user what to do
-            const choice = confirm(
-              `Archive "${result.metadata.name}" has already been processed and contains ${Array.isArray(result.extractedFiles) ? result.extractedFiles.length : Number(result.extractedFiles) || 0} images.\n\n` +
-                `Choose "OK" to reprocess the archive anyway, or "Cancel" to skip.`
-            )
-
-            if (choice) {
-              // User wants to reprocess
-              this.gallery.loadingText.textContent = `Reprocessing ${archiveFile.name || 'archive'}...`
-              // Avoid double subscription: replace the previous listener
-              unsubscribeProgress()
-              unsubscribeProgress = window.electronAPI.onArchiveProgress(progressHandler)
-              const reprocessResult = await window.electronAPI.processArchive(
-                archiveFile.path,
-                true
-              )
-
-              console.log(
-                `✅ Archive reprocessed: ${reprocessResult.metadata.name} (${reprocessResult.extractedFiles.length} images extracted)`
-              )
-
-              // Load the newly extracted images
-              if (reprocessResult.extractedFiles.length > 0) {
-                const extractedImagePaths = reprocessResult.extractedFiles.map(
-                  (f) => f.extractedPath
-                )
-                await this.gallery.imageLoader.loadFilesFromPaths(extractedImagePaths, {
-                  manageUi: false,
-                })
-              }
-              // Outer finally will unsubscribe the active listener
-            } else {
-              // User chose to skip - show message about previously processed archive
-              const prevCount = Array.isArray(result.extractedFiles)
-                ? result.extractedFiles.length
-                : Number(result.extractedFiles) || 0
-              alert(
-                `Archive "${result.metadata.name}" was previously processed (${prevCount} images). Skipping.`
-              )
-            }
-          } else {
-            // Archive was processed successfully
-            console.log(
-              `✅ Archive processed: ${result.metadata.name} (${result.extractedFiles.length} images extracted)`
-            )
-
-            // Load the extracted images
-            if (result.extractedFiles.length > 0) {
-              const extractedImagePaths = result.extractedFiles.map((f) => f.extractedPath)
-              await this.gallery.imageLoader.loadFilesFromPaths(extractedImagePaths, {
-                manageUi: false,
-              })
-            }
-          }
-        } finally {
-          unsubscribeProgress()
-        }
-      } catch (error) {
-        console.error(`❌ Failed to process archive:`, error)
-        alert(`Failed to process archive ${archiveFile.name}: ${error.message}`)
-      } finally {
-        this.gallery.hideLoading()
-      }
+    console.log(`📦 Queueing ${archiveFiles.length} archives...`)
+
+    try {
+      const jobs = await window.electronAPI.enqueueArchives(archiveFiles.map((f) => f.path))
+      console.log(`✅ Queued ${jobs.length} archives for import`)
+    } catch (error) {
+      console.error(`❌ Failed to queue archives:`, error)
+      alert(`Failed to queue archives: ${error.message}`)
     }
   }
 
@@ -124,7 +50,6 @@ class ArchiveManager {
       // Clear existing gallery when loading a processed archive
       this.gallery.images = []
       this.gallery.renderGallery()
-      this.gallery.imageLoader.cleanupBlobUrls()
 
       // Show loading
       this.gallery.showLoading()
@@ -132,6 +57,7 @@ class ArchiveManager {
       this.gallery.loadingText.textContent = 'Loading processed archive...'
 
       const result = await window.electronAPI.loadProcessedArchive(archiveHash)
+      await this.gallery.readerMode.loadForArchive(result.metadata)
 
       console.log(
         `✅ Loaded processed archive: ${result.metadata.name} (${result.extractedFiles.length} images)`
@@ -139,8 +65,8 @@ class ArchiveManager {
 
       // Load the extracted images into the gallery
       if (result.extractedFiles.length > 0) {
-        const extractedImagePaths = result.extractedFiles.map((f) => f.extractedPath)
-        await this.gallery.imageLoader.loadFilesFromPaths(extractedImagePaths, { manageUi: false })
+        const imageSources = this.getImageSources(result)
+        await this.gallery.imageLoader.loadFilesFromPaths(imageSources, { manageUi: false })
       }
     } catch (error) {
       console.error(`❌ Failed to load processed archive:`, error)
@@ -150,30 +76,167 @@ class ArchiveManager {
     }
   }
 
+  /**
+   * Map a processed archive's files to ImageLoader sources: extracted files load from
+   * disk (through thumbnails), view-in-place archives are read entry by entry through the
+   * main process.
+   * Each source carries the folder (chapter) it sits in inside the archive.
+   */
+  getImageSources(result) {
+    return result.extractedFiles.map((f) => {
+      const folder = this.getChapterFolder(result.metadata.name, f)
+      return f.extractedPath
+        ? { path: f.extractedPath, folder, extracted: true }
+        : {
+            archiveHash: result.metadata.hash,
+            entryName: f.archiveEntry,
+            name: f.originalName,
+            size: f.size,
+            folder,
+          }
+    })
+  }
+
+  /**
+   * Folder label of an archive file: the archive name followed by the file's directory
+   * inside the archive (records from before folders were kept only have the archive name)
+   */
+  getChapterFolder(archiveName, file) {
+    const relativePath = file.relativePath || ''
+    const slash = relativePath.lastIndexOf('/')
+    return slash > 0 ? `${archiveName}/${relativePath.slice(0, slash)}` : archiveName
+  }
+
+  /**
+   * Queue extraction of a view-in-place archive into the repository so it no longer
+   * needs the source
+   */
+  async materializeArchive(archiveHash) {
+    try {
+      const job = await window.electronAPI.materializeArchive(archiveHash)
+      console.log(`✅ Queued extraction of ${job.name}`)
+    } catch (error) {
+      console.error(`❌ Failed to extract archive:`, error)
+      alert(`Failed to extract archive: ${error.message}`)
+    }
+  }
+
+  /**
+   * Check a processed archive for damaged or missing images and show the new report
+   */
+  async verifyArchive(archiveHash) {
+    try {
+      this.gallery.showLoading()
+      this.gallery.loadingText.textContent = 'Verifying archive...'
+      this.beginProcessing()
+
+      const integrity = await window.electronAPI.verifyArchive(archiveHash)
+      console.log(
+        `✅ Archive verified: ${integrity.status} (${integrity.problemCount} problems in ${integrity.checkedEntries} images)`
+      )
+      await this.loadProcessedArchivesList()
+    } catch (error) {
+      if (this.isCancellation(error)) {
+        console.log('⏹️ Archive verification cancelled')
+      } else {
+        console.error(`❌ Failed to verify archive:`, error)
+        alert(`Failed to verify archive: ${error.message}`)
+      }
+    } finally {
+      this.gallery.hideLoading()
+    }
+  }
+
+  /**
+   * Show the pause and cancel buttons for an archive check that is starting
+   */
+  beginProcessing() {
+    this.processingPaused = false
+    this.gallery.showLoadingActions()
+  }
+
+  async togglePauseProcessing() {
+    const paused = !this.processingPaused
+    try {
+      if (paused) {
+        await window.electronAPI.pauseArchiveProcessing()
+      } else {
+        await window.electronAPI.resumeArchiveProcessing()
+      }
+      this.processingPaused = paused
+      this.gallery.showLoadingActions(paused)
+      this.gallery.loadingText.textContent = paused ? 'Paused' : 'Resuming...'
+    } catch (error) {
+      console.error(`❌ Failed to ${paused ? 'pause' : 'resume'} archive processing:`, error)
+    }
+  }
+
+  /**
+   * Stop the running archive check
+   */
+  async cancelProcessing() {
+    this.processingPaused = false
+    this.gallery.loadingText.textContent = 'Cancelling...'
+    this.gallery.loadingPauseBtn.disabled = true
+    this.gallery.loadingCancelBtn.disabled = true
+    try {
+      await window.electronAPI.cancelArchiveProcessing()
+    } catch (error) {
+      console.error('❌ Failed to cancel archive processing:', error)
+    }
+  }
+
+  isCancellation(error) {
+    return String(error?.message || '').includes('Archive processing cancelled')
+  }
+
   async loadProcessedArchivesList() {
     try {
-      const processedArchives = await window.electronAPI.getProcessedArchives()
+      const processedArchives = this.searchQuery
+        ? await window.electronAPI.searchProcessedArchives(this.searchQuery)
+        : await window.electronAPI.getProcessedArchives()
       this.displayProcessedArchives(processedArchives || [])
     } catch (error) {
       console.warn('Failed to load processed archives list:', error)
     }
   }
 
+  searchProcessedArchives(query) {
+    this.searchQuery = String(query || '').trim()
+
+    // Debounce so typing does not flood the main process with searches
+    clearTimeout(this.searchTimer)
+    this.searchTimer = setTimeout(() => {
+      this.loadProcessedArchivesList()
+    }, 200)
+  }
+
   displayProcessedArchives(archives) {
     if (!this.gallery.processedArchivesList) return
 
     this.gallery.processedArchivesList.innerHTML = ''
 
     if (!Array.isArray(archives) || archives.length === 0) {
-      if (this.gallery.processedArchivesSection) {
+      if (this.searchQuery) {
+        // Keep the section (and its search box) visible while a search has no hits
+        const emptyElement = document.createElement('div')
+        emptyElement.className = 'archive-search-empty'
+        emptyElement.textContent = 'No matching archives'
+        this.gallery.processedArchivesList.appendChild(emptyElement)
+      } else if (this.gallery.processedArchivesSection) {
         this.gallery.processedArchivesSection.style.display = 'none'
       }
       return
     }
 
-    archives.forEach((archive) => {
+    this.orderByNesting(archives).forEach(({ archive, depth }) => {
       const archiveItem = document.createElement('div')
       archiveItem.className = 'processed-archive-item'
+      if (depth > 0) {
+        // Archives found inside another archive are indented under their parent
+        archiveItem.classList.add('nested-archive-item')
+        archiveItem.style.setProperty('--nesting-depth', depth)
+      }
 
       const archiveInfo = document.createElement('div')
       archiveInfo.className = 'archive-info'
@@ -185,12 +248,48 @@ class ArchiveManager {
       metaElement.className = 'archive-meta'
       const imgCount = Array.isArray(archive.extractedFiles)
         ? archive.extractedFiles.length
-        : Number(archive.extractedFiles) || 0
+        : Number(archive.imageCount) || 0
       metaElement.textContent = `${imgCount} images • ${(archive.size / 1024 / 1024).toFixed(1)}MB`
+      if (archive.viewMode === 'stream') {
+        metaElement.textContent += ' • In place'
+      }
+      if (archive.encrypted) {
+        metaElement.textContent += ' • 🔒 Encrypted'
+      }
+      if (Array.isArray(archive.childArchives) && archive.childArchives.length > 0) {
+        metaElement.textContent += ` • ${archive.childArchives.length} nested archives`
+      }
+      if (depth === 0 && archive.parentHash && archive.parentEntry) {
+        // Parent is not in the list (e.g. filtered out by search)
+        metaElement.textContent += ' • inside another archive'
+      }
+      if (archive.integrity) {
+        metaElement.textContent +=
+          archive.integrity.status === 'ok'
+            ? ' • ✓ Verified'
+            : ` • ⚠️ ${archive.integrity.problemCount} damaged`
+      }
 
       archiveInfo.appendChild(nameElement)
       archiveInfo.appendChild(metaElement)
 
+      const integrityReport = this.formatIntegrityReport(archive.integrity)
+      if (integrityReport) {
+        const reportElement = document.createElement('span')
+        reportElement.className = 'archive-integrity-report'
+        reportElement.textContent = integrityReport.summary
+        reportElement.title = integrityReport.details
+        archiveInfo.appendChild(reportElement)
+      }
+
+      const comicSummary = this.formatComicInfo(archive.comicInfo)
+      if (comicSummary) {
+        const comicElement = document.createElement('span')
+        comicElement.className = 'archive-comic-meta'
+        comicElement.textContent = comicSummary
+        archiveInfo.appendChild(comicElement)
+      }
+
       const loadBtn = document.createElement('button')
       loadBtn.className = 'load-archive-btn'
       loadBtn.textContent = 'Load Images'
@@ -204,6 +303,29 @@ class ArchiveManager {
         this.loadProcessedArchive(archive.hash)
       })
 
+      if (archive.viewMode === 'stream') {
+        const keepBtn = document.createElement('button')
+        keepBtn.className = 'load-archive-btn keep-archive-btn'
+        keepBtn.textContent = 'Keep Files'
+        keepBtn.title = 'Extract this archive into the repository'
+        keepBtn.addEventListener('click', () => {
+          this.materializeArchive(archive.hash)
+        })
+        archiveItem.appendChild(keepBtn)
+      }
+
+      // Inner archives only exist inside their parent and cannot be re-read on their own
+      if (archive.path) {
+        const verifyBtn = document.createElement('button')
+        verifyBtn.className = 'load-archive-btn verify-archive-btn'
+        verifyBtn.textContent = 'Verify'
+        verifyBtn.title = 'Check the archive for damaged or missing images'
+        verifyBtn.addEventListener('click', () => {
+          this.verifyArchive(archive.hash)
+        })
+        archiveItem.appendChild(verifyBtn)
+      }
+
       this.gallery.processedArchivesList.appendChild(archiveItem)
     })
 
@@ -212,6 +334,76 @@ class ArchiveManager {
       this.gallery.processedArchivesSection.style.display = 'block'
     }
   }
+
+  /**
+   * Order archives so nested archives follow their parent
+   * @param {Array} archives - Archive records
+   * @returns {Array} Entries ({ archive, depth })
+   */
+  orderByNesting(archives) {
+    const byHash = new Map(archives.map((archive) => [archive.hash, archive]))
+    const childrenOf = new Map()
+    const roots = []
+
+    for (const archive of archives) {
+      if (archive.parentHash && byHash.has(archive.parentHash)) {
+        if (!childrenOf.has(archive.parentHash)) childrenOf.set(archive.parentHash, [])
+        childrenOf.get(archive.parentHash).push(archive)
+      } else {
+        roots.push(archive)
+      }
+    }
+
+    const ordered = []
+    const visited = new Set()
+    const visit = (archive, depth) => {
+      if (visited.has(archive.hash)) return
+      visited.add(archive.hash)
+      ordered.push({ archive, depth })
+      for (const child of childrenOf.get(archive.hash) || []) {
+        visit(child, depth + 1)
+      }
+    }
+    // Archives caught in a parent cycle are never reached from a root; list them flat
+    for (const archive of [...roots, ...archives]) {
+      visit(archive, 0)
+    }
+    return ordered
+  }
+
+  /**
+   * Describe the problems of an integrity report
+   * @param {Object} integrity - Report stored on the archive record
+   * @returns {Object|null} { summary, details } or null when there is nothing to report
+   */
+  formatIntegrityReport(integrity) {
+    if (!integrity || integrity.status === 'ok' || !Array.isArray(integrity.problems)) {
+      return null
+    }
+
+    const describe = (problem) =>
+      `${problem.entry || 'Archive'}: ${problem.issue}${problem.detail ? ` (${problem.detail})` : ''}`
+    const shown = integrity.problems.slice(0, 3).map(describe)
+    const more = integrity.problemCount - shown.length
+
+    return {
+      summary: more > 0 ? `${shown.join(' • ')} • and ${more} more` : shown.join(' • '),
+      details: integrity.problems.map(describe).join('\n'),
+    }
+  }
+
+  formatComicInfo(comicInfo) {
+    if (!comicInfo) return ''
+
+    const parts = []
+    const title = comicInfo.series || comicInfo.title
+    if (title) {
+      parts.push(comicInfo.number ? `${title} #${comicInfo.number}` : title)
+    }
+    if (comicInfo.writer) parts.push(comicInfo.writer)
+    if (comicInfo.readingDirection === 'rtl') parts.push('Right-to-left')
+    return parts.join(' • ')
+  }
 }
 
 // Export to global scope
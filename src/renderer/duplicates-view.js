@@ -0,0 +1,99 @@
+/**
+ * Duplicates View - Lists processed archives that contain the same images
+ *
+ * Every extracted image is hashed by the main process; identical images are stored once
+ * (hard links), and this view shows which archives share them, most shared first.
+ */
+class DuplicatesView {
+  constructor() {
+    this.gallery = null
+  }
+
+  setGallery(gallery) {
+    this.gallery = gallery
+  }
+
+  /**
+   * Look for shared images and show the archive pairs; images imported before content
+   * hashes were recorded are hashed first, which can take a while
+   */
+  async show() {
+    const archiveManager = this.gallery.archiveManager
+    try {
+      this.gallery.showLoading()
+      this.gallery.loadingText.textContent = 'Finding duplicate images...'
+      archiveManager.beginProcessing()
+
+      const pairs = await window.electronAPI.findSharedImages()
+      console.log(`✅ Found ${pairs.length} archive pairs sharing images`)
+      this.render(pairs)
+    } catch (error) {
+      if (archiveManager.isCancellation(error)) {
+        console.log('⏹️ Duplicate search cancelled')
+      } else {
+        console.error('❌ Failed to find duplicate images:', error)
+        alert(`Failed to find duplicate images: ${error.message}`)
+      }
+    } finally {
+      this.gallery.hideLoading()
+    }
+  }
+
+  hide() {
+    this.gallery.duplicatesPanel?.classList.add('hidden')
+  }
+
+  render(pairs) {
+    const list = this.gallery.duplicatesList
+    if (!list) return
+
+    list.innerHTML = ''
+    if (pairs.length === 0) {
+      const emptyElement = document.createElement('div')
+      emptyElement.className = 'archive-search-empty'
+      emptyElement.textContent = 'No archives share images'
+      list.appendChild(emptyElement)
+    }
+
+    for (const pair of pairs) {
+      list.appendChild(this.createRow(pair))
+    }
+    this.gallery.duplicatesPanel?.classList.remove('hidden')
+  }
+
+  createRow(pair) {
+    const row = document.createElement('div')
+    row.className = 'processed-archive-item duplicate-pair-item'
+
+    const info = document.createElement('div')
+    info.className = 'archive-info'
+
+    const nameElement = document.createElement('strong')
+    nameElement.textContent = `${pair.first.name} ⇄ ${pair.second.name}`
+
+    const metaElement = document.createElement('span')
+    metaElement.className = 'archive-meta'
+    const share = (archive) =>
+      archive.imageCount > 0 ? Math.round((pair.sharedImages / archive.imageCount) * 100) : 0
+    metaElement.textContent = `${pair.sharedImages} shared images (${share(pair.first)}% / ${share(pair.second)}%) • ${(pair.sharedBytes / 1024 / 1024).toFixed(1)}MB`
+
+    info.appendChild(nameElement)
+    info.appendChild(metaElement)
+    row.appendChild(info)
+
+    for (const archive of [pair.first, pair.second]) {
+      const loadBtn = document.createElement('button')
+      loadBtn.className = 'load-archive-btn duplicate-load-btn'
+      loadBtn.textContent = archive === pair.first ? 'Load First' : 'Load Second'
+      loadBtn.title = archive.name
+      loadBtn.addEventListener('click', () => {
+        this.gallery.loadProcessedArchive(archive.hash)
+      })
+      row.appendChild(loadBtn)
+    }
+    return row
+  }
+}
+
+// Export to global scope
+window.DuplicatesView = DuplicatesView
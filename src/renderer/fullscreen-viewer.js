@@ -1,10 +1,18 @@
 /**
  * Fullscreen Viewer - Handles fullscreen image viewing and navigation
+ *
+ * Shows one page, a two-page spread or a vertical strip of the chapter, as ReaderMode
+ * says; previous and next move by what is shown. Videos and animated images are played
+ * by MediaPlayer.
  */
 class FullscreenViewer {
   constructor() {
     this.gallery = null
     this.fullscreenWheelHandler = null
+    this.stripScrollHandler = null
+    this.stripRange = null // Chapter shown in the vertical strip
+    this.stripFrame = null
+    this.showRequest = 0 // Counts page changes, so pages decoded too late are not shown
   }
 
   setGallery(gallery) {
@@ -22,9 +30,12 @@ class FullscreenViewer {
     this.gallery.currentIndex = index
     this.gallery.isFullscreen = true
 
-    this.updateFullscreenImage()
-    this.updateNavigationButtons()
+    // Shown first, so the vertical strip can scroll to the image
     this.gallery.fullscreenOverlay.classList.remove('hidden')
+    // Not the page of the last time while the first one decodes
+    this.gallery.fullscreenImage.removeAttribute('src')
+    this.gallery.fullscreenImageSecond?.classList.add('hidden')
+    this.updateFullscreenImage()
 
     // Prevent body scroll
     document.body.style.overflow = 'hidden'
@@ -35,7 +46,11 @@ class FullscreenViewer {
     }
 
     this.fullscreenWheelHandler = (e) => {
+      // The vertical strip scrolls
+      if (this.gallery.readerMode.isWebtoon()) return
       e.preventDefault()
+      // Zooms, or pans a zoomed page until it reaches its edge
+      if (this.gallery.imageZoom.handleWheel(e)) return
       // Handle wheel navigation without debounce for responsive scrolling
       if (e.deltaX > 0 || e.deltaY > 0) this.showNext()
       else if (e.deltaX < 0 || e.deltaY < 0) this.showPrevious()
@@ -43,6 +58,17 @@ class FullscreenViewer {
     this.gallery.fullscreenOverlay.addEventListener('wheel', this.fullscreenWheelHandler, {
       passive: false,
     })
+
+    this.stripScrollHandler = () => {
+      if (this.stripFrame) return
+      this.stripFrame = requestAnimationFrame(() => {
+        this.stripFrame = null
+        this.trackStripPosition()
+      })
+    }
+    this.gallery.fullscreenStrip?.addEventListener('scroll', this.stripScrollHandler, {
+      passive: true,
+    })
   }
 
   closeFullscreen() {
@@ -56,34 +82,252 @@ class FullscreenViewer {
       this.gallery.fullscreenOverlay.removeEventListener('wheel', this.fullscreenWheelHandler)
       this.fullscreenWheelHandler = null
     }
+    if (this.stripScrollHandler) {
+      this.gallery.fullscreenStrip?.removeEventListener('scroll', this.stripScrollHandler)
+      this.stripScrollHandler = null
+    }
+    this.clearStrip()
+    this.gallery.slideshow.stop()
+    this.gallery.mediaPlayer.show(null)
+    this.gallery.pagePreloader.clear()
   }
 
   showPrevious() {
-    if (this.gallery.currentIndex > 0) {
-      this.gallery.currentIndex--
-      this.updateFullscreenImage()
-    }
+    this.showPages(this.gallery.readerMode.findPages(this.gallery.currentIndex, -1))
   }
 
   showNext() {
-    if (this.gallery.currentIndex < this.gallery.images.length - 1) {
-      this.gallery.currentIndex++
-      this.updateFullscreenImage()
+    this.showPages(this.gallery.readerMode.findPages(this.gallery.currentIndex, 1))
+  }
+
+  /**
+   * The left arrow and button go back, or forward when reading right to left
+   */
+  showLeft() {
+    if (this.gallery.readerMode.isRightToLeft()) this.showNext()
+    else this.showPrevious()
+  }
+
+  showRight() {
+    if (this.gallery.readerMode.isRightToLeft()) this.showPrevious()
+    else this.showNext()
+  }
+
+  showPages(pages) {
+    if (!pages) return
+    this.gallery.currentIndex = pages[0]
+    this.updateFullscreenImage()
+  }
+
+  /**
+   * Jump to the first image of the previous chapter, or to the start of the current one
+   * when past its first image
+   */
+  showPreviousChapter() {
+    const { start } = this.gallery.getChapterRange(this.gallery.currentIndex)
+    const target =
+      this.gallery.currentIndex > start
+        ? start
+        : start > 0
+          ? this.gallery.getChapterRange(start - 1).start
+          : start
+    this.showChapterFrom(target, -1)
+  }
+
+  /**
+   * Jump to the first image of the next chapter
+   */
+  showNextChapter() {
+    const { end } = this.gallery.getChapterRange(this.gallery.currentIndex)
+    if (end < this.gallery.images.length - 1) {
+      this.showChapterFrom(end + 1, 1)
+    }
+  }
+
+  /**
+   * Show the first loadable image from an index, skipping failed images in one direction
+   */
+  showChapterFrom(index, direction) {
+    const images = this.gallery.images
+    let target = index
+    while (images[target]?.error) {
+      target += direction > 0 ? 1 : -1
     }
+    if (target < 0 || target >= images.length || target === this.gallery.currentIndex) return
+
+    this.gallery.currentIndex = target
+    this.updateFullscreenImage()
   }
 
   updateFullscreenImage() {
     const image = this.gallery.images[this.gallery.currentIndex]
     if (!image || image.error) return
+    this.showRequest++
+
+    const webtoon = this.gallery.readerMode.isWebtoon()
+    this.gallery.fullscreenPages?.classList.toggle('hidden', webtoon)
+    this.gallery.fullscreenStrip?.classList.toggle('hidden', !webtoon)
+    if (webtoon) {
+      this.gallery.mediaPlayer.show(null)
+      this.showStrip()
+    } else {
+      this.clearStrip()
+      this.showSpread()
+    }
+    this.gallery.imageZoom.updateControls()
+    this.updateChapterLabel(image)
+    this.updateNavigationButtons()
+  }
 
-    this.gallery.fullscreenImage.src = image.dataUrl
-    this.gallery.fullscreenImage.alt = image.name
+  /**
+   * Show the current image, with the page it is paired with in a spread. Pages that are
+   * not decoded yet replace the ones shown once they are, so the screen does not go blank
+   */
+  showSpread() {
+    const pages = this.gallery.readerMode.findPages(this.gallery.currentIndex) || [
+      this.gallery.currentIndex,
+    ]
+    this.gallery.currentIndex = pages[0]
+
+    const preloader = this.gallery.pagePreloader
+    const request = this.showRequest
+    if (preloader.isReady(pages)) {
+      this.swapPages(pages)
+    } else {
+      preloader.load(pages).then(() => {
+        if (request === this.showRequest && this.gallery.isFullscreen) this.swapPages(pages)
+      })
+    }
+    preloader.preloadAround(pages)
+  }
+
+  swapPages(pages) {
+    this.gallery.slideshow.beginTransition()
+    const [first, second] = pages.map((index) => this.gallery.images[index])
+    // A video is not an image; the player shows it
+    if (first.mediaType === 'video') {
+      this.gallery.fullscreenImage.removeAttribute('src')
+    } else {
+      this.gallery.fullscreenImage.src = first.dataUrl
+    }
+    this.gallery.fullscreenImage.alt = first.name
+    this.gallery.mediaPlayer.show(first)
+
+    const secondImage = this.gallery.fullscreenImageSecond
+    if (secondImage) {
+      if (second) {
+        secondImage.src = second.dataUrl
+        secondImage.alt = second.name
+      } else {
+        secondImage.removeAttribute('src')
+      }
+      secondImage.classList.toggle('hidden', !second)
+    }
+    this.gallery.fullscreenPages?.classList.toggle('spread', Boolean(second))
+    this.gallery.fullscreenPages?.classList.toggle('rtl', this.gallery.readerMode.isRightToLeft())
+    this.gallery.imageZoom.applyFit()
+  }
+
+  /**
+   * Show the current image's chapter as a vertical strip, scrolled to the image; pages
+   * load as they come near the view
+   */
+  showStrip() {
+    const strip = this.gallery.fullscreenStrip
+    if (!strip) return
+    const images = this.gallery.images
+    const { start, end } = this.gallery.getChapterRange(this.gallery.currentIndex)
+
+    if (this.stripRange?.start !== start || this.stripRange?.end !== end) {
+      this.clearStrip()
+      for (let index = start; index <= end; index++) {
+        const image = images[index]
+        if (image.error) continue
+        const page = this.createStripPage(image)
+        page.className = 'fullscreen-strip-page'
+        page.dataset.index = index
+        page.draggable = false
+        // Reserve the page's height before it loads, so the strip does not jump
+        page.style.aspectRatio = String(image.aspectRatio || 1)
+        page.src = image.dataUrl
+        strip.appendChild(page)
+      }
+      this.stripRange = { start, end }
+    }
+
+    const page = strip.querySelector(`[data-index="${this.gallery.currentIndex}"]`)
+    page?.scrollIntoView({ block: 'start' })
+    strip.focus({ preventScroll: true })
+  }
+
+  /**
+   * Element of a page in the vertical strip: videos get the browser's controls and load
+   * when played
+   */
+  createStripPage(image) {
+    if (image.mediaType === 'video') {
+      const video = document.createElement('video')
+      video.controls = true
+      video.loop = true
+      video.preload = 'none'
+      if (image.thumbnailUrl) video.poster = image.thumbnailUrl
+      video.setAttribute('aria-label', image.name)
+      return video
+    }
+    const page = document.createElement('img')
+    page.loading = 'lazy'
+    page.decoding = 'async'
+    page.alt = image.name
+    return page
+  }
+
+  clearStrip() {
+    if (!this.stripRange) return
+    this.gallery.fullscreenStrip.innerHTML = ''
+    this.stripRange = null
+  }
+
+  /**
+   * Make the page in the middle of the strip the current image as it scrolls
+   */
+  trackStripPosition() {
+    const strip = this.gallery.fullscreenStrip
+    if (!this.stripRange || !this.gallery.isFullscreen) return
+
+    const middle = strip.scrollTop + strip.clientHeight / 2
+    let current = null
+    for (const page of strip.children) {
+      if (page.offsetTop > middle) break
+      current = page
+    }
+    const index = Number(current?.dataset.index ?? this.stripRange.start)
+    if (index === this.gallery.currentIndex) return
+
+    this.gallery.currentIndex = index
+    this.updateChapterLabel(this.gallery.images[index])
     this.updateNavigationButtons()
   }
 
+  updateChapterLabel(image) {
+    const label = this.gallery.fullscreenChapter
+    if (!label) return
+
+    if (!image.folder) {
+      label.classList.add('hidden')
+      return
+    }
+    const { start, end } = this.gallery.getChapterRange(this.gallery.currentIndex)
+    label.textContent = `${image.folder.split('/').join(' › ')} — ${this.gallery.currentIndex - start + 1} / ${end - start + 1}`
+    label.classList.remove('hidden')
+  }
+
   updateNavigationButtons() {
-    this.gallery.prevBtn.disabled = this.gallery.currentIndex === 0
-    this.gallery.nextBtn.disabled = this.gallery.currentIndex === this.gallery.images.length - 1
+    const readerMode = this.gallery.readerMode
+    const hasPrevious = Boolean(readerMode.findPages(this.gallery.currentIndex, -1))
+    const hasNext = Boolean(readerMode.findPages(this.gallery.currentIndex, 1))
+    const rightToLeft = readerMode.isRightToLeft()
+    this.gallery.prevBtn.disabled = rightToLeft ? !hasNext : !hasPrevious
+    this.gallery.nextBtn.disabled = rightToLeft ? !hasPrevious : !hasNext
   }
 }
 
@@ -12,17 +12,44 @@ class ImageGallery {
     this.debugLogger = window.DebugLogger
     this.imageLoader = new window.ImageLoader()
     this.fullscreenViewer = new window.FullscreenViewer()
+    this.readerMode = new window.ReaderMode()
+    this.imageZoom = new window.ImageZoom()
+    this.pagePreloader = new window.PagePreloader()
+    this.slideshow = new window.Slideshow()
+    this.mediaPlayer = new window.MediaPlayer()
     this.uiControls = new window.UIControls()
     this.archiveManager = new window.ArchiveManager()
+    this.passwordPrompt = new window.PasswordPrompt()
+    this.importQueuePanel = new window.ImportQueuePanel()
+    this.duplicatesView = new window.DuplicatesView()
+    this.nearDuplicatesView = new window.NearDuplicatesView()
+    this.gallerySorter = new window.GallerySorter()
+    this.virtualGrid = new window.VirtualGrid()
 
     // Set the gallery reference in each module
     this.imageLoader.setGallery(this)
     this.fullscreenViewer.setGallery(this)
+    this.readerMode.setGallery(this)
+    this.imageZoom.setGallery(this)
+    this.pagePreloader.setGallery(this)
+    this.slideshow.setGallery(this)
+    this.mediaPlayer.setGallery(this)
     this.uiControls.setGallery(this)
     this.archiveManager.setGallery(this)
+    this.passwordPrompt.setGallery(this)
+    this.importQueuePanel.setGallery(this)
+    this.duplicatesView.setGallery(this)
+    this.nearDuplicatesView.setGallery(this)
+    this.gallerySorter.setGallery(this)
+    this.virtualGrid.setGallery(this)
 
     const elementsInitialized = this.initializeElements()
     if (elementsInitialized) {
+      this.virtualGrid.initialize()
+      this.imageZoom.initialize()
+      this.pagePreloader.initialize()
+      this.slideshow.initialize()
+      this.mediaPlayer.initialize()
       this.bindEvents()
       this.setupDragAndDrop()
     }
@@ -32,6 +59,11 @@ class ImageGallery {
       console.error('❌ Failed to load processed archives list', error)
     })
 
+    // Show background imports, including those left over from the last session
+    this.importQueuePanel.initialize().catch((error) => {
+      console.error('❌ Failed to load import queue', error)
+    })
+
     // Clean up resources on window unload
     window.addEventListener('beforeunload', () => {
       this.cleanup()
@@ -59,6 +91,7 @@ class ImageGallery {
     // Main containers
     this.dropZone = document.getElementById('drop-zone')
     this.galleryGrid = document.getElementById('gallery-grid')
+    this.galleryToolbar = document.getElementById('gallery-toolbar')
     this.fullscreenOverlay = document.getElementById('fullscreen-overlay')
     this.loadingIndicator = document.getElementById('loading-indicator')
 
@@ -68,19 +101,79 @@ class ImageGallery {
     this.closeFullscreenBtn = document.getElementById('close-fullscreen')
     this.prevBtn = document.getElementById('prev-btn')
     this.nextBtn = document.getElementById('next-btn')
+    this.sortSelect = document.getElementById('gallery-sort')
+    this.sortDirectionBtn = document.getElementById('gallery-sort-direction')
+    this.layoutSelect = document.getElementById('gallery-layout')
+    this.thumbnailSizeInput = document.getElementById('gallery-thumbnail-size')
 
     // Archive management
     this.processedArchivesSection = document.getElementById('processed-archives-section')
     this.processedArchivesList = document.getElementById('processed-archives-list')
+    this.archiveSearchInput = document.getElementById('archive-search')
+    this.findDuplicatesBtn = document.getElementById('find-duplicates-btn')
+    this.duplicatesPanel = document.getElementById('duplicates-panel')
+    this.duplicatesList = document.getElementById('duplicates-list')
+    this.duplicatesCloseBtn = document.getElementById('duplicates-close')
+    this.findNearDuplicatesBtn = document.getElementById('find-near-duplicates-btn')
+    this.nearDuplicatesOverlay = document.getElementById('near-duplicates-overlay')
+    this.nearDuplicatesTitle = document.getElementById('near-duplicates-title')
+    this.nearDuplicatesList = document.getElementById('near-duplicates-list')
+    this.nearDuplicatesCloseBtn = document.getElementById('near-duplicates-close')
+
+    // Import queue
+    this.importQueue = document.getElementById('import-queue')
+    this.importQueueTitle = document.getElementById('import-queue-title')
+    this.importQueueList = document.getElementById('import-queue-list')
+    this.importQueueClearBtn = document.getElementById('import-queue-clear')
+    this.importQueueToggleBtn = document.getElementById('import-queue-toggle')
+
+    // Archive password dialog
+    this.passwordDialog = document.getElementById('password-dialog')
+    this.passwordForm = document.getElementById('password-form')
+    this.passwordMessage = document.getElementById('password-dialog-message')
+    this.passwordInput = document.getElementById('password-input')
+    this.passwordRemember = document.getElementById('password-remember')
+    this.passwordCancelBtn = document.getElementById('password-cancel-btn')
 
     // Image elements
     this.fullscreenImage = document.getElementById('fullscreen-image')
+    this.fullscreenChapter = document.getElementById('fullscreen-chapter')
+    this.fullscreenPages = document.getElementById('fullscreen-pages')
+    this.fullscreenImageSecond = document.getElementById('fullscreen-image-second')
+    this.fullscreenStrip = document.getElementById('fullscreen-strip')
+    this.fullscreenVideo = document.getElementById('fullscreen-video')
+    this.fullscreenCanvas = document.getElementById('fullscreen-canvas')
+
+    // Reader mode
+    this.readerPageModeSelect = document.getElementById('reader-page-mode')
+    this.readerDirectionBtn = document.getElementById('reader-direction')
+    this.readerCoverBtn = document.getElementById('reader-cover')
+    this.readerFitModeSelect = document.getElementById('reader-fit-mode')
+    this.readerLoupeBtn = document.getElementById('reader-loupe')
+    this.fullscreenLoupe = document.getElementById('fullscreen-loupe')
+
+    // Slideshow
+    this.slideshowBtn = document.getElementById('slideshow-btn')
+    this.slideshowProgress = document.getElementById('slideshow-progress')
+    this.slideshowProgressFill = document.getElementById('slideshow-progress-fill')
+
+    // Video and animation playback
+    this.mediaControls = document.getElementById('media-controls')
+    this.mediaPlayBtn = document.getElementById('media-play')
+    this.mediaStepBackBtn = document.getElementById('media-step-back')
+    this.mediaStepForwardBtn = document.getElementById('media-step-forward')
+    this.mediaScrub = document.getElementById('media-scrub')
+    this.mediaTime = document.getElementById('media-time')
+    this.mediaLoopBtn = document.getElementById('media-loop')
 
     // Loading elements
     this.loadingText = document.getElementById('loading-text')
     this.loadingProgress = document.getElementById('loading-progress')
     this.progressFill = document.getElementById('progress-fill')
     this.progressText = document.getElementById('progress-text')
+    this.loadingActions = document.getElementById('loading-actions')
+    this.loadingPauseBtn = document.getElementById('loading-pause-btn')
+    this.loadingCancelBtn = document.getElementById('loading-cancel-btn')
 
     // Verify critical elements exist
     if (
@@ -144,57 +237,107 @@ class ImageGallery {
     this.archiveManager.displayProcessedArchives(archives)
   }
 
+  searchProcessedArchives(query) {
+    this.archiveManager.searchProcessedArchives(query)
+  }
+
+  async findDuplicates() {
+    await this.duplicatesView.show()
+  }
+
+  closeDuplicates() {
+    this.duplicatesView.hide()
+  }
+
+  async findNearDuplicates() {
+    await this.nearDuplicatesView.show()
+  }
+
+  closeNearDuplicates() {
+    this.nearDuplicatesView.hide()
+  }
+
+  async cancelArchiveProcessing() {
+    await this.archiveManager.cancelProcessing()
+  }
+
+  async togglePauseArchiveProcessing() {
+    await this.archiveManager.togglePauseProcessing()
+  }
+
+  async clearFinishedImports() {
+    await this.importQueuePanel.clearFinished()
+  }
+
+  toggleImportQueue() {
+    this.importQueuePanel.toggleCollapsed()
+  }
+
+  async answerArchivePasswordRequest(request) {
+    await this.passwordPrompt.answerRequest(request)
+  }
+
+  sortImages() {
+    this.gallerySorter.sortImages()
+  }
+
+  setSortKey(sortKey) {
+    this.gallerySorter.setSortKey(sortKey)
+  }
+
+  toggleSortDirection() {
+    this.gallerySorter.toggleDirection()
+  }
+
+  setGalleryLayout(layoutMode) {
+    this.virtualGrid.setLayoutMode(layoutMode)
+  }
+
+  setThumbnailSize(size, save = false) {
+    this.virtualGrid.setTileSize(size, save)
+  }
+
   renderGallery() {
     console.log(`🔍 DEBUG: Starting gallery render for ${this.images.length} images...`)
     const renderStart = performance.now()
 
-    // Clear existing content
-    this.galleryGrid.innerHTML = ''
-
-    // Use DocumentFragment for better performance
-    const fragment = document.createDocumentFragment()
-
-    this.images.forEach((image, index) => {
-      if (image.error) {
-        const errorDiv = document.createElement('div')
-        errorDiv.className = 'image-error'
-
-        const iconDiv = document.createElement('div')
-        iconDiv.className = 'image-error-icon'
-        iconDiv.textContent = '⚠️'
-
-        const messageDiv = document.createElement('div')
-        messageDiv.textContent = 'Failed to load'
-
-        const nameDiv = document.createElement('div')
-        nameDiv.style.fontSize = '0.8rem'
-        nameDiv.style.opacity = '0.7'
-        nameDiv.textContent = image.name
-
-        errorDiv.appendChild(iconDiv)
-        errorDiv.appendChild(messageDiv)
-        errorDiv.appendChild(nameDiv)
-
-        errorDiv.addEventListener('click', () => this.openFullscreen(index))
-        fragment.appendChild(errorDiv)
-      } else {
-        const img = document.createElement('img')
-        img.className = 'gallery-image'
-        img.src = image.dataUrl
-        img.alt = image.name
-        img.loading = 'lazy' // Lazy load for better performance with large galleries
-        img.decoding = 'async' // Don't block on image decoding
-        img.draggable = false // Disable dragging to prevent accidental gallery reload
-        img.addEventListener('click', () => this.openFullscreen(index))
-        fragment.appendChild(img)
-      }
-    })
+    // Only the tiles in view are mounted; see VirtualGrid
+    this.virtualGrid.render()
 
-    this.galleryGrid.appendChild(fragment)
     const renderTime = performance.now() - renderStart
     console.log(`🔍 DEBUG: Gallery render completed in ${renderTime.toFixed(2)}ms`)
   }
 
+  /**
+   * Show images appended to this.images since the last render, without laying out the
+   * others again
+   */
+  appendToGallery() {
+    this.virtualGrid.append()
+  }
+
+  /**
+   * Check whether an image starts a new folder (chapter)
+   * @param {number} index - Image index
+   * @returns {boolean} True if the previous image is in a different folder
+   */
+  isChapterStart(index) {
+    return index === 0 || this.images[index - 1].folder !== this.images[index].folder
+  }
+
+  /**
+   * Find the index range of the chapter an image belongs to
+   * @param {number} index - Image index
+   * @returns {{start: number, end: number}} First and last index of the chapter
+   */
+  getChapterRange(index) {
+    let start = index
+    while (start > 0 && !this.isChapterStart(start)) start--
+    let end = index
+    while (end < this.images.length - 1 && !this.isChapterStart(end + 1)) end++
+    return { start, end }
+  }
+
   openFullscreen(index) {
     this.fullscreenViewer.openFullscreen(index)
   }
@@ -211,6 +354,86 @@ class ImageGallery {
     this.fullscreenViewer.showNext()
   }
 
+  showLeft() {
+    this.fullscreenViewer.showLeft()
+  }
+
+  showRight() {
+    this.fullscreenViewer.showRight()
+  }
+
+  setReaderPageMode(pageMode) {
+    this.readerMode.setPageMode(pageMode)
+  }
+
+  toggleReadingDirection() {
+    this.readerMode.toggleDirection()
+  }
+
+  toggleReaderCoverOffset() {
+    this.readerMode.toggleCoverOffset()
+  }
+
+  zoomIn() {
+    this.imageZoom.zoomIn()
+  }
+
+  zoomOut() {
+    this.imageZoom.zoomOut()
+  }
+
+  setFitMode(fitMode) {
+    this.imageZoom.setFitMode(fitMode)
+  }
+
+  toggleLoupe() {
+    this.imageZoom.toggleLoupe()
+  }
+
+  toggleSlideshow() {
+    this.slideshow.toggle()
+  }
+
+  changeSlideshowSettings(settings) {
+    this.slideshow.change(settings)
+  }
+
+  toggleSlideshowShuffle() {
+    this.slideshow.toggleShuffle()
+  }
+
+  toggleSlideshowLoop() {
+    this.slideshow.toggleLoop()
+  }
+
+  changeSlideshowInterval(step) {
+    this.slideshow.changeInterval(step)
+  }
+
+  toggleMediaPlayback() {
+    this.mediaPlayer.togglePlayback()
+  }
+
+  seekMedia(position) {
+    this.mediaPlayer.seek(position)
+  }
+
+  stepMediaFrame(step) {
+    this.mediaPlayer.stepFrame(step)
+  }
+
+  toggleMediaLoop() {
+    this.mediaPlayer.toggleLoop()
+  }
+
+  showPreviousChapter() {
+    this.fullscreenViewer.showPreviousChapter()
+  }
+
+  showNextChapter() {
+    this.fullscreenViewer.showNextChapter()
+  }
+
   updateFullscreenImage() {
     this.fullscreenViewer.updateFullscreenImage()
   }
@@ -227,6 +450,10 @@ class ImageGallery {
     this.uiControls.hideLoading()
   }
 
+  showLoadingActions(paused = false) {
+    this.uiControls.showLoadingActions(paused)
+  }
+
   updateProgress(current, total) {
     this.uiControls.updateProgress(current, total)
   }
@@ -249,7 +476,6 @@ class ImageGallery {
 
   cleanup() {
     this.debugLogger.cleanup()
-    this.imageLoader.cleanupBlobUrls()
   }
 }
 
@@ -0,0 +1,92 @@
+/**
+ * Gallery Sorter - Orders gallery images by a user-selected key
+ *
+ * Folders (chapters) always stay together in natural order; the key and direction
+ * order the images inside each folder. Images missing the key's value sort last.
+ */
+const SORT_KEYS = {
+  name: (image) => image.name,
+  size: (image) => image.size ?? image.file?.size,
+  mtime: (image) => image.mtimeMs ?? image.file?.lastModified,
+  dimensions: (image) => (image.width && image.height ? image.width * image.height : undefined),
+}
+
+class GallerySorter {
+  constructor() {
+    this.gallery = null
+    this.sortKey = 'name'
+    this.descending = false
+  }
+
+  setGallery(gallery) {
+    this.gallery = gallery
+  }
+
+  /**
+   * Change the sort key and re-render
+   * @param {string} sortKey - 'name', 'size', 'mtime' or 'dimensions'
+   */
+  setSortKey(sortKey) {
+    if (!SORT_KEYS[sortKey]) {
+      console.warn(`⚠️ Unknown sort key: ${sortKey}`)
+      return
+    }
+    this.sortKey = sortKey
+    this.applySort()
+  }
+
+  toggleDirection() {
+    this.descending = !this.descending
+    this.applySort()
+  }
+
+  applySort() {
+    this.updateControls()
+    if (this.gallery.images.length === 0) return
+    this.sortImages()
+    this.gallery.renderGallery()
+  }
+
+  /**
+   * Sort gallery images in place; the current fullscreen image stays selected
+   */
+  sortImages() {
+    const images = this.gallery.images
+    const current = images[this.gallery.currentIndex]
+    const naturalSort = window.NaturalSort
+    const getValue = SORT_KEYS[this.sortKey]
+    const direction = this.descending ? -1 : 1
+
+    images.sort((a, b) => {
+      const folderOrder = naturalSort.comparePaths(a.folder || '', b.folder || '')
+      if (folderOrder !== 0) return folderOrder
+
+      const valueA = getValue(a)
+      const valueB = getValue(b)
+      if (valueA === undefined || valueB === undefined) {
+        return (valueA === undefined) - (valueB === undefined)
+      }
+      const order =
+        typeof valueA === 'string' ? naturalSort.compare(valueA, valueB) : valueA - valueB
+      // Ties fall back to the name so equal sizes or dimensions keep page order
+      return order * direction || naturalSort.compare(a.name, b.name)
+    })
+
+    if (current) {
+      this.gallery.currentIndex = Math.max(0, images.indexOf(current))
+    }
+  }
+
+  updateControls() {
+    if (this.gallery.sortSelect) {
+      this.gallery.sortSelect.value = this.sortKey
+    }
+    if (this.gallery.sortDirectionBtn) {
+      this.gallery.sortDirectionBtn.textContent = this.descending ? '↓' : '↑'
+      this.gallery.sortDirectionBtn.title = this.descending ? 'Descending' : 'Ascending'
+    }
+  }
+}
+
+// Export to global scope
+window.GallerySorter = GallerySorter
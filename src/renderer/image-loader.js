@@ -1,53 +1,39 @@
 /**
  * Image Loader - Handles file selection, loading, and image processing
+ *
+ * Images are loaded by URL from the main process's gallery:// protocol, so their bytes
+ * never pass through IPC or blob URLs. Images extracted from archives are shown in the
+ * grid through thumbnails; the full-resolution file is only fetched once the fullscreen
+ * viewer shows it.
+ *
+ * Video clips are measured from their metadata and shown in the grid through a frame
+ * captured near their start. Animated images and videos are marked with a mediaType
+ * ('animated' or 'video'), which gets them a badge in the grid and playback controls in
+ * the viewer. Images the main process converts for display are marked with their
+ * sourceFormat, also shown as a badge.
  */
 
-// Shared extension and MIME catalogs (single source of truth)
-const IMAGE_EXTENSIONS = [
-  '.jpg',
-  '.jpeg',
-  '.png',
-  '.gif',
-  '.webp',
-  '.bmp',
-  '.tif',
-  '.tiff',
-  '.svg',
-  '.avif',
-]
-const ARCHIVE_EXTENSIONS = ['.zip', '.rar', '.7z']
-const MIME_BY_EXT = {
-  jpg: 'image/jpeg',
-  jpeg: 'image/jpeg',
-  png: 'image/png',
-  gif: 'image/gif',
-  webp: 'image/webp',
-  bmp: 'image/bmp',
-  tif: 'image/tiff',
-  tiff: 'image/tiff',
-  svg: 'image/svg+xml',
-  avif: 'image/avif',
-}
+// Extensions the main process accepts (see image-formats.js and the archive registry)
+const SUPPORTED_FORMATS = window.electronAPI?.supportedFormats || {}
+const IMAGE_EXTENSIONS = [...(SUPPORTED_FORMATS.images || []), ...(SUPPORTED_FORMATS.videos || [])]
+const ARCHIVE_EXTENSIONS = SUPPORTED_FORMATS.archives || []
+
+// Narrowest grid tile (see VirtualGrid), assumed before the grid is first laid out
+const MIN_TILE_WIDTH = 200
+
+// Where a video's grid frame is taken from, in seconds (or its middle, if shorter)
+const VIDEO_POSTER_TIME = 0.5
+const VIDEO_POSTER_QUALITY = 0.8
 
 class ImageLoader {
   constructor() {
     this.gallery = null
-    this.blobUrls = []
   }
 
   setGallery(gallery) {
     this.gallery = gallery
   }
 
-  cleanupBlobUrls() {
-    if (this.blobUrls) {
-      this.blobUrls.forEach((url) => {
-        URL.revokeObjectURL(url)
-      })
-      this.blobUrls = []
-    }
-  }
-
   async selectFiles() {
     try {
       const filePaths = await window.electronAPI.selectFiles()
@@ -105,8 +91,10 @@ class ImageLoader {
     }
   }
 
-  async loadFilesFromPaths(filePaths, options = {}) {
+  async loadFilesFromPaths(sources, options = {}) {
     const { manageUi = true } = options
+    // Pages load (and appear) in natural order, chapter by chapter
+    const filePaths = this.sortSources(sources)
     console.log(
       '🔍 DEBUG: loadFilesFromPaths called with',
       filePaths.length,
@@ -151,7 +139,7 @@ class ImageLoader {
           `🔍 DEBUG: Processing path batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(filePaths.length / batchSize)} (${batch.length} files)`
         )
 
-        const batchPromises = batch.map((filePath) => this.processImageFileFromPath(filePath))
+        const batchPromises = batch.map((source) => this.processSource(source))
         const batchResults = await Promise.allSettled(batchPromises)
 
         // Process settled results: collect all results (including errors for display), log rejections
@@ -175,14 +163,19 @@ class ImageLoader {
           console.error('❌ Promise rejected:', settled.reason)
           allResults.push({
             id: this.gallery.generateUniqueId(),
-            name: source?.name || source?.path || 'Unknown',
-            path: source?.path,
+            name:
+              (typeof source === 'string'
+                ? source
+                : source?.name || source?.path || source?.entryName) || 'Unknown',
+            path: typeof source === 'string' ? source : source?.path || source?.entryName,
+            folder: source?.folder,
             error: true,
             dataUrl: null,
           })
         })
 
         this.gallery.images.push(...allResults)
+        this.gallery.appendToGallery()
 
         processedCount += batch.length
         if (manageUi) {
@@ -209,6 +202,7 @@ class ImageLoader {
       console.log(`📊 Average time per image: ${(loadTime / filePaths.length).toFixed(2)}ms`)
 
       console.log('🔍 DEBUG: Rendering gallery...')
+      this.gallery.sortImages()
       this.gallery.renderGallery()
       console.log('🔍 DEBUG: Hiding drop zone...')
       this.gallery.hideDropZone()
@@ -292,6 +286,7 @@ class ImageLoader {
         })
 
         this.gallery.images.push(...allResults)
+        this.gallery.appendToGallery()
 
         processedCount += batch.length
         this.gallery.updateProgress(processedCount, imageFiles.length)
@@ -316,6 +311,7 @@ class ImageLoader {
       console.log(`📊 Average time per image: ${(loadTime / imageFiles.length).toFixed(2)}ms`)
 
       console.log('🔍 DEBUG: Rendering gallery...')
+      this.gallery.sortImages()
       this.gallery.renderGallery()
       console.log('🔍 DEBUG: Hiding drop zone...')
       this.gallery.hideDropZone()
@@ -332,11 +328,23 @@ class ImageLoader {
     const startTime = performance.now()
     console.log(`📁 Processing dragged file ${file.name}...`)
 
+    // Video clips, converted images and animation probes are read through gallery://,
+    // which needs a path
+    const galleryUrl = file.path ? window.electronAPI.toGalleryUrl?.(file.path) : null
+    if (window.MediaInfo.isVideo(file.name)) {
+      if (galleryUrl) {
+        return this.createVideoFromUrl(galleryUrl, file.name, startTime, { path: file.path, file })
+      }
+      return this.createErrorImage(file.name, file.path || file.name)
+    }
+
     // For Electron, we can use the file path directly instead of FileReader
     // This avoids the slow base64 encoding of large files
     if (file.path) {
-      // Try to get file:// URL from path
-      const fileUrl = window.electronAPI.toFileUrl?.(file.path)
+      // Try to get file:// URL from path; formats Chromium cannot show need gallery://
+      const fileUrl = window.MediaInfo.getSourceFormat(file.name)
+        ? galleryUrl
+        : window.electronAPI.toFileUrl?.(file.path)
 
       if (fileUrl) {
         // Direct file path available (usually on desktop)
@@ -346,7 +354,7 @@ class ImageLoader {
           img.onload = () => {
             const processTime = performance.now() - startTime
             console.log(`✅ Processed ${file.name} in ${processTime.toFixed(2)}ms`)
-            resolve({
+            const image = {
               id: this.gallery.generateUniqueId(),
               name: file.name,
               path: file.path,
@@ -355,7 +363,8 @@ class ImageLoader {
               height: img.naturalHeight,
               aspectRatio: img.naturalWidth / img.naturalHeight,
               file: file,
-            })
+            }
+            resolve(this.markFormat(image, galleryUrl))
           }
           img.onerror = () => {
             console.log(`❌ Failed to load dragged image ${file.name}, falling back to FileReader`)
@@ -413,72 +422,288 @@ class ImageLoader {
     })
   }
 
-  async processImageFileFromPath(filePath) {
+  /**
+   * Sort loadFilesFromPaths sources naturally, grouped by folder (chapter)
+   * @param {Array} sources - File paths or source objects (see processSource)
+   * @returns {Array} Sorted copy
+   */
+  sortSources(sources) {
+    const naturalSort = window.NaturalSort
+    const pathOf = (source) =>
+      typeof source === 'string' ? source : source.entryName || source.path || source.name
+    const folderOf = (source) => (typeof source === 'string' ? '' : source.folder || '')
+
+    return [...sources].sort(
+      (a, b) =>
+        naturalSort.comparePaths(folderOf(a), folderOf(b)) ||
+        naturalSort.comparePaths(pathOf(a), pathOf(b))
+    )
+  }
+
+  /**
+   * Load one source of loadFilesFromPaths
+   * @param {string|Object} source - File path, { path, folder, extracted } for a file on
+   *   disk (extracted: an archive image with thumbnails), or
+   *   { archiveHash, entryName, name, size, folder } for a view-in-place archive entry
+   */
+  async processSource(source) {
+    if (typeof source === 'string') {
+      return await this.processImageFileFromPath(source)
+    }
+
+    const image = source.archiveHash
+      ? await this.processArchiveEntry(source)
+      : await this.processImageFileFromPath(source.path, { useThumbnail: source.extracted })
+    // Folder (chapter) the image belongs to, used to group the gallery
+    if (image && source.folder) {
+      image.folder = source.folder
+    }
+    return image
+  }
+
+  /**
+   * Load an image file from disk
+   * @param {string} filePath - Image path
+   * @param {Object} options - { useThumbnail } for extracted archive images, which are shown
+   *   through their thumbnail until opened fullscreen
+   */
+  async processImageFileFromPath(filePath, options = {}) {
     const startTime = performance.now()
+    const name = filePath.split(/[/\\]/).pop()
     try {
-      if (!window.electronAPI.getFileStats || !window.electronAPI.readFile) {
+      if (!window.electronAPI.getFileStats || !window.electronAPI.toGalleryUrl) {
         throw new Error('Required Electron APIs not available')
       }
 
       const stats = await window.electronAPI.getFileStats(filePath)
+      const details = {
+        path: filePath,
+        size: stats.size,
+        mtimeMs: stats.mtimeMs,
+        mtimeISO: stats.mtimeISO,
+      }
 
-      console.log(`Processing ${filePath.split(/[/\\]/).pop()}...`)
+      console.log(`Processing ${name}...`)
 
-      // Use blob reading directly for archive-extracted files (more reliable than file:// URLs)
-      const buffer = await window.electronAPI.readFile(filePath)
-      const uint8Array = new Uint8Array(buffer)
-      const extension = filePath.split('.').pop().toLowerCase()
-      const mimeType = MIME_BY_EXT[extension] || 'application/octet-stream'
-      const blob = new Blob([uint8Array], { type: mimeType })
-      const blobUrl = URL.createObjectURL(blob)
+      const url = window.electronAPI.toGalleryUrl(filePath)
+      if (window.MediaInfo.isVideo(name)) {
+        return await this.createVideoFromUrl(url, name, startTime, details)
+      }
 
-      // Track blob URLs for cleanup
-      this.blobUrls.push(blobUrl)
+      let image = null
+      if (options.useThumbnail) {
+        image = await this.createImageFromThumbnail(name, startTime, details)
+      }
+      image ||= await this.createImageFromUrl(url, name, startTime, details)
+      return await this.markFormat(image, url)
+    } catch (error) {
+      console.error('Error processing file:', filePath, error)
+      return this.createErrorImage(name, filePath)
+    }
+  }
 
-      return new Promise((resolve, _reject) => {
-        const img = new Image()
+  /**
+   * Load an image straight out of an archive opened in view-in-place mode
+   * @param {Object} source - { archiveHash, entryName, name, size }
+   */
+  async processArchiveEntry(source) {
+    const startTime = performance.now()
+    const name = source.name || source.entryName.split(/[/\\]/).pop()
+    try {
+      if (!window.electronAPI.toArchiveEntryUrl) {
+        throw new Error('Required Electron APIs not available')
+      }
 
-        img.onload = () => {
-          const processTime = performance.now() - startTime
-          console.log(`✅ Loaded ${filePath.split(/[/\\]/).pop()} in ${processTime.toFixed(2)}ms`)
-          resolve({
-            id: this.gallery.generateUniqueId(),
-            name: filePath.split(/[/\\]/).pop(),
-            path: filePath,
-            dataUrl: blobUrl,
-            width: img.naturalWidth,
-            height: img.naturalHeight,
-            aspectRatio: img.naturalWidth / img.naturalHeight,
-            size: stats.size,
-            mtimeMs: stats.mtimeMs,
-            mtimeISO: stats.mtimeISO,
-          })
-        }
+      const url = window.electronAPI.toArchiveEntryUrl(source.archiveHash, source.entryName)
+      const details = {
+        path: source.entryName,
+        archiveHash: source.archiveHash,
+        archiveEntry: source.entryName,
+        size: source.size,
+      }
+      if (window.MediaInfo.isVideo(name)) {
+        return await this.createVideoFromUrl(url, name, startTime, details)
+      }
+      const image = await this.createImageFromUrl(url, name, startTime, details)
+      return await this.markFormat(image, url)
+    } catch (error) {
+      console.error('Error processing archive entry:', source.entryName, error)
+      return this.createErrorImage(name, source.entryName)
+    }
+  }
 
-        img.onerror = () => {
-          console.error(`❌ Failed to load image: ${filePath.split(/[/\\]/).pop()}`)
-          resolve({
-            id: this.gallery.generateUniqueId(),
-            name: filePath.split(/[/\\]/).pop(),
-            path: filePath,
-            error: true,
-            dataUrl: null,
-          })
-        }
+  /**
+   * Gallery entry of an image that could not be loaded
+   */
+  createErrorImage(name, path) {
+    return {
+      id: this.gallery.generateUniqueId(),
+      name,
+      path,
+      error: true,
+      dataUrl: null,
+    }
+  }
 
-        // Set the image source to the blob URL
-        img.src = blobUrl
-      })
+  /**
+   * Mark an image shown through a converted copy with its source format, and one of a
+   * format that can hold an animation if it does
+   * @param {Object} image - Gallery image
+   * @param {string|null} url - gallery:// URL to read the file's start from
+   * @returns {Promise<Object>} The image
+   */
+  async markFormat(image, url) {
+    if (image.error) return image
+    const sourceFormat = window.MediaInfo.getSourceFormat(image.name)
+    if (sourceFormat) image.sourceFormat = sourceFormat
+    if (!url || !window.MediaInfo.canAnimate(image.name)) return image
+    try {
+      const format = await window.MediaInfo.detectAnimation(url)
+      if (format) {
+        image.mediaType = 'animated'
+        image.animationFormat = format
+      }
     } catch (error) {
-      console.error('Error processing file:', filePath, error)
-      return {
-        id: this.gallery.generateUniqueId(),
-        name: filePath.split(/[/\\]/).pop(),
-        path: filePath,
-        error: true,
-        dataUrl: null,
+      console.warn(`⚠️ Could not check whether ${image.name} is animated:`, error)
+    }
+    return image
+  }
+
+  /**
+   * Measure a video clip and capture a frame of it for the grid
+   * @param {string} url - gallery:// URL of the video
+   * @returns {Promise<Object>} The gallery entry, or an error entry if it does not load
+   */
+  createVideoFromUrl(url, name, startTime, details) {
+    return new Promise((resolve) => {
+      const video = document.createElement('video')
+      video.muted = true
+      video.preload = 'auto'
+
+      const release = () => {
+        video.onerror = null
+        video.removeAttribute('src')
+        video.load()
+      }
+      const fail = () => {
+        console.error(`❌ Failed to load video: ${name}`)
+        resolve(this.createErrorImage(name, details.path))
+        release()
+      }
+      video.onloadeddata = () => {
+        video.currentTime = Math.min(VIDEO_POSTER_TIME, video.duration / 2 || 0)
       }
+      video.onseeked = () => {
+        // Audio-only files have no picture
+        if (!video.videoWidth) {
+          fail()
+          return
+        }
+        const width = Math.min(video.videoWidth, this.getThumbnailWidth())
+        const canvas = document.createElement('canvas')
+        canvas.width = width
+        canvas.height = Math.max(1, Math.round((video.videoHeight * width) / video.videoWidth))
+        canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height)
+
+        const processTime = performance.now() - startTime
+        console.log(`✅ Loaded video ${name} in ${processTime.toFixed(2)}ms`)
+        resolve({
+          id: this.gallery.generateUniqueId(),
+          name,
+          ...details,
+          dataUrl: url,
+          thumbnailUrl: canvas.toDataURL('image/jpeg', VIDEO_POSTER_QUALITY),
+          mediaType: 'video',
+          duration: video.duration,
+          width: video.videoWidth,
+          height: video.videoHeight,
+          aspectRatio: video.videoWidth / video.videoHeight,
+        })
+        release()
+      }
+      video.onerror = fail
+
+      video.src = url
+    })
+  }
+
+  /**
+   * Gallery image for an extracted archive image, shown through its thumbnail
+   * @returns {Promise<Object|null>} The image, or null if it has no thumbnail (a format
+   *   the main process cannot decode) and must be read in full
+   */
+  async createImageFromThumbnail(name, startTime, details) {
+    let thumbnail
+    try {
+      thumbnail = await window.electronAPI.getThumbnail(details.path, this.getThumbnailWidth())
+    } catch (error) {
+      console.warn(`⚠️ No thumbnail for ${name}, loading full image:`, error)
+      return null
     }
+    if (!thumbnail) return null
+
+    const processTime = performance.now() - startTime
+    console.log(`✅ Loaded thumbnail of ${name} in ${processTime.toFixed(2)}ms`)
+    return {
+      id: this.gallery.generateUniqueId(),
+      name,
+      ...details,
+      thumbnailUrl: thumbnail.url,
+      thumbnailSrcset: thumbnail.sources
+        .map((source) => `${source.url} ${source.width}w`)
+        .join(', '),
+      dataUrl: window.electronAPI.toGalleryUrl(details.path),
+      width: thumbnail.width,
+      height: thumbnail.height,
+      aspectRatio: thumbnail.width / thumbnail.height,
+    }
+  }
+
+  /**
+   * Width in device pixels a grid tile is drawn at, for choosing a thumbnail
+   * @returns {number} Width in device pixels
+   */
+  getThumbnailWidth() {
+    const tileWidth = this.gallery.virtualGrid.tileWidth || MIN_TILE_WIDTH
+    return Math.ceil(tileWidth * window.devicePixelRatio)
+  }
+
+  /**
+   * Measure an image served at a URL
+   * @param {string} url - gallery:// URL of the image
+   * @returns {Promise<Object>} The gallery image, or an error entry if it does not load
+   */
+  createImageFromUrl(url, name, startTime, details) {
+    return new Promise((resolve) => {
+      const img = new Image()
+
+      img.onload = () => {
+        const processTime = performance.now() - startTime
+        console.log(`✅ Loaded ${name} in ${processTime.toFixed(2)}ms`)
+        resolve({
+          id: this.gallery.generateUniqueId(),
+          name,
+          ...details,
+          dataUrl: url,
+          width: img.naturalWidth,
+          height: img.naturalHeight,
+          aspectRatio: img.naturalWidth / img.naturalHeight,
+        })
+      }
+
+      img.onerror = () => {
+        console.error(`❌ Failed to load image: ${name}`)
+        resolve({
+          id: this.gallery.generateUniqueId(),
+          name,
+          path: details.path,
+          error: true,
+          dataUrl: null,
+        })
+      }
+
+      img.src = url
+    })
   }
 
   isImageFile(file) {
@@ -0,0 +1,384 @@
+/**
+ * Image Zoom - Zoom, pan, fit modes and a loupe for the fullscreen pages
+ *
+ * The pages keep their CSS layout (contained in the screen); zooming scales and moves
+ * their container with a transform, so a two-page spread zooms as one. Fit modes are
+ * scales of that layout: the whole page, its width, its height, or one image pixel per
+ * CSS pixel. A page opens at the top in the chosen fit mode.
+ *
+ * Ctrl + wheel zooms around the cursor, as do trackpad pinches (which arrive as Ctrl +
+ * wheel) and two-finger pinches on touch screens. Dragging or the wheel pans a page
+ * larger than the screen; the wheel turns the page once it cannot move further. The
+ * vertical strip of reader mode scrolls instead and is not zoomed.
+ */
+
+const FIT_MODES = ['screen', 'width', 'height', 'original']
+
+// Zoom limits, relative to the page fitting the screen
+const MIN_ZOOM = 0.25
+const MAX_ZOOM = 20
+
+const WHEEL_ZOOM_SPEED = 0.002 // Zoom factor per wheel pixel, as an exponent
+const KEY_ZOOM_STEP = 1.25
+const LOUPE_ZOOM = 3 // Magnification of the loupe over the page as shown
+const DRAG_THRESHOLD_PX = 4 // Movement before a press becomes a drag instead of a click
+
+class ImageZoom {
+  constructor() {
+    this.gallery = null
+    this.fitMode = 'screen'
+    this.scale = 1
+    this.x = 0
+    this.y = 0
+    this.pointers = new Map() // pointerId => { x, y }
+    this.drag = null
+    this.pinchDistance = null
+    this.suppressClick = false
+    this.loupeActive = false
+  }
+
+  setGallery(gallery) {
+    this.gallery = gallery
+  }
+
+  /**
+   * Attach to the fullscreen pages: image loads, pointers and window resizes
+   */
+  initialize() {
+    const pages = this.gallery.fullscreenPages
+    if (!pages) return
+
+    for (const image of this.getImages()) {
+      image.addEventListener('load', () => this.applyFit())
+    }
+    pages.addEventListener('pointerdown', (e) => this.onPointerDown(e))
+    window.addEventListener('pointermove', (e) => this.onPointerMove(e))
+    window.addEventListener('pointerup', (e) => this.onPointerUp(e))
+    window.addEventListener('pointercancel', (e) => this.onPointerUp(e))
+    pages.addEventListener('pointerleave', () => this.hideLoupe())
+    // A drag ends with a click on the page, which would close the viewer
+    pages.addEventListener(
+      'click',
+      (e) => {
+        if (!this.suppressClick) return
+        this.suppressClick = false
+        e.stopPropagation()
+      },
+      { capture: true }
+    )
+    window.addEventListener('resize', () => {
+      if (this.gallery.isFullscreen) this.applyFit()
+    })
+    this.updateControls()
+  }
+
+  /**
+   * The pages' elements: the images, and the video and canvas MediaPlayer shows instead
+   * of the first one
+   */
+  getImages() {
+    return [
+      this.gallery.fullscreenImage,
+      this.gallery.fullscreenImageSecond,
+      this.gallery.fullscreenVideo,
+      this.gallery.fullscreenCanvas,
+    ].filter(Boolean)
+  }
+
+  isEnabled() {
+    return this.gallery.isFullscreen && !this.gallery.readerMode.isWebtoon()
+  }
+
+  /**
+   * @param {string} fitMode - 'screen', 'width', 'height' or 'original'
+   */
+  setFitMode(fitMode) {
+    if (!FIT_MODES.includes(fitMode)) {
+      console.warn(`⚠️ Unknown fit mode: ${fitMode}`)
+      return
+    }
+    this.fitMode = fitMode
+    this.updateControls()
+    this.applyFit()
+  }
+
+  /**
+   * Show the pages at the fit mode's scale, from the top (and, reading right to left,
+   * from the right)
+   */
+  applyFit() {
+    const content = this.getContentRect()
+    if (!content || !this.isEnabled()) {
+      this.setTransform(1, 0, 0)
+      return
+    }
+
+    const { clientWidth, clientHeight } = this.gallery.fullscreenPages
+    const scales = {
+      screen: 1,
+      width: clientWidth / content.width,
+      height: clientHeight / content.height,
+      original: content.pixelRatio,
+    }
+    const scale = scales[this.fitMode]
+    const x = this.gallery.readerMode.isRightToLeft()
+      ? clientWidth - (content.left + content.width) * scale
+      : -content.left * scale
+    this.setTransform(scale, x, -content.top * scale)
+  }
+
+  zoomIn() {
+    this.zoomBy(KEY_ZOOM_STEP)
+  }
+
+  zoomOut() {
+    this.zoomBy(1 / KEY_ZOOM_STEP)
+  }
+
+  zoomBy(factor) {
+    const { clientWidth, clientHeight } = this.gallery.fullscreenPages
+    this.zoomAt(factor, clientWidth / 2, clientHeight / 2)
+  }
+
+  /**
+   * Zoom keeping the point under (x, y) in place
+   */
+  zoomAt(factor, x, y) {
+    if (!this.isEnabled()) return
+    const scale = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, this.scale * factor))
+    const ratio = scale / this.scale
+    this.setTransform(scale, x - (x - this.x) * ratio, y - (y - this.y) * ratio)
+  }
+
+  /**
+   * @returns {boolean} Whether the pages moved (they stop at their edges)
+   */
+  panBy(dx, dy) {
+    const { x, y } = this
+    this.setTransform(this.scale, x + dx, y + dy)
+    return Math.abs(this.x - x) > 0.5 || Math.abs(this.y - y) > 0.5
+  }
+
+  /**
+   * Zoom on Ctrl + wheel, otherwise pan
+   * @param {WheelEvent} e - Wheel event over the viewer
+   * @returns {boolean} Whether the wheel was used; if not, it turns the page
+   */
+  handleWheel(e) {
+    if (!this.isEnabled()) return false
+    if (e.ctrlKey || e.metaKey) {
+      this.zoomAt(Math.exp(-e.deltaY * WHEEL_ZOOM_SPEED), e.clientX, e.clientY)
+      return true
+    }
+    return this.panBy(-e.deltaX, -e.deltaY)
+  }
+
+  /**
+   * Set the transform, keeping the pages centred on axes where they fit the screen and
+   * covering it on axes where they do not
+   */
+  setTransform(scale, x, y) {
+    const pages = this.gallery.fullscreenPages
+    const content = this.getContentRect()
+    this.scale = scale
+    this.x = x
+    this.y = y
+
+    let pannable = false
+    if (content) {
+      const clampAxis = (offset, start, size, viewSize) => {
+        if (size <= viewSize) return (viewSize - size) / 2 - start
+        pannable = true
+        return Math.min(-start, Math.max(viewSize - size - start, offset))
+      }
+      this.x = clampAxis(x, content.left * scale, content.width * scale, pages.clientWidth)
+      this.y = clampAxis(y, content.top * scale, content.height * scale, pages.clientHeight)
+    }
+    pages.style.transform =
+      scale === 1 && this.x === 0 && this.y === 0
+        ? ''
+        : `translate(${this.x}px, ${this.y}px) scale(${scale})`
+    pages.classList.toggle('pannable', pannable)
+  }
+
+  /**
+   * Where the shown pages are drawn before zooming: the images as object-fit places them
+   * in their boxes, together
+   * @returns {Object|null} { left, top, width, height, pixelRatio } in layout pixels,
+   *   pixelRatio being image pixels per layout pixel; null before the images load
+   */
+  getContentRect() {
+    let rect = null
+    for (const image of this.getImages()) {
+      if (image.classList.contains('hidden') || !getNaturalSize(image).width) continue
+      const placed = this.placeImage(image, {
+        left: image.offsetLeft,
+        top: image.offsetTop,
+        width: image.offsetWidth,
+        height: image.offsetHeight,
+      })
+      rect = rect
+        ? {
+            left: Math.min(rect.left, placed.left),
+            top: Math.min(rect.top, placed.top),
+            right: Math.max(rect.right, placed.left + placed.width),
+            bottom: Math.max(rect.bottom, placed.top + placed.height),
+            pixelRatio: rect.pixelRatio,
+          }
+        : { ...placed, right: placed.left + placed.width, bottom: placed.top + placed.height }
+    }
+    if (!rect) return null
+    return {
+      left: rect.left,
+      top: rect.top,
+      width: rect.right - rect.left,
+      height: rect.bottom - rect.top,
+      pixelRatio: rect.pixelRatio,
+    }
+  }
+
+  /**
+   * Where an image with object-fit: contain draws inside its box
+   */
+  placeImage(image, box) {
+    const natural = getNaturalSize(image)
+    const fit = Math.min(box.width / natural.width, box.height / natural.height)
+    const width = natural.width * fit
+    const height = natural.height * fit
+    // Spreads push their pages together with object-position (e.g. "100% 50%")
+    const alignX = Number.parseFloat(getComputedStyle(image).objectPosition) / 100
+    return {
+      left: box.left + (box.width - width) * (Number.isFinite(alignX) ? alignX : 0.5),
+      top: box.top + (box.height - height) / 2,
+      width,
+      height,
+      pixelRatio: 1 / fit,
+    }
+  }
+
+  onPointerDown(e) {
+    if (!this.isEnabled()) return
+    if (e.pointerType === 'mouse' && e.button !== 0) return
+
+    this.suppressClick = false
+    this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY })
+    if (this.pointers.size === 1) {
+      this.drag = { x: e.clientX, y: e.clientY, moved: false }
+    } else if (this.pointers.size === 2) {
+      this.drag = null
+      this.pinchDistance = this.getPinchDistance()
+    }
+  }
+
+  onPointerMove(e) {
+    if (this.loupeActive) this.updateLoupe(e)
+
+    const pointer = this.pointers.get(e.pointerId)
+    if (!pointer) return
+    const dx = e.clientX - pointer.x
+    const dy = e.clientY - pointer.y
+    pointer.x = e.clientX
+    pointer.y = e.clientY
+
+    if (this.pinchDistance && this.pointers.size === 2) {
+      const [a, b] = this.pointers.values()
+      const distance = this.getPinchDistance()
+      this.zoomAt(distance / this.pinchDistance, (a.x + b.x) / 2, (a.y + b.y) / 2)
+      this.pinchDistance = distance
+      return
+    }
+    if (!this.drag) return
+    if (!this.drag.moved) {
+      const distance = Math.hypot(e.clientX - this.drag.x, e.clientY - this.drag.y)
+      if (distance < DRAG_THRESHOLD_PX) return
+      this.drag.moved = true
+      this.gallery.fullscreenPages.classList.add('panning')
+    }
+    this.panBy(dx, dy)
+  }
+
+  onPointerUp(e) {
+    if (!this.pointers.delete(e.pointerId)) return
+    if (this.drag?.moved || this.pinchDistance) this.suppressClick = true
+    if (this.pointers.size < 2) this.pinchDistance = null
+    if (this.pointers.size === 0) {
+      this.drag = null
+      this.gallery.fullscreenPages.classList.remove('panning')
+    }
+  }
+
+  getPinchDistance() {
+    const [a, b] = this.pointers.values()
+    return Math.hypot(a.x - b.x, a.y - b.y)
+  }
+
+  toggleLoupe() {
+    this.loupeActive = !this.loupeActive
+    if (!this.loupeActive) this.hideLoupe()
+    this.updateControls()
+  }
+
+  /**
+   * Move the loupe to the cursor, showing the page under it magnified
+   */
+  updateLoupe(e) {
+    const loupe = this.gallery.fullscreenLoupe
+    const image = e.target
+    if (!loupe || !this.isEnabled() || !this.getImages().includes(image) || !image.naturalWidth) {
+      this.hideLoupe()
+      return
+    }
+
+    // The image's box as drawn, zoom included
+    const bounds = image.getBoundingClientRect()
+    const placed = this.placeImage(image, bounds)
+    const x = e.clientX - placed.left
+    const y = e.clientY - placed.top
+    if (x < 0 || y < 0 || x > placed.width || y > placed.height) {
+      this.hideLoupe()
+      return
+    }
+
+    loupe.classList.remove('hidden')
+    const size = loupe.offsetWidth
+    const source = `url("${image.currentSrc || image.src}")`
+    if (loupe.style.backgroundImage !== source) loupe.style.backgroundImage = source
+    loupe.style.backgroundSize = `${placed.width * LOUPE_ZOOM}px ${placed.height * LOUPE_ZOOM}px`
+    loupe.style.backgroundPosition = `${size / 2 - x * LOUPE_ZOOM}px ${size / 2 - y * LOUPE_ZOOM}px`
+    loupe.style.transform = `translate(${e.clientX - size / 2}px, ${e.clientY - size / 2}px)`
+  }
+
+  hideLoupe() {
+    this.gallery.fullscreenLoupe?.classList.add('hidden')
+  }
+
+  updateControls() {
+    const webtoon = this.gallery.readerMode.isWebtoon()
+    if (this.gallery.readerFitModeSelect) {
+      this.gallery.readerFitModeSelect.value = this.fitMode
+      this.gallery.readerFitModeSelect.classList.toggle('hidden', webtoon)
+    }
+    if (this.gallery.readerLoupeBtn) {
+      this.gallery.readerLoupeBtn.setAttribute('aria-pressed', String(this.loupeActive))
+      this.gallery.readerLoupeBtn.classList.toggle('hidden', webtoon)
+    }
+    if (webtoon) this.hideLoupe()
+  }
+}
+
+/**
+ * Size of what a page element shows: an image, a video's frames or a canvas
+ * @returns {Object} { width, height }; 0 before it has loaded
+ */
+function getNaturalSize(element) {
+  if (element.tagName === 'VIDEO') {
+    return { width: element.videoWidth, height: element.videoHeight }
+  }
+  if (element.tagName === 'CANVAS') {
+    return { width: element.width, height: element.height }
+  }
+  return { width: element.naturalWidth, height: element.naturalHeight }
+}
+
+// Export to global scope
+window.ImageZoom = ImageZoom
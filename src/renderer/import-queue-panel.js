@@ -0,0 +1,234 @@
+/**
+ * Import Queue Panel - Shows background archive imports and their controls
+ *
+ * Imports run in the main process while the gallery stays usable. Each job is a row with
+ * its state and progress; finished imports refresh the processed archives list, and are
+ * loaded into the gallery when nothing else is being viewed.
+ */
+const IMPORT_STATE_LABELS = {
+  queued: 'Queued',
+  running: 'Importing',
+  done: 'Done',
+  failed: 'Failed',
+  cancelled: 'Cancelled',
+}
+
+const FINISHED_IMPORT_STATES = ['done', 'failed', 'cancelled']
+
+class ImportQueuePanel {
+  constructor() {
+    this.gallery = null
+    this.jobs = new Map() // jobId => job, in queue order
+    this.rows = new Map() // jobId => row element
+    this.collapsed = false
+  }
+
+  setGallery(gallery) {
+    this.gallery = gallery
+  }
+
+  /**
+   * Subscribe to job updates and show the saved queue; asking for the queue also lets the
+   * main process start jobs that were waiting from the last session
+   */
+  async initialize() {
+    window.electronAPI.onImportJobUpdated((job) => this.handleJobUpdate(job))
+    const jobs = await window.electronAPI.getImportJobs()
+    for (const job of jobs || []) {
+      if (!this.jobs.has(job.id)) this.jobs.set(job.id, job)
+    }
+    this.render()
+  }
+
+  handleJobUpdate(job) {
+    const previous = this.jobs.get(job.id)
+    this.jobs.set(job.id, job)
+
+    if (previous?.state !== 'done' && job.state === 'done') {
+      this.handleJobDone(job)
+    } else if (previous?.state !== 'failed' && job.state === 'failed') {
+      console.error(`❌ Import failed: ${job.name}: ${job.error}`)
+    }
+
+    if (this.rows.has(job.id)) {
+      this.renderRow(job)
+    } else {
+      this.render()
+    }
+  }
+
+  handleJobDone(job) {
+    console.log(`✅ Import done: ${job.name} (${job.result?.imageCount ?? 0} images)`)
+    this.gallery.loadProcessedArchivesList()
+
+    if (
+      job.kind === 'process' &&
+      job.result?.imageCount > 0 &&
+      this.gallery.images.length === 0 &&
+      !this.gallery.isFullscreen
+    ) {
+      this.gallery.loadProcessedArchive(job.result.hash)
+    }
+  }
+
+  render() {
+    const panel = this.gallery.importQueue
+    const list = this.gallery.importQueueList
+    if (!panel || !list) return
+
+    list.innerHTML = ''
+    this.rows.clear()
+    for (const job of this.jobs.values()) {
+      this.renderRow(job)
+    }
+
+    panel.classList.toggle('hidden', this.jobs.size === 0)
+    this.updateHeader()
+  }
+
+  renderRow(job) {
+    const row = this.createRow(job)
+    const existing = this.rows.get(job.id)
+    if (existing) {
+      existing.replaceWith(row)
+    } else {
+      this.gallery.importQueueList.appendChild(row)
+    }
+    this.rows.set(job.id, row)
+    this.updateHeader()
+  }
+
+  createRow(job) {
+    const row = document.createElement('div')
+    row.className = `import-job import-job-${job.state}`
+
+    const info = document.createElement('div')
+    info.className = 'import-job-info'
+
+    const nameElement = document.createElement('strong')
+    nameElement.textContent = job.kind === 'materialize' ? `Keep files: ${job.name}` : job.name
+    nameElement.title = job.archivePath
+    info.appendChild(nameElement)
+
+    const statusElement = document.createElement('span')
+    statusElement.className = 'import-job-status'
+    statusElement.textContent = this.formatStatus(job)
+    if (job.error) statusElement.title = job.error
+    info.appendChild(statusElement)
+
+    if (job.state === 'running') {
+      const bar = document.createElement('div')
+      bar.className = 'import-job-progress'
+      const fill = document.createElement('div')
+      fill.className = 'import-job-progress-fill'
+      const { processed = 0, total = 0 } = job.progress || {}
+      fill.style.width = `${total > 0 ? Math.min(100, (processed / total) * 100) : 0}%`
+      bar.appendChild(fill)
+      info.appendChild(bar)
+    }
+
+    const actions = document.createElement('div')
+    actions.className = 'import-job-actions'
+    for (const [label, handler] of this.getActions(job)) {
+      const button = document.createElement('button')
+      button.type = 'button'
+      button.textContent = label
+      button.addEventListener('click', () => {
+        handler().catch((error) => {
+          console.error(`❌ Import action "${label}" failed:`, error)
+          alert(`${label} failed: ${error.message}`)
+        })
+      })
+      actions.appendChild(button)
+    }
+
+    row.appendChild(info)
+    row.appendChild(actions)
+    return row
+  }
+
+  formatStatus(job) {
+    let status = IMPORT_STATE_LABELS[job.state] || job.state
+    if (job.state === 'running') {
+      if (job.paused) status = 'Paused'
+      const { processed = 0, total = 0 } = job.progress || {}
+      if (total > 0) status += ` • ${processed} / ${total}`
+    } else if (job.state === 'done' && job.result) {
+      status = job.result.alreadyProcessed
+        ? `Already imported • ${job.result.imageCount} images`
+        : `Done • ${job.result.imageCount} images`
+      if (job.result.integrityStatus === 'damaged') status += ' • ⚠️ damaged'
+    } else if (job.state === 'failed' && job.error) {
+      status += ` • ${job.error}`
+    }
+    return status
+  }
+
+  /**
+   * Buttons offered for a job
+   * @returns {Array} [label, async handler] pairs
+   */
+  getActions(job) {
+    const api = window.electronAPI
+    switch (job.state) {
+      case 'queued':
+        return [['Cancel', () => api.cancelArchiveProcessing(job.id)]]
+      case 'running':
+        return [
+          job.paused
+            ? ['Resume', () => api.resumeArchiveProcessing(job.id)]
+            : ['Pause', () => api.pauseArchiveProcessing(job.id)],
+          ['Cancel', () => api.cancelArchiveProcessing(job.id)],
+        ]
+      case 'done': {
+        const actions = []
+        if (job.result?.imageCount > 0) {
+          actions.push(['View', () => this.gallery.loadProcessedArchive(job.result.hash)])
+        }
+        if (job.result?.alreadyProcessed) {
+          actions.push(['Reprocess', () => api.retryImportJob(job.id, true)])
+        }
+        return actions
+      }
+      case 'failed':
+      case 'cancelled':
+        return [['Retry', () => api.retryImportJob(job.id)]]
+      default:
+        return []
+    }
+  }
+
+  updateHeader() {
+    if (!this.gallery.importQueueTitle) return
+    const active = Array.from(this.jobs.values()).filter(
+      (job) => !FINISHED_IMPORT_STATES.includes(job.state)
+    ).length
+    this.gallery.importQueueTitle.textContent =
+      active > 0 ? `Imports (${active} remaining)` : 'Imports'
+  }
+
+  async clearFinished() {
+    try {
+      const jobs = await window.electronAPI.clearFinishedImportJobs()
+      this.jobs = new Map((jobs || []).map((job) => [job.id, job]))
+      this.render()
+    } catch (error) {
+      console.error('❌ Failed to clear finished imports:', error)
+    }
+  }
+
+  toggleCollapsed() {
+    this.collapsed = !this.collapsed
+    this.gallery.importQueue?.classList.toggle('collapsed', this.collapsed)
+    if (this.gallery.importQueueToggleBtn) {
+      this.gallery.importQueueToggleBtn.textContent = this.collapsed ? '▴' : '▾'
+      this.gallery.importQueueToggleBtn.setAttribute(
+        'aria-label',
+        this.collapsed ? 'Expand import list' : 'Collapse import list'
+      )
+    }
+  }
+}
+
+// Export to global scope
+window.ImportQueuePanel = ImportQueuePanel
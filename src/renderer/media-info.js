@@ -0,0 +1,179 @@
+/**
+ * Media Info - Tells video clips and animated images apart from still images
+ *
+ * Videos are known by their extension. Whether a GIF, PNG, WebP or AVIF file moves is
+ * read from the start of the file, fetched with a Range request:
+ *   GIF   A looping (NETSCAPE2.0) extension or a second frame
+ *   APNG  An animation control (acTL) chunk before the image data
+ *   WebP  The animation flag of the extended (VP8X) header
+ *   AVIF  The image sequence ('avis') brand
+ * A GIF that neither loops nor has its second frame within the bytes read is taken for a
+ * still image.
+ *
+ * Images Chromium cannot show (JPEG XL, HEIC, PSD, RAW, QOI) are served as converted
+ * copies by the main process; their source format is also known by extension.
+ */
+
+// Known to the main process (see image-formats.js)
+const VIDEO_EXTENSIONS = window.electronAPI?.supportedFormats?.videos || []
+const CONVERTED_FORMATS = window.electronAPI?.supportedFormats?.converted || {}
+const ANIMATABLE_EXTENSIONS = ['.gif', '.png', '.apng', '.webp', '.avif']
+
+const PROBE_BYTES = 64 * 1024
+
+class MediaInfo {
+  /**
+   * @param {string} name - File or entry name
+   * @returns {boolean} Whether the file is a video clip
+   */
+  isVideo(name) {
+    const lower = (name || '').toLowerCase()
+    return VIDEO_EXTENSIONS.some((ext) => lower.endsWith(ext))
+  }
+
+  /**
+   * @param {string} name - File or entry name
+   * @returns {boolean} Whether the file is of a format that can hold an animation
+   */
+  canAnimate(name) {
+    const lower = (name || '').toLowerCase()
+    return ANIMATABLE_EXTENSIONS.some((ext) => lower.endsWith(ext))
+  }
+
+  /**
+   * @param {string} name - File or entry name
+   * @returns {string|null} Format of an image shown through a converted copy, else null
+   */
+  getSourceFormat(name) {
+    const match = /\.[^./\\]+$/.exec((name || '').toLowerCase())
+    return (match && CONVERTED_FORMATS[match[0]]) || null
+  }
+
+  /**
+   * Read the start of an image and check whether it is animated
+   * @param {string} url - gallery:// URL of the image
+   * @returns {Promise<string|null>} 'GIF', 'APNG', 'WebP' or 'AVIF' for an animation,
+   *   null for a still image
+   */
+  async detectAnimation(url) {
+    const response = await fetch(url, { headers: { Range: `bytes=0-${PROBE_BYTES - 1}` } })
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`)
+    }
+    return this.detect(new Uint8Array(await response.arrayBuffer()))
+  }
+
+  /**
+   * @param {Uint8Array} bytes - The start of an image file
+   * @returns {string|null} See detectAnimation
+   */
+  detect(bytes) {
+    if (readAscii(bytes, 0, 4) === 'GIF8') {
+      return isAnimatedGif(bytes) ? 'GIF' : null
+    }
+    if (bytes[0] === 0x89 && readAscii(bytes, 1, 3) === 'PNG') {
+      return isAnimatedPng(bytes) ? 'APNG' : null
+    }
+    if (readAscii(bytes, 0, 4) === 'RIFF' && readAscii(bytes, 8, 4) === 'WEBP') {
+      // VP8X flags: bit 1 marks an animation
+      return readAscii(bytes, 12, 4) === 'VP8X' && (bytes[20] & 0x02) !== 0 ? 'WebP' : null
+    }
+    if (readAscii(bytes, 4, 4) === 'ftyp') {
+      return isImageSequence(bytes) ? 'AVIF' : null
+    }
+    return null
+  }
+
+  /**
+   * @param {number} seconds - Duration or position
+   * @returns {string} "m:ss", or "h:mm:ss" from an hour
+   */
+  formatDuration(seconds) {
+    const total = Math.floor(Number.isFinite(seconds) ? seconds : 0)
+    const hours = Math.floor(total / 3600)
+    const minutes = Math.floor((total % 3600) / 60)
+    const rest = String(total % 60).padStart(2, '0')
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`
+  }
+}
+
+function readAscii(bytes, offset, length) {
+  if (offset + length > bytes.length) return ''
+  return String.fromCharCode(...bytes.subarray(offset, offset + length))
+}
+
+function readUint32(bytes, offset) {
+  return (
+    bytes[offset] * 0x1000000 +
+    ((bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3])
+  )
+}
+
+/**
+ * Walk the GIF's blocks up to the second frame
+ */
+function isAnimatedGif(bytes) {
+  // Header and logical screen descriptor, then the global color table if there is one
+  let offset = 13
+  if (bytes[10] & 0x80) offset += 3 * 2 ** ((bytes[10] & 0x07) + 1)
+
+  let frames = 0
+  while (offset < bytes.length) {
+    const block = bytes[offset]
+    if (block === 0x2c) {
+      // Image descriptor, local color table, LZW code size, then the data sub-blocks
+      frames++
+      if (frames > 1) return true
+      const flags = bytes[offset + 9]
+      offset += 10
+      if (flags & 0x80) offset += 3 * 2 ** ((flags & 0x07) + 1)
+      offset = skipSubBlocks(bytes, offset + 1)
+    } else if (block === 0x21) {
+      if (bytes[offset + 1] === 0xff && readAscii(bytes, offset + 3, 11) === 'NETSCAPE2.0') {
+        return true
+      }
+      offset = skipSubBlocks(bytes, offset + 2)
+    } else {
+      // Trailer, or bytes that are not a block
+      return false
+    }
+  }
+  return false
+}
+
+function skipSubBlocks(bytes, offset) {
+  let position = offset
+  while (position < bytes.length && bytes[position] !== 0) {
+    position += bytes[position] + 1
+  }
+  return position + 1
+}
+
+/**
+ * An APNG declares its animation in an acTL chunk, which comes before the first IDAT
+ */
+function isAnimatedPng(bytes) {
+  let offset = 8
+  while (offset + 8 <= bytes.length) {
+    const type = readAscii(bytes, offset + 4, 4)
+    if (type === 'acTL') return true
+    if (type === 'IDAT') return false
+    offset += 12 + readUint32(bytes, offset)
+  }
+  return false
+}
+
+/**
+ * Look for the 'avis' brand among the ftyp box's major and compatible brands
+ */
+function isImageSequence(bytes) {
+  const end = Math.min(bytes.length, readUint32(bytes, 0))
+  if (readAscii(bytes, 8, 4) === 'avis') return true
+  for (let offset = 16; offset + 4 <= end; offset += 4) {
+    if (readAscii(bytes, offset, 4) === 'avis') return true
+  }
+  return false
+}
+
+// Export singleton instance to global scope
+window.MediaInfo = new MediaInfo()
@@ -0,0 +1,313 @@
+/**
+ * Media Player - Plays video clips and animated images in the fullscreen viewer
+ *
+ * A page with a mediaType (see ImageLoader) is played by the player instead of shown in
+ * the page's <img>: videos in a <video>, animated images frame by frame on a <canvas>.
+ * Animations are decoded with WebCodecs' ImageDecoder so they can be paused and scrubbed;
+ * until their frames are ready (or where they cannot be decoded) the <img> keeps playing
+ * them on its own. A bar under the page plays and pauses, scrubs, steps through frames and
+ * loops. Only the first page of what is shown is played; such pages stand alone in
+ * spreads, and the vertical strip shows videos with the browser's own controls.
+ */
+
+// Browsers show GIF frames with a delay this short or shorter for 100 ms
+const MIN_FRAME_DELAY_MS = 10
+const DEFAULT_FRAME_DELAY_MS = 100
+const VIDEO_FRAME_STEP = 1 / 30 // Seconds moved by a frame step in a video
+
+class MediaPlayer {
+  constructor() {
+    this.gallery = null
+    this.image = null // Gallery image being played
+    this.loop = true
+    this.request = 0 // Counts images shown, so frames decoded too late are dropped
+    // Animated images
+    this.decoder = null
+    this.frameCount = 0
+    this.frameIndex = 0
+    this.frameTimer = null
+    this.frameRequest = 0 // Counts frames asked for; only the last one asked for is drawn
+    this.animating = false
+  }
+
+  setGallery(gallery) {
+    this.gallery = gallery
+  }
+
+  /**
+   * Follow the <video>: its position, and playing or pausing from any cause
+   */
+  initialize() {
+    const video = this.gallery.fullscreenVideo
+    if (!video) return
+    for (const event of ['timeupdate', 'play', 'pause', 'ended', 'durationchange']) {
+      video.addEventListener(event, () => this.updateControls())
+    }
+    video.addEventListener('loadedmetadata', () => this.gallery.imageZoom.applyFit())
+  }
+
+  /**
+   * Play a page, or stop playing when it is not a video or animated image
+   * @param {Object|null} image - Gallery image shown first; null when nothing is played
+   *   (the viewer closed or shows the vertical strip)
+   */
+  show(image) {
+    if (image && image === this.image) return
+    this.stop()
+    if (!image?.mediaType) return
+
+    this.image = image
+    if (image.mediaType === 'video') {
+      this.showVideo(image)
+    } else {
+      const request = this.request
+      this.showAnimation(image, request).catch((error) => {
+        if (request !== this.request) return
+        console.warn(`⚠️ Could not decode the frames of ${image.name}:`, error?.message || error)
+      })
+    }
+    this.updateControls()
+  }
+
+  /**
+   * Stop playing and give the page back to the <img>
+   */
+  stop() {
+    this.request++
+    this.image = null
+
+    const video = this.gallery.fullscreenVideo
+    if (video?.hasAttribute('src')) {
+      video.pause()
+      video.removeAttribute('src')
+      video.load()
+    }
+    video?.classList.add('hidden')
+
+    clearTimeout(this.frameTimer)
+    this.frameTimer = null
+    this.decoder?.close()
+    this.decoder = null
+    this.frameCount = 0
+    this.frameIndex = 0
+    this.animating = false
+    this.gallery.fullscreenCanvas?.classList.add('hidden')
+
+    this.gallery.fullscreenImage.classList.remove('hidden')
+    this.updateControls()
+  }
+
+  showVideo(image) {
+    const video = this.gallery.fullscreenVideo
+    if (!video) return
+    this.gallery.fullscreenImage.classList.add('hidden')
+    video.classList.remove('hidden')
+    video.loop = this.loop
+    video.src = image.dataUrl
+    video.play().catch((error) => {
+      // Interrupted by the next page, or the file cannot be played
+      if (video.getAttribute('src') === image.dataUrl) {
+        console.warn(`⚠️ Could not play ${image.name}:`, error?.message || error)
+      }
+    })
+  }
+
+  /**
+   * Decode an animated image and take it over from the <img> once its frames are known
+   * @param {Object} image - Gallery image
+   * @param {number} request - this.request when it was shown
+   */
+  async showAnimation(image, request) {
+    const canvas = this.gallery.fullscreenCanvas
+    if (!canvas || typeof window.ImageDecoder === 'undefined') return
+
+    const response = await fetch(image.dataUrl)
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`)
+    }
+    const decoder = new window.ImageDecoder({
+      data: response.body,
+      type: response.headers.get('Content-Type'),
+    })
+    // The frame count is final once the whole file is read
+    await decoder.completed
+    // A single frame has nothing to play; the <img> shows it
+    const { frameCount } = decoder.tracks.selectedTrack
+    if (request !== this.request || frameCount < 2) {
+      decoder.close()
+      return
+    }
+
+    this.decoder = decoder
+    this.frameCount = frameCount
+    this.animating = true
+    await this.showFrame(0)
+    if (request !== this.request) return
+
+    this.gallery.fullscreenImage.classList.add('hidden')
+    canvas.classList.remove('hidden')
+    this.gallery.imageZoom.applyFit()
+    this.updateControls()
+  }
+
+  /**
+   * Draw a frame of the animation and, while playing, schedule the next one
+   * @param {number} frameIndex - Frame to show
+   */
+  async showFrame(frameIndex) {
+    const frameRequest = ++this.frameRequest
+    clearTimeout(this.frameTimer)
+    this.frameTimer = null
+
+    const { image: frame } = await this.decoder.decode({ frameIndex })
+    if (frameRequest !== this.frameRequest || !this.decoder) {
+      frame.close()
+      return
+    }
+    const canvas = this.gallery.fullscreenCanvas
+    if (canvas.width !== frame.displayWidth || canvas.height !== frame.displayHeight) {
+      canvas.width = frame.displayWidth
+      canvas.height = frame.displayHeight
+    }
+    canvas.getContext('2d').drawImage(frame, 0, 0)
+    // Durations are in microseconds
+    const delay = frame.duration / 1000
+    frame.close()
+
+    this.frameIndex = frameIndex
+    this.updateControls()
+    if (!this.animating) return
+
+    const last = frameIndex >= this.frameCount - 1
+    if (last && !this.loop) {
+      this.animating = false
+      this.updateControls()
+      return
+    }
+    this.frameTimer = setTimeout(
+      () => this.playFrame(last ? 0 : frameIndex + 1),
+      delay > MIN_FRAME_DELAY_MS ? delay : DEFAULT_FRAME_DELAY_MS
+    )
+  }
+
+  playFrame(frameIndex) {
+    const request = this.request
+    this.showFrame(frameIndex).catch((error) => {
+      if (request !== this.request) return
+      console.warn('⚠️ Could not decode an animation frame:', error?.message || error)
+    })
+  }
+
+  isVideo() {
+    return this.image?.mediaType === 'video'
+  }
+
+  /**
+   * @returns {boolean} Whether the player, rather than the <img>, shows the page
+   */
+  isActive() {
+    return this.isVideo() || this.frameCount > 0
+  }
+
+  isPlaying() {
+    if (this.isVideo()) return !this.gallery.fullscreenVideo.paused
+    return this.animating
+  }
+
+  togglePlayback() {
+    if (!this.isActive()) return
+    if (this.isVideo()) {
+      const video = this.gallery.fullscreenVideo
+      if (video.paused) {
+        video.play().catch((error) => console.warn('⚠️ Could not play video:', error))
+      } else {
+        video.pause()
+      }
+      return
+    }
+
+    this.animating = !this.animating
+    if (this.animating) {
+      // Played to the end without looping: start over
+      const restart = this.frameIndex >= this.frameCount - 1 && !this.loop
+      this.playFrame(restart ? 0 : this.frameIndex)
+    } else {
+      clearTimeout(this.frameTimer)
+      this.frameTimer = null
+    }
+    this.updateControls()
+  }
+
+  /**
+   * Move to a position: seconds into a video, or a frame of an animation
+   * @param {number} position - From the scrub bar
+   */
+  seek(position) {
+    if (!this.isActive()) return
+    if (this.isVideo()) {
+      this.gallery.fullscreenVideo.currentTime = position
+    } else {
+      this.playFrame(Math.max(0, Math.min(this.frameCount - 1, Math.round(position))))
+    }
+  }
+
+  /**
+   * Pause and move one frame
+   * @param {number} step - 1 for the next frame, -1 for the previous one
+   */
+  stepFrame(step) {
+    if (!this.isActive()) return
+    if (this.isVideo()) {
+      const video = this.gallery.fullscreenVideo
+      video.pause()
+      video.currentTime = Math.max(0, video.currentTime + step * VIDEO_FRAME_STEP)
+      return
+    }
+    this.animating = false
+    this.playFrame((this.frameIndex + step + this.frameCount) % this.frameCount)
+  }
+
+  toggleLoop() {
+    this.loop = !this.loop
+    if (this.gallery.fullscreenVideo) this.gallery.fullscreenVideo.loop = this.loop
+    this.updateControls()
+  }
+
+  /**
+   * Show the playback bar for a page the player shows, with its position
+   */
+  updateControls() {
+    const controls = this.gallery.mediaControls
+    if (!controls) return
+    const active = this.isActive()
+    controls.classList.toggle('hidden', !active)
+    if (!active) return
+
+    const playing = this.isPlaying()
+    const playBtn = this.gallery.mediaPlayBtn
+    playBtn.textContent = playing ? '❚❚' : '▶'
+    playBtn.setAttribute('aria-label', playing ? 'Pause' : 'Play')
+    this.gallery.mediaLoopBtn.setAttribute('aria-pressed', String(this.loop))
+
+    const scrub = this.gallery.mediaScrub
+    // Not moved from under the pointer while being dragged
+    const dragged = scrub.matches(':active')
+    const mediaInfo = window.MediaInfo
+    if (this.isVideo()) {
+      const video = this.gallery.fullscreenVideo
+      const duration = Number.isFinite(video.duration) ? video.duration : 0
+      scrub.max = String(duration)
+      scrub.step = 'any'
+      if (!dragged) scrub.value = String(video.currentTime)
+      this.gallery.mediaTime.textContent = `${mediaInfo.formatDuration(video.currentTime)} / ${mediaInfo.formatDuration(duration)}`
+    } else {
+      scrub.max = String(this.frameCount - 1)
+      scrub.step = '1'
+      if (!dragged) scrub.value = String(this.frameIndex)
+      this.gallery.mediaTime.textContent = `${this.frameIndex + 1} / ${this.frameCount}`
+    }
+  }
+}
+
+// Export to global scope
+window.MediaPlayer = MediaPlayer
@@ -0,0 +1,39 @@
+/**
+ * Natural Sort - Numeric-aware, locale-aware ordering of file names and paths
+ */
+class NaturalSort {
+  constructor() {
+    this.collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' })
+  }
+
+  /**
+   * Compare two names so that page2 comes before page10
+   * @param {string} a - First name
+   * @param {string} b - Second name
+   * @returns {number} Negative, zero or positive
+   */
+  compare(a, b) {
+    return this.collator.compare(String(a ?? ''), String(b ?? ''))
+  }
+
+  /**
+   * Compare two paths folder by folder, so a folder's files stay together
+   * @param {string} a - First path ('/' or '\' separators)
+   * @param {string} b - Second path
+   * @returns {number} Negative, zero or positive
+   */
+  comparePaths(a, b) {
+    const segmentsA = String(a ?? '').split(/[/\\]/)
+    const segmentsB = String(b ?? '').split(/[/\\]/)
+    const length = Math.min(segmentsA.length, segmentsB.length)
+
+    for (let i = 0; i < length; i++) {
+      const order = this.compare(segmentsA[i], segmentsB[i])
+      if (order !== 0) return order
+    }
+    return segmentsA.length - segmentsB.length
+  }
+}
+
+// Export singleton instance to global scope
+window.NaturalSort = new NaturalSort()
@@ -0,0 +1,217 @@
+/**
+ * Near Duplicates View - Review screen for similar images across archives
+ *
+ * The main process clusters images whose perceptual hashes are close: re-encoded,
+ * resized or lightly edited copies of one picture. Each cluster shows its images side by
+ * side, largest file first; "Keep" deletes the other images of the cluster, "Delete"
+ * removes just that one. Deleting removes every copy of the image from the repository.
+ */
+
+// Width of a card's image, as set by .near-duplicate-card img
+const CARD_IMAGE_WIDTH = 180
+
+class NearDuplicatesView {
+  constructor() {
+    this.gallery = null
+    this.clusters = []
+    this.observer = null
+  }
+
+  setGallery(gallery) {
+    this.gallery = gallery
+  }
+
+  /**
+   * Find similar images and open the review screen; images imported before fingerprints
+   * were recorded are fingerprinted first, which can take a while
+   */
+  async show() {
+    const archiveManager = this.gallery.archiveManager
+    try {
+      this.gallery.showLoading()
+      this.gallery.loadingText.textContent = 'Finding similar images...'
+      archiveManager.beginProcessing()
+
+      this.clusters = await window.electronAPI.findNearDuplicates()
+      console.log(`✅ Found ${this.clusters.length} clusters of similar images`)
+      this.render()
+      this.gallery.nearDuplicatesOverlay?.classList.remove('hidden')
+    } catch (error) {
+      if (archiveManager.isCancellation(error)) {
+        console.log('⏹️ Similar image search cancelled')
+      } else {
+        console.error('❌ Failed to find similar images:', error)
+        alert(`Failed to find similar images: ${error.message}`)
+      }
+    } finally {
+      this.gallery.hideLoading()
+    }
+  }
+
+  hide() {
+    this.gallery.nearDuplicatesOverlay?.classList.add('hidden')
+    this.clear()
+    this.clusters = []
+  }
+
+  clear() {
+    this.observer?.disconnect()
+    this.observer = null
+    if (this.gallery.nearDuplicatesList) this.gallery.nearDuplicatesList.innerHTML = ''
+  }
+
+  render() {
+    const list = this.gallery.nearDuplicatesList
+    if (!list) return
+
+    this.clear()
+    // Thumbnails are read only once they scroll into view
+    this.observer = new IntersectionObserver((entries) => this.loadVisible(entries), {
+      root: list,
+      rootMargin: '200px',
+    })
+
+    if (this.gallery.nearDuplicatesTitle) {
+      this.gallery.nearDuplicatesTitle.textContent = `Similar Images (${this.clusters.length} groups)`
+    }
+    if (this.clusters.length === 0) {
+      const emptyElement = document.createElement('div')
+      emptyElement.className = 'archive-search-empty'
+      emptyElement.textContent = 'No similar images found'
+      list.appendChild(emptyElement)
+      return
+    }
+
+    for (const cluster of this.clusters) {
+      list.appendChild(this.createCluster(cluster))
+    }
+  }
+
+  createCluster(cluster) {
+    const clusterElement = document.createElement('div')
+    clusterElement.className = 'near-duplicate-cluster'
+
+    const heading = document.createElement('h4')
+    heading.className = 'near-duplicate-heading'
+    heading.textContent = `${cluster.images.length} similar images`
+    clusterElement.appendChild(heading)
+
+    const imagesElement = document.createElement('div')
+    imagesElement.className = 'near-duplicate-images'
+    for (const image of cluster.images) {
+      imagesElement.appendChild(this.createCard(cluster, image))
+    }
+    clusterElement.appendChild(imagesElement)
+    return clusterElement
+  }
+
+  createCard(cluster, image) {
+    const card = document.createElement('div')
+    card.className = 'near-duplicate-card'
+
+    const img = document.createElement('img')
+    img.alt = image.copies[0].originalName
+    img.dataset.path = image.copies[0].extractedPath
+    card.appendChild(img)
+    this.observer.observe(img)
+
+    const details = document.createElement('span')
+    details.className = 'archive-meta near-duplicate-details'
+    details.textContent = `${(image.size / 1024).toFixed(0)}KB`
+    img.addEventListener('load', () => {
+      // Thumbnails carry the size of the full image
+      const width = img.dataset.width || img.naturalWidth
+      const height = img.dataset.height || img.naturalHeight
+      details.textContent = `${width}×${height} • ${(image.size / 1024).toFixed(0)}KB`
+    })
+    img.addEventListener('error', () => {
+      console.warn(`⚠️ Could not load ${img.dataset.path}`)
+      img.classList.add('near-duplicate-missing')
+    })
+    card.appendChild(details)
+
+    const source = document.createElement('span')
+    source.className = 'archive-meta near-duplicate-source'
+    const [first, ...others] = image.copies
+    source.textContent = `${first.archiveName}: ${first.originalName}`
+    if (others.length > 0) source.textContent += ` (+${others.length} more)`
+    source.title = image.copies
+      .map((copy) => `${copy.archiveName}: ${copy.originalName}`)
+      .join('\n')
+    card.appendChild(source)
+
+    const actions = document.createElement('div')
+    actions.className = 'near-duplicate-actions'
+    const keepBtn = document.createElement('button')
+    keepBtn.className = 'load-archive-btn'
+    keepBtn.textContent = 'Keep'
+    keepBtn.title = 'Keep this image and delete the others in this group'
+    keepBtn.addEventListener('click', () => this.keep(cluster, image))
+    const deleteBtn = document.createElement('button')
+    deleteBtn.className = 'load-archive-btn near-duplicate-delete-btn'
+    deleteBtn.textContent = 'Delete'
+    deleteBtn.addEventListener('click', () => this.remove(cluster, [image]))
+    actions.appendChild(keepBtn)
+    actions.appendChild(deleteBtn)
+    card.appendChild(actions)
+
+    return card
+  }
+
+  async loadVisible(entries) {
+    for (const entry of entries) {
+      if (!entry.isIntersecting) continue
+      const img = entry.target
+      this.observer?.unobserve(img)
+      const thumbnail = await window.electronAPI
+        .getThumbnail(img.dataset.path, CARD_IMAGE_WIDTH * window.devicePixelRatio)
+        .catch(() => null)
+      if (thumbnail) {
+        img.dataset.width = thumbnail.width
+        img.dataset.height = thumbnail.height
+      }
+      img.src = thumbnail?.url || window.electronAPI.toGalleryUrl(img.dataset.path)
+    }
+  }
+
+  async keep(cluster, image) {
+    await this.remove(
+      cluster,
+      cluster.images.filter((other) => other !== image)
+    )
+  }
+
+  /**
+   * Delete images (every copy of each) after confirmation, and update the screen
+   */
+  async remove(cluster, images) {
+    const paths = images.flatMap((image) => image.copies.map((copy) => copy.extractedPath))
+    const archives = new Set(images.flatMap((image) => image.copies.map((c) => c.archiveName)))
+    const confirmed = confirm(
+      `Delete ${images.length} image${images.length === 1 ? '' : 's'} from ${archives.size} archive${archives.size === 1 ? '' : 's'}? This cannot be undone.`
+    )
+    if (!confirmed) return
+
+    try {
+      await window.electronAPI.deleteImages(paths)
+      console.log(`🗑️ Deleted ${paths.length} similar image files`)
+    } catch (error) {
+      console.error('❌ Failed to delete images:', error)
+      alert(`Failed to delete images: ${error.message}`)
+      return
+    }
+
+    cluster.images = cluster.images.filter((image) => !images.includes(image))
+    if (cluster.images.length < 2) {
+      this.clusters = this.clusters.filter((other) => other !== cluster)
+    }
+    const list = this.gallery.nearDuplicatesList
+    const scrollTop = list.scrollTop
+    this.render()
+    list.scrollTop = scrollTop
+    this.gallery.loadProcessedArchivesList()
+  }
+}
+
+// Export to global scope
+window.NearDuplicatesView = NearDuplicatesView
@@ -0,0 +1,166 @@
+/**
+ * Page Preloader - Decodes the pages around the one shown in the fullscreen viewer
+ *
+ * Giving an <img> a page that is not decoded yet shows nothing until the file has loaded
+ * and decoded, so paging through large scans flickers. The preloader loads and decodes the
+ * pages (or spreads) ahead of and behind the current ones into detached images, which keeps
+ * them decoded in Chromium's image cache, so showing them is instant. The viewer waits for
+ * a page that is not ready before swapping it in, keeping the old one up meanwhile.
+ *
+ * A decoded page takes width × height × 4 bytes. When they add up to more than the memory
+ * budget, the pages farthest from the current one are dropped; the pages shown and those
+ * around them are kept whatever the budget. How far ahead and behind to look and the budget
+ * are read from config.json (preloadPagesAhead, preloadPagesBehind, preloadMemoryMB).
+ * Videos are streamed by the player and not preloaded.
+ */
+
+const DECODED_BYTES_PER_PIXEL = 4
+const DEFAULT_PRELOAD_SETTINGS = {
+  preloadPagesAhead: 3,
+  preloadPagesBehind: 1,
+  preloadMemoryMB: 512,
+}
+
+class PagePreloader {
+  constructor() {
+    this.gallery = null
+    this.settings = { ...DEFAULT_PRELOAD_SETTINGS }
+    this.entries = new Map() // Image URL => { element, index, promise, ready, bytes }
+    this.kept = new Set() // URLs of the pages shown and around them
+  }
+
+  setGallery(gallery) {
+    this.gallery = gallery
+  }
+
+  initialize() {
+    this.loadSettings().catch((error) => {
+      console.warn('⚠️ Failed to load preload settings:', error)
+    })
+  }
+
+  async loadSettings() {
+    const settings = await window.electronAPI.getViewSettings()
+    for (const key of Object.keys(DEFAULT_PRELOAD_SETTINGS)) {
+      if (Number.isFinite(settings[key])) this.settings[key] = settings[key]
+    }
+  }
+
+  /**
+   * @param {Array<number>} indices - Gallery image indices
+   * @returns {boolean} Whether all of the images are decoded
+   */
+  isReady(indices) {
+    return indices.every((index) => {
+      const image = this.gallery.images[index]
+      return image?.mediaType === 'video' || this.entries.get(image?.dataUrl)?.ready
+    })
+  }
+
+  /**
+   * Load and decode images
+   * @param {Array<number>} indices - Gallery image indices
+   * @returns {Promise} Settles when all of them are decoded or have failed
+   */
+  load(indices) {
+    return Promise.all(indices.map((index) => this.decode(index)))
+  }
+
+  decode(index) {
+    const image = this.gallery.images[index]
+    if (!image?.dataUrl || image.error || image.mediaType === 'video') return Promise.resolve()
+
+    const url = image.dataUrl
+    let entry = this.entries.get(url)
+    if (!entry) {
+      const element = new Image()
+      element.decoding = 'async'
+      element.src = url
+      entry = { element, index, ready: false, bytes: 0 }
+      entry.promise = element
+        .decode()
+        .then(() => {
+          entry.bytes = element.naturalWidth * element.naturalHeight * DECODED_BYTES_PER_PIXEL
+          entry.ready = true
+          this.evict()
+        })
+        .catch((error) => {
+          // Dropped while loading
+          if (this.entries.get(url) !== entry) return
+          // Left to the viewer's <img> to show as broken; it is tried again next time
+          console.warn(`⚠️ Could not preload ${image.name}:`, error?.message || error)
+          this.entries.delete(url)
+        })
+      this.entries.set(url, entry)
+    }
+    // Indices change as the gallery is sorted or grows
+    entry.index = index
+    return entry.promise
+  }
+
+  /**
+   * Decode the pages ahead of and behind those shown, the next ones first
+   * @param {Array<number>} pages - Image indices shown
+   */
+  preloadAround(pages) {
+    const readerMode = this.gallery.readerMode
+    const ahead = []
+    const behind = []
+    let group = pages
+    while (group && ahead.length < this.settings.preloadPagesAhead) {
+      group = readerMode.findPages(group[0], 1)
+      if (group) ahead.push(group)
+    }
+    group = pages
+    while (group && behind.length < this.settings.preloadPagesBehind) {
+      group = readerMode.findPages(group[0], -1)
+      if (group) behind.push(group)
+    }
+
+    const order = [pages]
+    for (let i = 0; i < Math.max(ahead.length, behind.length); i++) {
+      if (ahead[i]) order.push(ahead[i])
+      if (behind[i]) order.push(behind[i])
+    }
+    const indices = order.flat()
+    this.kept = new Set(indices.map((index) => this.gallery.images[index].dataUrl))
+    for (const index of indices) this.decode(index)
+    this.evict()
+  }
+
+  /**
+   * Drop decoded pages, farthest from the current one first, until they fit the budget
+   */
+  evict() {
+    const budget = this.settings.preloadMemoryMB * 1024 * 1024
+    let total = 0
+    for (const entry of this.entries.values()) total += entry.bytes
+    if (total <= budget) return
+
+    const current = this.gallery.currentIndex
+    const candidates = [...this.entries]
+      .filter(([url, entry]) => entry.ready && !this.kept.has(url))
+      .sort(([, a], [, b]) => Math.abs(b.index - current) - Math.abs(a.index - current))
+    for (const [url, entry] of candidates) {
+      if (total <= budget) break
+      this.drop(url, entry)
+      total -= entry.bytes
+    }
+  }
+
+  drop(url, entry) {
+    this.entries.delete(url)
+    entry.element.removeAttribute('src')
+  }
+
+  /**
+   * Release every decoded page (when the viewer closes)
+   */
+  clear() {
+    for (const [url, entry] of this.entries) this.drop(url, entry)
+    this.kept.clear()
+  }
+}
+
+// Export to global scope
+window.PagePreloader = PagePreloader
@@ -0,0 +1,85 @@
+/**
+ * Password Prompt - Asks for the password of an encrypted archive
+ */
+class PasswordPrompt {
+  constructor() {
+    this.gallery = null
+    this.queue = Promise.resolve()
+  }
+
+  setGallery(gallery) {
+    this.gallery = gallery
+  }
+
+  /**
+   * Answer a password request from the main process; requests are shown one at a time
+   * @param {Object} request - { requestId, archiveName, attempt, incorrect }
+   */
+  answerRequest(request) {
+    this.queue = this.queue
+      .then(async () => {
+        const answer = await this.show(request)
+        await window.electronAPI.submitArchivePassword(request.requestId, answer)
+      })
+      .catch((error) => {
+        console.error('❌ Failed to answer archive password request:', error)
+      })
+    return this.queue
+  }
+
+  /**
+   * Show the dialog
+   * @param {Object} request - { archiveName, incorrect }
+   * @returns {Promise<Object|null>} { password, remember } or null when skipped
+   */
+  show({ archiveName, incorrect }) {
+    const dialog = this.gallery.passwordDialog
+    if (!dialog) {
+      console.warn('⚠️ Password dialog not found - skipping encrypted archive')
+      return Promise.resolve(null)
+    }
+
+    const { passwordForm, passwordMessage, passwordInput, passwordRemember, passwordCancelBtn } =
+      this.gallery
+
+    passwordMessage.textContent = incorrect
+      ? `Incorrect password for "${archiveName}". Try again.`
+      : `"${archiveName}" is password protected.`
+    passwordMessage.classList.toggle('password-error', Boolean(incorrect))
+    passwordInput.value = ''
+    dialog.classList.remove('hidden')
+    passwordInput.focus()
+
+    return new Promise((resolve) => {
+      const finish = (answer) => {
+        passwordForm.removeEventListener('submit', onSubmit)
+        passwordCancelBtn.removeEventListener('click', onCancel)
+        dialog.removeEventListener('keydown', onKeydown)
+        passwordInput.value = ''
+        dialog.classList.add('hidden')
+        resolve(answer)
+      }
+      const onSubmit = (e) => {
+        e.preventDefault()
+        if (!passwordInput.value) return
+        // The checkbox keeps its state so a batch only needs it ticked once
+        finish({ password: passwordInput.value, remember: passwordRemember.checked })
+      }
+      const onCancel = () => finish(null)
+      const onKeydown = (e) => {
+        if (e.key === 'Escape') {
+          e.preventDefault()
+          e.stopPropagation()
+          finish(null)
+        }
+      }
+
+      passwordForm.addEventListener('submit', onSubmit)
+      passwordCancelBtn.addEventListener('click', onCancel)
+      dialog.addEventListener('keydown', onKeydown)
+    })
+  }
+}
+
+// Export to global scope
+window.PasswordPrompt = PasswordPrompt
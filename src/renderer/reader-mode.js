@@ -0,0 +1,171 @@
+/**
+ * Reader Mode - How the fullscreen viewer pages through manga and comics
+ *
+ * Page modes:
+ *   single   One image at a time
+ *   spread   Two pages side by side, as in a printed book. The first page of each chapter
+ *            (the cover) can stand alone so the pages after it pair up as printed, and
+ *            wide pages (a two-page spread scanned as one image), videos and animated
+ *            images always stand alone
+ *   webtoon  The chapter as one continuous vertical strip
+ * Right-to-left swaps the pages of a spread and what the left and right arrows do.
+ *
+ * Settings are remembered per archive; an archive read for the first time uses the
+ * reading direction of its ComicInfo.xml.
+ */
+
+const READER_MODES = ['single', 'spread', 'webtoon']
+const DEFAULT_READER_SETTINGS = { pageMode: 'single', direction: 'ltr', coverOffset: true }
+
+// Pages wider than this (width / height) are shown alone in spreads
+const WIDE_PAGE_ASPECT_RATIO = 1
+
+class ReaderMode {
+  constructor() {
+    this.gallery = null
+    this.archiveHash = null
+    this.settings = { ...DEFAULT_READER_SETTINGS }
+  }
+
+  setGallery(gallery) {
+    this.gallery = gallery
+  }
+
+  /**
+   * Use the settings saved for an archive being opened
+   * @param {Object} metadata - Archive record ({ hash, comicInfo })
+   */
+  async loadForArchive(metadata) {
+    this.archiveHash = metadata.hash
+    const defaults = {
+      ...DEFAULT_READER_SETTINGS,
+      direction: metadata.comicInfo?.readingDirection || DEFAULT_READER_SETTINGS.direction,
+    }
+    let saved = null
+    try {
+      saved = await window.electronAPI.getReaderSettings(metadata.hash)
+    } catch (error) {
+      console.warn('⚠️ Failed to load reader settings:', error)
+    }
+    this.settings = { ...defaults, ...saved }
+    this.updateControls()
+  }
+
+  /**
+   * @param {string} pageMode - 'single', 'spread' or 'webtoon'
+   */
+  setPageMode(pageMode) {
+    if (!READER_MODES.includes(pageMode)) {
+      console.warn(`⚠️ Unknown page mode: ${pageMode}`)
+      return
+    }
+    this.change({ pageMode })
+  }
+
+  toggleDirection() {
+    this.change({ direction: this.isRightToLeft() ? 'ltr' : 'rtl' })
+  }
+
+  toggleCoverOffset() {
+    this.change({ coverOffset: !this.settings.coverOffset })
+  }
+
+  change(settings) {
+    this.settings = { ...this.settings, ...settings }
+    this.updateControls()
+    if (this.gallery.isFullscreen) {
+      this.gallery.updateFullscreenImage()
+    }
+    if (this.archiveHash) {
+      window.electronAPI
+        .setReaderSettings(this.archiveHash, this.settings)
+        .catch((error) => console.warn('⚠️ Failed to save reader settings:', error))
+    }
+  }
+
+  isRightToLeft() {
+    return this.settings.direction === 'rtl'
+  }
+
+  isWebtoon() {
+    return this.settings.pageMode === 'webtoon'
+  }
+
+  updateControls() {
+    const { pageMode, coverOffset } = this.settings
+    if (this.gallery.readerPageModeSelect) {
+      this.gallery.readerPageModeSelect.value = pageMode
+    }
+    if (this.gallery.readerDirectionBtn) {
+      this.gallery.readerDirectionBtn.textContent = this.isRightToLeft()
+        ? 'Right to left'
+        : 'Left to right'
+    }
+    if (this.gallery.readerCoverBtn) {
+      this.gallery.readerCoverBtn.setAttribute('aria-pressed', String(coverOffset))
+      this.gallery.readerCoverBtn.classList.toggle('hidden', pageMode !== 'spread')
+    }
+  }
+
+  /**
+   * Pages shown together, near an image
+   * @param {number} index - Gallery image index
+   * @param {number} step - 0 for the image's own pages, 1 for the next pages, -1 for the
+   *   previous ones (crossing into other chapters)
+   * @returns {Array<number>|null} Image indices in reading order, or null past either end
+   */
+  findPages(index, step = 0) {
+    const images = this.gallery.images
+    let { start, end } = this.gallery.getChapterRange(index)
+    let groups = this.groupPages(start, end)
+    let position = groups.findLastIndex((group) => group[0] <= index) + step
+
+    while (position < 0 || position >= groups.length) {
+      if (position < 0) {
+        if (start === 0) return null
+        ;({ start, end } = this.gallery.getChapterRange(start - 1))
+        groups = this.groupPages(start, end)
+        position = groups.length - 1
+      } else {
+        if (end >= images.length - 1) return null
+        ;({ start, end } = this.gallery.getChapterRange(end + 1))
+        groups = this.groupPages(start, end)
+        position = 0
+      }
+    }
+    return groups[position]
+  }
+
+  /**
+   * Split a chapter into what is shown at once; images that failed to load are skipped
+   * @returns {Array<Array<number>>} Groups of one or two image indices
+   */
+  groupPages(start, end) {
+    const images = this.gallery.images
+    const pages = []
+    for (let index = start; index <= end; index++) {
+      if (!images[index].error) pages.push(index)
+    }
+    if (this.settings.pageMode !== 'spread') {
+      return pages.map((index) => [index])
+    }
+
+    const standsAlone = (index) =>
+      (images[index].aspectRatio || 0) > WIDE_PAGE_ASPECT_RATIO || Boolean(images[index].mediaType)
+    const groups = []
+    for (let i = 0; i < pages.length; i++) {
+      const next = pages[i + 1]
+      const alone =
+        (i === 0 && this.settings.coverOffset) ||
+        next === undefined ||
+        standsAlone(pages[i]) ||
+        standsAlone(next)
+      groups.push(alone ? [pages[i]] : [pages[i], next])
+      if (!alone) i++
+    }
+    return groups
+  }
+}
+
+// Export to global scope
+window.ReaderMode = ReaderMode
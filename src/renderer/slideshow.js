@@ -0,0 +1,328 @@
+/**
+ * Slideshow - Plays the gallery in the fullscreen viewer
+ *
+ * Pages advance as the viewer would show them (spreads stay together), in order or
+ * shuffled, stopping at the end unless looping. A bar at the bottom shows the time left on
+ * the page. The slideshow pauses while the pointer rests on the page or the viewer's
+ * controls, and restarts its timer when the page is turned by hand.
+ *
+ * Settings are saved in config.json and can also be changed from the View menu.
+ */
+
+const SLIDESHOW_INTERVALS = [2, 3, 5, 10, 20, 30, 60] // Seconds, stepped through by < and >
+const SLIDESHOW_TRANSITIONS = ['none', 'crossfade', 'slide']
+const DEFAULT_SLIDESHOW_SETTINGS = {
+  interval: 5,
+  shuffle: false,
+  loop: true,
+  transition: 'crossfade',
+}
+const TRANSITION_DURATION_MS = 500
+
+class Slideshow {
+  constructor() {
+    this.gallery = null
+    this.settings = { ...DEFAULT_SLIDESHOW_SETTINGS }
+    this.playing = false
+    this.hovered = false
+    this.elapsed = 0 // Milliseconds the current page has been shown
+    this.lastFrame = null
+    this.frame = null
+    this.shownIndex = null // Page the timer runs for; another one means it was turned by hand
+    this.order = [] // Shuffled first indices of the pages
+    this.position = 0
+    this.transitionPending = false
+  }
+
+  setGallery(gallery) {
+    this.gallery = gallery
+  }
+
+  initialize() {
+    const overlay = this.gallery.fullscreenOverlay
+    overlay?.addEventListener('pointermove', (e) => this.updateHover(e))
+    overlay?.addEventListener('pointerleave', () => {
+      this.hovered = false
+    })
+
+    this.loadSettings().catch((error) => {
+      console.warn('⚠️ Failed to load slideshow settings:', error)
+    })
+  }
+
+  async loadSettings() {
+    const settings = await window.electronAPI.getViewSettings()
+    this.settings = {
+      interval: settings.slideshowInterval ?? DEFAULT_SLIDESHOW_SETTINGS.interval,
+      shuffle: settings.slideshowShuffle ?? DEFAULT_SLIDESHOW_SETTINGS.shuffle,
+      loop: settings.slideshowLoop ?? DEFAULT_SLIDESHOW_SETTINGS.loop,
+      transition: settings.slideshowTransition ?? DEFAULT_SLIDESHOW_SETTINGS.transition,
+    }
+  }
+
+  /**
+   * Change settings and remember them
+   * @param {Object} settings - Any of { interval, shuffle, loop, transition }
+   */
+  change(settings) {
+    const { interval, shuffle, loop, transition } = { ...this.settings, ...settings }
+    if (!Number.isInteger(interval) || interval < 1) {
+      console.warn(`⚠️ Invalid slideshow interval: ${interval}`)
+      return
+    }
+    if (!SLIDESHOW_TRANSITIONS.includes(transition)) {
+      console.warn(`⚠️ Unknown slideshow transition: ${transition}`)
+      return
+    }
+    const reshuffle = shuffle !== this.settings.shuffle
+    this.settings = { interval, shuffle: Boolean(shuffle), loop: Boolean(loop), transition }
+    if (reshuffle && this.playing) this.shufflePages()
+    this.showStatus()
+
+    window.electronAPI
+      .setViewSettings({
+        slideshowInterval: interval,
+        slideshowShuffle: this.settings.shuffle,
+        slideshowLoop: this.settings.loop,
+        slideshowTransition: transition,
+      })
+      .catch((error) => console.warn('⚠️ Failed to save slideshow settings:', error))
+  }
+
+  toggleShuffle() {
+    this.change({ shuffle: !this.settings.shuffle })
+  }
+
+  toggleLoop() {
+    this.change({ loop: !this.settings.loop })
+  }
+
+  /**
+   * Step through the preset intervals
+   * @param {number} step - 1 for longer, -1 for shorter
+   */
+  changeInterval(step) {
+    const { interval } = this.settings
+    const next =
+      step > 0
+        ? SLIDESHOW_INTERVALS.find((seconds) => seconds > interval)
+        : SLIDESHOW_INTERVALS.findLast((seconds) => seconds < interval)
+    if (next) this.change({ interval: next })
+  }
+
+  toggle() {
+    if (this.playing) this.stop()
+    else this.start()
+  }
+
+  /**
+   * Play from the page shown, or from the start of the gallery (a random page when
+   * shuffling) when the viewer is closed
+   */
+  start() {
+    const images = this.gallery.images
+    if (this.playing || images.length === 0) return
+
+    this.playing = true
+    if (this.settings.shuffle) this.shufflePages()
+    if (!this.gallery.isFullscreen) {
+      const first = this.settings.shuffle
+        ? this.order[0]
+        : images.findIndex((image) => !image.error)
+      if (first === undefined || first < 0) {
+        this.playing = false
+        return
+      }
+      this.gallery.openFullscreen(first)
+    }
+
+    this.elapsed = 0
+    this.shownIndex = this.gallery.currentIndex
+    this.lastFrame = null
+    this.frame = requestAnimationFrame((time) => this.tick(time))
+    this.gallery.fullscreenOverlay.classList.add('slideshow-playing')
+    this.showStatus()
+    console.log('▶️ Slideshow started')
+  }
+
+  stop() {
+    if (!this.playing) return
+    this.playing = false
+    this.transitionPending = false
+    cancelAnimationFrame(this.frame)
+    this.frame = null
+    this.gallery.fullscreenOverlay.classList.remove('slideshow-playing')
+    this.updateProgress(0)
+    this.showStatus()
+    console.log('⏹️ Slideshow stopped')
+  }
+
+  tick(time) {
+    if (!this.playing) return
+    if (!this.gallery.isFullscreen) {
+      this.stop()
+      return
+    }
+
+    if (this.lastFrame !== null && !this.hovered) {
+      this.elapsed += time - this.lastFrame
+    }
+    this.lastFrame = time
+    // Turned by hand: the new page gets the whole interval
+    if (this.gallery.currentIndex !== this.shownIndex) {
+      this.shownIndex = this.gallery.currentIndex
+      this.elapsed = 0
+    }
+
+    const duration = this.settings.interval * 1000
+    if (this.elapsed >= duration) {
+      this.advance()
+      this.elapsed = 0
+      this.shownIndex = this.gallery.currentIndex
+    }
+    if (!this.playing) return
+    this.updateProgress(this.elapsed / duration)
+    this.frame = requestAnimationFrame((next) => this.tick(next))
+  }
+
+  /**
+   * Show the next pages, stopping at the end unless looping
+   */
+  advance() {
+    const readerMode = this.gallery.readerMode
+    let pages
+    if (this.settings.shuffle) {
+      this.position++
+      if (this.position >= this.order.length) {
+        if (!this.settings.loop) {
+          this.stop()
+          return
+        }
+        this.shufflePages()
+        this.position = 0
+      }
+      pages = readerMode.findPages(this.order[this.position])
+    } else {
+      pages = readerMode.findPages(this.gallery.currentIndex, 1)
+      if (!pages && this.settings.loop) pages = this.collectPages()[0]
+    }
+    if (!pages) {
+      this.stop()
+      return
+    }
+
+    this.transitionPending = this.settings.transition !== 'none' && !readerMode.isWebtoon()
+    this.gallery.fullscreenViewer.showPages(pages)
+
+    // Pages ahead are preloaded in order; the next shuffled ones are not among them
+    const upcoming = this.order[this.position + 1]
+    if (this.settings.shuffle && upcoming !== undefined) {
+      this.gallery.pagePreloader.load(readerMode.findPages(upcoming) || [])
+    }
+  }
+
+  /**
+   * Every group of pages the viewer shows, chapter by chapter
+   * @returns {Array<Array<number>>}
+   */
+  collectPages() {
+    const groups = []
+    let start = 0
+    while (start < this.gallery.images.length) {
+      const { end } = this.gallery.getChapterRange(start)
+      groups.push(...this.gallery.readerMode.groupPages(start, end))
+      start = end + 1
+    }
+    return groups
+  }
+
+  /**
+   * Put the pages in a random order, the page shown (if any) first
+   */
+  shufflePages() {
+    const order = this.collectPages().map((group) => group[0])
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1))
+      ;[order[i], order[j]] = [order[j], order[i]]
+    }
+    if (this.gallery.isFullscreen) {
+      const shown = this.gallery.readerMode.findPages(this.gallery.currentIndex)?.[0]
+      const at = order.indexOf(shown)
+      if (at > 0) [order[0], order[at]] = [order[at], order[0]]
+    }
+    this.order = order
+    this.position = 0
+  }
+
+  /**
+   * Called by the viewer before it swaps in new pages: animates from a copy of the pages
+   * going out, if the slideshow turned the page
+   */
+  beginTransition() {
+    if (!this.transitionPending) return
+    this.transitionPending = false
+
+    const pages = this.gallery.fullscreenPages
+    const outgoing = pages.cloneNode(true)
+    outgoing.removeAttribute('id')
+    for (const element of outgoing.querySelectorAll('[id]')) element.removeAttribute('id')
+    outgoing.classList.add('slideshow-outgoing')
+    pages.after(outgoing)
+
+    const options = { duration: TRANSITION_DURATION_MS, easing: 'ease-in-out' }
+    let animation
+    if (this.settings.transition === 'slide') {
+      const away = this.gallery.readerMode.isRightToLeft() ? '100vw' : '-100vw'
+      const from = this.gallery.readerMode.isRightToLeft() ? '-100vw' : '100vw'
+      // translate adds to the zoom transform instead of replacing it
+      animation = outgoing.animate([{ translate: '0 0' }, { translate: `${away} 0` }], options)
+      pages.animate([{ translate: `${from} 0` }, { translate: '0 0' }], options)
+    } else {
+      animation = outgoing.animate([{ opacity: 1 }, { opacity: 0 }], options)
+    }
+    animation.finished.catch(() => {}).finally(() => outgoing.remove())
+  }
+
+  /**
+   * Pause while the pointer is on the page itself or on the viewer's controls
+   */
+  updateHover(e) {
+    const target = e.target
+    const images = [this.gallery.fullscreenImage, this.gallery.fullscreenImageSecond]
+    if (images.includes(target) && target.naturalWidth) {
+      const placed = this.gallery.imageZoom.placeImage(target, target.getBoundingClientRect())
+      this.hovered =
+        e.clientX >= placed.left &&
+        e.clientX <= placed.left + placed.width &&
+        e.clientY >= placed.top &&
+        e.clientY <= placed.top + placed.height
+    } else {
+      this.hovered = Boolean(target.closest?.('button, select, #reader-toolbar'))
+    }
+  }
+
+  updateProgress(fraction) {
+    const bar = this.gallery.slideshowProgress
+    if (!bar) return
+    bar.classList.toggle('hidden', !this.playing)
+    bar.classList.toggle('paused', this.hovered)
+    if (this.gallery.slideshowProgressFill) {
+      this.gallery.slideshowProgressFill.style.transform = `scaleX(${Math.min(1, fraction)})`
+    }
+  }
+
+  /**
+   * Show the state on the toolbar button
+   */
+  showStatus() {
+    const button = this.gallery.slideshowBtn
+    if (!button) return
+    const { interval, shuffle, loop } = this.settings
+    button.textContent = this.playing ? '❚❚ Pause' : '▶ Slideshow'
+    button.setAttribute('aria-pressed', String(this.playing))
+    button.title = `Slideshow (Space): ${interval} s per page${shuffle ? ', shuffled' : ''}${loop ? ', looping' : ''}`
+  }
+}
+
+// Export to global scope
+window.Slideshow = Slideshow
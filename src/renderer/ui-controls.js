@@ -30,17 +30,100 @@ class UIControls {
     // File selection
     this.gallery.fileSelectBtn.addEventListener('click', () => this.gallery.selectFiles())
     this.gallery.archiveSelectBtn?.addEventListener('click', () => this.gallery.selectArchives())
+    this.gallery.archiveSearchInput?.addEventListener('input', (e) =>
+      this.gallery.searchProcessedArchives(e.target.value)
+    )
+
+    this.gallery.findDuplicatesBtn?.addEventListener('click', () => this.gallery.findDuplicates())
+    this.gallery.duplicatesCloseBtn?.addEventListener('click', () => this.gallery.closeDuplicates())
+    this.gallery.findNearDuplicatesBtn?.addEventListener('click', () =>
+      this.gallery.findNearDuplicates()
+    )
+    this.gallery.nearDuplicatesCloseBtn?.addEventListener('click', () =>
+      this.gallery.closeNearDuplicates()
+    )
+
+    // Archive processing
+    this.gallery.loadingPauseBtn?.addEventListener('click', () =>
+      this.gallery.togglePauseArchiveProcessing()
+    )
+    this.gallery.loadingCancelBtn?.addEventListener('click', () =>
+      this.gallery.cancelArchiveProcessing()
+    )
+
+    // Import queue
+    this.gallery.importQueueClearBtn?.addEventListener('click', () =>
+      this.gallery.clearFinishedImports()
+    )
+    this.gallery.importQueueToggleBtn?.addEventListener('click', () =>
+      this.gallery.toggleImportQueue()
+    )
+
+    // Gallery sorting
+    this.gallery.sortSelect?.addEventListener('change', (e) =>
+      this.gallery.setSortKey(e.target.value)
+    )
+    this.gallery.sortDirectionBtn?.addEventListener('click', () =>
+      this.gallery.toggleSortDirection()
+    )
+
+    // Gallery layout; the size applies while dragging and is saved on release
+    this.gallery.layoutSelect?.addEventListener('change', (e) =>
+      this.gallery.setGalleryLayout(e.target.value)
+    )
+    this.gallery.thumbnailSizeInput?.addEventListener('input', (e) =>
+      this.gallery.setThumbnailSize(Number(e.target.value))
+    )
+    this.gallery.thumbnailSizeInput?.addEventListener('change', (e) =>
+      this.gallery.setThumbnailSize(Number(e.target.value), true)
+    )
 
     // Fullscreen controls
     this.gallery.closeFullscreenBtn.addEventListener('click', () => this.gallery.closeFullscreen())
-    this.gallery.prevBtn.addEventListener('click', () => this.gallery.showPrevious())
-    this.gallery.nextBtn.addEventListener('click', () => this.gallery.showNext())
+    this.gallery.prevBtn.addEventListener('click', () => this.gallery.showLeft())
+    this.gallery.nextBtn.addEventListener('click', () => this.gallery.showRight())
+
+    // Reader mode
+    this.gallery.readerPageModeSelect?.addEventListener('change', (e) =>
+      this.gallery.setReaderPageMode(e.target.value)
+    )
+    this.gallery.readerDirectionBtn?.addEventListener('click', () =>
+      this.gallery.toggleReadingDirection()
+    )
+    this.gallery.readerCoverBtn?.addEventListener('click', () =>
+      this.gallery.toggleReaderCoverOffset()
+    )
+    this.gallery.readerFitModeSelect?.addEventListener('change', (e) =>
+      this.gallery.setFitMode(e.target.value)
+    )
+    this.gallery.readerLoupeBtn?.addEventListener('click', () => this.gallery.toggleLoupe())
+    this.gallery.slideshowBtn?.addEventListener('click', () => this.gallery.toggleSlideshow())
+
+    // Video and animation playback; clicking the playing page pauses it
+    this.gallery.mediaPlayBtn?.addEventListener('click', () => this.gallery.toggleMediaPlayback())
+    this.gallery.mediaStepBackBtn?.addEventListener('click', () => this.gallery.stepMediaFrame(-1))
+    this.gallery.mediaStepForwardBtn?.addEventListener('click', () =>
+      this.gallery.stepMediaFrame(1)
+    )
+    this.gallery.mediaScrub?.addEventListener('input', (e) =>
+      this.gallery.seekMedia(Number(e.target.value))
+    )
+    this.gallery.mediaLoopBtn?.addEventListener('click', () => this.gallery.toggleMediaLoop())
+    this.gallery.fullscreenVideo?.addEventListener('click', () =>
+      this.gallery.toggleMediaPlayback()
+    )
+    this.gallery.fullscreenCanvas?.addEventListener('click', () =>
+      this.gallery.toggleMediaPlayback()
+    )
 
     // Keyboard navigation
     document.addEventListener('keydown', (e) => this.handleKeydown(e))
 
     // Fullscreen image click to close
     this.gallery.fullscreenImage.addEventListener('click', () => this.gallery.closeFullscreen())
+    this.gallery.fullscreenImageSecond?.addEventListener('click', () =>
+      this.gallery.closeFullscreen()
+    )
 
     // IPC event listeners for menu actions
     this.setupIpcListeners()
@@ -55,6 +138,19 @@ class UIControls {
     window.electronAPI?.onMenuOpenArchives?.(() => {
       this.gallery.selectArchives()
     })
+
+    window.electronAPI?.onMenuToggleSlideshow?.(() => {
+      this.gallery.toggleSlideshow()
+    })
+
+    window.electronAPI?.onMenuSlideshowSettings?.((settings) => {
+      this.gallery.changeSlideshowSettings(settings)
+    })
+
+    // Encrypted archives ask for their password while being processed
+    window.electronAPI?.onArchivePasswordRequest?.((request) => {
+      this.gallery.answerArchivePasswordRequest(request)
+    })
   }
 
   setupDragAndDrop() {
@@ -106,27 +202,77 @@ class UIControls {
     switch (e.key) {
       case 'ArrowLeft':
         e.preventDefault()
-        this.gallery.showPrevious()
+        this.gallery.showLeft()
         break
       case 'ArrowRight':
         e.preventDefault()
-        this.gallery.showNext()
+        this.gallery.showRight()
+        break
+      case 'PageUp':
+      case '[':
+        e.preventDefault()
+        this.gallery.showPreviousChapter()
+        break
+      case 'PageDown':
+      case ']':
+        e.preventDefault()
+        this.gallery.showNextChapter()
         break
       case 'Escape':
         e.preventDefault()
         this.gallery.closeFullscreen()
         break
     }
+
+    // Zoom, slideshow and playback keys; with Ctrl they zoom the whole window (View menu)
+    if (e.ctrlKey || e.metaKey || e.altKey) return
+    const viewerActions = {
+      '+': () => this.gallery.zoomIn(),
+      '=': () => this.gallery.zoomIn(),
+      '-': () => this.gallery.zoomOut(),
+      0: () => this.gallery.setFitMode('screen'),
+      w: () => this.gallery.setFitMode('width'),
+      h: () => this.gallery.setFitMode('height'),
+      1: () => this.gallery.setFitMode('original'),
+      l: () => this.gallery.toggleLoupe(),
+      ' ': () => this.gallery.toggleSlideshow(),
+      s: () => this.gallery.toggleSlideshowShuffle(),
+      r: () => this.gallery.toggleSlideshowLoop(),
+      '<': () => this.gallery.changeSlideshowInterval(-1),
+      '>': () => this.gallery.changeSlideshowInterval(1),
+      k: () => this.gallery.toggleMediaPlayback(),
+      ',': () => this.gallery.stepMediaFrame(-1),
+      '.': () => this.gallery.stepMediaFrame(1),
+    }
+    const action = viewerActions[e.key]
+    if (action) {
+      e.preventDefault()
+      action()
+    }
   }
 
   showLoading() {
     this.gallery.loadingIndicator.classList.remove('hidden')
     this.gallery.loadingProgress.classList.add('hidden')
     this.gallery.loadingText.textContent = 'Loading images...'
+    this.gallery.loadingActions?.classList.add('hidden')
   }
 
   hideLoading() {
     this.gallery.loadingIndicator.classList.add('hidden')
+    this.gallery.loadingActions?.classList.add('hidden')
+  }
+
+  /**
+   * Show the pause and cancel buttons while an archive is being processed
+   * @param {boolean} paused - Whether processing is paused
+   */
+  showLoadingActions(paused = false) {
+    if (!this.gallery.loadingActions) return
+    this.gallery.loadingActions.classList.remove('hidden')
+    this.gallery.loadingPauseBtn.textContent = paused ? 'Resume' : 'Pause'
+    this.gallery.loadingPauseBtn.disabled = false
+    this.gallery.loadingCancelBtn.disabled = false
   }
 
   updateProgress(current, total) {
@@ -150,11 +296,13 @@ class UIControls {
   hideDropZone() {
     this.gallery.dropZone?.classList.add('hidden')
     this.gallery.galleryGrid?.classList.remove('hidden')
+    this.gallery.galleryToolbar?.classList.remove('hidden')
   }
 
   showDropZone() {
     this.gallery.dropZone?.classList.remove('hidden')
     this.gallery.galleryGrid?.classList.add('hidden')
+    this.gallery.galleryToolbar?.classList.add('hidden')
   }
 }
 
@@ -0,0 +1,502 @@
+/**
+ * Virtual Grid - Windowed gallery grid that only mounts the tiles in view
+ *
+ * A DOM node per image stalled the window on archives with thousands of pages. The grid
+ * is laid out from the images' aspect ratios without touching the DOM, and only the rows
+ * near the viewport are mounted. Nodes that scroll out are reused for the tiles scrolling
+ * in; clicks are handled once on the grid.
+ *
+ * Layouts, sized by the thumbnail size setting:
+ *   justified  Rows as tall as the size, scaled so each full row fills the width
+ *   masonry    Columns at least as wide as the size; each image goes in the shortest
+ *   grid       Squares at least as wide as the size, images cropped to fill them
+ * Chapter headers span the full width in every layout. Animated images, videos and
+ * converted images get a badge over their tile, mounted with it.
+ */
+
+// Layout constants, matching gallery.css
+const TILE_GAP = 2
+const GRID_PADDING = 2
+const CHAPTER_HEADER_HEIGHT = 40
+
+const GALLERY_LAYOUTS = ['justified', 'masonry', 'grid']
+const DEFAULT_TILE_SIZE = 200
+
+// Height mounted above and below the viewport, so fast scrolling does not show gaps
+const OVERSCAN_PX = 1000
+
+class VirtualGrid {
+  constructor() {
+    this.gallery = null
+    this.sizer = null
+    this.layoutMode = 'justified'
+    this.tileSize = DEFAULT_TILE_SIZE
+    // { start, top, height, reach, items: [{ kind, index, left, top, width, height }] };
+    // reach is the lowest bottom of this row and the ones before it (masonry rows overlap)
+    this.rows = []
+    this.laidOut = 0 // Images laid out so far
+    this.columns = 1
+    this.tileWidth = 0 // Column width; the row height in the justified layout
+    this.columnTops = [] // Masonry: where the next image of each column goes
+    this.width = 0
+    this.showChapters = false
+    this.mounted = new Map() // `${kind}:${index}` => element
+    this.pools = { image: [], error: [], header: [], badge: [] }
+    this.frame = null
+  }
+
+  setGallery(gallery) {
+    this.gallery = gallery
+  }
+
+  /**
+   * Attach to #gallery-grid: its scroll, click and size changes; and load the layout
+   * settings
+   */
+  initialize() {
+    const grid = this.gallery.galleryGrid
+    this.sizer = document.createElement('div')
+    this.sizer.className = 'gallery-grid-sizer'
+    grid.appendChild(this.sizer)
+
+    grid.addEventListener('scroll', () => this.scheduleUpdate(), { passive: true })
+    grid.addEventListener('click', (event) => {
+      const tile = event.target.closest('[data-index]')
+      if (tile) this.gallery.openFullscreen(Number(tile.dataset.index))
+    })
+    // The grid is hidden until the first images load; lay out again once it has a width
+    new ResizeObserver(() => {
+      if (grid.clientWidth !== this.width) this.render()
+      else this.scheduleUpdate()
+    }).observe(grid)
+
+    this.updateControls()
+    this.loadSettings().catch((error) => {
+      console.warn('⚠️ Failed to load gallery view settings:', error)
+    })
+  }
+
+  async loadSettings() {
+    const settings = await window.electronAPI.getViewSettings()
+    if (GALLERY_LAYOUTS.includes(settings.galleryLayout)) {
+      this.layoutMode = settings.galleryLayout
+    }
+    if (settings.thumbnailSize) {
+      this.tileSize = settings.thumbnailSize
+    }
+    this.updateControls()
+    this.render()
+  }
+
+  /**
+   * Switch layouts and remember the choice
+   * @param {string} layoutMode - 'justified', 'masonry' or 'grid'
+   */
+  setLayoutMode(layoutMode) {
+    if (!GALLERY_LAYOUTS.includes(layoutMode)) {
+      console.warn(`⚠️ Unknown gallery layout: ${layoutMode}`)
+      return
+    }
+    this.layoutMode = layoutMode
+    this.updateControls()
+    this.render()
+    this.saveSettings()
+  }
+
+  /**
+   * Resize the tiles
+   * @param {number} size - Thumbnail size in pixels
+   * @param {boolean} save - Remember the size (when the slider is released)
+   */
+  setTileSize(size, save = false) {
+    if (size !== this.tileSize) {
+      this.tileSize = size
+      this.render()
+    }
+    if (save) this.saveSettings()
+  }
+
+  saveSettings() {
+    window.electronAPI
+      .setViewSettings({ galleryLayout: this.layoutMode, thumbnailSize: this.tileSize })
+      .catch((error) => console.warn('⚠️ Failed to save gallery view settings:', error))
+  }
+
+  updateControls() {
+    if (this.gallery.layoutSelect) {
+      this.gallery.layoutSelect.value = this.layoutMode
+    }
+    if (this.gallery.thumbnailSizeInput) {
+      this.gallery.thumbnailSizeInput.value = this.tileSize
+    }
+  }
+
+  /**
+   * Lay out every image again (after sorting, clearing, resizing or a layout change),
+   * keeping the first visible image in place
+   */
+  render() {
+    const grid = this.gallery.galleryGrid
+    const anchor = this.findAnchor()
+
+    this.width = grid.clientWidth
+    const contentWidth = Math.max(0, this.width - GRID_PADDING * 2)
+    if (this.layoutMode === 'justified') {
+      this.columns = 0
+      this.tileWidth = this.tileSize
+    } else {
+      this.columns = Math.max(1, Math.floor((contentWidth + TILE_GAP) / (this.tileSize + TILE_GAP)))
+      this.tileWidth = (contentWidth - TILE_GAP * (this.columns - 1)) / this.columns
+    }
+    this.showChapters = this.hasChapters()
+
+    this.rows = []
+    this.laidOut = 0
+    this.columnTops = new Array(this.columns).fill(GRID_PADDING)
+    this.layout()
+
+    if (anchor && this.rows.length > 0) {
+      let position = this.findRowIndexOf(anchor.index)
+      // A chapter header and the first row of its chapter start at the same image
+      const previous = this.rows[position - 1]
+      if (anchor.header && previous?.start === anchor.index) position--
+      grid.scrollTop = this.rows[position].top + anchor.offset
+    }
+    this.update()
+  }
+
+  /**
+   * Lay out images added to the end of gallery.images since the last render or append
+   */
+  append() {
+    if (this.hasChapters() !== this.showChapters) {
+      this.render()
+      return
+    }
+    // The last row may have room left; lay it out again with the new images
+    const last = this.rows.at(-1)
+    if (last && last.items[0]?.kind !== 'header') {
+      this.rows.pop()
+      this.laidOut = last.start
+      if (last.columnTops) this.columnTops = last.columnTops
+    }
+    this.layout()
+    this.update()
+  }
+
+  hasChapters() {
+    return new Set(this.gallery.images.map((image) => image.folder)).size > 1
+  }
+
+  /**
+   * Add rows for the images from this.laidOut on
+   */
+  layout() {
+    const images = this.gallery.images
+    const contentWidth = Math.max(0, this.width - GRID_PADDING * 2)
+
+    let row = null
+    for (let index = this.laidOut; index < images.length; index++) {
+      if (this.showChapters && this.gallery.isChapterStart(index)) {
+        if (row) this.closeRow(row, false)
+        const top = this.getBottom()
+        this.pushRow({
+          start: index,
+          top,
+          height: CHAPTER_HEADER_HEIGHT,
+          items: [
+            {
+              kind: 'header',
+              index,
+              left: GRID_PADDING,
+              top,
+              width: contentWidth,
+              height: CHAPTER_HEADER_HEIGHT,
+            },
+          ],
+        })
+        this.columnTops.fill(top + CHAPTER_HEADER_HEIGHT + TILE_GAP)
+        row = null
+      }
+      if (!row) {
+        row = { start: index, top: this.getBottom(), height: 0, items: [] }
+        // Masonry rows are laid out from the column heights before them
+        if (this.layoutMode === 'masonry') {
+          row.columnTops = [...this.columnTops]
+          row.top = Math.min(...this.columnTops)
+        }
+      }
+
+      const image = images[index]
+      const item = { kind: image.error ? 'error' : 'image', index }
+      // Failed images get a square tile
+      const aspectRatio = (!image.error && image.aspectRatio) || 1
+      if (this.layoutMode === 'justified') {
+        item.aspectRatio = aspectRatio
+        row.items.push(item)
+        const widths = row.items.reduce((sum, other) => sum + other.aspectRatio * this.tileSize, 0)
+        if (widths + TILE_GAP * (row.items.length - 1) >= contentWidth) {
+          row = this.closeRow(row, true)
+        }
+      } else if (this.layoutMode === 'masonry') {
+        const column = this.columnTops.indexOf(Math.min(...this.columnTops))
+        item.left = GRID_PADDING + column * (this.tileWidth + TILE_GAP)
+        item.top = this.columnTops[column]
+        item.width = this.tileWidth
+        item.height = Math.round(this.tileWidth / aspectRatio)
+        this.columnTops[column] += item.height + TILE_GAP
+        row.items.push(item)
+        if (row.items.length === this.columns) row = this.closeRow(row, true)
+      } else {
+        item.left = GRID_PADDING + row.items.length * (this.tileWidth + TILE_GAP)
+        item.top = row.top
+        item.width = this.tileWidth
+        item.height = Math.round(this.tileWidth)
+        row.items.push(item)
+        if (row.items.length === this.columns) row = this.closeRow(row, true)
+      }
+    }
+    if (row) this.closeRow(row, false)
+    this.laidOut = images.length
+
+    const last = this.rows.at(-1)
+    this.sizer.style.height = `${last ? last.reach + GRID_PADDING : 0}px`
+  }
+
+  /**
+   * Finish a row and add it to the grid
+   * @param {Object} row - Row with its items
+   * @param {boolean} full - Whether the row is full; a justified row that is not keeps
+   *   its images at the tile size instead of stretching them across the width
+   * @returns {null} No open row
+   */
+  closeRow(row, full) {
+    if (this.layoutMode === 'justified') {
+      const contentWidth = Math.max(0, this.width - GRID_PADDING * 2)
+      const gaps = TILE_GAP * (row.items.length - 1)
+      const ratios = row.items.reduce((sum, item) => sum + item.aspectRatio, 0)
+      const height = full ? (contentWidth - gaps) / ratios : this.tileSize
+      let left = GRID_PADDING
+      for (const item of row.items) {
+        item.left = left
+        item.top = row.top
+        item.width = item.aspectRatio * height
+        item.height = Math.round(height)
+        left += item.width + TILE_GAP
+      }
+    }
+    const bottom = Math.max(...row.items.map((item) => item.top + item.height))
+    row.height = bottom - row.top
+    this.pushRow(row)
+    return null
+  }
+
+  pushRow(row) {
+    const previous = this.rows.at(-1)
+    row.reach = Math.max(previous?.reach ?? 0, row.top + row.height)
+    this.rows.push(row)
+  }
+
+  /**
+   * Where the next full-width row starts
+   */
+  getBottom() {
+    const last = this.rows.at(-1)
+    return last ? last.reach + TILE_GAP : GRID_PADDING
+  }
+
+  scheduleUpdate() {
+    if (this.frame) return
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null
+      this.update()
+    })
+  }
+
+  /**
+   * Mount the tiles of the rows near the viewport and release the others
+   */
+  update() {
+    const grid = this.gallery.galleryGrid
+    const top = grid.scrollTop - OVERSCAN_PX
+    const bottom = grid.scrollTop + grid.clientHeight + OVERSCAN_PX
+
+    const visible = new Map()
+    for (let i = this.findRowAt(top); i < this.rows.length; i++) {
+      const row = this.rows[i]
+      if (row.top > bottom) break
+      for (const item of row.items) {
+        this.mount(visible, item.kind, item)
+        const image = item.kind === 'image' ? this.gallery.images[item.index] : null
+        if (image?.mediaType || image?.sourceFormat) {
+          this.mount(visible, 'badge', item)
+        }
+      }
+    }
+
+    this.releaseAll()
+    this.mounted = visible
+  }
+
+  /**
+   * Place an element of a kind for an item, reusing the one mounted for it if any
+   * @param {Map} visible - Elements mounted by this update
+   */
+  mount(visible, kind, item) {
+    const key = `${kind}:${item.index}`
+    const element = this.mounted.get(key) || this.acquire(kind)
+    this.mounted.delete(key)
+    this.place(element, item, kind)
+    visible.set(key, element)
+  }
+
+  /**
+   * Index of the first row that ends below a position
+   */
+  findRowAt(position) {
+    let low = 0
+    let high = this.rows.length
+    while (low < high) {
+      const middle = (low + high) >> 1
+      if (this.rows[middle].reach < position) low = middle + 1
+      else high = middle
+    }
+    return low
+  }
+
+  /**
+   * Index of the row holding an image
+   */
+  findRowIndexOf(index) {
+    let low = 0
+    let high = this.rows.length - 1
+    while (low < high) {
+      const middle = (low + high + 1) >> 1
+      if (this.rows[middle].start <= index) low = middle
+      else high = middle - 1
+    }
+    return low
+  }
+
+  /**
+   * First image (or chapter header) at the top of the viewport, and how far the view is
+   * scrolled past its row
+   * @returns {Object|null} { index, header, offset }
+   */
+  findAnchor() {
+    const scrollTop = this.gallery.galleryGrid.scrollTop
+    const row = this.rows[this.findRowAt(scrollTop)]
+    if (!row || row.start >= this.gallery.images.length) return null
+    return {
+      index: row.start,
+      header: row.items[0].kind === 'header',
+      offset: scrollTop - row.top,
+    }
+  }
+
+  acquire(kind) {
+    const element = this.pools[kind].pop() || this.createElement(kind)
+    element.classList.remove('hidden')
+    return element
+  }
+
+  releaseAll() {
+    for (const [key, element] of this.mounted) {
+      element.classList.add('hidden')
+      this.pools[key.slice(0, key.indexOf(':'))].push(element)
+    }
+    this.mounted = new Map()
+  }
+
+  createElement(kind) {
+    let element
+    if (kind === 'image') {
+      element = document.createElement('img')
+      element.className = 'gallery-image'
+      element.decoding = 'async' // Don't block on image decoding
+      element.draggable = false // Disable dragging to prevent accidental gallery reload
+    } else if (kind === 'error') {
+      element = document.createElement('div')
+      element.className = 'image-error'
+
+      const iconDiv = document.createElement('div')
+      iconDiv.className = 'image-error-icon'
+      iconDiv.textContent = '⚠️'
+
+      const messageDiv = document.createElement('div')
+      messageDiv.textContent = 'Failed to load'
+
+      const nameDiv = document.createElement('div')
+      nameDiv.className = 'image-error-name'
+
+      element.appendChild(iconDiv)
+      element.appendChild(messageDiv)
+      element.appendChild(nameDiv)
+    } else if (kind === 'badge') {
+      // Covers the tile without catching its clicks; the label sits in a corner
+      element = document.createElement('div')
+      element.className = 'gallery-media-badge'
+
+      const label = document.createElement('span')
+      label.className = 'gallery-media-badge-label'
+      element.appendChild(label)
+    } else {
+      element = document.createElement('div')
+      element.className = 'gallery-chapter-header'
+      element.title = 'Open chapter'
+
+      const nameSpan = document.createElement('span')
+      nameSpan.className = 'gallery-chapter-name'
+      const countSpan = document.createElement('span')
+      countSpan.className = 'gallery-chapter-count'
+
+      element.appendChild(nameSpan)
+      element.appendChild(countSpan)
+    }
+    this.gallery.galleryGrid.appendChild(element)
+    return element
+  }
+
+  /**
+   * Position a mounted element and show its image in it
+   * @param {string} kind - Element kind; the item's own, or 'badge' over an image tile
+   */
+  place(element, item, kind = item.kind) {
+    const image = this.gallery.images[item.index]
+    element.dataset.index = item.index
+    element.style.transform = `translate(${item.left}px, ${item.top}px)`
+    element.style.width = `${item.width}px`
+    element.style.height = `${item.height}px`
+
+    if (kind === 'image') {
+      // Thumbnails come in several widths; the browser picks one for the tile's size
+      if (image.thumbnailSrcset) {
+        element.sizes = `${Math.ceil(item.width)}px`
+        if (element.getAttribute('srcset') !== image.thumbnailSrcset) {
+          element.srcset = image.thumbnailSrcset
+        }
+      } else if (element.hasAttribute('srcset')) {
+        element.removeAttribute('srcset')
+      }
+      const src = image.thumbnailUrl || image.dataUrl
+      if (element.getAttribute('src') !== src) element.src = src
+      element.alt = image.name
+    } else if (kind === 'error') {
+      element.querySelector('.image-error-name').textContent = image.name
+    } else if (kind === 'badge') {
+      element.querySelector('.gallery-media-badge-label').textContent =
+        image.mediaType === 'video'
+          ? `▶ ${window.MediaInfo.formatDuration(image.duration)}`
+          : image.animationFormat || image.sourceFormat
+    } else {
+      const { end } = this.gallery.getChapterRange(item.index)
+      element.querySelector('.gallery-chapter-name').textContent = image.folder
+        ? image.folder.split('/').join(' › ')
+        : 'Other images'
+      element.querySelector('.gallery-chapter-count').textContent = `${end - item.index + 1} images`
+    }
+  }
+}
+
+// Export to global scope
+window.VirtualGrid = VirtualGrid